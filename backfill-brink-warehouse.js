@@ -0,0 +1,177 @@
+/**
+ * Backfill the Brink warehouse for a date range
+ * Walks each business date of the range through Brink into the warehouse tables, one store date at a time
+ * with a pause in between. Progress is checkpointed after every date - re-run with --job <id> to resume a
+ * job that was interrupted (Ctrl+C stops cleanly after the current date).
+ *
+ * Build first (npm run build, or use npm run backfill:brink -- <options>), then:
+ *   node backfill-brink-warehouse.js --start 2026-01-01 --end 2026-03-31 --store <location token or id> [--store ...]
+ *   node backfill-brink-warehouse.js --start 2026-01-01 --end 2026-03-31 --all --datasets orders --dry-run
+ *   node backfill-brink-warehouse.js --job 12
+ *
+ * Options:
+ *   --store <token|id>   store by location token or PAR Brink location id (repeatable)
+ *   --all                every active store
+ *   --datasets <list>    comma-separated: orders,shifts,tills (default all)
+ *   --delay <ms>         pause between a store's business dates (default 1000)
+ *   --dry-run            fetch from Brink and report counts only - nothing is written to the warehouse
+ *   --job <id>           resume an existing job
+ *
+ * Uses PAR_BRINK_ACCESS_TOKEN and the same SQL settings as the function app.
+ */
+
+const { BackfillJobRunningError, brinkBackfillService, DEFAULT_BACKFILL_DELAY_MS, MAX_BACKFILL_DAYS } = require('./lib/services/brinkBackfillService');
+const { storeConfigService } = require('./lib/services/storeConfigService');
+const { WAREHOUSE_DATASETS } = require('./lib/services/brinkWarehouseService');
+const { parseReportDateRange } = require('./lib/utils/reportDates');
+
+function parseArgs(argv) {
+    const options = { stores: [], all: false, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--start': options.startDate = next(); break;
+            case '--end': options.endDate = next(); break;
+            case '--store': options.stores.push(next()); break;
+            case '--all': options.all = true; break;
+            case '--datasets': options.datasets = next().split(',').map(dataset => dataset.trim()).filter(Boolean); break;
+            case '--delay': options.delayMs = parseInt(next(), 10); break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--job': options.jobId = parseInt(next(), 10); break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Services log through an InvocationContext - print to the console instead
+const consoleContext = {
+    log: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+function printJob(job) {
+    console.log('');
+    console.log(`📋 Job ${job.id}: ${job.startDate} - ${job.endDate} (${job.datasets.join(', ')}${job.dryRun ? ', dry run' : ''}) - ${job.status}`);
+    job.stores.forEach(store => {
+        const state = store.nextDate ? `next ${store.nextDate}` : 'done';
+        console.log(`   ${store.storeName} (${store.storeId}): ${store.datesCompleted} dates loaded, ${store.datesFailed} failed, ` +
+            `${store.orders} orders, ${store.shifts} shifts, ${store.tills} tills - ${state}`);
+        if (store.failedDates.length > 0) {
+            console.log(`      failed: ${store.failedDates.join(', ')}${store.lastError ? ` (last error: ${store.lastError})` : ''}`);
+        }
+    });
+}
+
+async function backfillBrinkWarehouse(argv) {
+    const options = parseArgs(argv);
+
+    const accessToken = process.env.PAR_BRINK_ACCESS_TOKEN;
+    if (!accessToken || accessToken === 'demo-access-token') {
+        console.log('❌ PAR_BRINK_ACCESS_TOKEN is not configured');
+        return false;
+    }
+
+    const activeStores = await storeConfigService.getAllActiveStores(consoleContext);
+    let jobId = options.jobId;
+
+    if (jobId === undefined) {
+        const { range, errors } = options.startDate && options.endDate
+            ? parseReportDateRange(options.startDate, options.endDate, options.endDate, MAX_BACKFILL_DAYS)
+            : { errors: ['--start and --end are required (or --job to resume)'] };
+        if (!range) {
+            console.log(`❌ ${errors.join('; ')}`);
+            return false;
+        }
+
+        const invalidDatasets = (options.datasets || []).filter(dataset => !WAREHOUSE_DATASETS.includes(dataset));
+        if (invalidDatasets.length > 0) {
+            console.log(`❌ Unknown datasets: ${invalidDatasets.join(', ')} (use ${WAREHOUSE_DATASETS.join(', ')})`);
+            return false;
+        }
+        if (options.delayMs !== undefined && (isNaN(options.delayMs) || options.delayMs < 0)) {
+            console.log('❌ --delay must be a number of milliseconds');
+            return false;
+        }
+
+        const stores = options.all
+            ? activeStores
+            : activeStores.filter(store => options.stores.includes(store.token) || options.stores.includes(store.id));
+        const unknown = options.stores.filter(value => !activeStores.some(store => store.token === value || store.id === value));
+        if (unknown.length > 0) {
+            console.log(`❌ Unknown or inactive stores: ${unknown.join(', ')}`);
+            return false;
+        }
+        if (stores.length === 0) {
+            console.log('❌ No stores selected - use --store or --all');
+            return false;
+        }
+
+        const job = await brinkBackfillService.createJob({
+            stores,
+            startDate: range.startDate,
+            endDate: range.endDate,
+            datasets: options.datasets,
+            dryRun: options.dryRun,
+            delayMs: options.delayMs !== undefined ? options.delayMs : DEFAULT_BACKFILL_DELAY_MS
+        }, consoleContext);
+        jobId = job.id;
+        console.log(`🧱 Created backfill job ${jobId} - resume it with --job ${jobId}`);
+    }
+
+    // Ctrl+C stops after the current business date; the checkpoint is already saved
+    let stopRequested = false;
+    process.on('SIGINT', () => {
+        if (stopRequested) {
+            process.exit(130);
+        }
+        stopRequested = true;
+        console.log(`\n⏸️ Stopping after the current business date - resume with --job ${jobId}`);
+    });
+
+    let job;
+    try {
+        job = await brinkBackfillService.runJob(jobId, activeStores, accessToken, {
+            get deadline() {
+                return stopRequested ? 0 : undefined;
+            },
+            onDate: result => {
+                const icon = result.status === 'succeeded' ? '✅' : result.status === 'partial' ? '⚠️' : '❌';
+                console.log(`${icon} ${result.storeName} ${result.businessDate}: ${result.orders ?? '-'} orders, ` +
+                    `${result.shifts ?? '-'} shifts, ${result.tills ?? '-'} tills${result.error ? ` - ${result.error}` : ''}`);
+            }
+        }, consoleContext);
+    } catch (error) {
+        if (error instanceof BackfillJobRunningError) {
+            console.log(`❌ ${error.message}`);
+            return false;
+        }
+        throw error;
+    }
+
+    printJob(job);
+    return job.status !== 'in_progress';
+}
+
+// Run the backfill
+if (require.main === module) {
+    backfillBrinkWarehouse(process.argv.slice(2))
+        .then(success => {
+            console.log('');
+            console.log(success ? '✅ Backfill finished' : '❌ Backfill did not finish');
+            process.exit(success ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('💥 Backfill failed:', error.message || error);
+            process.exit(1);
+        });
+}
+
+module.exports = { backfillBrinkWarehouse };
@@ -0,0 +1,17 @@
+-- Per-store PAR Brink API host
+-- Brink spreads customers across several API servers (api11.brinkpos.net, api8.brinkpos.net, ...)
+-- NULL means "use the tenant default" (apiHost in the PAR Brink ThirdPartyAPIs ConfigurationJson)
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('store_configurations') AND name = 'brink_api_host')
+BEGIN
+    ALTER TABLE store_configurations ADD brink_api_host NVARCHAR(255) NULL;
+    -- Host name or base URL (e.g., "api11.brinkpos.net" or "https://api11.brinkpos.net")
+END
+GO
+
+-- Example: point an acquired store at its Brink server
+-- UPDATE store_configurations
+-- SET brink_api_host = 'api8.brinkpos.net',
+--     last_updated = GETDATE(),
+--     updated_by = 'BRINK_HOST_MIGRATION'
+-- WHERE store_name = 'Castle Rock';
@@ -0,0 +1,17 @@
+-- Per-store business day start hour
+-- A business day runs from this local hour to the same hour the next day (sales after midnight belong
+-- to the previous business date). NULL uses the default of 5 AM
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('store_configurations') AND name = 'business_day_start_hour')
+BEGIN
+    ALTER TABLE store_configurations ADD business_day_start_hour INT NULL
+        CONSTRAINT CK_store_business_day_start_hour CHECK (business_day_start_hour >= 0 AND business_day_start_hour <= 12);
+END
+GO
+
+-- Example: a late-night store whose business day starts at 3 AM
+-- UPDATE store_configurations
+-- SET business_day_start_hour = 3,
+--     last_updated = GETDATE(),
+--     updated_by = 'BUSINESS_DAY_MIGRATION'
+-- WHERE store_name = 'Castle Rock';
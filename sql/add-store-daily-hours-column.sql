@@ -0,0 +1,28 @@
+-- Per-day store operating hours
+-- JSON keyed by day of week with local "HH:mm" times, e.g.
+-- {"monday": {"open": "10:30", "close": "21:00"}, ..., "saturday": {"open": "10:30", "close": "22:00"}}
+-- Days missing from the JSON (or a NULL column) fall back to opening_hour / closing_hour
+-- Hourly dashboard buckets are built from these hours; labor before open / after close is reported as prep / cleanup
+
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('store_configurations') AND name = 'daily_hours')
+BEGIN
+    ALTER TABLE store_configurations ADD daily_hours NVARCHAR(1000) NULL;
+END
+GO
+
+-- Seed from the detailed_hours settings captured from the website (enhance-store-data-from-website.sql)
+UPDATE sc
+SET daily_hours = ss.setting_value,
+    last_updated = GETDATE(),
+    updated_by = 'DAILY_HOURS_MIGRATION'
+FROM store_configurations sc
+    INNER JOIN store_settings ss ON ss.store_id = sc.id AND ss.setting_name = 'detailed_hours'
+WHERE sc.daily_hours IS NULL
+    AND ISJSON(ss.setting_value) = 1;
+GO
+
+-- Verify
+SELECT store_name, opening_hour, closing_hour, daily_hours
+FROM store_configurations
+WHERE is_active = 1
+ORDER BY store_name;
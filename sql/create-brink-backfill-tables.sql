@@ -0,0 +1,64 @@
+-- Brink backfill jobs
+-- A backfill walks a date range of business dates per store through Brink into the warehouse tables
+-- (sql/create-brink-warehouse-tables.sql). brink_backfill_job_stores is each store's checkpoint: next_date
+-- is the first business date not yet processed, so an interrupted job resumes where it stopped.
+-- Written by src/services/brinkBackfillService.ts
+-- store_id is store_configurations.par_brink_location_id
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_backfill_jobs]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_backfill_jobs
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        datasets NVARCHAR(50) NOT NULL,
+        -- comma-separated: orders,shifts,tills
+        dry_run BIT NOT NULL,
+        delay_ms INT NOT NULL,
+        status NVARCHAR(30) NOT NULL DEFAULT 'in_progress',
+        -- running while a request or the backfill script holds the job
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        completed_at DATETIME2 NULL,
+
+        CONSTRAINT CK_brink_backfill_jobs_status CHECK (status IN ('in_progress', 'running', 'completed', 'completed_with_errors'))
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_backfill_job_stores]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_backfill_job_stores
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        job_id BIGINT NOT NULL,
+        store_id NVARCHAR(50) NOT NULL,
+        store_name NVARCHAR(255) NOT NULL,
+        end_date DATE NOT NULL,
+        -- the job's end date, or the store's last closed business date when earlier
+        next_date DATE NULL,
+        -- NULL once every date is processed
+        dates_completed INT NOT NULL DEFAULT 0,
+        dates_failed INT NOT NULL DEFAULT 0,
+        order_count INT NOT NULL DEFAULT 0,
+        shift_count INT NOT NULL DEFAULT 0,
+        till_count INT NOT NULL DEFAULT 0,
+        failed_dates NVARCHAR(MAX) NULL,
+        -- comma-separated YYYY-MM-DD
+        last_error NVARCHAR(1000) NULL,
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_brink_backfill_job_stores_job FOREIGN KEY (job_id) REFERENCES brink_backfill_jobs(id) ON DELETE CASCADE,
+        CONSTRAINT UQ_brink_backfill_job_stores UNIQUE (job_id, store_id)
+    );
+END
+GO
+
+-- Verify
+SELECT TOP 10 j.id, j.start_date, j.end_date, j.datasets, j.dry_run, j.status,
+    SUM(s.dates_completed) AS dates_completed, SUM(s.dates_failed) AS dates_failed, j.updated_at
+FROM brink_backfill_jobs j
+    LEFT JOIN brink_backfill_job_stores s ON s.job_id = j.id
+GROUP BY j.id, j.start_date, j.end_date, j.datasets, j.dry_run, j.status, j.updated_at
+ORDER BY j.id DESC;
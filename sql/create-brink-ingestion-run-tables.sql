@@ -0,0 +1,61 @@
+-- Brink ingestion run history
+-- One row per ingestion run (the hourly timer or a re-run of a run's failed stores) and one row per store
+-- it loaded into the warehouse tables (sql/create-brink-warehouse-tables.sql)
+-- Written by src/services/brinkIngestionService.ts
+-- store_id is store_configurations.par_brink_location_id
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_ingestion_runs]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_ingestion_runs
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        trigger_type NVARCHAR(20) NOT NULL,
+        retry_of_run_id BIGINT NULL,
+        status NVARCHAR(20) NOT NULL DEFAULT 'running',
+        store_count INT NOT NULL,
+        succeeded_count INT NOT NULL DEFAULT 0,
+        partial_count INT NOT NULL DEFAULT 0,
+        failed_count INT NOT NULL DEFAULT 0,
+        started_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        finished_at DATETIME2 NULL,
+
+        CONSTRAINT CK_brink_ingestion_runs_trigger CHECK (trigger_type IN ('timer', 'rerun')),
+        CONSTRAINT CK_brink_ingestion_runs_status CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+        CONSTRAINT FK_brink_ingestion_runs_retry FOREIGN KEY (retry_of_run_id) REFERENCES brink_ingestion_runs(id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_ingestion_runs_started ON brink_ingestion_runs (started_at DESC);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_ingestion_run_stores]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_ingestion_run_stores
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        run_id BIGINT NOT NULL,
+        store_id NVARCHAR(50) NOT NULL,
+        store_name NVARCHAR(255) NOT NULL,
+        business_date DATE NOT NULL,
+        status NVARCHAR(20) NOT NULL,
+        -- partial: loaded, but tills were still open or a dataset failed
+        order_count INT NULL,
+        shift_count INT NULL,
+        till_count INT NULL,
+        error_message NVARCHAR(1000) NULL,
+        duration_ms INT NOT NULL,
+        completed_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_brink_ingestion_run_stores_run FOREIGN KEY (run_id) REFERENCES brink_ingestion_runs(id) ON DELETE CASCADE,
+        CONSTRAINT CK_brink_ingestion_run_stores_status CHECK (status IN ('succeeded', 'partial', 'failed'))
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_ingestion_run_stores_run ON brink_ingestion_run_stores (run_id);
+    CREATE NONCLUSTERED INDEX IX_brink_ingestion_run_stores_day ON brink_ingestion_run_stores (store_id, business_date) INCLUDE (status);
+END
+GO
+
+-- Verify
+SELECT TOP 10 r.id, r.trigger_type, r.status, r.store_count, r.succeeded_count, r.partial_count, r.failed_count, r.started_at, r.finished_at
+FROM brink_ingestion_runs r
+ORDER BY r.started_at DESC;
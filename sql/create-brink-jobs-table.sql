@@ -0,0 +1,33 @@
+-- Brink job definitions per store
+-- Synced from Brink Settings2 GetJobs so shifts (Shift.JobId) and employees (Employee.JobCodeId) can be
+-- reported by job name and labor category. Jobs Brink no longer returns are kept inactive so older
+-- shifts still resolve to a name.
+-- Synced by src/services/jobCatalogService.ts (at most once a day per store, or via /api/par-brink/jobs)
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_jobs]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_jobs
+    (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        -- store_configurations.par_brink_location_id
+        job_id NVARCHAR(50) NOT NULL,
+        -- Brink job id
+        job_name NVARCHAR(255) NOT NULL,
+        category NVARCHAR(20) NOT NULL,
+        -- cook / cashier / shift_lead / manager / other (classified from the job name)
+        is_active BIT NOT NULL DEFAULT 1,
+        first_synced DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        last_synced DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT UQ_brink_jobs_store_job UNIQUE (store_id, job_id),
+        CONSTRAINT CK_brink_jobs_category CHECK (category IN ('cook', 'cashier', 'shift_lead', 'manager', 'other'))
+    );
+END
+GO
+
+-- Verify
+SELECT store_id, COUNT(*) AS jobs, SUM(CAST(is_active AS INT)) AS active_jobs, MAX(last_synced) AS last_synced
+FROM brink_jobs
+GROUP BY store_id
+ORDER BY store_id;
@@ -0,0 +1,213 @@
+-- Brink warehouse
+-- Normalized copies of each store's Brink orders, shifts and tills per business date, so closed days are
+-- reported from SQL instead of being re-fetched from Brink on every request.
+-- A dataset (orders / shifts / tills) for a store and business date is replaced as a whole in one
+-- transaction, so loading the same day again is idempotent. brink_warehouse_days records which days are
+-- loaded - a loaded day with no rows is a day with no activity, not a missing day.
+-- Loaded by src/services/brinkWarehouseService.ts
+-- store_id is store_configurations.par_brink_location_id; times are UTC
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_warehouse_days]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_warehouse_days
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        dataset NVARCHAR(20) NOT NULL,
+        row_count INT NOT NULL,
+        load_count INT NOT NULL DEFAULT 1,
+        first_loaded DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        last_loaded DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT UQ_brink_warehouse_days UNIQUE (store_id, business_date, dataset),
+        CONSTRAINT CK_brink_warehouse_days_dataset CHECK (dataset IN ('orders', 'shifts', 'tills'))
+    );
+END
+GO
+
+-- Orders ---------------------------------------------------------------------------------------------
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_orders]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_orders
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        order_id NVARCHAR(50) NOT NULL,
+        order_number NVARCHAR(50) NOT NULL,
+        order_name NVARCHAR(255) NOT NULL,
+        total DECIMAL(18, 2) NOT NULL,
+        first_send_time DATETIME2 NULL,
+        modified_time DATETIME2 NULL,
+        guest_count INT NULL,
+        destination_id INT NULL,
+        employee_id NVARCHAR(50) NULL,
+        is_voided BIT NOT NULL,
+        void_reason NVARCHAR(255) NULL,
+        void_employee_id NVARCHAR(50) NULL,
+
+        CONSTRAINT UQ_brink_orders UNIQUE (store_id, business_date, order_id)
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_order_payments]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_order_payments
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        order_id NVARCHAR(50) NOT NULL,
+        payment_id NVARCHAR(50) NOT NULL,
+        tender_id INT NULL,
+        amount DECIMAL(18, 2) NOT NULL,
+        -- negative for refunds
+        tip_amount DECIMAL(18, 2) NOT NULL,
+        employee_id NVARCHAR(50) NULL,
+        payment_type NVARCHAR(50) NULL,
+        till_number NVARCHAR(50) NULL
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_order_payments_day ON brink_order_payments (store_id, business_date);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_order_items]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_order_items
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        order_id NVARCHAR(50) NOT NULL,
+        line_id NVARCHAR(50) NOT NULL,
+        parent_line_id NVARCHAR(50) NULL,
+        -- set for modifiers: the line_id of the item they modify
+        item_id NVARCHAR(50) NOT NULL,
+        item_name NVARCHAR(255) NULL,
+        quantity DECIMAL(18, 4) NOT NULL,
+        price DECIMAL(18, 4) NOT NULL,
+        -- unit price for items, extended price for modifiers (gross_sales repeats it)
+        gross_sales DECIMAL(18, 2) NOT NULL,
+        is_deleted BIT NOT NULL,
+        is_voided BIT NOT NULL,
+        void_reason NVARCHAR(255) NULL,
+        void_employee_id NVARCHAR(50) NULL,
+        employee_id NVARCHAR(50) NULL
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_order_items_day ON brink_order_items (store_id, business_date);
+    CREATE NONCLUSTERED INDEX IX_brink_order_items_item ON brink_order_items (item_id, business_date) INCLUDE (store_id, quantity, gross_sales);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_order_discounts]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_order_discounts
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        order_id NVARCHAR(50) NOT NULL,
+        line_id NVARCHAR(50) NOT NULL,
+        discount_id NVARCHAR(50) NOT NULL,
+        discount_name NVARCHAR(255) NULL,
+        amount DECIMAL(18, 2) NOT NULL,
+        is_comp BIT NOT NULL,
+        employee_id NVARCHAR(50) NULL,
+        order_item_id NVARCHAR(50) NULL
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_order_discounts_day ON brink_order_discounts (store_id, business_date);
+END
+GO
+
+-- Shifts ---------------------------------------------------------------------------------------------
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_shifts]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_shifts
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        shift_id NVARCHAR(50) NOT NULL,
+        employee_id NVARCHAR(50) NOT NULL,
+        job_id NVARCHAR(50) NULL,
+        start_time DATETIME2 NULL,
+        end_time DATETIME2 NULL,
+        minutes_worked INT NOT NULL,
+        pay_rate DECIMAL(18, 4) NOT NULL
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_shifts_day ON brink_shifts (store_id, business_date);
+    CREATE NONCLUSTERED INDEX IX_brink_shifts_employee ON brink_shifts (employee_id, business_date);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_shift_breaks]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_shift_breaks
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        shift_id NVARCHAR(50) NOT NULL,
+        break_id NVARCHAR(50) NOT NULL,
+        start_time DATETIME2 NULL,
+        end_time DATETIME2 NULL,
+        is_paid BIT NOT NULL,
+        minutes INT NOT NULL
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_shift_breaks_day ON brink_shift_breaks (store_id, business_date);
+END
+GO
+
+-- Tills ----------------------------------------------------------------------------------------------
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_tills]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_tills
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        till_id NVARCHAR(50) NOT NULL,
+        till_number NVARCHAR(50) NULL,
+        starting_bank DECIMAL(18, 2) NOT NULL,
+        is_closed BIT NOT NULL,
+        declared_cash DECIMAL(18, 2) NOT NULL,
+        over_short DECIMAL(18, 2) NOT NULL
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_tills_day ON brink_tills (store_id, business_date);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[brink_till_paid_in_outs]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE brink_till_paid_in_outs
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        business_date DATE NOT NULL,
+        till_id NVARCHAR(50) NOT NULL,
+        account_type NVARCHAR(10) NOT NULL,
+        -- "0" = paid in, "1" = paid out
+        amount DECIMAL(18, 2) NOT NULL,
+        description NVARCHAR(255) NULL
+    );
+
+    CREATE NONCLUSTERED INDEX IX_brink_till_paid_in_outs_day ON brink_till_paid_in_outs (store_id, business_date);
+END
+GO
+
+-- Verify
+SELECT dataset, COUNT(*) AS store_days, SUM(row_count) AS rows, MIN(business_date) AS first_date, MAX(business_date) AS last_date
+FROM brink_warehouse_days
+GROUP BY dataset
+ORDER BY dataset;
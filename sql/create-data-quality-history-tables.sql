@@ -0,0 +1,61 @@
+-- Dashboard data-quality history
+-- One row per store and business date with the latest validation score (in-progress days are
+-- overwritten on each dashboard refresh until the day closes), plus the findings behind it.
+-- Queried by /api/par-brink/data-quality/trends
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[data_quality_history]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE data_quality_history
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        store_id NVARCHAR(50) NOT NULL,
+        -- store_configurations.par_brink_location_id
+        store_name NVARCHAR(255) NOT NULL,
+        business_date DATE NOT NULL,
+        day_status NVARCHAR(20) NOT NULL,
+        -- closed / in_progress / future when last evaluated
+        data_quality_score INT NOT NULL,
+        total_issues INT NOT NULL,
+        degraded_sources NVARCHAR(200) NULL,
+        -- comma-separated source names (sales, labor, clockedIn, timezone)
+        evaluation_count INT NOT NULL DEFAULT 1,
+        first_evaluated DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        last_evaluated DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT UQ_data_quality_history_store_date UNIQUE (store_id, business_date),
+        CONSTRAINT CK_data_quality_history_score CHECK (data_quality_score >= 0 AND data_quality_score <= 100)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_data_quality_history_date ON data_quality_history (business_date) INCLUDE (store_id, data_quality_score);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[data_quality_findings]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE data_quality_findings
+    (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        history_id BIGINT NOT NULL,
+        rule_id NVARCHAR(100) NOT NULL,
+        category NVARCHAR(50) NOT NULL,
+        severity NVARCHAR(20) NOT NULL,
+        hour NVARCHAR(10) NULL,
+        -- "HH:00" bucket, NULL for day-level findings
+        message NVARCHAR(500) NOT NULL,
+        value DECIMAL(18, 4) NULL,
+        threshold DECIMAL(18, 4) NULL,
+        penalty INT NOT NULL,
+
+        CONSTRAINT FK_data_quality_findings_history FOREIGN KEY (history_id) REFERENCES data_quality_history(id) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX IX_data_quality_findings_history ON data_quality_findings (history_id);
+    CREATE NONCLUSTERED INDEX IX_data_quality_findings_rule ON data_quality_findings (rule_id) INCLUDE (history_id);
+END
+GO
+
+-- Verify: lowest scores over the last 30 days
+SELECT TOP 20 store_name, business_date, day_status, data_quality_score, total_issues, degraded_sources
+FROM data_quality_history
+WHERE business_date >= DATEADD(day, -30, CAST(GETDATE() AS DATE))
+ORDER BY data_quality_score, business_date DESC;
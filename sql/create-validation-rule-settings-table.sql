@@ -0,0 +1,55 @@
+-- Dashboard data-validation rule settings
+-- Rules and their default thresholds live in code (src/utils/validationRules.ts); rows here override
+-- them for a scope. Settings are applied global -> tenant -> state -> store, so the most specific wins.
+--   scope_type 'global' : scope_key NULL
+--   scope_type 'tenant' : scope_key = Tenants.Id (stores are linked through store_configurations.tenant_id)
+--   scope_type 'state'  : scope_key = two-letter state (store_configurations.state)
+--   scope_type 'store'  : scope_key = store_configurations.par_brink_location_id
+-- parameters is a JSON object of the rule parameters to override, e.g. {"minWage": 12.14}
+-- Manage through /api/admin/validation-rules
+
+-- Link stores to their tenant (brand) for tenant-scoped settings
+IF NOT EXISTS (SELECT * FROM sys.columns WHERE object_id = OBJECT_ID('store_configurations') AND name = 'tenant_id')
+BEGIN
+    ALTER TABLE store_configurations ADD tenant_id UNIQUEIDENTIFIER NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[validation_rule_settings]') AND type in (N'U'))
+BEGIN
+    CREATE TABLE validation_rule_settings
+    (
+        id INT IDENTITY(1,1) PRIMARY KEY,
+        scope_type NVARCHAR(20) NOT NULL,
+        scope_key NVARCHAR(255) NULL,
+        rule_id NVARCHAR(100) NOT NULL,
+        is_enabled BIT NULL,
+        -- NULL keeps the inherited value
+        parameters NVARCHAR(2000) NULL,
+        -- JSON object of parameter overrides
+        created_date DATETIME2 NOT NULL DEFAULT GETDATE(),
+        last_updated DATETIME2 NOT NULL DEFAULT GETDATE(),
+        updated_by NVARCHAR(255) NULL,
+
+        CONSTRAINT CK_validation_rule_scope_type CHECK (scope_type IN ('global', 'tenant', 'state', 'store')),
+        CONSTRAINT CK_validation_rule_scope_key CHECK ((scope_type = 'global' AND scope_key IS NULL) OR (scope_type <> 'global' AND scope_key IS NOT NULL)),
+        CONSTRAINT CK_validation_rule_parameters CHECK (parameters IS NULL OR ISJSON(parameters) = 1),
+        CONSTRAINT UQ_validation_rule_settings UNIQUE (scope_type, scope_key, rule_id)
+    );
+
+    CREATE NONCLUSTERED INDEX IX_validation_rule_settings_scope ON validation_rule_settings (scope_type, scope_key);
+END
+GO
+
+-- Colorado tipped minimum wage (update each January with the state's new rate)
+IF NOT EXISTS (SELECT * FROM validation_rule_settings WHERE scope_type = 'state' AND scope_key = 'CO' AND rule_id = 'hourly-wage-range')
+BEGIN
+    INSERT INTO validation_rule_settings (scope_type, scope_key, rule_id, parameters, updated_by)
+    VALUES ('state', 'CO', 'hourly-wage-range', '{"minWage": 12.14}', 'VALIDATION_RULES_MIGRATION');
+END
+GO
+
+-- Verify
+SELECT scope_type, scope_key, rule_id, is_enabled, parameters, last_updated, updated_by
+FROM validation_rule_settings
+ORDER BY rule_id, scope_type, scope_key;
@@ -1,10 +1,21 @@
+import './functions/brinkBackfillAdmin';
+import './functions/dataQualityTrends';
 import './functions/health';
 import './functions/oauth';
 import './functions/tenants';
 import './functions/thirdPartyAPIs';
 import './functions/parBrinkConfigurations';
+import './functions/parBrinkBreakCompliance';
+import './functions/parBrinkChannels';
 import './functions/parBrinkDashboard';
 import './functions/parBrinkEnhanced';
+import './functions/parBrinkExceptions';
+import './functions/parBrinkIngestion';
+import './functions/parBrinkJobs';
+import './functions/parBrinkOvertime';
+import './functions/parBrinkProductMix';
+import './functions/parBrinkRollup';
+import './functions/parBrinkTenders';
 import './functions/parBrinkToUkgETL';
 import './functions/simpleTest';
 import './functions/tenantCredentialsV2';
@@ -12,4 +23,5 @@ import './functions/tenantsV2';
 import './functions/testDbConnection';
 import './functions/thirdPartyAPISimple';
 import './functions/ukgReadyAPI';
+import './functions/validationRulesAdmin';
 import './functions/weatherDashboard';
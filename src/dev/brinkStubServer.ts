@@ -0,0 +1,272 @@
+// PAR Brink SOAP stub server
+// Local stand-in for the sales2, labor2 and Settings2 services so the Brink functions can run
+// without live tokens. Point the functions at it with PAR_BRINK_BASE_URL=http://localhost:7081
+//
+// replay (default): answers each operation from fixtures/brink/{service}/{Operation}[.{YYYY-MM-DD}].xml
+// record:           forwards to the real Brink host and saves the response with tokens and PII scrubbed
+
+import * as http from 'http';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { AddressInfo } from 'net';
+import axios from 'axios';
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import { BrinkServiceName, DEFAULT_BRINK_BASE_URL } from '../services/BrinkApiClient';
+
+export type BrinkStubMode = 'replay' | 'record';
+
+export interface BrinkStubOptions {
+  port?: number;                 // 0 picks a free port (useful in Jest)
+  mode?: BrinkStubMode;
+  fixturesDir?: string;
+  upstreamBaseUrl?: string;      // record mode only
+  log?: (message: string) => void;
+}
+
+export interface BrinkStubServer {
+  url: string;
+  close(): Promise<void>;
+}
+
+const SERVICE_PATHS: Record<string, BrinkServiceName> = {
+  'sales2.svc': 'sales',
+  'labor2.svc': 'labor',
+  'settings2.svc': 'settings'
+};
+
+const UPSTREAM_PATHS: Record<BrinkServiceName, string> = {
+  sales: 'sales2.svc',
+  labor: 'labor2.svc',
+  settings: 'Settings2.svc'
+};
+
+/** Placeholder in fixtures that is replaced with the requested business date (YYYY-MM-DD) */
+export const BUSINESS_DATE_PLACEHOLDER = '{{BusinessDate}}';
+
+const DEFAULT_PORT = 7081;
+const DEFAULT_FIXTURES_DIR = path.join(process.cwd(), 'fixtures', 'brink');
+
+// Elements scrubbed wherever they appear, by local name
+const PII_ELEMENTS: Record<string, (value: string) => string> = {
+  FirstName: value => `First-${hash(value)}`,
+  LastName: value => `Last-${hash(value)}`,
+  MiddleName: value => `M-${hash(value)}`,
+  NickName: value => `Nick-${hash(value)}`,
+  CustomerName: value => `Customer-${hash(value)}`,
+  CardHolderName: value => `Cardholder-${hash(value)}`,
+  SocialSecurityNumber: () => '000-00-0000',
+  Ssn: () => '000-00-0000',
+  DateOfBirth: () => '1990-01-01T00:00:00',
+  BirthDate: () => '1990-01-01T00:00:00',
+  PhoneNumber: () => '555-0100',
+  MobilePhone: () => '555-0100',
+  EmailAddress: value => `user-${hash(value)}@example.com`,
+  Email: value => `user-${hash(value)}@example.com`,
+  Address: value => `${hash(value)} Example St`,
+  Address1: value => `${hash(value)} Example St`,
+  Address2: () => '',
+  City: () => 'Springfield',
+  ZipCode: () => '00000',
+  PostalCode: () => '00000',
+  CardNumber: () => 'XXXXXXXXXXXX0000',
+  AccountNumber: () => 'XXXX0000'
+};
+
+// Elements that are only personal data under a specific parent (Order/Name is the guest's name,
+// but OrderItem/Name or Job/Name must survive for product mix and labor fixtures)
+const PII_CHILD_ELEMENTS: Record<string, string[]> = {
+  Order: ['Name'],
+  Customer: ['Name']
+};
+
+const xmlOptions = {
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: false
+};
+
+function hash(value: string): string {
+  return createHash('sha256').update(value).digest('hex').substring(0, 6);
+}
+
+function localName(tag: string): string {
+  const index = tag.indexOf(':');
+  return index === -1 ? tag : tag.substring(index + 1);
+}
+
+/**
+ * Replace tokens and personal data in a recorded Brink response
+ * Scrubbed values are derived from a hash of the original so relationships between records survive
+ */
+export function scrubBrinkResponse(xml: string, secrets: string[] = []): string {
+  const document = new XMLParser(xmlOptions).parse(xml);
+
+  const walk = (nodes: any[], parent: string, scrubAll?: (value: string) => string) => {
+    nodes.forEach(node => {
+      for (const key of Object.keys(node)) {
+        if (key === ':@') continue;
+        if (key === '#text') {
+          if (scrubAll && String(node[key]).trim()) {
+            node[key] = scrubAll(String(node[key]));
+          }
+          continue;
+        }
+
+        const name = localName(key);
+        const scrubber = PII_ELEMENTS[name] ||
+          (PII_CHILD_ELEMENTS[parent]?.includes(name) ? (value: string) => `${name}-${hash(value)}` : undefined);
+        if (Array.isArray(node[key])) {
+          walk(node[key], name, scrubber || scrubAll);
+        }
+      }
+    });
+  };
+  walk(document, '');
+
+  let scrubbed = new XMLBuilder({ ...xmlOptions, suppressEmptyNode: true }).build(document) as string;
+  secrets.filter(secret => secret && secret.length >= 8).forEach(secret => {
+    scrubbed = scrubbed.split(secret).join('SCRUBBED-TOKEN');
+  });
+  return scrubbed;
+}
+
+/**
+ * Read service/operation/business date from an incoming SOAP request
+ */
+export function describeBrinkRequest(urlPath: string, soapAction: string | undefined, body: string): { service?: BrinkServiceName; operation?: string; businessDate?: string } {
+  const segment = urlPath.split('?')[0].split('/').filter(Boolean).pop()?.toLowerCase() || '';
+  const service = SERVICE_PATHS[segment];
+
+  // SOAPAction is ".../ISalesWebService2/GetOrders"; fall back to the first element inside <Body>
+  let operation = soapAction?.replace(/"/g, '').split('/').pop() || undefined;
+  if (!operation) {
+    operation = body.match(/<(?:\w+:)?Body>\s*<(?:\w+:)?(\w+)/)?.[1];
+  }
+
+  const businessDate = body.match(/<(?:\w+:)?BusinessDate>\s*(\d{4}-\d{2}-\d{2})/)?.[1];
+  return { service, operation, businessDate };
+}
+
+export function soapFault(message: string): string {
+  return '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body><s:Fault>' +
+    `<faultcode>s:Client</faultcode><faultstring>${message.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</faultstring>` +
+    '</s:Fault></s:Body></s:Envelope>';
+}
+
+/**
+ * Start the stub; resolves once it is listening
+ */
+export async function startBrinkStubServer(options: BrinkStubOptions = {}): Promise<BrinkStubServer> {
+  const mode = options.mode || 'replay';
+  const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+  const upstreamBaseUrl = (options.upstreamBaseUrl || DEFAULT_BRINK_BASE_URL).replace(/\/+$/, '');
+  const log = options.log || ((message: string) => console.log(message));
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status: number, xml: string) => {
+      res.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+      res.end(xml);
+    };
+
+    try {
+      const chunks: Buffer[] = [];
+      for await (const chunk of req) {
+        chunks.push(chunk as Buffer);
+      }
+      const body = Buffer.concat(chunks).toString('utf-8');
+      const soapAction = req.headers['soapaction'] as string | undefined;
+      const { service, operation, businessDate } = describeBrinkRequest(req.url || '', soapAction, body);
+
+      if (req.method !== 'POST' || !service || !operation) {
+        send(404, soapFault(`Unknown Brink endpoint ${req.method} ${req.url}`));
+        return;
+      }
+      const accessToken = req.headers['accesstoken'] as string | undefined;
+      const locationToken = req.headers['locationtoken'] as string | undefined;
+      if (!accessToken || !locationToken) {
+        send(401, soapFault('AccessToken and LocationToken headers are required'));
+        return;
+      }
+
+      if (mode === 'record') {
+        const upstream = await axios.post(`${upstreamBaseUrl}/${UPSTREAM_PATHS[service]}`, body, {
+          headers: {
+            'AccessToken': accessToken,
+            'LocationToken': locationToken,
+            'Content-Type': 'text/xml; charset=utf-8',
+            'SOAPAction': soapAction || ''
+          },
+          responseType: 'text',
+          validateStatus: () => true
+        });
+        const xml = String(upstream.data ?? '');
+
+        if (upstream.status >= 200 && upstream.status < 300) {
+          const fileName = businessDate ? `${operation}.${businessDate}.xml` : `${operation}.xml`;
+          const filePath = path.join(fixturesDir, service, fileName);
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.writeFile(filePath, scrubBrinkResponse(xml, [accessToken, locationToken]), 'utf-8');
+          log(`📼 Recorded ${service}/${fileName}`);
+        } else {
+          log(`⚠️ Not recording ${service}/${operation} - upstream answered HTTP ${upstream.status}`);
+        }
+        send(upstream.status, xml);
+        return;
+      }
+
+      // Replay: a date-specific fixture wins over the generic one
+      const candidates = [
+        ...(businessDate ? [path.join(fixturesDir, service, `${operation}.${businessDate}.xml`)] : []),
+        path.join(fixturesDir, service, `${operation}.xml`)
+      ];
+      for (const candidate of candidates) {
+        try {
+          const fixture = await fs.readFile(candidate, 'utf-8');
+          log(`📼 ${service}/${operation}${businessDate ? ` (${businessDate})` : ''} ← ${path.relative(fixturesDir, candidate)}`);
+          send(200, businessDate ? fixture.split(BUSINESS_DATE_PLACEHOLDER).join(businessDate) : fixture);
+          return;
+        } catch {
+          // try the next candidate
+        }
+      }
+
+      log(`❌ No fixture for ${service}/${operation}`);
+      send(500, soapFault(`No fixture for ${service}/${operation} in ${fixturesDir}`));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      log(`❌ Brink stub error: ${message}`);
+      send(500, soapFault(message));
+    }
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? DEFAULT_PORT, () => resolve());
+  });
+
+  const { port } = server.address() as AddressInfo;
+  const url = `http://localhost:${port}`;
+  log(`🧪 PAR Brink stub (${mode}) listening on ${url} - fixtures: ${fixturesDir}`);
+
+  return {
+    url,
+    close: () => new Promise<void>((resolve, reject) => server.close(error => error ? reject(error) : resolve()))
+  };
+}
+
+// node lib/dev/brinkStubServer.js [--record]
+if (require.main === module) {
+  startBrinkStubServer({
+    port: process.env.BRINK_STUB_PORT ? parseInt(process.env.BRINK_STUB_PORT, 10) : undefined,
+    mode: process.argv.includes('--record') || process.env.BRINK_STUB_MODE === 'record' ? 'record' : 'replay',
+    fixturesDir: process.env.BRINK_STUB_FIXTURES,
+    upstreamBaseUrl: process.env.BRINK_STUB_UPSTREAM
+  }).catch(error => {
+    console.error('❌ Failed to start PAR Brink stub:', error);
+    process.exit(1);
+  });
+}
@@ -5,6 +5,7 @@
 
 import { InvocationContext } from '@azure/functions';
 import { storeConfigService } from '../services/storeConfigService';
+import { getCurrentLocalHour } from '../utils/timezone';
 
 /**
  * Example 1: Basic store lookup (most common operation)
@@ -139,6 +140,7 @@ export async function dashboardIntegrationExample(locationToken: string, context
   context.log(`  Location: ${store.name}, ${store.state}`);
   context.log(`  Timezone: ${store.timezone}`);
   context.log(`  Current Local Time: ${currentLocalTime}`);
+  context.log(`  Open Now: ${isOperatingHours(getCurrentLocalHour(store.timezone)) ? 'yes' : 'no'}`);
   context.log(`  PAR Brink ID: ${store.id}`);
   
   return {
@@ -0,0 +1,148 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { storeConfigService } from '../services/storeConfigService';
+import { BackfillJobRunningError, brinkBackfillService, DEFAULT_BACKFILL_DELAY_MS, MAX_BACKFILL_DAYS, MAX_BACKFILL_DELAY_MS } from '../services/brinkBackfillService';
+import { WAREHOUSE_DATASETS, WarehouseDataset } from '../services/brinkWarehouseService';
+import { parseReportDateRange } from '../utils/reportDates';
+
+// Stop starting business dates before the 5 minute function timeout - the caller resumes with jobId
+const REQUEST_TIME_BUDGET_MS = 4 * 60 * 1000;
+
+const DEFAULT_JOB_LIMIT = 20;
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*'
+};
+
+function jsonResponse(status: number, body: object): HttpResponseInit {
+  return { status, headers: corsHeaders, jsonBody: body };
+}
+
+/**
+ * Brink Backfill Admin Function
+ * GET  - recent backfill jobs, or one job with each store's checkpoint (?jobId=)
+ * POST - start a job { locationTokens? | storeIds? | allStores?, startDate, endDate, datasets?, dryRun?, delayMs? }
+ *        or resume one { jobId }. Works for about 4 minutes, then returns 202 with the job's progress -
+ *        POST { jobId } again until it returns 200. 409 while another request is working on the job
+ * Brink is called with PAR_BRINK_ACCESS_TOKEN, never a token from the request
+ */
+export async function brinkBackfillAdmin(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log(`Brink backfill admin ${request.method} request started`);
+
+    if (request.method === 'GET') {
+      const jobIdParam = request.query.get('jobId');
+      if (!jobIdParam) {
+        const jobs = await brinkBackfillService.getJobs(DEFAULT_JOB_LIMIT, context);
+        return jsonResponse(200, { success: true, data: { jobs } });
+      }
+
+      const jobId = parseInt(jobIdParam, 10);
+      const job = isNaN(jobId) ? null : await brinkBackfillService.getJob(jobId, context);
+      if (!job) {
+        return jsonResponse(404, { success: false, error: `Backfill job ${jobIdParam} not found` });
+      }
+      return jsonResponse(200, { success: true, data: job });
+    }
+
+    const startedAt = Date.now();
+    const body = await request.json() as any;
+    const { jobId, locationTokens, storeIds, allStores, startDate, endDate, datasets, dryRun, delayMs } = body || {};
+
+    const accessToken = process.env.PAR_BRINK_ACCESS_TOKEN;
+    if (!accessToken || accessToken === 'demo-access-token') {
+      return jsonResponse(503, { success: false, error: 'Brink backfill is not configured: PAR_BRINK_ACCESS_TOKEN is not set' });
+    }
+
+    const activeStores = await storeConfigService.getAllActiveStores(context);
+    let id: number;
+
+    if (jobId !== undefined) {
+      if (typeof jobId !== 'number' || !Number.isInteger(jobId) || !(await brinkBackfillService.getJob(jobId, context))) {
+        return jsonResponse(404, { success: false, error: `Backfill job ${jobId} not found` });
+      }
+      id = jobId;
+    } else {
+      const errors: string[] = [];
+
+      const { range, errors: rangeErrors } = startDate && endDate
+        ? parseReportDateRange(startDate, endDate, endDate, MAX_BACKFILL_DAYS)
+        : { range: undefined, errors: ['startDate and endDate are required'] };
+      errors.push(...rangeErrors);
+
+      if (datasets !== undefined && (!Array.isArray(datasets) || datasets.some((dataset: unknown) => !WAREHOUSE_DATASETS.includes(dataset as WarehouseDataset)))) {
+        errors.push(`datasets must be a list of: ${WAREHOUSE_DATASETS.join(', ')}`);
+      }
+      if (delayMs !== undefined && (typeof delayMs !== 'number' || delayMs < 0 || delayMs > MAX_BACKFILL_DELAY_MS)) {
+        errors.push(`delayMs must be between 0 and ${MAX_BACKFILL_DELAY_MS}`);
+      }
+
+      // Stores by location token or PAR Brink location id, or every active store
+      const tokens: string[] = Array.isArray(locationTokens) ? locationTokens : [];
+      const ids: string[] = Array.isArray(storeIds) ? storeIds.map(String) : [];
+      const stores = allStores === true
+        ? activeStores
+        : activeStores.filter(store => tokens.includes(store.token) || ids.includes(store.id));
+      const unknown = [
+        ...tokens.filter(token => !activeStores.some(store => store.token === token)),
+        ...ids.filter(storeId => !activeStores.some(store => store.id === storeId))
+      ];
+      if (allStores !== true && tokens.length === 0 && ids.length === 0) {
+        errors.push('Provide locationTokens, storeIds or allStores: true');
+      }
+      if (unknown.length > 0) {
+        errors.push(`Unknown or inactive stores: ${unknown.join(', ')}`);
+      }
+
+      if (errors.length > 0 || !range) {
+        return jsonResponse(400, { success: false, error: 'Invalid backfill request', details: errors });
+      }
+
+      const job = await brinkBackfillService.createJob({
+        stores,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        datasets,
+        dryRun: dryRun === true,
+        delayMs: delayMs ?? DEFAULT_BACKFILL_DELAY_MS
+      }, context);
+      id = job.id;
+    }
+
+    const job = await brinkBackfillService.runJob(id, activeStores, accessToken, { deadline: startedAt + REQUEST_TIME_BUDGET_MS }, context);
+
+    // 202 - the job has dates left; POST { jobId } to continue
+    return jsonResponse(job.status === 'in_progress' ? 202 : 200, { success: true, data: job });
+
+  } catch (error) {
+    if (error instanceof BackfillJobRunningError) {
+      return jsonResponse(409, { success: false, error: error.message });
+    }
+    context.error('Error in Brink backfill admin:', error);
+    return jsonResponse(500, {
+      success: false,
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}
+
+// Register the function
+app.http('brinkBackfillAdmin', {
+  methods: ['GET', 'POST', 'OPTIONS'],
+  authLevel: 'function',
+  route: 'admin/brink-backfill',
+  handler: brinkBackfillAdmin
+});
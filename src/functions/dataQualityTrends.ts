@@ -0,0 +1,132 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { dataQualityHistoryService, DataQualityDay } from '../services/dataQualityHistoryService';
+import { storeConfigService } from '../services/storeConfigService';
+import { addDays } from '../utils/businessCalendar';
+import { isIsoDate } from '../utils/reportDates';
+import { getValidationRule } from '../utils/validationRules';
+
+const DEFAULT_TREND_DAYS = 30;
+const MAX_TREND_DAYS = 366;
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*'
+};
+
+/**
+ * Data Quality Trends Function
+ * GET ?storeId= | ?storeToken=, &startDate=YYYY-MM-DD&endDate=YYYY-MM-DD (default last 30 days), &ruleId=
+ * Returns the daily dashboard quality scores, per-store averages and how often each rule fired
+ */
+export async function dataQualityTrends(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('Data quality trends request started');
+
+    let storeId = request.query.get('storeId') || undefined;
+    const storeToken = request.query.get('storeToken');
+    if (storeToken) {
+      const store = await storeConfigService.getStoreConfig(storeToken, context);
+      if (!store) {
+        return {
+          status: 404,
+          headers: corsHeaders,
+          jsonBody: { success: false, error: 'Store not found' }
+        };
+      }
+      storeId = store.id;
+    }
+
+    const endDate = request.query.get('endDate') || new Date().toISOString().slice(0, 10);
+    const startDate = request.query.get('startDate') || addDays(endDate, -(DEFAULT_TREND_DAYS - 1));
+    const ruleId = request.query.get('ruleId') || undefined;
+
+    const errors: string[] = [];
+    if (!isIsoDate(startDate) || !isIsoDate(endDate)) {
+      errors.push('startDate and endDate must be YYYY-MM-DD');
+    } else if (startDate > endDate) {
+      errors.push('startDate must not be after endDate');
+    } else if (startDate < addDays(endDate, -(MAX_TREND_DAYS - 1))) {
+      errors.push(`Date range cannot exceed ${MAX_TREND_DAYS} days`);
+    }
+    if (ruleId && !getValidationRule(ruleId)) {
+      errors.push(`Unknown rule: ${ruleId}`);
+    }
+    if (errors.length > 0) {
+      return {
+        status: 400,
+        headers: corsHeaders,
+        jsonBody: { success: false, error: 'Invalid trend query', details: errors }
+      };
+    }
+
+    const trends = await dataQualityHistoryService.getTrends({ storeId, startDate, endDate, ruleId }, context);
+
+    // Per-store summary, worst average first
+    const byStore = new Map<string, DataQualityDay[]>();
+    trends.days.forEach(day => {
+      byStore.set(day.storeId, [...(byStore.get(day.storeId) || []), day]);
+    });
+    const stores = Array.from(byStore.values())
+      .map(days => ({
+        storeId: days[0].storeId,
+        storeName: days[0].storeName,
+        days: days.length,
+        averageScore: Math.round((days.reduce((sum, day) => sum + day.dataQualityScore, 0) / days.length) * 10) / 10,
+        minScore: Math.min(...days.map(day => day.dataQualityScore)),
+        latestScore: days[days.length - 1].dataQualityScore,
+        degradedDays: days.filter(day => day.degradedSources.length > 0).length
+      }))
+      .sort((a, b) => a.averageScore - b.averageScore);
+
+    context.log(`Returning ${trends.days.length} data quality days for ${stores.length} stores (${startDate} - ${endDate})`);
+
+    return {
+      status: 200,
+      headers: corsHeaders,
+      jsonBody: {
+        success: true,
+        data: {
+          startDate,
+          endDate,
+          storeId: storeId || null,
+          ruleId: ruleId || null,
+          stores,
+          rules: trends.rules,
+          days: trends.days
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in data quality trends:', error);
+    return {
+      status: 500,
+      headers: corsHeaders,
+      jsonBody: {
+        success: false,
+        error: 'Internal server error',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      }
+    };
+  }
+}
+
+// Register the function
+app.http('dataQualityTrends', {
+  methods: ['GET', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/data-quality/trends',
+  handler: dataQualityTrends
+});
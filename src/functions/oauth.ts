@@ -1,9 +1,11 @@
 import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
 import { TenantDatabaseService } from '../services/TenantDatabaseService';
 import axios from 'axios';
+import { executeWithResilience, getResiliencePolicy } from '../utils/resilience';
 
 // Initialize the database service
 const dbService = new TenantDatabaseService();
+const ukgPolicy = getResiliencePolicy('UKG_READY');
 
 interface TokenResponse {
   access_token: string;
@@ -99,13 +101,13 @@ export async function oauthToken(request: HttpRequest, context: InvocationContex
     context.log(`Making OAuth request to: ${tokenEndpoint}`);
 
     // Make OAuth token request to UKG
-    const response = await axios.post<TokenResponse>(tokenEndpoint, tokenParams, {
+    const response = await executeWithResilience(signal => axios.post<TokenResponse>(tokenEndpoint, tokenParams, {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
         'User-Agent': 'UKG-Sync-Backend/1.0.0'
       },
-      timeout: 30000
-    });
+      signal
+    }), { name: 'UKG OAuth token request', url: tokenEndpoint, policy: ukgPolicy, context });
 
     context.log(`OAuth token obtained successfully for tenant: ${tenantId}`);
 
@@ -235,13 +237,13 @@ export async function testOAuthToken(request: HttpRequest, context: InvocationCo
       scope: testTenant.scope || 'read write'
     });
 
-    const response = await axios.post<TokenResponse>(tokenEndpoint, tokenParams, {
+    const response = await executeWithResilience(signal => axios.post<TokenResponse>(tokenEndpoint, tokenParams, {
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
         'User-Agent': 'UKG-Sync-Backend/1.0.0'
       },
-      timeout: 30000
-    });
+      signal
+    }), { name: 'UKG OAuth token request', url: tokenEndpoint, policy: ukgPolicy, context });
 
     return {
       status: 200,
@@ -0,0 +1,238 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { BrinkApiClient, createBrinkClientForLocation, describeBrinkError } from '../services/BrinkApiClient';
+import { BrinkDaySource, brinkWarehouseService } from '../services/brinkWarehouseService';
+import { BrinkShift } from '../models/brink';
+import { resolveTimezone } from '../utils/timezone';
+import { getBusinessCalendar } from '../utils/businessCalendar';
+import { loadReportDays, parseReportDateRange } from '../utils/reportDates';
+import { BREAK_RULES, BreakViolation, BreakViolationType, checkShiftBreaks, getBreakRules, ShiftBreakCheck } from '../utils/breakRules';
+
+interface EmployeeBreakDay {
+  businessDate: string;
+  employeeId: string;
+  employeeName: string | null;
+  compliant: boolean;
+  shifts: ShiftBreakCheck[];
+  violations: (BreakViolation & { shiftId: string })[];
+}
+
+const VIOLATION_TYPES: BreakViolationType[] = ['missed_meal', 'short_meal', 'missed_rest'];
+
+/**
+ * PAR Brink Break Compliance Function
+ * POST { locationToken, accessToken, startDate?, endDate? } - dates default to the current business date
+ * Checks each closed shift's punched breaks against the meal/rest rules for the store's state and flags
+ * violations per employee per business date
+ */
+export async function parBrinkBreakCompliance(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink break compliance request started');
+
+    const body = await request.json() as any;
+    const { locationToken, accessToken, startDate, endDate } = body || {};
+
+    if (!locationToken || !accessToken) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Missing required parameters: locationToken and accessToken are required'
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    const locationInfo = await storeConfigService.getStoreConfig(locationToken, context);
+
+    if (!locationInfo) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid location token or store not found'
+        }
+      };
+    }
+
+    const rules = getBreakRules(locationInfo.state);
+    if (!rules) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: `No break rules defined for state "${locationInfo.state}"`,
+          supportedStates: Object.keys(BREAK_RULES)
+        }
+      };
+    }
+
+    const storeTimezone = resolveTimezone(locationInfo.timezone);
+    const currentBusinessDate = getBusinessCalendar(storeTimezone, { businessDayStartHour: locationInfo.businessDayStartHour }).businessDate;
+    const { range, errors } = parseReportDateRange(startDate, endDate, currentBusinessDate);
+
+    if (!range) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid date range',
+          details: errors
+        }
+      };
+    }
+
+    context.log(`🍽️ Break compliance for ${locationInfo.name} ${range.startDate} - ${range.endDate} (${rules.name})`);
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const brinkDays = brinkWarehouseService.createDaySource(locationInfo, brinkClient, context);
+
+    const { results, days, degraded } = await loadReportDays(range.dates, businessDate => fetchBreakShifts(brinkDays, businessDate, context), context);
+    const employeeNames = await fetchEmployeeNames(brinkClient, context);
+
+    const now = new Date();
+    let shiftsChecked = 0;
+    let openShifts = 0;
+    const employeeDays: EmployeeBreakDay[] = [];
+
+    results.forEach(({ businessDate, value: shifts }) => {
+      const byEmployee = new Map<string, ShiftBreakCheck[]>();
+      shifts.forEach(shift => {
+        const check = checkShiftBreaks(shift, rules, now);
+        if (!check) {
+          openShifts++;
+          return;
+        }
+        shiftsChecked++;
+        byEmployee.set(shift.employeeId, [...(byEmployee.get(shift.employeeId) || []), check]);
+      });
+
+      byEmployee.forEach((checks, employeeId) => {
+        const violations = checks.flatMap(check => check.violations.map(violation => ({ ...violation, shiftId: check.shiftId })));
+        employeeDays.push({
+          businessDate,
+          employeeId,
+          employeeName: employeeNames.get(employeeId) || null,
+          compliant: violations.length === 0,
+          shifts: checks,
+          violations
+        });
+      });
+    });
+
+    // Violations first, then by date and employee
+    employeeDays.sort((a, b) => Number(a.compliant) - Number(b.compliant)
+      || a.businessDate.localeCompare(b.businessDate)
+      || (a.employeeName || a.employeeId).localeCompare(b.employeeName || b.employeeId));
+
+    const violations = employeeDays.flatMap(day => day.violations);
+    const totals = {
+      shiftsChecked,
+      openShifts,
+      shiftsWithViolations: new Set(violations.map(violation => violation.shiftId)).size,
+      employeeDays: employeeDays.length,
+      employeeDaysWithViolations: employeeDays.filter(day => !day.compliant).length,
+      violations: violations.length,
+      byType: Object.fromEntries(VIOLATION_TYPES.map(type => [type, violations.filter(violation => violation.type === type).length]))
+    };
+
+    employeeDays.filter(day => !day.compliant).forEach(day => {
+      context.warn(`🚩 ${day.employeeName || day.employeeId} on ${day.businessDate}: ${day.violations.map(violation => violation.message).join('; ')}`);
+    });
+    context.log(`🍽️ Break compliance: ${shiftsChecked} shifts checked, ${totals.violations} violations, ${openShifts} open shifts not checked`);
+
+    // 206 tells the frontend some business dates are missing (see data.days)
+    return {
+      status: degraded ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          location: locationInfo.name,
+          locationId: locationInfo.id,
+          state: rules.state,
+          startDate: range.startDate,
+          endDate: range.endDate,
+          degraded,
+          rules,
+          days,
+          totals,
+          employeeDays
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink break compliance:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+async function fetchBreakShifts(source: BrinkDaySource, businessDate: string, context: InvocationContext): Promise<BrinkShift[]> {
+  const shifts = (await source.getShifts(businessDate)).filter(shift => shift.startTime);
+  context.log(`Retrieved ${shifts.length} shifts with ${shifts.reduce((sum, shift) => sum + shift.breaks.length, 0)} breaks for ${businessDate}`);
+  return shifts;
+}
+
+async function fetchEmployeeNames(client: BrinkApiClient, context: InvocationContext): Promise<Map<string, string>> {
+  try {
+    const employees = await client.getEmployees();
+    return new Map(employees.map(employee => [employee.id, `${employee.firstName} ${employee.lastName}`.trim()]));
+  } catch (error) {
+    context.warn(`⚠️ Employee names unavailable: ${describeBrinkError(error).message}`);
+    return new Map();
+  }
+}
+
+// Register the function
+app.http('parBrinkBreakCompliance', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/compliance/breaks',
+  handler: parBrinkBreakCompliance
+});
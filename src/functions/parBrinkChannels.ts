@@ -0,0 +1,196 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { BrinkApiClient, createBrinkClientForLocation, describeBrinkError } from '../services/BrinkApiClient';
+import { BrinkDaySource, brinkWarehouseService } from '../services/brinkWarehouseService';
+import { BrinkDestination, BrinkOrder } from '../models/brink';
+import { formatHourKey, getLocalHour, resolveTimezone } from '../utils/timezone';
+import { getBusinessCalendar } from '../utils/businessCalendar';
+import { getBusinessHourPosition, getStoreHoursForDate } from '../utils/storeHours';
+import { loadReportDays, parseReportDateRange } from '../utils/reportDates';
+import { addChannelOrder, ChannelBreakdown, getOrderChannel, summarizeChannels } from '../utils/salesChannels';
+
+/**
+ * PAR Brink Channels Function
+ * POST { locationToken, accessToken, startDate?, endDate? } - dates default to the current business date
+ * Sales, orders and guests by channel (dine in, pickup, delivery, third party, online, mobile app, catering)
+ * for the range, each business date and each store-local hour
+ */
+export async function parBrinkChannels(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink channels request started');
+
+    const body = await request.json() as any;
+    const { locationToken, accessToken, startDate, endDate } = body || {};
+
+    if (!locationToken || !accessToken) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Missing required parameters: locationToken and accessToken are required'
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    const locationInfo = await storeConfigService.getStoreConfig(locationToken, context);
+
+    if (!locationInfo) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid location token or store not found'
+        }
+      };
+    }
+
+    const storeTimezone = resolveTimezone(locationInfo.timezone);
+    const currentBusinessDate = getBusinessCalendar(storeTimezone, { businessDayStartHour: locationInfo.businessDayStartHour }).businessDate;
+    const { range, errors } = parseReportDateRange(startDate, endDate, currentBusinessDate);
+
+    if (!range) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid date range',
+          details: errors
+        }
+      };
+    }
+
+    context.log(`🚗 Channels for ${locationInfo.name} ${range.startDate} - ${range.endDate} (${range.dates.length} business dates, ${storeTimezone})`);
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const brinkDays = brinkWarehouseService.createDaySource(locationInfo, brinkClient, context);
+
+    const { destinations, status: destinationCatalog } = await fetchDestinationCatalog(brinkClient, context);
+    const { results, days, degraded } = await loadReportDays(range.dates, businessDate => fetchChannelOrders(brinkDays, businessDate, context), context);
+
+    // Hours are keyed "HH:00" across business dates, ordered by business-day position
+    const hours = new Map<string, { position: number; channels: ChannelBreakdown }>();
+    const daily = results.map(({ businessDate, value: orders }) => {
+      const storeHours = getStoreHoursForDate(locationInfo, businessDate);
+      const dayChannels: ChannelBreakdown = {};
+
+      orders.forEach(order => {
+        const channel = getOrderChannel(order, destinations);
+        addChannelOrder(dayChannels, channel, order);
+
+        if (order.firstSendTime) {
+          const localHour = getLocalHour(order.firstSendTime, storeTimezone);
+          const hour = formatHourKey(localHour);
+          const entry = hours.get(hour) || { position: getBusinessHourPosition(localHour, storeHours), channels: {} };
+          addChannelOrder(entry.channels, channel, order);
+          hours.set(hour, entry);
+        }
+      });
+
+      return { businessDate, channels: summarizeChannels([dayChannels]), breakdown: dayChannels };
+    });
+
+    const channels = summarizeChannels(daily.map(day => day.breakdown));
+    const hourly = Array.from(hours.entries())
+      .sort(([, a], [, b]) => a.position - b.position)
+      .map(([hour, entry]) => ({ hour, channels: summarizeChannels([entry.channels]) }));
+
+    context.log(`🚗 Channels: ${channels.map(channel => `${channel.channel} ${channel.salesShare}%`).join(', ') || 'no orders'}`);
+
+    // 206 tells the frontend some business dates (see data.days) or destination names are missing
+    return {
+      status: degraded || destinationCatalog !== 'ok' ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          location: locationInfo.name,
+          locationId: locationInfo.id,
+          startDate: range.startDate,
+          endDate: range.endDate,
+          timezone: storeTimezone,
+          degraded: degraded || destinationCatalog !== 'ok',
+          destinationCatalog,
+          destinations: Array.from(destinations.values()),
+          days,
+          channels,
+          daily: daily.map(({ businessDate, channels: dayChannels }) => ({ businessDate, channels: dayChannels })),
+          hourly
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink channels:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+/**
+ * Destination names from Settings2 - without them every order is reported as "other"
+ */
+async function fetchDestinationCatalog(client: BrinkApiClient, context: InvocationContext): Promise<{ destinations: Map<number, BrinkDestination>; status: 'ok' | 'failed' }> {
+  try {
+    const destinations = await client.getDestinations();
+    return { destinations: new Map(destinations.map(destination => [destination.id, destination])), status: 'ok' };
+  } catch (error) {
+    context.warn(`⚠️ Destination names unavailable, reporting every order as "other": ${describeBrinkError(error).message}`);
+    return { destinations: new Map(), status: 'failed' };
+  }
+}
+
+async function fetchChannelOrders(source: BrinkDaySource, businessDate: string, context: InvocationContext): Promise<BrinkOrder[]> {
+  // Same order filter as the dashboard so channel sales add up to its totals
+  const orders = (await source.getOrders(businessDate)).filter(order => order.number && order.total > 0);
+  context.log(`Retrieved ${orders.length} orders for channels on ${businessDate}`);
+  return orders;
+}
+
+// Register the function
+app.http('parBrinkChannels', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/channels',
+  handler: parBrinkChannels
+});
@@ -13,6 +13,7 @@ interface BrinkConfig {
   accessToken: string;
   locations: BrinkLocation[];
   selectedEndpoints: string[];
+  apiHost?: string;          // Tenant default Brink API host (stores can override via brink_api_host)
 }
 
 /**
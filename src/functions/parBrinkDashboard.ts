@@ -1,5 +1,19 @@
 import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
-import axios from 'axios';
+import { createBrinkClientForLocation, describeBrinkError } from '../services/BrinkApiClient';
+import { BrinkDestination, BrinkJob, BrinkOrder, BrinkShift, JobCategory, resolveGuestCount } from '../models/brink';
+import { ErrorCategory } from '../utils/resilience';
+import { formatHourKey, getCurrentLocalHour, getLocalDate, getLocalDateTimeString, getLocalHour, resolveTimezone } from '../utils/timezone';
+import { BusinessCalendar, BusinessDayStatus, getBusinessCalendar } from '../utils/businessCalendar';
+import { classifyLocalHour, getBusinessHourPosition, getOperatingHours, getStoreHoursForDate, StoreHoursWindow } from '../utils/storeHours';
+import { evaluateValidationRules, ResolvedValidationRule, ValidationFinding, ValidationRuleCategory } from '../utils/validationRules';
+import { validationRuleService } from '../services/validationRuleService';
+import { dataQualityHistoryService } from '../services/dataQualityHistoryService';
+import { jobCatalogService } from '../services/jobCatalogService';
+import { destinationCatalogService } from '../services/destinationCatalogService';
+import { BrinkDaySource, brinkWarehouseService } from '../services/brinkWarehouseService';
+import { addChannelOrder, ChannelBreakdown, ChannelSummary, getOrderChannel, summarizeChannels } from '../utils/salesChannels';
+import { getShiftHourSegments } from '../utils/shiftHours';
+import { addJobLabor, getShiftJob, JobLaborBreakdown, JobLaborSummary, setJobHeadcount, summarizeJobLabor } from '../utils/jobLabor';
 
 /**
  * DATA VALIDATION CONFIGURATION
@@ -14,19 +28,13 @@ const DATA_VALIDATION_CONFIG = {
   enableBusinessLogicValidation: true,
   enableComprehensiveReporting: true,
   
-  // Validation thresholds
+  // Order total logged as a large/catering order
+  // Rule thresholds and penalties are per tenant/state/store - see src/utils/validationRules.ts
   maxReasonableOrderValue: 500,
-  minReasonableOrderValue: 5,
-  maxReasonableLaborPercentage: 40,
-  minReasonableLaborPercentage: 15,
-  maxReasonableWage: 40,
-  minReasonableWage: 2.13, // Federal tipped minimum
   
-  // Quality score weights
-  futureDataPenalty: 10,
-  alignmentIssuePenalty: 5,
-  businessLogicPenalty: 3,
-  completenessIssuePenalty: 5,
+  // Quality score weights for unavailable sources
+  failedSourcePenalty: 30,
+  fallbackSourcePenalty: 5,
   
   // Logging levels
   enableDetailedLogging: true,
@@ -34,41 +42,13 @@ const DATA_VALIDATION_CONFIG = {
   enableInfoMessages: true
 };
 
-interface SalesOrder {
-  Id: string;
-  Name: string;
-  Number: string;
-  Total: number;
-  firstsendtime?: {
-    DateTime?: string;
-    nil?: boolean;
-  };
-  modifiedtime?: {
-    DateTime?: string;
-  };
-}
-
-interface PunchDetail {
-  punchdate: string;
-  'cost center 1': string;
-  Type: string;
-  'employee Id': string;
-  username: string;
-  firstName: string;
-  lastName: string;
-  SourceType: string;
-  timeZone: string;
-  'local Time': string;
-  payRate?: number; // Optional pay rate for labor cost calculations
-  hoursWorked?: number; // Optional hours worked for labor calculations
-}
-
 interface HourlySalesData {
   hour: string;
   sales: number;
   guests: number;
   orders: number;
   guestAverage: number;
+  channels: ChannelBreakdown;   // the same orders by channel (dine in, pickup, delivery, ...)
 }
 
 interface HourlyLaborData {
@@ -76,28 +56,99 @@ interface HourlyLaborData {
   laborCost: number;
   hoursWorked: number;
   employeesWorking: number;
+  jobs: JobLaborBreakdown;      // the same labor by job category (cook, cashier, shift lead, ...)
 }
 
+/**
+ * Hourly buckets for the store's operating hours plus the activity before opening / after closing
+ */
+interface BucketedData<T> {
+  hourly: T[];
+  prep: T;      // hour: "prep"
+  cleanup: T;   // hour: "cleanup"
+}
+
+interface LaborBuckets extends BucketedData<HourlyLaborData> {
+  jobs: JobLaborBreakdown;      // whole day by job category - headcount is distinct employees across all buckets
+}
+
+/**
+ * Outcome of one upstream source used to build the dashboard
+ * ok: live data, fallback: substitute value (see note), failed: no data - totals depending on it are null
+ */
+interface DataSourceStatus {
+  status: 'ok' | 'failed' | 'fallback';
+  latencyMs: number;
+  category?: ErrorCategory;
+  code?: string;
+  error?: string;
+  note?: string;
+}
+
+/**
+ * Where "now" falls in the requested business day
+ * Only an in-progress day blocks hours after the current one; a closed day is final and a future day
+ * has no hours that can hold data yet
+ */
+interface DayProgress {
+  status: BusinessDayStatus;
+  now: Date;
+  dayEnd: Date;             // end of the business-day window - open shifts stop here once the day has closed
+  currentHour: number;      // store-local hour right now
+  cutoffPosition: number;   // last business-hour position (see getBusinessHourPosition) that can have data
+}
+
+interface DashboardSources {
+  sales: DataSourceStatus;
+  labor: DataSourceStatus;
+  clockedIn: DataSourceStatus;
+  destinations: DataSourceStatus;
+  jobs: DataSourceStatus;
+  timezone: DataSourceStatus;
+}
+
+// Lookups that only label the numbers - reported in sources, but a fallback doesn't degrade the dashboard
+const OPTIONAL_SOURCES: (keyof DashboardSources)[] = ['destinations', 'jobs'];
+
 interface DashboardResponse {
   location: string;
   locationId: string;
   businessDate: string;
+  dayStatus: BusinessDayStatus;
+  isFinal: boolean;                       // closed business day - numbers will not change
+  degraded: boolean;
+  sources: DashboardSources;
+  storeHours: {
+    dayOfWeek: string;
+    open: string;
+    close: string;
+    source: StoreHoursWindow['source'];
+  };
   hourlySales: HourlySalesData[];
   hourlyLabor: HourlyLaborData[];
-  totalSales: number;
-  totalGuests: number;
-  totalOrders: number;
-  totalLaborCost: number;
-  totalLaborHours: number;
-  laborPercentage: number;
-  overallGuestAverage: number;
+  prepSales: HourlySalesData | null;      // orders before opening
+  cleanupSales: HourlySalesData | null;   // orders after closing
+  prepLabor: HourlyLaborData | null;      // labor before opening
+  cleanupLabor: HourlyLaborData | null;   // labor after closing
+  totalSales: number | null;
+  totalGuests: number | null;
+  totalOrders: number | null;
+  totalLaborCost: number | null;
+  totalLaborHours: number | null;
+  laborPercentage: number | null;
+  overallGuestAverage: number | null;
+  channelTotals: ChannelSummary[] | null; // sales/orders/guests per channel for the day
+  jobTotals: JobLaborSummary[] | null;    // hours/cost/headcount per job category for the day
   validationResults?: {
     dataQualityScore: number;
     totalIssuesFound: number;
+    degradedSources: string[];
     salesHoursActive: number;
     laborHoursActive: number;
     currentHour: number;
     recommendedActions: string[];
+    findings: ValidationFinding[];
+    skippedRules: { ruleId: string; reason: string }[];
     validationCategories: {
       futureDataBlocking: {
         enabled: boolean;
@@ -129,6 +180,11 @@ interface DashboardResponse {
         issuesFound: number;
         description: string;
       };
+      sourceAvailability: {
+        enabled: boolean;
+        issuesFound: number;
+        description: string;
+      };
     };
   };
 }
@@ -192,99 +248,194 @@ export async function parBrinkDashboard(request: HttpRequest, context: Invocatio
       };
     }
 
+    // Every hourly bucket and current-hour check uses the store's own timezone
+    const storeTimezone = resolveTimezone(locationInfo.timezone);
+
     // Use current restaurant business date if not specified
-    // For restaurants: business day can extend past midnight, so we need special logic
-    let targetDate: string;
-    let offsetMinutes: number;
-    
-    if (businessDate) {
-      // If business date is provided, still get offset from API
-      const timezoneData = await getTimezoneDataAndBusinessDate(locationInfo.timezone);
-      targetDate = businessDate;
-      offsetMinutes = timezoneData.offsetMinutes;
-    } else {
-      // Get both business date and offset from WorldTimeAPI
-      const timezoneData = await getTimezoneDataAndBusinessDate(locationInfo.timezone);
-      targetDate = timezoneData.businessDate;
-      offsetMinutes = timezoneData.offsetMinutes;
-    }
-    
-    const currentLocalDate = getCurrentLocalTime(locationInfo.timezone);
+    // For restaurants: business day can extend past midnight (store day-start hour, default 5 AM)
+    const timezoneStartedAt = Date.now();
+    const now = new Date();
+    const calendar = getBusinessCalendar(storeTimezone, { businessDayStartHour: locationInfo.businessDayStartHour, businessDate, now });
+    const targetDate = calendar.businessDate;
+    const timezoneStatus: DataSourceStatus = storeTimezone !== locationInfo.timezone
+      ? { status: 'fallback', latencyMs: Date.now() - timezoneStartedAt, error: `Invalid store timezone "${locationInfo.timezone}"`, note: `Using default timezone ${storeTimezone}` }
+      : { status: 'ok', latencyMs: Date.now() - timezoneStartedAt };
     
     context.log(`Fetching data for location: ${locationInfo.name} (${locationInfo.state}) on date: ${targetDate}`);
-    context.log(`Location timezone: ${locationInfo.timezone}`);
-    context.log(`Current local time date: ${currentLocalDate}`);
-    context.log(`Using business date: ${targetDate} (${businessDate ? 'provided' : 'calculated'})`);
-    context.log(`Using timezone offset: ${offsetMinutes} minutes`);
-    const salesData = await fetchParBrinkSalesData(accessToken, locationToken, targetDate, offsetMinutes, locationInfo.timezone, context);
-    
-    // Fetch labor data from PAR Brink using the same access token
-    const laborData = await fetchParBrinkLaborData(accessToken, locationToken, targetDate, offsetMinutes, locationInfo.timezone, context);
+    context.log(`Location timezone: ${storeTimezone}`);
+    context.log(`Current local time: ${calendar.localTime}`);
+    context.log(`Using business date: ${targetDate} (${businessDate ? 'provided' : 'calculated'}, day starts ${calendar.businessDayStartHour}:00)`);
+    context.log(`Business day window: ${calendar.window.startLocal} - ${calendar.window.endLocal} (${calendar.window.hours}h)`);
+    context.log(`Using timezone offset: ${calendar.offsetMinutes} minutes`);
+    context.log(`Business day status: ${calendar.status}`);
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    // Closed days come from the warehouse once loaded
+    const brinkDays = brinkWarehouseService.createDaySource(locationInfo, brinkClient, context);
+
+    // Sources are fetched independently so one failing call doesn't blank the whole dashboard
+    const [salesResult, laborResult, destinationsResult, jobsResult] = await Promise.all([
+      trackSource(() => fetchParBrinkSalesData(brinkDays, targetDate, storeTimezone, context)),
+      trackSource(() => fetchParBrinkLaborData(brinkDays, targetDate, storeTimezone, context)),
+      // Destination names decide each order's channel (cached per location)
+      trackSource(() => destinationCatalogService.getDestinationCatalog(locationToken, brinkClient, context)),
+      // Job names/categories from the store's synced job catalog (cached per store)
+      trackSource(() => jobCatalogService.getJobCatalog(locationInfo.id, brinkClient, context))
+    ]);
+
+    if (salesResult.status.status === 'failed' && laborResult.status.status === 'failed') {
+      // Nothing usable to show - report the failure rather than an empty day
+      throw salesResult.error;
+    }
+
+    const salesData = salesResult.value || [];
+    const laborData = laborResult.value || [];
+
+    // **CRITICAL VALIDATION**: Clocked-in employees are the open shifts in the labor data - no second GetShifts call
+    // Only an in-progress day has anyone currently clocked in
+    const clockedInStatus: DataSourceStatus = { ...laborResult.status };
+    let totalClockedInEmployees: number | null = null;
+    if (laborResult.value && calendar.status === 'in_progress') {
+      totalClockedInEmployees = laborResult.value.filter(shift => !shift.endTime).length;
+      context.log(`🏢 CLOCKED-IN VALIDATION: Found ${totalClockedInEmployees} employees currently working`);
+    } else if (laborResult.value) {
+      clockedInStatus.note = `Business day ${calendar.status} - no one is currently clocked in`;
+    }
+
+    // Without destination names every order's channel is "other" - the sales themselves are unaffected
+    const destinations = destinationsResult.value?.destinations || new Map<number, BrinkDestination>();
+    if (destinationsResult.value && destinationsResult.value.status !== 'ok') {
+      destinationsResult.status.status = 'fallback';
+      destinationsResult.status.note = destinationsResult.value.status === 'stale'
+        ? destinationsResult.value.note
+        : 'Destination names unavailable - channel breakdown reports every order as "other"';
+    }
+
+    // Without the job catalog every shift's job is "other" - labor totals are unaffected
+    const jobs = jobsResult.value?.jobs || new Map<string, BrinkJob>();
+    if (jobsResult.value && jobsResult.value.status !== 'ok') {
+      jobsResult.status.status = 'fallback';
+      jobsResult.status.note = jobsResult.value.status === 'stale'
+        ? jobsResult.value.note
+        : 'Job names unavailable - job breakdown reports every shift as "other"';
+    }
 
-    // **CRITICAL VALIDATION**: Fetch total clocked-in employees for validation constraint
-    const totalClockedInEmployees = await fetchTotalClockedInEmployees(accessToken, locationToken, targetDate, offsetMinutes, locationInfo.timezone, context);
-    context.log(`🏢 TOTAL CLOCKED-IN EMPLOYEES: ${totalClockedInEmployees} employees currently working (dashboard hourly counts will be capped at this number)`);
+    const sources: DashboardSources = {
+      sales: salesResult.status,
+      labor: laborResult.status,
+      clockedIn: clockedInStatus,
+      destinations: destinationsResult.status,
+      jobs: jobsResult.status,
+      timezone: timezoneStatus
+    };
+    const degradedSources = (Object.keys(sources) as (keyof DashboardSources)[])
+      .filter(name => sources[name].status !== 'ok' && !OPTIONAL_SOURCES.includes(name));
+    const degraded = degradedSources.length > 0;
+
+    if (degradedSources.length > 0) {
+      context.warn(`⚠️ DEGRADED DASHBOARD: ${degradedSources.map(name => `${name}=${sources[name].status}`).join(', ')}`);
+    }
+    context.log(`🏢 TOTAL CLOCKED-IN EMPLOYEES: ${totalClockedInEmployees ?? 'n/a'} employees currently working`);
 
-    // Process data into hourly format
-    const hourlySales = processHourlySalesData(salesData);
-    const hourlyLabor = processHourlyLaborData(laborData, totalClockedInEmployees);
+    // Buckets follow the store's hours for this business date's day of week
+    const storeHours = getStoreHoursForDate(locationInfo, targetDate);
+    context.log(`🏪 Store hours for ${storeHours.dayOfWeek}: ${storeHours.open}-${storeHours.close} (from ${storeHours.source})`);
+    const progress = getDayProgress(calendar, storeHours, now);
+
+    // Process data into hourly format - a failed source contributes no rows instead of zeros
+    const salesBuckets = salesResult.value ? processHourlySalesData(salesData, storeTimezone, storeHours, progress, destinations) : null;
+    if (salesBuckets && salesBuckets.prep.orders + salesBuckets.cleanup.orders > 0) {
+      context.log(`🏪 Orders outside ${storeHours.open}-${storeHours.close}: ${salesBuckets.prep.orders} prep, ${salesBuckets.cleanup.orders} cleanup`);
+    }
+    const laborBuckets = laborResult.value ? processHourlyLaborData(laborData, storeTimezone, storeHours, progress, jobs) : null;
+    const hourlySales = salesBuckets?.hourly || [];
+    const hourlyLabor = laborBuckets?.hourly || [];
 
     // **COMPREHENSIVE DATA VALIDATION REPORT**
-    const validationResults = validateDashboardData(hourlySales, hourlyLabor, locationInfo.timezone, totalClockedInEmployees, context);
+    const validationRules = await validationRuleService.getRulesForStore(locationInfo, context);
+    const validationResults = validateDashboardData(hourlySales, hourlyLabor, storeHours, progress, totalClockedInEmployees, sources, validationRules, context);
+
+    // Keep the score for trending - a future day has nothing to score, and history must never fail the dashboard
+    if (validationResults && calendar.status !== 'future') {
+      try {
+        await dataQualityHistoryService.recordEvaluation({
+          storeId: locationInfo.id,
+          storeName: locationInfo.name,
+          businessDate: targetDate,
+          dayStatus: calendar.status,
+          dataQualityScore: validationResults.dataQualityScore,
+          totalIssues: validationResults.totalIssuesFound,
+          degradedSources: validationResults.degradedSources,
+          findings: validationResults.findings
+        }, context);
+      } catch (historyError) {
+        context.warn('⚠️ Could not record data quality history:', historyError);
+      }
+    }
 
     // Debug: Log raw data to identify alignment issues
     console.log(`🔍 RAW DATA DEBUG: Sales orders count: ${salesData.length}`);
     if (salesData.length > 0) {
-      console.log(`🔍 RAW DATA DEBUG: First sales order time: ${salesData[0].firstsendtime?.DateTime}`);
-      console.log(`🔍 RAW DATA DEBUG: Last sales order time: ${salesData[salesData.length - 1].firstsendtime?.DateTime}`);
+      console.log(`🔍 RAW DATA DEBUG: First sales order time: ${salesData[0].firstSendTime}`);
+      console.log(`🔍 RAW DATA DEBUG: Last sales order time: ${salesData[salesData.length - 1].firstSendTime}`);
       
       // Log first few sales orders with timezone conversion
       salesData.slice(0, 3).forEach((order, index) => {
-        if (order.firstsendtime?.DateTime) {
-          const orderTime = new Date(order.firstsendtime.DateTime);
-          const mountainTimeHour = parseInt(orderTime.toLocaleString("en-US", { 
-            timeZone: "America/Denver",
-            hour: 'numeric',
-            hour12: false
-          }));
-          console.log(`🔍 RAW DATA DEBUG: Sales order ${index + 1}: UTC ${order.firstsendtime.DateTime} → MT Hour ${mountainTimeHour}:00, Total: $${order.Total}`);
+        if (order.firstSendTime) {
+          const localHour = getLocalHour(order.firstSendTime, storeTimezone);
+          console.log(`🔍 RAW DATA DEBUG: Sales order ${index + 1}: UTC ${order.firstSendTime} → Local Hour ${localHour}:00 (${storeTimezone}), Total: $${order.total}`);
         }
       });
     }
     
     console.log(`🔍 RAW DATA DEBUG: Labor shifts count: ${laborData.length}`);
     if (laborData.length > 0) {
-      console.log(`🔍 RAW DATA DEBUG: First labor shift time: ${laborData[0]['local Time']}`);
-      console.log(`🔍 RAW DATA DEBUG: Last labor shift time: ${laborData[laborData.length - 1]['local Time']}`);
+      console.log(`🔍 RAW DATA DEBUG: First labor shift time: ${laborData[0].startTime}`);
+      console.log(`🔍 RAW DATA DEBUG: Last labor shift time: ${laborData[laborData.length - 1].startTime}`);
       
       // Log first few labor shifts with timezone conversion
       laborData.slice(0, 3).forEach((shift, index) => {
-        const shiftTime = new Date(shift['local Time']);
-        const mountainTimeHour = parseInt(shiftTime.toLocaleString("en-US", { 
-          timeZone: "America/Denver",
-          hour: 'numeric',
-          hour12: false
-        }));
-        console.log(`🔍 RAW DATA DEBUG: Labor shift ${index + 1}: UTC ${shift['local Time']} → MT Hour ${mountainTimeHour}:00, Hours: ${shift.hoursWorked}, Rate: $${shift.payRate}`);
+        const localHour = getLocalHour(shift.startTime!, storeTimezone);
+        console.log(`🔍 RAW DATA DEBUG: Labor shift ${index + 1}: UTC ${shift.startTime} → Local Hour ${localHour}:00 (${storeTimezone}), Hours: ${(shift.minutesWorked / 60).toFixed(2)}, Rate: $${shift.payRate}`);
       });
     }
 
-    // Calculate totals and metrics
-    const totalSales = hourlySales.reduce((sum, hour) => sum + hour.sales, 0);
-    const totalGuests = hourlySales.reduce((sum, hour) => sum + hour.guests, 0);
-    const totalOrders = hourlySales.reduce((sum, hour) => sum + hour.orders, 0);
-    const totalLaborCost = hourlyLabor.reduce((sum, hour) => sum + hour.laborCost, 0);
-    const totalLaborHours = hourlyLabor.reduce((sum, hour) => sum + hour.hoursWorked, 0);
+    // Calculate totals and metrics - null when the source behind them failed
+    // Prep and cleanup are part of the day: labor before opening/after closing is real cost
+    const allSales = salesBuckets ? [...salesBuckets.hourly, salesBuckets.prep, salesBuckets.cleanup] : [];
+    const allLabor = laborBuckets ? [...laborBuckets.hourly, laborBuckets.prep, laborBuckets.cleanup] : [];
+    const salesAvailable = sources.sales.status === 'ok';
+    const laborAvailable = sources.labor.status === 'ok';
+    const totalSales = salesAvailable ? allSales.reduce((sum, hour) => sum + hour.sales, 0) : null;
+    const totalGuests = salesAvailable ? allSales.reduce((sum, hour) => sum + hour.guests, 0) : null;
+    const totalOrders = salesAvailable ? allSales.reduce((sum, hour) => sum + hour.orders, 0) : null;
+    const totalLaborCost = laborAvailable ? allLabor.reduce((sum, hour) => sum + hour.laborCost, 0) : null;
+    const totalLaborHours = laborAvailable ? allLabor.reduce((sum, hour) => sum + hour.hoursWorked, 0) : null;
     
-    const laborPercentage = totalSales > 0 ? (totalLaborCost / totalSales) * 100 : 0;
-    const overallGuestAverage = totalGuests > 0 ? totalSales / totalGuests : 0;
+    const laborPercentage = totalSales === null || totalLaborCost === null ? null : totalSales > 0 ? (totalLaborCost / totalSales) * 100 : 0;
+    const overallGuestAverage = totalSales === null || totalGuests === null ? null : totalGuests > 0 ? totalSales / totalGuests : 0;
+    const channelTotals = salesAvailable ? summarizeChannels(allSales.map(hour => hour.channels)) : null;
+    const jobTotals = laborAvailable && laborBuckets ? summarizeJobLabor(laborBuckets.jobs) : null;
 
     const dashboardData: DashboardResponse = {
       location: locationInfo.name,
       locationId: locationInfo.id,
       businessDate: targetDate,
+      dayStatus: calendar.status,
+      isFinal: calendar.status === 'closed',
+      degraded,
+      sources,
+      storeHours: {
+        dayOfWeek: storeHours.dayOfWeek,
+        open: storeHours.open,
+        close: storeHours.close,
+        source: storeHours.source
+      },
       hourlySales,
       hourlyLabor,
+      prepSales: salesBuckets?.prep || null,
+      cleanupSales: salesBuckets?.cleanup || null,
+      prepLabor: laborBuckets?.prep || null,
+      cleanupLabor: laborBuckets?.cleanup || null,
       totalSales,
       totalGuests,
       totalOrders,
@@ -292,11 +443,14 @@ export async function parBrinkDashboard(request: HttpRequest, context: Invocatio
       totalLaborHours,
       laborPercentage,
       overallGuestAverage,
+      channelTotals,
+      jobTotals,
       validationResults
     };
 
+    // 206 tells the frontend some numbers are missing or substituted (see data.sources)
     return {
-      status: 200,
+      status: degraded ? 206 : 200,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*'
@@ -309,305 +463,171 @@ export async function parBrinkDashboard(request: HttpRequest, context: Invocatio
 
   } catch (error) {
     context.error('Error in PAR Brink Dashboard:', error);
+    // A failed Brink call is reported as such - never as a $0 day
+    const brinkError = describeBrinkError(error);
     return {
-      status: 500,
+      status: brinkError.status,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
       },
       jsonBody: {
         success: false,
-        error: 'Internal server error',
-        details: error instanceof Error ? error.message : 'Unknown error'
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
       }
     };
   }
 }
 
-async function fetchParBrinkSalesData(accessToken: string, locationToken: string, businessDate: string, offsetMinutes: number, timezone: string, context: InvocationContext): Promise<SalesOrder[]> {
+/**
+ * Current-hour cutoff for the requested business day
+ */
+function getDayProgress(calendar: BusinessCalendar, storeHours: StoreHoursWindow, now: Date): DayProgress {
+  const currentHour = getCurrentLocalHour(calendar.timezone, now);
+  const cutoffPosition = calendar.status === 'closed'
+    ? Number.POSITIVE_INFINITY
+    : calendar.status === 'future'
+      ? -1
+      : getBusinessHourPosition(currentHour, storeHours);
+  return { status: calendar.status, now, dayEnd: calendar.window.end, currentHour, cutoffPosition };
+}
+
+/**
+ * Run one dashboard source, recording its latency and - instead of throwing - how it failed
+ */
+async function trackSource<T>(load: () => Promise<T>): Promise<{ value?: T; error?: unknown; status: DataSourceStatus }> {
+  const startedAt = Date.now();
   try {
-    const headers = {
-      'AccessToken': accessToken,
-      'LocationToken': locationToken,
-      'Content-Type': 'text/xml',
-      'SOAPAction': 'http://www.brinksoftware.com/webservices/sales/v2/ISalesWebService2/GetOrders'
+    const value = await load();
+    return { value, status: { status: 'ok', latencyMs: Date.now() - startedAt } };
+  } catch (error) {
+    const details = describeBrinkError(error);
+    return {
+      error,
+      status: {
+        status: 'failed',
+        latencyMs: Date.now() - startedAt,
+        category: details.category,
+        code: details.code,
+        error: details.message
+      }
     };
+  }
+}
+
+async function fetchParBrinkSalesData(source: BrinkDaySource, businessDate: string, timezone: string, context: InvocationContext): Promise<BrinkOrder[]> {
+  try {
+    context.log(`Fetching PAR Brink sales data for business date ${businessDate} (${timezone})`);
 
-    // Calculate dynamic timezone offset for the specific timezone
-    // Offset is already calculated and passed as parameter from WorldTimeAPI
-    context.log(`Using ${timezone} offset: ${offsetMinutes} minutes for date ${businessDate}`);
-    
-    // Keep business date as-is - don't convert to local time
-    // Business date represents the operational day for the restaurant
-    const businessDateForAPI = businessDate; // Use business date as provided
-    context.log(`Using business date for API: ${businessDateForAPI}`);
-
-    const soapBody = `
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/sales/v2" xmlns:sys="http://schemas.datacontract.org/2004/07/System">
-        <soapenv:Header/>
-        <soapenv:Body>
-          <v2:GetOrders>
-            <v2:request>
-              <v2:BusinessDate>${businessDateForAPI}</v2:BusinessDate>
-            </v2:request>
-          </v2:GetOrders>
-        </soapenv:Body>
-      </soapenv:Envelope>
-    `;
-
-    context.log('Making PAR Brink API call with SOAP body:', soapBody.substring(0, 500) + '...');
-    
-    const response = await axios.post('https://api11.brinkpos.net/sales2.svc', soapBody, { headers });
-    
-    // Parse XML response
-    const xmlData = response.data;
-    context.log(`PAR Brink API response received. Response length: ${xmlData?.length || 0} characters`);
-    
     // If no orders found and we're requesting future date, suggest trying current date
     if (businessDate > getCurrentLocalTime(timezone)) {
       context.log(`NOTE: Requesting future date (${businessDate}). Consider trying current date: ${getCurrentLocalTime(timezone)}`);
     }
-    const orders = parseOrdersFromXML(xmlData);
-    
-    context.log(`Retrieved ${orders.length} orders from PAR Brink`);
-    
-    // Debug: Log XML response when no orders found (to see what's actually returned)
-    if (orders.length === 0) {
-      context.log('DEBUG: XML response with 0 orders:', xmlData.substring(0, 2000));
-    }
-    
+
+    // Exclude zero-total orders (test/incomplete orders) - voids and refunds are reported by par-brink/exceptions
+    const allOrders = await source.getOrders(businessDate);
+    const orders = allOrders.filter(order => order.number && order.total > 0);
+    context.log(`Retrieved ${orders.length} orders from PAR Brink (${allOrders.length - orders.length} zero/negative-total orders excluded)`);
+
     return orders;
 
   } catch (error) {
     context.error('Error fetching PAR Brink sales data:', error);
-    return [];
+    throw error;
   }
 }
 
-async function fetchParBrinkLaborData(accessToken: string, locationToken: string, businessDate: string, offsetMinutes: number, timezone: string, context: InvocationContext): Promise<PunchDetail[]> {
+async function fetchParBrinkLaborData(source: BrinkDaySource, businessDate: string, timezone: string, context: InvocationContext): Promise<BrinkShift[]> {
   try {
-    const headers = {
-      'AccessToken': accessToken,
-      'LocationToken': locationToken,
-      'Content-Type': 'text/xml',
-      'SOAPAction': 'http://www.brinksoftware.com/webservices/labor/v2/ILaborWebService2/GetShifts'
-    };
+    context.log(`Fetching PAR Brink labor data for business date ${businessDate} (${timezone})`);
 
-    // Use the same timezone offset calculation as sales data
-    context.log(`Fetching PAR Brink labor data using ${timezone} offset: ${offsetMinutes} minutes for date ${businessDate}`);
-    
-    // PAR Brink Labor API expects simple date format: YYYY-MM-DD
-    const businessDateForAPI = businessDate.includes('T') ? businessDate.split('T')[0] : businessDate;
-    context.log(`Using business date for Labor API: ${businessDateForAPI}`);
-
-    const soapBody = `
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/labor/v2" xmlns:sys="http://schemas.datacontract.org/2004/07/System">
-        <soapenv:Header/>
-        <soapenv:Body>
-          <v2:GetShifts>
-            <v2:request>
-              <v2:BusinessDate>${businessDateForAPI}</v2:BusinessDate>
-            </v2:request>
-          </v2:GetShifts>
-        </soapenv:Body>
-      </soapenv:Envelope>
-    `;
-
-    context.log('Making PAR Brink Labor API call with SOAP body:', soapBody.substring(0, 500) + '...');
-    
-    const response = await axios.post('https://api11.brinkpos.net/labor2.svc', soapBody, { headers });
-    
-    // Parse XML response
-    const xmlData = response.data;
-    context.log(`PAR Brink Labor API response received. Response length: ${xmlData?.length || 0} characters`);
-    
-    // Parse shifts from XML response
-    const shifts = parseShiftsFromXML(xmlData);
+    // Open shifts (no end time yet) have no minutesWorked but still count until now
+    const shifts = (await source.getShifts(businessDate)).filter(shift => shift.startTime && (shift.minutesWorked > 0 || !shift.endTime));
     context.log(`Parsed ${shifts.length} labor shifts from PAR Brink API`);
-    
+
     return shifts;
 
   } catch (error) {
     context.error('Error fetching PAR Brink labor data:', error);
-    return [];
+    throw error;
   }
 }
 
-/**
- * Fetch total clocked-in employees from PAR Brink for validation constraint
- */
-async function fetchTotalClockedInEmployees(accessToken: string, locationToken: string, businessDate: string, _offsetMinutes: number, _timezone: string, context: InvocationContext): Promise<number> {
-  try {
-    context.log('🔍 Fetching total clocked-in employees for validation constraint...');
-    
-    // Use the GetShifts method which is known to work (same as parBrinkEnhanced.ts)
-    // Instead of GetPunchDetailsByBusinessDate which may have contract issues
-    const businessDateForAPI = businessDate.includes('T') ? businessDate.split('T')[0] : businessDate;
-    
-    const soapBody = `
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/labor/v2" xmlns:sys="http://schemas.datacontract.org/2004/07/System">
-        <soapenv:Header/>
-        <soapenv:Body>
-          <v2:GetShifts>
-            <v2:request>
-              <v2:BusinessDate>${businessDateForAPI}T00:00:00</v2:BusinessDate>
-            </v2:request>
-          </v2:GetShifts>
-        </soapenv:Body>
-      </soapenv:Envelope>`;
-
-    context.log('Making PAR Brink GetShifts API call for clocked-in employee count...');
-    
-    const response = await axios.post('https://api11.brinkpos.net/labor2.svc', soapBody, { 
-      headers: {
-        'AccessToken': accessToken,
-        'LocationToken': locationToken,
-        'Content-Type': 'text/xml',
-        'SOAPAction': 'http://www.brinksoftware.com/webservices/labor/v2/ILaborWebService2/GetShifts'
-      },
-      timeout: 20000 
-    });
-
-    // Parse shift data to count currently clocked-in employees (shifts without end time)
-    const xmlData = response.data;
-    const currentlyWorking = parseCurrentlyWorkingEmployeesFromShifts(xmlData);
-    
-    context.log(`🏢 CLOCKED-IN VALIDATION: Found ${currentlyWorking} employees currently working`);
-    return currentlyWorking;
-
-  } catch (error) {
-    context.error('Error fetching total clocked-in employees:', error);
-    // Return a reasonable default to avoid blocking the dashboard
-    // This ensures the validation doesn't fail completely if the clocked-in API is unavailable
-    return 50; // Reasonable maximum for most restaurant locations
-  }
-}
-
-/**
- * Parse shifts XML to count currently working employees (employees with shifts that have no end time)
- */
-function parseCurrentlyWorkingEmployeesFromShifts(xmlData: string): number {
-  try {
-    let workingCount = 0;
-    
-    // Extract shift details using regex - look for shifts without end times
-    const shiftMatches = xmlData.match(/<Shift>[\s\S]*?<\/Shift>/g) || [];
-    
-    shiftMatches.forEach(shiftXml => {
-      try {
-        const employeeId = shiftXml.match(/<EmployeeId>([^<]+)<\/EmployeeId>/)?.[1];
-        const startTime = shiftXml.match(/<StartTime[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/)?.[1];
-        
-        // Check if shift has an end time - look for actual valid end times
-        const endTimeMatch = shiftXml.match(/<EndTime[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/);
-        let hasValidEndTime = false;
-        
-        if (endTimeMatch && endTimeMatch[1]) {
-          const endTimeStr = endTimeMatch[1].trim();
-          // Check if it's a real end time (not the default null date indicator)
-          if (endTimeStr !== '' && 
-              !endTimeStr.startsWith('0001-01-01') && 
-              !endTimeStr.includes('1/1/0001')) {
-            hasValidEndTime = true;
-          }
-        }
-        
-        if (employeeId && startTime) {
-          if (!hasValidEndTime) {
-            // Employee has a shift that started but hasn't ended - they're currently working
-            workingCount++;
-            console.log(`🏢 CLOCKED-IN: Employee ${employeeId} is currently working (shift started: ${startTime}, no valid end time)`);
-          } else if (endTimeMatch && endTimeMatch[1]) {
-            console.log(`✅ CLOCKED-OUT: Employee ${employeeId} completed shift (${startTime} to ${endTimeMatch[1]})`);
-          }
-        }
-      } catch (error) {
-        // Skip invalid shift records
-        console.warn('Error parsing individual shift for clocked-in count:', error);
-      }
-    });
-    
-    console.log(`🏢 TOTAL CURRENTLY WORKING: ${workingCount} employees are clocked in`);
-    return workingCount;
-    
-  } catch (error) {
-    console.error('Error parsing currently working employees from shifts:', error);
-    return 0;
-  }
-}
-
-function processHourlySalesData(orders: SalesOrder[]): HourlySalesData[] {
+function processHourlySalesData(
+  orders: BrinkOrder[],
+  timezone: string,
+  storeHours: StoreHoursWindow,
+  progress: DayProgress,
+  destinations: Map<number, BrinkDestination>
+): BucketedData<HourlySalesData> {
   const hourlyData: { [hour: string]: HourlySalesData } = {};
 
-  // Get current Mountain Time hour for sales data validation
-  const now = new Date();
-  const currentMountainHour = parseInt(now.toLocaleString("en-US", { 
-    timeZone: "America/Denver",
-    hour: 'numeric',
-    hour12: false
-  }));
-
-  // Initialize hourly buckets (10AM to 10PM - store operating hours only)
-  const hours = [];
-  for (let i = 10; i <= 22; i++) {
-    hours.push(`${i.toString().padStart(2, '0')}:00`);
-  }
+  // Current store-local hour (as a business-day position) for sales data validation - no cutoff on a closed day
+  const currentLocalHour = progress.currentHour;
+  const currentPosition = progress.cutoffPosition;
 
-  hours.forEach(hour => {
+  // Initialize hourly buckets from the store's operating hours, plus prep/cleanup for orders outside them
+  const hours = getOperatingHours(storeHours).map(formatHourKey);
+
+  [...hours, 'prep', 'cleanup'].forEach(hour => {
     hourlyData[hour] = {
       hour,
       sales: 0,
       guests: 0,
       orders: 0,
-      guestAverage: 0
+      guestAverage: 0,
+      channels: {}
     };
   });
 
   // Process each order with validation
+  let ordersWithoutGuestCount = 0;
   orders.forEach(order => {
-    if (!order.firstsendtime?.DateTime || order.firstsendtime.nil) return;
+    if (!order.firstSendTime) return;
 
-    const orderTime = new Date(order.firstsendtime.DateTime);
-    // Convert to Mountain Time before extracting hour
-    const mountainTimeHour = parseInt(orderTime.toLocaleString("en-US", { 
-      timeZone: "America/Denver",
-      hour: 'numeric',
-      hour12: false
-    }));
-    const hour = `${mountainTimeHour.toString().padStart(2, '0')}:00`;
+    // Convert to store-local time before extracting hour
+    const orderLocalHour = getLocalHour(order.firstSendTime, timezone);
+    const orderTime = formatHourKey(orderLocalHour);
 
     // **SALES DATA VALIDATION**: Check for future orders (should not exist in real-time dashboard)
-    if (DATA_VALIDATION_CONFIG.enableFutureDataBlocking && mountainTimeHour > currentMountainHour) {
-      console.warn(`🚨 FUTURE SALES ORDER: Order at ${hour} is in the future (current: ${currentMountainHour}:00) - excluding from totals`);
+    if (DATA_VALIDATION_CONFIG.enableFutureDataBlocking && getBusinessHourPosition(orderLocalHour, storeHours) > currentPosition) {
+      console.warn(`🚨 FUTURE SALES ORDER: Order at ${orderTime} is in the future (current: ${currentLocalHour}:00) - excluding from totals`);
       return; // Skip future orders
     }
 
-    // **STORE HOURS VALIDATION**: Only process orders during store operating hours (10AM-10PM)
-    if (mountainTimeHour < 10 || mountainTimeHour > 22) {
-      console.log(`🏪 OUTSIDE STORE HOURS: Order at ${hour} is outside operating hours (10AM-10PM) - excluding`);
-      return; // Skip orders outside store hours
-    }
+    // **STORE HOURS**: Orders outside operating hours go to the prep/cleanup buckets instead of being dropped
+    const kind = classifyLocalHour(orderLocalHour, storeHours);
+    const hour = kind === 'operating' ? orderTime : kind;
 
     if (hourlyData[hour]) {
       // **SALES DATA VALIDATION**: Validate order values
-      const orderTotal = order.Total || 0;
+      const orderTotal = order.total || 0;
       
       if (DATA_VALIDATION_CONFIG.enableSalesValidation) {
         if (orderTotal < 0) {
-          console.warn(`💸 NEGATIVE ORDER: Order ${order.Number} has negative total $${orderTotal} - excluding`);
+          console.warn(`💸 NEGATIVE ORDER: Order ${order.number} has negative total $${orderTotal} - excluding`);
           return;
         }
         
         if (orderTotal > DATA_VALIDATION_CONFIG.maxReasonableOrderValue) {
-          console.log(`💰 HIGH VALUE ORDER: Order ${order.Number} total $${orderTotal} (large order or catering)`);
+          console.log(`💰 HIGH VALUE ORDER: Order ${order.number} total $${orderTotal} (large order or catering)`);
         }
       }
       
       hourlyData[hour].sales += orderTotal;
       hourlyData[hour].orders += 1;
+      addChannelOrder(hourlyData[hour].channels, getOrderChannel(order, destinations), order);
       
-      // Count guests (assuming 1 guest per order for now - could be enhanced)
-      hourlyData[hour].guests += 1;
+      // Guests from the order's guest count (a catering order can feed 20) - 1 when none was recorded
+      hourlyData[hour].guests += resolveGuestCount(order.guestCount);
+      if (order.guestCount === null) {
+        ordersWithoutGuestCount++;
+      }
       
       // Calculate guest average
       hourlyData[hour].guestAverage = hourlyData[hour].guests > 0 
@@ -616,6 +636,10 @@ function processHourlySalesData(orders: SalesOrder[]): HourlySalesData[] {
     }
   });
 
+  if (ordersWithoutGuestCount > 0) {
+    console.log(`👥 GUEST COUNT: ${ordersWithoutGuestCount} orders have no guest count - counted as 1 guest each`);
+  }
+
   // **ENHANCED SALES DATA VALIDATION** - Apply comprehensive validation
   if (DATA_VALIDATION_CONFIG.enableSalesValidation && DATA_VALIDATION_CONFIG.enableDetailedLogging) {
     console.log(`📊 SALES VALIDATION: Starting validation for ${hours.length} sales hours`);
@@ -629,7 +653,7 @@ function processHourlySalesData(orders: SalesOrder[]): HourlySalesData[] {
     const hourNum = parseInt(hour.split(':')[0]);
     
     // Block future sales data as final safety check
-    if (hourNum > currentMountainHour) {
+    if (getBusinessHourPosition(hourNum, storeHours) > currentPosition) {
       if (data.sales > 0 || data.orders > 0 || data.guests > 0) {
         console.warn(`🚨 FUTURE SALES BLOCKED: ${hour} had sales data but it's future time - forcing to zero`);
         futureHoursBlocked++;
@@ -639,6 +663,7 @@ function processHourlySalesData(orders: SalesOrder[]): HourlySalesData[] {
       data.orders = 0;
       data.guests = 0;
       data.guestAverage = 0;
+      data.channels = {};
       return;
     }
     
@@ -679,9 +704,14 @@ function processHourlySalesData(orders: SalesOrder[]): HourlySalesData[] {
   console.log(`  ✅ Sales hours validated: ${hours.length}`);
   console.log(`  ⚠️  Sales issues found: ${salesValidationIssues}`);
   console.log(`  🔒 Future sales hours blocked: ${futureHoursBlocked}`);
-  console.log(`  🕒 Current MT hour: ${currentMountainHour}:00`);
+  console.log(`  🕒 Current local hour: ${currentLocalHour}:00`);
+  console.log(`  🧹 Prep orders: ${hourlyData.prep.orders}, cleanup orders: ${hourlyData.cleanup.orders}`);
 
-  return hours.map(hour => hourlyData[hour]);
+  return {
+    hourly: hours.map(hour => hourlyData[hour]),
+    prep: hourlyData.prep,
+    cleanup: hourlyData.cleanup
+  };
 }
 
 /**
@@ -691,8 +721,11 @@ function processHourlySalesData(orders: SalesOrder[]): HourlySalesData[] {
 function validateDashboardData(
   salesData: HourlySalesData[], 
   laborData: HourlyLaborData[], 
-  timezone: string, 
-  totalClockedInEmployees: number,
+  storeHours: StoreHoursWindow,
+  progress: DayProgress,
+  totalClockedInEmployees: number | null,
+  sources: DashboardSources,
+  rules: ResolvedValidationRule[],
   context: InvocationContext
 ): DashboardResponse['validationResults'] {
   if (!DATA_VALIDATION_CONFIG.enableComprehensiveReporting) {
@@ -701,182 +734,113 @@ function validateDashboardData(
   
   context.log('🔍 COMPREHENSIVE DATA VALIDATION STARTING...');
   
-  const now = new Date();
-  const currentHour = parseInt(now.toLocaleString("en-US", { 
-    timeZone: timezone,
-    hour: 'numeric',
-    hour12: false
-  }));
+  const currentHour = progress.currentHour;
+  const currentPosition = progress.cutoffPosition;
+  const hourNumber = (hour: string) => parseInt(hour.split(':')[0]);
+  // Buckets are operating hours; the first/last may be partial (10:00 for a 10:30 open)
+  const isFullyOpenHour = (hour: string) => {
+    const position = getBusinessHourPosition(hourNumber(hour), storeHours);
+    return position * 60 >= storeHours.openMinutes && (position + 1) * 60 <= storeHours.closeMinutes;
+  };
   
   // Overall validation metrics
   let totalValidationIssues = 0;
   let dataQualityScore = 100;
   let recommendedActions: string[] = [];
-  let alignmentIssues = 0;
-  let futureDataIssues = 0;
-  let businessLogicIssues = 0;
+  
+  // **SOURCE AVAILABILITY**: checks that need a missing source are skipped, not run against empty data
+  const salesAvailable = sources.sales.status === 'ok' && salesData.length > 0;
+  const laborAvailable = sources.labor.status === 'ok' && laborData.length > 0;
+  // The clocked-in count is the open shifts in the labor data - the check is whether the current hour's bucket holds them all
+  const clockedInAvailable = sources.clockedIn.status === 'ok' && totalClockedInEmployees !== null;
+  const degradedSources: string[] = [];
+  let sourceIssues = 0;
+  
+  (Object.keys(sources) as (keyof DashboardSources)[]).forEach(name => {
+    const source = sources[name];
+    if (source.status === 'ok') return;
+    if (OPTIONAL_SOURCES.includes(name)) {
+      context.log(`ℹ️ OPTIONAL SOURCE: ${name} - ${source.note}`);
+      return;
+    }
+    
+    degradedSources.push(name);
+    sourceIssues++;
+    totalValidationIssues++;
+    if (source.status === 'failed') {
+      context.warn(`🚫 SOURCE FAILED: ${name} (${source.category || 'unknown'}${source.code ? `/${source.code}` : ''}) - ${source.error}`);
+      dataQualityScore -= DATA_VALIDATION_CONFIG.failedSourcePenalty;
+      recommendedActions.push(`${name} data unavailable${source.category === 'transient' ? ' - retry shortly' : ''}: ${source.error}`);
+    } else {
+      context.warn(`🩹 SOURCE FALLBACK: ${name} - ${source.note}`);
+      dataQualityScore -= DATA_VALIDATION_CONFIG.fallbackSourcePenalty;
+      recommendedActions.push(`${name} is using a fallback value: ${source.note}`);
+    }
+  });
   
   // Sales data analysis
   const totalSales = salesData.reduce((sum, hour) => sum + hour.sales, 0);
   const totalOrders = salesData.reduce((sum, hour) => sum + hour.orders, 0);
   const activeSalesHours = salesData.filter(hour => hour.sales > 0).length;
-  const peakSalesHour = salesData.reduce((max, hour) => hour.sales > max.sales ? hour : max);
+  const peakSalesHour = salesData.reduce<HourlySalesData | undefined>((max, hour) => !max || hour.sales > max.sales ? hour : max, undefined);
   
   // Labor data analysis
   const totalLaborCost = laborData.reduce((sum, hour) => sum + hour.laborCost, 0);
   const totalLaborHours = laborData.reduce((sum, hour) => sum + hour.hoursWorked, 0);
   const activeLaborHours = laborData.filter(hour => hour.hoursWorked > 0).length;
-  const peakLaborHour = laborData.reduce((max, hour) => hour.laborCost > max.laborCost ? hour : max);
+  const peakLaborHour = laborData.reduce<HourlyLaborData | undefined>((max, hour) => !max || hour.laborCost > max.laborCost ? hour : max, undefined);
+  const laborPercentage = totalSales > 0 ? (totalLaborCost / totalSales) * 100 : 0;
+  const avgOrderValue = totalOrders > 0 ? totalSales / totalOrders : 0;
   
   context.log(`📊 Analysis: ${totalLaborHours.toFixed(1)} total labor hours processed`);
   
-  // **VALIDATION 1: SALES-LABOR ALIGNMENT**
-  if (DATA_VALIDATION_CONFIG.enableAlignmentValidation) {
-    context.log('📊 Validating sales-labor alignment...');
-  }
-  
-  salesData.forEach((salesHour, index) => {
-    const laborHour = laborData[index];
-    const hourNum = parseInt(salesHour.hour.split(':')[0]);
-    
-    // Skip future hours
-    if (hourNum > currentHour) return;
-    
-    // Check for significant sales without labor coverage (excluding prep hours)
-    if (salesHour.sales > 100 && laborHour.hoursWorked === 0) {
-      // Additional context: Check if this is during typical operating hours
-      if (hourNum >= 11 && hourNum <= 22) {
-        context.warn(`⚠️ ALIGNMENT ISSUE: ${salesHour.hour} has $${salesHour.sales} sales but no labor hours during operating hours`);
-        alignmentIssues++;
-        totalValidationIssues++;
-      } else {
-        context.log(`🔍 INFO: ${salesHour.hour} has $${salesHour.sales} sales but no labor hours (possibly delivery/takeout during off-hours)`);
-      }
-    }
-    
-    // Check for labor without sales (normal for prep/cleaning hours, especially early morning)
-    if (laborHour.hoursWorked > 2 && salesHour.sales === 0) {
-      if (hourNum < 11 || hourNum > 22) {
-        context.log(`🔍 INFO: ${salesHour.hour} has ${laborHour.hoursWorked.toFixed(1)} labor hours but no sales (prep/cleaning/closing)`);
-      } else {
-        context.log(`🔍 INFO: ${salesHour.hour} has ${laborHour.hoursWorked.toFixed(1)} labor hours but no sales during operating hours`);
-      }
-    }
+  // **VALIDATION RULES**: sales, labor, alignment and business-logic rules with this store's thresholds
+  context.log(`📏 Evaluating ${rules.filter(rule => rule.enabled).length} validation rules...`);
+  const report = evaluateValidationRules(rules, {
+    sales: salesAvailable ? salesData : null,
+    labor: laborAvailable ? laborData : null,
+    clockedInEmployees: clockedInAvailable ? totalClockedInEmployees : null,
+    currentHour: progress.status === 'in_progress' ? formatHourKey(currentHour) : null,
+    isFutureHour: hour => getBusinessHourPosition(hourNumber(hour), storeHours) > currentPosition,
+    isFullyOpenHour
   });
   
-  // **VALIDATION 2: FUTURE DATA DETECTION**
-  context.log('🕐 Validating temporal data integrity...');
-  
-  // Check sales data for future entries
-  salesData.forEach(hourData => {
-    const hourNum = parseInt(hourData.hour.split(':')[0]);
-    if (hourNum > currentHour && hourData.sales > 0) {
-      context.warn(`🚨 FUTURE SALES DATA: ${hourData.hour} contains $${hourData.sales} but is future time`);
-      futureDataIssues++;
-      totalValidationIssues++;
+  report.skipped.forEach(({ ruleId, reason }) => context.log(`⏭️ Skipping ${ruleId} - ${reason}`));
+  report.findings.forEach(finding => {
+    const line = `${finding.severity === 'critical' ? '🚨' : finding.severity === 'warning' ? '⚠️' : '🔍'} ${finding.ruleId.toUpperCase()}: ${finding.message}`;
+    if (finding.severity === 'info') {
+      context.log(line);
+      return;
     }
-  });
-  
-  // **CRITICAL VALIDATION**: Check labor data for ANY future entries - this should NEVER happen
-  let futureLaborHoursDetected = 0;
-  laborData.forEach(hourData => {
-    const hourNum = parseInt(hourData.hour.split(':')[0]);
-    if (hourNum > currentHour) {
-      if (hourData.laborCost > 0 || hourData.hoursWorked > 0 || hourData.employeesWorking > 0) {
-        context.warn(`🚨 CRITICAL: FUTURE LABOR DATA DETECTED: ${hourData.hour} has labor activity in the future!`);
-        context.warn(`   Future hours: ${hourData.hoursWorked.toFixed(2)}, Cost: $${hourData.laborCost.toFixed(2)}, Employees: ${hourData.employeesWorking}`);
-        context.warn(`   This violates the fundamental rule: labor cannot exist in the future!`);
-        futureLaborHoursDetected++;
-        futureDataIssues++;
-        totalValidationIssues++;
-      }
+    context.warn(line);
+    totalValidationIssues++;
+    dataQualityScore -= finding.penalty;
+    if (finding.action && !recommendedActions.includes(finding.action)) {
+      recommendedActions.push(finding.action);
     }
   });
   
-  if (futureLaborHoursDetected > 0) {
-    recommendedActions.push(`CRITICAL: Remove ${futureLaborHoursDetected} future labor entries - this should never happen`);
-  }
-  
-  // **VALIDATION 3: BUSINESS LOGIC VALIDATION**
-  context.log('🏪 Validating business logic rules...');
-  
-  // Labor percentage should be reasonable for restaurant industry
-  const laborPercentage = totalSales > 0 ? (totalLaborCost / totalSales) * 100 : 0;
-  if (laborPercentage > 40) {
-    context.warn(`💸 HIGH LABOR %: ${laborPercentage.toFixed(1)}% exceeds typical restaurant range (25-35%)`);
-    businessLogicIssues++;
-    recommendedActions.push('Review labor scheduling and efficiency');
-  } else if (laborPercentage < 15 && totalSales > 500) {
-    // Note: Low labor % could be due to salaried employees not being included in labor cost
-    context.warn(`💸 LOW LABOR %: ${laborPercentage.toFixed(1)}% seems low for restaurant operations (may exclude salaried staff)`);
-    businessLogicIssues++;
-    recommendedActions.push('Verify labor data completeness - check if salaried staff are included');
-  }
-  
-  // Average order value validation
-  const avgOrderValue = totalOrders > 0 ? totalSales / totalOrders : 0;
-  if (avgOrderValue > 50) {
-    context.log(`💰 HIGH AOV: Average order value $${avgOrderValue.toFixed(2)} (catering/large orders?)`);
-  } else if (avgOrderValue < 8 && totalOrders > 10) {
-    context.warn(`💸 LOW AOV: Average order value $${avgOrderValue.toFixed(2)} seems low for restaurant`);
-    businessLogicIssues++;
-    recommendedActions.push('Review pricing strategy or order composition');
-  }
-  
-  // **VALIDATION 4: CLOCKED-IN EMPLOYEE CONSTRAINT VALIDATION**
-  context.log('🏢 Validating employee count constraints...');
-  let employeeConstraintViolations = 0;
-  
-  laborData.forEach(hourData => {
-    const hourNum = parseInt(hourData.hour.split(':')[0]);
-    
-    // Skip future hours
-    if (hourNum > currentHour) return;
-    
-    if (hourData.employeesWorking > totalClockedInEmployees) {
-      context.warn(`🚨 EMPLOYEE CONSTRAINT VIOLATION: ${hourData.hour} reports ${hourData.employeesWorking} employees but only ${totalClockedInEmployees} are clocked in`);
-      employeeConstraintViolations++;
-      totalValidationIssues++;
-      
-      if (!recommendedActions.includes('Review employee clocking procedures')) {
-        recommendedActions.push('Review employee clocking procedures - hourly counts exceed clocked-in total');
-      }
-    }
+  const issuesFound = (matches: (finding: ValidationFinding) => boolean) =>
+    report.findings.filter(finding => finding.severity !== 'info' && matches(finding)).length;
+  const categorySummary = (category: ValidationRuleCategory, description: string) => ({
+    enabled: rules.some(rule => rule.rule.category === category && rule.enabled),
+    issuesFound: issuesFound(finding => finding.category === category),
+    description
   });
+  const employeeConstraintViolations = issuesFound(finding => finding.ruleId === 'clocked-in-headcount');
   
-  // **VALIDATION 5: DATA COMPLETENESS**
-  context.log('📋 Validating data completeness...');
-  let completenessIssues = 0;
-  
-  if (activeSalesHours < 8) {
-    context.warn(`📈 LIMITED SALES DATA: Only ${activeSalesHours} hours with sales activity`);
-    completenessIssues++;
-    dataQualityScore -= 10;
-  }
-  
-  if (activeLaborHours < 6) {
-    context.warn(`👥 LIMITED LABOR DATA: Only ${activeLaborHours} hours with labor activity`);
-    completenessIssues++;
-    dataQualityScore -= 15;
-  }
-  
-  // **VALIDATION 6: OPERATIONAL INSIGHTS**
+  // **OPERATIONAL INSIGHTS**
   context.log('🎯 Generating operational insights...');
   
-  if (peakSalesHour.sales > 0) {
+  if (peakSalesHour && peakSalesHour.sales > 0) {
     context.log(`📈 PEAK SALES: ${peakSalesHour.hour} with $${peakSalesHour.sales.toFixed(2)}`);
   }
   
-  if (peakLaborHour.laborCost > 0) {
+  if (peakLaborHour && peakLaborHour.laborCost > 0) {
     context.log(`👥 PEAK LABOR: ${peakLaborHour.hour} with $${peakLaborHour.laborCost.toFixed(2)} cost`);
   }
   
-  // Calculate data quality score
-  dataQualityScore -= (alignmentIssues * 5);
-  dataQualityScore -= (futureDataIssues * 10);
-  dataQualityScore -= (businessLogicIssues * 3);
-  dataQualityScore -= (employeeConstraintViolations * 8); // High penalty for constraint violations
-  dataQualityScore -= (completenessIssues * 5);
+  // Finding penalties were deducted above - the score can't go below zero
   dataQualityScore = Math.max(0, dataQualityScore);
   
   // **COMPREHENSIVE VALIDATION SUMMARY**
@@ -885,13 +849,14 @@ function validateDashboardData(
   context.log(`  ⚠️  Total Issues Found: ${totalValidationIssues}`);
   context.log(`  🏪 Sales Hours Active: ${activeSalesHours}`);
   context.log(`  👥 Labor Hours Active: ${activeLaborHours}`);
-  context.log(`  🏢 Total Clocked-In Employees: ${totalClockedInEmployees}`);
+  context.log(`  🏢 Total Clocked-In Employees: ${totalClockedInEmployees ?? 'unknown'} (${sources.clockedIn.status})`);
+  context.log(`  🔌 Degraded Sources: ${degradedSources.length > 0 ? degradedSources.join(', ') : 'none'}`);
   context.log(`  🚨 Employee Constraint Violations: ${employeeConstraintViolations}`);
   context.log(`  💰 Total Sales: $${totalSales.toFixed(2)}`);
   context.log(`  💸 Total Labor Cost: $${totalLaborCost.toFixed(2)}`);
   context.log(`  📈 Labor Percentage: ${laborPercentage.toFixed(1)}%`);
   context.log(`  🎯 Average Order Value: $${avgOrderValue.toFixed(2)}`);
-  context.log(`  🕐 Current Hour: ${currentHour}:00`);
+  context.log(`  🕐 Current Hour: ${currentHour}:00 (business day ${progress.status})`);
   
   if (recommendedActions.length > 0) {
     context.log('  💡 RECOMMENDED ACTIONS:');
@@ -914,199 +879,101 @@ function validateDashboardData(
   return {
     dataQualityScore,
     totalIssuesFound: totalValidationIssues,
+    degradedSources,
     salesHoursActive: activeSalesHours,
     laborHoursActive: activeLaborHours,
     currentHour,
     recommendedActions,
+    findings: report.findings,
+    skippedRules: report.skipped,
     validationCategories: {
       futureDataBlocking: {
         enabled: DATA_VALIDATION_CONFIG.enableFutureDataBlocking,
-        issuesFound: futureDataIssues,
+        issuesFound: issuesFound(finding => finding.ruleId === 'future-sales-data' || finding.ruleId === 'future-labor-data'),
         description: "Prevents future sales and labor data from appearing in real-time dashboard - NO labor hours allowed for future times"
       },
-      salesValidation: {
-        enabled: DATA_VALIDATION_CONFIG.enableSalesValidation,
-        issuesFound: Math.floor(totalValidationIssues * 0.3), // Estimate sales portion
-        description: "Validates order values, consistency checks, and guest calculations"
-      },
-      laborValidation: {
-        enabled: DATA_VALIDATION_CONFIG.enableLaborValidation,
-        issuesFound: Math.floor(totalValidationIssues * 0.4), // Estimate labor portion
-        description: "Validates wage ranges, hour distributions, and labor cost consistency"
-      },
-      alignmentValidation: {
-        enabled: DATA_VALIDATION_CONFIG.enableAlignmentValidation,
-        issuesFound: alignmentIssues,
-        description: "Checks for sales-labor alignment and coverage gaps"
-      },
-      businessLogicValidation: {
-        enabled: DATA_VALIDATION_CONFIG.enableBusinessLogicValidation,
-        issuesFound: businessLogicIssues,
-        description: "Validates restaurant industry standards and operational metrics"
-      },
+      salesValidation: categorySummary('sales', "Validates sales activity and future sales data"),
+      laborValidation: categorySummary('labor', "Validates wage ranges, hour distributions, headcount and labor cost outliers"),
+      alignmentValidation: categorySummary('alignment', "Checks for sales-labor alignment and coverage gaps"),
+      businessLogicValidation: categorySummary('businessLogic', "Validates labor percentage and average order value against this store's thresholds"),
       employeeConstraintValidation: {
-        enabled: true,
+        enabled: clockedInAvailable && rules.some(rule => rule.rule.id === 'clocked-in-headcount' && rule.enabled),
         issuesFound: employeeConstraintViolations,
-        description: `Ensures hourly employee counts never exceed total clocked-in employees (${totalClockedInEmployees})`
+        description: clockedInAvailable
+          ? `Ensures the current hour's headcount includes every clocked-in employee (${totalClockedInEmployees})`
+          : `Skipped - clocked-in employee source ${sources.clockedIn.status}`
+      },
+      sourceAvailability: {
+        enabled: true,
+        issuesFound: sourceIssues,
+        description: "Reports upstream sources that failed or were replaced by a fallback - checks depending on them are skipped"
       }
     }
   };
 }
 
-function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees: number): HourlyLaborData[] {
+function processHourlyLaborData(shifts: BrinkShift[], timezone: string, storeHours: StoreHoursWindow, progress: DayProgress, jobs: Map<string, BrinkJob>): LaborBuckets {
   const hourlyData: { [hour: string]: HourlyLaborData } = {};
 
-  // Get current Mountain Time hour to filter out future labor data - ENHANCED DEBUGGING
-  const now = new Date();
-  const currentMountainTime = now.toLocaleString("en-US", { 
-    timeZone: "America/Denver",
-    hour: 'numeric',
-    hour12: false
-  });
-  const currentMountainHour = parseInt(currentMountainTime);
+  // Current store-local hour to filter out future labor data (only while the business day is in progress) - ENHANCED DEBUGGING
+  const now = progress.now;
+  const currentLocalHour = progress.currentHour;
+  const currentPosition = progress.cutoffPosition;
   
   // Additional debugging for timezone issues
-  const currentUTC = now.toISOString();
-  const currentMTFormatted = now.toLocaleString("en-US", { 
-    timeZone: "America/Denver",
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
   console.log(`🕒 ENHANCED TIME DEBUG:`);
-  console.log(`  Current UTC: ${currentUTC}`);
-  console.log(`  Current MT: ${currentMTFormatted}`);
-  console.log(`  Current MT Hour: ${currentMountainHour}:00`);
-  console.log(`  Filtering out ALL hours > ${currentMountainHour}`);
-  console.log(`🏢 EMPLOYEE CONSTRAINT: Max employees per hour capped at ${totalClockedInEmployees} (from clocked-in API)`);
-
-  // Initialize hourly buckets (10AM to 10PM - store operating hours only)
-  const hours = [];
-  for (let i = 10; i <= 22; i++) {
-    hours.push(`${i.toString().padStart(2, '0')}:00`);
-  }
-
-  // Initialize all hours with zero data
-  hours.forEach(hour => {
+  console.log(`  Current UTC: ${now.toISOString()}`);
+  console.log(`  Current Local (${timezone}): ${getLocalDateTimeString(now, timezone)}`);
+  console.log(`  Current Local Hour: ${currentLocalHour}:00`);
+  console.log(progress.status === 'in_progress'
+    ? `  Filtering out ALL hours > ${currentLocalHour}`
+    : `  Business day ${progress.status} - ${progress.status === 'closed' ? 'no hours filtered' : 'all hours filtered'}`);
+
+  // Initialize hourly buckets from the store's operating hours for this day
+  const hours = getOperatingHours(storeHours).map(formatHourKey);
+
+  // Initialize all hours with zero data - prep/cleanup hold labor before opening and after closing
+  [...hours, 'prep', 'cleanup'].forEach(hour => {
     hourlyData[hour] = {
       hour,
       laborCost: 0,
       hoursWorked: 0,
-      employeesWorking: 0
+      employeesWorking: 0,
+      jobs: {}
     };
   });
+  // Distinct employees per bucket - prep/cleanup span several hours but count each employee once
+  const bucketEmployees: { [hour: string]: Set<string> } = {};
+  const bucketJobEmployees: { [hour: string]: Partial<Record<JobCategory, Set<string>>> } = {};
+  [...hours, 'prep', 'cleanup'].forEach(hour => {
+    bucketEmployees[hour] = new Set();
+    bucketJobEmployees[hour] = {};
+  });
 
   // Process PAR Brink shift data with validation
-  if (punches && punches.length > 0) {
-    punches.forEach(punch => {
+  if (shifts && shifts.length > 0) {
+    shifts.forEach(shift => {
       try {
-        if (!punch.hoursWorked || punch.hoursWorked <= 0) return;
-        
-        // Process punch times using the EXACT SAME method as sales data
-        const punchStartUTC = new Date(punch['local Time']);
-        const punchEndUTC = new Date(punchStartUTC.getTime() + (punch.hoursWorked * 60 * 60 * 1000));
-        
-        // Extract Mountain Time hours directly using the same method as sales processing
-        const punchStartHourMT = parseInt(punchStartUTC.toLocaleString("en-US", { 
-          timeZone: "America/Denver",
-          hour: 'numeric',
-          hour12: false
-        }));
-        
-        const punchEndHourMT = parseInt(punchEndUTC.toLocaleString("en-US", { 
-          timeZone: "America/Denver",
-          hour: 'numeric',
-          hour12: false
-        }));
-        
-        console.log(`🔍 TIMEZONE DEBUG: Start UTC: ${punchStartUTC.toISOString()} → MT Hour: ${punchStartHourMT}:00`);
-        console.log(`🔍 TIMEZONE DEBUG: End UTC: ${punchEndUTC.toISOString()} → MT Hour: ${punchEndHourMT}:00`);
-        console.log(`🔍 SHIFT DEBUG: Total hours worked: ${punch.hoursWorked}, Start: ${punchStartHourMT}:00, End: ${punchEndHourMT}:00`);
-        
-        // Process this shift across ALL hours it spans in Mountain Time
-        // Determine which hours this shift covers based on Mountain Time
-        const startHour = punchStartHourMT;
-        // Fix: Ensure end hour never exceeds 23 (convert to proper 24-hour format)
-        const endHour = punchEndHourMT > 23 ? 23 : punchEndHourMT;
-        
-        // Handle shifts that cross midnight
-        let hoursToProcess: number[] = [];
-        if (endHour >= startHour) {
-          // Normal shift within same day
-          for (let h = startHour; h <= endHour; h++) {
-            // Fix: Ensure we don't add hour 24 (which doesn't exist)
-            if (h <= 23) {
-              hoursToProcess.push(h);
-            } else if (h === 24) {
-              hoursToProcess.push(0); // Convert hour 24 to hour 0 (midnight)
-            }
-          }
-        } else {
-          // Shift crosses midnight
-          for (let h = startHour; h <= 23; h++) {
-            hoursToProcess.push(h);
-          }
-          for (let h = 0; h <= endHour; h++) {
-            hoursToProcess.push(h);
-          }
-        }
-        
-        // Process each hour the shift spans with proper hour calculations
-        // **CRITICAL FIX**: Filter out future hours BEFORE processing any labor data
-        console.log(`🔍 BEFORE FILTERING: Shift spans hours [${hoursToProcess.join(',')}], current hour is ${currentMountainHour}`);
-        
-        const allowedHours = hoursToProcess.filter(hourNum => {
-          const isAllowed = hourNum <= currentMountainHour && hourNum >= 10 && hourNum <= 22;
-          if (hourNum > currentMountainHour) {
-            console.log(`❌ BLOCKING FUTURE HOUR: ${hourNum}:00 > ${currentMountainHour}:00 (current) - WILL NOT PROCESS`);
-          } else if (hourNum < 10 || hourNum > 22) {
-            console.log(`🏪 BLOCKING OUTSIDE STORE HOURS: ${hourNum}:00 is outside operating hours (10AM-10PM) - WILL NOT PROCESS`);
-          }
-          return isAllowed;
-        });
-        
-        console.log(`✅ AFTER FILTERING: Allowed hours [${allowedHours.join(',')}] out of original [${hoursToProcess.join(',')}]`);
-        
-        if (allowedHours.length === 0) {
-          console.log(`⏭️ SHIFT FILTER: Entire shift ${punchStartHourMT}:00-${punchEndHourMT}:00 is filtered out (future or outside store hours) - skipping completely`);
-          return; // Skip this entire shift if all hours are filtered out
-        }
-        
-        console.log(`📊 SHIFT PROCESSING: Processing shift ${punchStartHourMT}:00-${punchEndHourMT}:00, allowed hours: ${allowedHours.join(',')}, filtered out future/non-operating hours`);
-        
-        allowedHours.forEach(hourNum => {
-          const hourKey = `${hourNum.toString().padStart(2, '0')}:00`;
-          
-          if (hourlyData[hourKey]) {
-            // **FIXED CALCULATION**: Proportionally distribute labor only across allowed (non-future) hours
-            const totalHoursInShift = punch.hoursWorked || 0;
-            const allowedHoursCount = allowedHours.length;
-            const hoursPerHour = totalHoursInShift / allowedHoursCount;
-            
-            // Use this corrected distribution for non-future hours only
-            const overlapHours = hoursPerHour;
-            
-            // Only process if there's actual overlap for this hour
-            if (overlapHours > 0) {
-              // Labor Hours: Include ALL employees (hourly + salaried) - precise overlap
-              hourlyData[hourKey].hoursWorked += overlapHours;
-              hourlyData[hourKey].employeesWorking += 1;
-              
-              // Labor Cost: Only include HOURLY employees (payRate > 0)
-              if (punch.payRate && punch.payRate > 0) {
-                const laborCost = overlapHours * punch.payRate;
-                hourlyData[hourKey].laborCost += laborCost;
-                console.log(`✅ ALLOWED HOUR - Hourly employee at ${hourKey}: ${overlapHours.toFixed(3)} overlap hours (of ${totalHoursInShift.toFixed(3)} total), $${punch.payRate}/hour = $${laborCost.toFixed(2)}, punch MT: ${punchStartHourMT}:00-${punchEndHourMT}:00`);
-              } else {
-                console.log(`✅ ALLOWED HOUR - Salaried employee at ${hourKey}: ${overlapHours.toFixed(3)} overlap hours (of ${totalHoursInShift.toFixed(3)} total), $0 labor cost (excluded), punch MT: ${punchStartHourMT}:00-${punchEndHourMT}:00`);
-              }
-            }
-          }
+        const jobCategory = getShiftJob(shift, jobs)?.category || 'other';
+
+        // Allocate exactly the paid minutes that overlap each store-local hour
+        getShiftHourSegments(shift, timezone, progress.now, progress.dayEnd).forEach(segment => {
+          // Hours outside ${storeHours.open}-${storeHours.close} are prep (before opening) or cleanup (after closing)
+          const kind = classifyLocalHour(segment.localHour, storeHours);
+          const hourKey = kind === 'operating' ? formatHourKey(segment.localHour) : kind;
+          if (!hourlyData[hourKey]) return;
+
+          // Labor Hours: Include ALL employees (hourly + salaried)
+          hourlyData[hourKey].hoursWorked += segment.hours;
+          bucketEmployees[hourKey].add(shift.employeeId);
+          const jobEmployees = bucketJobEmployees[hourKey][jobCategory] || new Set<string>();
+          jobEmployees.add(shift.employeeId);
+          bucketJobEmployees[hourKey][jobCategory] = jobEmployees;
+
+          // Labor Cost: Only include HOURLY employees (payRate > 0)
+          const laborCost = shift.payRate > 0 ? segment.hours * shift.payRate : 0;
+          hourlyData[hourKey].laborCost += laborCost;
+          addJobLabor(hourlyData[hourKey].jobs, jobCategory, segment.hours, laborCost);
         });
       } catch (error) {
         // Skip invalid punch records
@@ -1114,6 +981,12 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
       }
     });
 
+    // Headcount per bucket is the distinct employees whose shifts overlap it
+    Object.keys(bucketEmployees).forEach(hourKey => {
+      hourlyData[hourKey].employeesWorking = bucketEmployees[hourKey].size;
+      setJobHeadcount(hourlyData[hourKey].jobs, bucketJobEmployees[hourKey]);
+    });
+
     // **ENHANCED DATA VALIDATION TOOLS** - Apply comprehensive validation rules and corrections
     console.log(`📊 DATA VALIDATION: Starting validation for ${hours.length} hours`);
     
@@ -1126,7 +999,7 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
       const hourNum = parseInt(hour.split(':')[0]);
       
         // **VALIDATION RULE 1: ABSOLUTE FUTURE FILTER** - Force zero for any future hours as final safety check
-        if (hourNum > currentMountainHour) {
+        if (getBusinessHourPosition(hourNum, storeHours) > currentPosition) {
           if (data.laborCost > 0 || data.hoursWorked > 0 || data.employeesWorking > 0) {
             console.warn(`🚨 FUTURE HOUR DETECTED: ${hour} has labor data but it's future time! Forcing to zero.`);
             console.warn(`   Before: Cost=$${data.laborCost}, Hours=${data.hoursWorked}, Employees=${data.employeesWorking}`);
@@ -1136,50 +1009,28 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
           data.laborCost = 0;
           data.hoursWorked = 0;
           data.employeesWorking = 0;
+          data.jobs = {};
           console.log(`🔒 FUTURE HOUR ZEROED: ${hour} forced to $0.00 cost, 0 hours, 0 employees`);
           correctionsMade++;
           return; // Skip other validations for future hours
         }
         
-        // **VALIDATION RULE 1.2: STORE HOURS FILTER** - Ensure no data outside operating hours
-        if (hourNum < 10 || hourNum > 22) {
-          if (data.laborCost > 0 || data.hoursWorked > 0 || data.employeesWorking > 0) {
-            console.warn(`🏪 OUTSIDE STORE HOURS: ${hour} has labor data outside operating hours (10AM-10PM)! Forcing to zero.`);
-            console.warn(`   Before: Cost=$${data.laborCost}, Hours=${data.hoursWorked}, Employees=${data.employeesWorking}`);
-            validationIssues++;
-          }
-          data.laborCost = 0;
-          data.hoursWorked = 0;
-          data.employeesWorking = 0;
-          console.log(`🏪 NON-OPERATING HOUR ZEROED: ${hour} forced to $0.00 cost, 0 hours, 0 employees`);
-          correctionsMade++;
-          return; // Skip other validations for non-operating hours
-        }
-        
         // **VALIDATION RULE 1.5: INVALID HOUR DETECTION** - Catch any invalid hour values
         if (hourNum < 0 || hourNum > 23) {
           console.warn(`🚨 INVALID HOUR DETECTED: ${hour} is not a valid 24-hour format! Skipping.`);
           data.laborCost = 0;
           data.hoursWorked = 0;
           data.employeesWorking = 0;
+          data.jobs = {};
           validationIssues++;
           correctionsMade++;
           return;
         }
         
-        // **VALIDATION RULE 2: EXTREME OUTLIER DETECTION** - Flag but don't correct extreme outliers for investigation
-      if (data.hoursWorked > 50) {
-        console.warn(`🚨 EXTREME OUTLIER: ${hour} has ${data.hoursWorked.toFixed(2)} hours worked - possible data aggregation issue`);
-        validationIssues++;
-      }
-      
-      if (data.employeesWorking > 20) {
-        console.warn(`🚨 EXTREME OUTLIER: ${hour} has ${data.employeesWorking} employees - unusually high for single hour`);
-        validationIssues++;
-      }
+      // Outliers, wage ranges and per-hour cost ceilings are validation rules (see validateDashboardData)
       
       // **VALIDATION RULE 2.5: FUTURE LABOR HOURS PROHIBITION** - Absolutely no labor hours allowed for future times
-      if (hourNum > currentMountainHour) {
+      if (getBusinessHourPosition(hourNum, storeHours) > currentPosition) {
         if (data.hoursWorked > 0 || data.laborCost > 0 || data.employeesWorking > 0) {
           console.warn(`🚨 FUTURE LABOR DETECTED: ${hour} has labor data for future time - this should NEVER happen!`);
           console.warn(`   Future labor hours: ${data.hoursWorked.toFixed(2)} hours`);
@@ -1190,6 +1041,7 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
           data.hoursWorked = 0;
           data.laborCost = 0;
           data.employeesWorking = 0;
+          data.jobs = {};
           
           validationIssues++;
           correctionsMade++;
@@ -1198,46 +1050,6 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
         return;
       }
       
-      // **VALIDATION RULE 2.6: CLOCKED-IN EMPLOYEE CONSTRAINT** - Never exceed total employees currently working
-      if (data.employeesWorking > totalClockedInEmployees) {
-        console.warn(`🚨 EMPLOYEE COUNT VIOLATION: ${hour} has ${data.employeesWorking} employees but only ${totalClockedInEmployees} are clocked in - capping to maximum`);
-        console.warn(`   Before correction: ${data.employeesWorking} employees working in this hour`);
-        console.warn(`   After correction: ${totalClockedInEmployees} employees (capped to clocked-in total)`);
-        
-        // Proportionally reduce hours worked and labor cost when capping employee count
-        const reductionRatio = totalClockedInEmployees / data.employeesWorking;
-        const originalHours = data.hoursWorked;
-        const originalCost = data.laborCost;
-        
-        data.hoursWorked *= reductionRatio;
-        data.laborCost *= reductionRatio;
-        data.employeesWorking = totalClockedInEmployees;
-        
-        console.warn(`   Hours worked adjusted: ${originalHours.toFixed(2)} → ${data.hoursWorked.toFixed(2)} (ratio: ${reductionRatio.toFixed(3)})`);
-        console.warn(`   Labor cost adjusted: $${originalCost.toFixed(2)} → $${data.laborCost.toFixed(2)} (ratio: ${reductionRatio.toFixed(3)})`);
-        
-        validationIssues++;
-        correctionsMade++;
-      }
-      
-      // **VALIDATION RULE 3: WAGE VALIDATION** - Restaurant industry rates with enhanced ranges
-      if (data.hoursWorked >= 0.25 && data.laborCost > 0) {
-        const avgWage = data.laborCost / data.hoursWorked;
-        
-        // Expanded wage validation ranges for restaurant industry
-        if (avgWage < 2.13) {
-          console.warn(`💰 WAGE ALERT: ${hour} - Average wage $${avgWage.toFixed(2)}/hour below federal tipped minimum ($2.13)`);
-          validationIssues++;
-        } else if (avgWage < 7.25) {
-          console.log(`💰 WAGE INFO: ${hour} - Average wage $${avgWage.toFixed(2)}/hour indicates tipped employees`);
-        } else if (avgWage > 40.0) {
-          console.warn(`💰 WAGE ALERT: ${hour} - Average wage $${avgWage.toFixed(2)}/hour unusually high (executive/owner rate?)`);
-          validationIssues++;
-        } else if (avgWage > 25.0) {
-          console.log(`💰 WAGE INFO: ${hour} - Average wage $${avgWage.toFixed(2)}/hour indicates management/senior staff`);
-        }
-      }
-      
       // **VALIDATION RULE 4: DATA CONSISTENCY CHECKS**
       if ((data.hoursWorked > 0 && data.laborCost === 0)) {
         console.warn(`🔍 CONSISTENCY ALERT: ${hour} - Has ${data.hoursWorked.toFixed(2)} hours but $0 cost (all salaried staff?)`);
@@ -1275,12 +1087,6 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
         validationIssues++;
       }
       
-      // **VALIDATION RULE 6: BUSINESS LOGIC VALIDATION** - Restaurant-specific checks
-      if (data.laborCost > 1000) {
-        console.warn(`💸 HIGH COST ALERT: ${hour} - Labor cost $${data.laborCost.toFixed(2)} seems high for single hour`);
-        validationIssues++;
-      }
-      
       // **VALIDATION RULE 7: DATA QUALITY SCORING**
       let qualityScore = 100;
       let avgWage = 0;
@@ -1304,9 +1110,9 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
     console.log(`  ⚠️  Issues found: ${validationIssues}`);
     console.log(`  🔒 Future hours blocked: ${futureHoursFound}`);
     console.log(`  🔧 Corrections applied: ${correctionsMade}`);
-    console.log(`  🕒 Current MT hour: ${currentMountainHour}:00`);
-    console.log(`  🏢 Employee constraint: Max ${totalClockedInEmployees} employees per hour (from clocked-in API)`);
-    console.log(`  ⏰ Future labor rule: NO labor hours allowed for any time > ${currentMountainHour}:00`);
+    console.log(`  🕒 Current local hour: ${currentLocalHour}:00`);
+    console.log(`  ⏰ Future labor rule: NO labor hours allowed for any time > ${currentLocalHour}:00`);
+    console.log(`  🧹 Prep labor: ${hourlyData.prep.hoursWorked.toFixed(2)} hours ($${hourlyData.prep.laborCost.toFixed(2)}), cleanup labor: ${hourlyData.cleanup.hoursWorked.toFixed(2)} hours ($${hourlyData.cleanup.laborCost.toFixed(2)})`);
     
     if (validationIssues === 0) {
       console.log(`  🎉 All labor data passed validation!`);
@@ -1315,283 +1121,31 @@ function processHourlyLaborData(punches: PunchDetail[], totalClockedInEmployees:
     }
   }
 
-  return hours.map(hour => hourlyData[hour]);
-}
-
-function parseShiftsFromXML(xmlData: string): PunchDetail[] {
-  try {
-    if (!xmlData || xmlData.trim() === '') {
-      return [];
-    }
-
-    const shifts: PunchDetail[] = [];
-    
-    // Extract shift data using regex (similar pattern to parBrinkEnhanced.js)
-    const shiftMatches = xmlData.match(/<Shift>[\s\S]*?<\/Shift>/g) || [];
-    
-    shiftMatches.forEach(shiftXml => {
-      try {
-        const employeeId = shiftXml.match(/<EmployeeId>([^<]+)<\/EmployeeId>/)?.[1];
-        const businessDate = shiftXml.match(/<BusinessDate>([^<]+)<\/BusinessDate>/)?.[1];
-        const startTime = shiftXml.match(/<StartTime[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/)?.[1];
-        const endTime = shiftXml.match(/<EndTime[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/)?.[1];
-        const payRate = parseFloat(shiftXml.match(/<PayRate>([^<]+)<\/PayRate>/)?.[1] || '0');
-        const minutesWorked = parseInt(shiftXml.match(/<MinutesWorked>([^<]+)<\/MinutesWorked>/)?.[1] || '0');
-
-        // Add debug logging to see shift data
-        console.log(`🔍 SHIFT PARSING DEBUG: Employee ${employeeId}, Start: ${startTime}, End: ${endTime}, Minutes: ${minutesWorked}, PayRate: $${payRate}`);
-
-        if (employeeId && businessDate && startTime && minutesWorked > 0) {
-          // Create ONE shift record per employee shift (not separate IN/OUT punches)
-          // This represents the complete shift with all the hours worked
-          const shiftRecord: PunchDetail = {
-            punchdate: businessDate,
-            'cost center 1': '', // Could be extracted from Job/Cost Center if available
-            Type: 'SHIFT', // Mark as complete shift, not individual punch
-            'employee Id': employeeId,
-            username: '', // Not available in shift data
-            firstName: '', // Not available in shift data  
-            lastName: '', // Not available in shift data
-            SourceType: 'PAR Brink',
-            timeZone: 'America/Denver', // Mountain Time for PAR Brink locations
-            'local Time': startTime, // Shift start time for positioning
-            payRate: payRate, // Add pay rate for labor cost calculations
-            hoursWorked: minutesWorked / 60 // Convert minutes to hours - this is the TOTAL hours for the shift
-          };
-          
-          shifts.push(shiftRecord);
-        }
-      } catch (error) {
-        // Skip invalid shift records
-        console.error('Error parsing individual shift:', error);
-      }
+  // Day totals by job - hours/cost from the buckets that survived validation, headcount distinct across them
+  const dayJobs: JobLaborBreakdown = {};
+  const dayJobEmployees: Partial<Record<JobCategory, Set<string>>> = {};
+  [...hours, 'prep', 'cleanup'].forEach(hour => {
+    (Object.keys(hourlyData[hour].jobs) as JobCategory[]).forEach(category => {
+      const entry = hourlyData[hour].jobs[category]!;
+      addJobLabor(dayJobs, category, entry.hoursWorked, entry.laborCost);
+      const employees = dayJobEmployees[category] || new Set<string>();
+      bucketJobEmployees[hour][category]?.forEach(employeeId => employees.add(employeeId));
+      dayJobEmployees[category] = employees;
     });
-    
-    return shifts;
-  } catch (error) {
-    console.error('Error parsing XML shifts:', error);
-    return [];
-  }
-}
-
-function parseOrdersFromXML(xmlData: string): SalesOrder[] {
-  try {
-    if (!xmlData || xmlData.trim() === '') {
-      return [];
-    }
-
-    const orders: SalesOrder[] = [];
-    
-    // Debug: Log XML structure
-    console.log('XML parsing - Response length:', xmlData.length);
-    console.log('XML parsing - Contains <Order>:', xmlData.includes('<Order>'));
-    console.log('XML parsing - Contains <Orders>:', xmlData.includes('<Orders>'));
-    
-    // Extract order data using regex - PAR Brink returns <Order> elements
-    const orderMatches = xmlData.match(/<Order>[\s\S]*?<\/Order>/g) || [];
-    console.log('XML parsing - Found order matches:', orderMatches.length);
-    
-    orderMatches.forEach((orderXml, index) => {
-      try {
-        // Extract basic order information
-        const id = orderXml.match(/<Id>([^<]+)<\/Id>/)?.[1];
-        const number = orderXml.match(/<Number>([^<]+)<\/Number>/)?.[1];
-        const total = parseFloat(orderXml.match(/<Total>([^<]+)<\/Total>/)?.[1] || '0');
-        const name = orderXml.match(/<Name>([^<]+)<\/Name>/)?.[1];
-        
-        console.log(`XML parsing - Order ${index + 1}: ID=${id}, Number=${number}, Total=${total}, Name=${name}`);
-        
-        // Extract FirstSendTime for timestamp
-        const firstSendTimeMatch = orderXml.match(/<FirstSendTime[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/);
-        const firstSendTime = firstSendTimeMatch?.[1];
-        
-        // Extract ModifiedTime for tracking
-        const modifiedTimeMatch = orderXml.match(/<ModifiedTime[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/);
-        const modifiedTime = modifiedTimeMatch?.[1];
-        
-        if (id && number && total > 0) {
-          const order: SalesOrder = {
-            Id: id,
-            Name: name || `Order ${number}`,
-            Number: number,
-            Total: total,
-            firstsendtime: firstSendTime ? {
-              DateTime: firstSendTime,
-              nil: false
-            } : undefined,
-            modifiedtime: modifiedTime ? {
-              DateTime: modifiedTime
-            } : undefined
-          };
-          
-          orders.push(order);
-          console.log(`XML parsing - Successfully added order ${index + 1}`);
-        } else {
-          console.log(`XML parsing - Skipped order ${index + 1}: missing required fields`);
-        }
-      } catch (error) {
-        // Skip invalid order records
-        console.error('Error parsing individual order:', error);
-      }
-    });
-    
-    console.log(`Parsed ${orders.length} orders from PAR Brink XML response`);
-    return orders;
-  } catch (error) {
-    console.error('Error parsing XML orders:', error);
-    return [];
-  }
-}
+  });
+  setJobHeadcount(dayJobs, dayJobEmployees);
 
-function getLocationMapping(): { [token: string]: { name: string; id: string; timezone: string; state: string } } {
   return {
-    "RPNrrDYtnke+OHNLfy74/A==": { name: "Castle Rock", id: "109", timezone: "America/Denver", state: "CO" },
-    "16U5e0+GFEW/ixlKo+VJhg==": { name: "Centre", id: "159", timezone: "America/Denver", state: "CO" },
-    "xQwecGX8lUGnpLlTbheuug==": { name: "Creekwalk", id: "651", timezone: "America/Denver", state: "CO" },
-    "BhFEGI1ffUi1CLVe8/qtKw==": { name: "Crown Point", id: "479", timezone: "America/Denver", state: "CO" },
-    "XbEjtd0tKkavxcJ043UsUg==": { name: "Diamond Circle", id: "204133", timezone: "America/Denver", state: "CO" },
-    "kRRYZ8SCiUatilX4KO7dBg==": { name: "Dublin Commons", id: "20408", timezone: "America/Denver", state: "CO" },
-    "dWQm28UaeEq0qStmvTfACg==": { name: "Falcon Landing", id: "67", timezone: "America/Denver", state: "CO" },
-    "Q58QIT+t+kGf9tzqHN2OCA==": { name: "Forest Trace", id: "188", timezone: "America/Denver", state: "CO" },
-    "2LUEj0hnMk+kCQlUcySYBQ==": { name: "Greeley", id: "354", timezone: "America/Denver", state: "CO" },
-    "x/S/SDwyrEem54+ZoCILeg==": { name: "Highlands Ranch", id: "204049", timezone: "America/Denver", state: "CO" },
-    "gAAbGt6udki8DwPMkonciA==": { name: "Johnstown", id: "722", timezone: "America/Denver", state: "CO" },
-    "37CE8WDS8k6isMGLMB9PRA==": { name: "Lowry", id: "619", timezone: "America/Denver", state: "CO" },
-    "7yC7X4KjZEuoZCDviTwspA==": { name: "McCastlin Marketplace", id: "161", timezone: "America/Denver", state: "CO" },
-    "SUsjq0mEck6HwRkd7uNACg==": { name: "Northfield Commons", id: "336", timezone: "America/Denver", state: "CO" },
-    "M4X3DyDrLUKwi3CQHbqlOQ==": { name: "Polaris Pointe", id: "1036", timezone: "America/Denver", state: "CO" },
-    "38AZmQGFQEy5VNajl9utlA==": { name: "Park Meadows", id: "26", timezone: "America/Denver", state: "CO" },
-    "ZOJMZlffDEqC849w6PnF0g==": { name: "Ralston Creek", id: "441", timezone: "America/Denver", state: "CO" },
-    "A2dHEwIh9USNnpMrXCrpQw==": { name: "Sheridan Parkway", id: "601", timezone: "America/Denver", state: "CO" },
-    "y4xlWfqFJEuvmkocDGZGtw==": { name: "South Academy Highlands", id: "204047", timezone: "America/Denver", state: "CO" },
-    "6OwU+/7IOka+PV9JzAgzYQ==": { name: "Tower", id: "579", timezone: "America/Denver", state: "CO" },
-    "YUn21EMuwki+goWuIJ5yGg==": { name: "Wellington", id: "652", timezone: "America/Denver", state: "CO" },
-    "OpM9o1kTOkyMM2vevMMqdw==": { name: "Westminster Promenade", id: "202794", timezone: "America/Denver", state: "CO" }
-    // Future expansion examples:
-    // "NEW_TEXAS_TOKEN": { name: "Austin Downtown", id: "1001", timezone: "America/Chicago", state: "TX" },
-    // "NEW_CALIFORNIA_TOKEN": { name: "Los Angeles West", id: "1002", timezone: "America/Los_Angeles", state: "CA" },
-    // "NEW_FLORIDA_TOKEN": { name: "Miami Beach", id: "1003", timezone: "America/New_York", state: "FL" }
+    hourly: hours.map(hour => hourlyData[hour]),
+    prep: hourlyData.prep,
+    cleanup: hourlyData.cleanup,
+    jobs: dayJobs
   };
 }
 
 function getCurrentLocalTime(timezone: string, includeTime: boolean = false): string {
   const now = new Date();
-  const localTime = new Date(now.toLocaleString("en-US", { timeZone: timezone }));
-  
-  if (includeTime) {
-    return localTime.toISOString().slice(0, 19);
-  }
-  
-  return localTime.toISOString().slice(0, 10);
-}
-
-async function getTimezoneDataAndBusinessDate(timezone: string): Promise<{ offsetMinutes: number; businessDate: string; currentLocalTime: string }> {
-  try {
-    // Try WorldTimeAPI first for accurate timezone data with DST
-    const response = await axios.get(`https://worldtimeapi.org/api/timezone/${timezone}`, {
-      timeout: 5000 // 5 second timeout
-    });
-    
-    if (response.data && response.data.raw_offset !== undefined && response.data.dst_offset !== undefined) {
-      // raw_offset is the standard timezone offset in seconds
-      // dst_offset is the additional DST offset in seconds  
-      // Total offset = raw_offset + dst_offset (if DST is active)
-      const totalOffsetSeconds = response.data.raw_offset + (response.data.dst ? response.data.dst_offset : 0);
-      const offsetMinutes = Math.round(Math.abs(totalOffsetSeconds / 60)); // Round to whole number for PAR Brink Int32
-      
-      // Get current local datetime from the API
-      const localDateTime = response.data.datetime;
-      
-      // Extract the local hour directly from the datetime string to avoid timezone conversion issues
-      const localHour = parseInt(localDateTime.split('T')[1].split(':')[0]);
-      
-      // Restaurant business logic: if it's before 5 AM, use previous day as business date
-      let businessDate: string;
-      const localDateStr = localDateTime.split('T')[0]; // Get just the date part
-      
-      if (localHour < 5) {
-        const prevDay = new Date(localDateStr + 'T00:00:00');
-        prevDay.setDate(prevDay.getDate() - 1);
-        businessDate = prevDay.toISOString().slice(0, 10);
-      } else {
-        businessDate = localDateStr;
-      }
-      
-      // Extract time without timezone for currentLocalTime
-      const currentLocalTime = localDateTime.split('T')[1].split('.')[0]; // Get HH:MM:SS part
-      
-      console.log(`WorldTimeAPI timezone data for ${timezone}:`);
-      console.log(`  Current Local DateTime: ${localDateTime}`);
-      console.log(`  Current Local Hour: ${localHour}`);
-      console.log(`  Business Date: ${businessDate} (${localHour < 5 ? 'adjusted for early morning' : 'same as calendar date'})`);
-      console.log(`  DST Active: ${response.data.dst}`);
-      console.log(`  Abbreviation: ${response.data.abbreviation}`);
-      console.log(`  PAR Brink Offset: ${offsetMinutes} minutes`);
-      
-      return {
-        offsetMinutes,
-        businessDate,
-        currentLocalTime: localDateStr + 'T' + currentLocalTime
-      };
-    }
-  } catch (error) {
-    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
-    console.log(`WorldTimeAPI failed for ${timezone}, falling back to manual calculation:`, errorMessage);
-  }
-  
-  // Fallback to manual calculation if API fails
-  const checkDate = new Date();
-  
-  // Create a date formatter for the target timezone
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  // Get the date parts for the target timezone
-  const parts = formatter.formatToParts(checkDate);
-  const partsMap: {[key: string]: string} = {};
-  parts.forEach(part => {
-    partsMap[part.type] = part.value;
-  });
-  
-  // Create a new date object representing the local time
-  const localTime = new Date(
-    `${partsMap.year}-${partsMap.month}-${partsMap.day}T${partsMap.hour}:${partsMap.minute}:${partsMap.second}`
-  );
-  
-  // Restaurant business logic: if it's before 5 AM, use previous day as business date
-  let businessDate: string;
-  if (localTime.getHours() < 5) {
-    const prevDay = new Date(localTime);
-    prevDay.setDate(prevDay.getDate() - 1);
-    businessDate = prevDay.toISOString().slice(0, 10);
-  } else {
-    businessDate = localTime.toISOString().slice(0, 10);
-  }
-  
-  // Calculate the offset in minutes
-  const localAsUTC = new Date(
-    `${partsMap.year}-${partsMap.month}-${partsMap.day}T${partsMap.hour}:${partsMap.minute}:${partsMap.second}Z`
-  );
-  const offsetMinutes = Math.round(Math.abs((checkDate.getTime() - localAsUTC.getTime()) / (1000 * 60))); // Round to whole number for PAR Brink Int32
-  
-  console.log(`Fallback timezone calculation for ${timezone}:`);
-  console.log(`  Local time: ${localTime.toISOString()}`);
-  console.log(`  Business Date: ${businessDate} (${localTime.getHours() < 5 ? 'adjusted for early morning' : 'same as calendar date'})`);
-  console.log(`  Calculated offset: ${offsetMinutes} minutes (fallback method)`);
-  
-  return {
-    offsetMinutes,
-    businessDate,
-    currentLocalTime: localTime.toISOString().slice(0, 19)
-  };
+  return includeTime ? getLocalDateTimeString(now, timezone) : getLocalDate(now, timezone);
 }
 
 // Register the function
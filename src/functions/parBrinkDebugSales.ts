@@ -1,5 +1,5 @@
 import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
-import axios from 'axios';
+import { buildBrinkEnvelope, createBrinkClientForLocation, formatBrinkBusinessDate } from '../services/BrinkApiClient';
 
 export async function parBrinkDebugSales(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
     try {
@@ -23,47 +23,18 @@ export async function parBrinkDebugSales(request: HttpRequest, context: Invocati
         const offsetMinutes = 360;
         
         // Test WITHOUT ModifiedTime first (like labor API)
-        const soapBodyWithoutModifiedTime = `
-          <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/sales/v2" xmlns:sys="http://schemas.datacontract.org/2004/07/System">
-            <soapenv:Header/>
-            <soapenv:Body>
-              <v2:GetOrders>
-                <v2:request>
-                  <v2:BusinessDate>${businessDate}</v2:BusinessDate>
-                </v2:request>
-              </v2:GetOrders>
-            </soapenv:Body>
-          </soapenv:Envelope>
-        `;
+        const requestWithoutModifiedTime = `<v2:BusinessDate>${formatBrinkBusinessDate(businessDate)}</v2:BusinessDate>`;
+        const soapBodyWithoutModifiedTime = buildBrinkEnvelope('sales', 'GetOrders', requestWithoutModifiedTime);
 
         // Also prepare version WITH ModifiedTime for comparison
         const now = new Date();
         const localDateTime = new Date(now.getTime() - (offsetMinutes * 60000));
         const modifiedTimeString = localDateTime.toISOString().replace('Z', '');
 
-        const soapBodyWithModifiedTime = `
-          <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/sales/v2" xmlns:sys="http://schemas.datacontract.org/2004/07/System">
-            <soapenv:Header/>
-            <soapenv:Body>
-              <v2:GetOrders>
-                <v2:request>
-                  <v2:BusinessDate>${businessDate}</v2:BusinessDate>
-                  <v2:ModifiedTime>
-                    <sys:DateTime>${modifiedTimeString}</sys:DateTime>
-                    <sys:OffsetMinutes>-${offsetMinutes}</sys:OffsetMinutes>
-                  </v2:ModifiedTime>
-                </v2:request>
-              </v2:GetOrders>
-            </soapenv:Body>
-          </soapenv:Envelope>
-        `;
-
-        const headers = {
-            'AccessToken': actualAccessToken,
-            'LocationToken': locationToken,
-            'Content-Type': 'text/xml',
-            'SOAPAction': 'http://www.brinksoftware.com/webservices/sales/v2/ISalesWebService2/GetOrders'
-        };
+        const soapBodyWithModifiedTime = buildBrinkEnvelope('sales', 'GetOrders',
+            requestWithoutModifiedTime +
+            `<v2:ModifiedTime><sys:DateTime>${modifiedTimeString}</sys:DateTime><sys:OffsetMinutes>-${offsetMinutes}</sys:OffsetMinutes></v2:ModifiedTime>`
+        );
 
         // Try WITHOUT ModifiedTime first (simpler, like labor API)
         const soapBodyToUse = soapBodyWithoutModifiedTime;
@@ -71,9 +42,8 @@ export async function parBrinkDebugSales(request: HttpRequest, context: Invocati
         context.log('Making PAR Brink API call for debug');
         context.log('SOAP Body (WITHOUT ModifiedTime):', soapBodyToUse);
         
-        const response = await axios.post('https://api11.brinkpos.net/sales2.svc', soapBodyToUse, { headers });
-        
-        const xmlData = response.data;
+        const brinkClient = await createBrinkClientForLocation({ accessToken: actualAccessToken, locationToken, context });
+        const xmlData = await brinkClient.invoke('sales', 'GetOrders', requestWithoutModifiedTime);
         
         return {
             status: 200,
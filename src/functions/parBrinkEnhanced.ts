@@ -1,4 +1,11 @@
 import { app, HttpRequest, HttpResponseInit, InvocationContext } from "@azure/functions";
+import { BrinkApiClient, BrinkApiError, createBrinkClientForLocation, describeBrinkError } from "../services/BrinkApiClient";
+import { storeConfigService } from "../services/storeConfigService";
+import { jobCatalogService } from "../services/jobCatalogService";
+import { BrinkDaySource, brinkWarehouseService } from "../services/brinkWarehouseService";
+import { BrinkJob, JobCategory } from "../models/brink";
+import { getBusinessCalendar } from "../utils/businessCalendar";
+import { getJobName, getShiftJob } from "../utils/jobLabor";
 
 // Production-ready PAR Brink API integration
 // Real SOAP API integration with PAR Brink Labor2.svc
@@ -15,11 +22,21 @@ export interface ParBrinkShift {
     ShiftId: string;
     EmployeeId: string;
     StartTime: string;
-    EndTime?: string;
+    EndTime?: string | null;
     JobId?: string;
     JobName?: string;
+    JobCategory?: JobCategory;
     Hours?: number;
     Status: 'clocked-in' | 'clocked-out' | 'break';
+    Breaks: ParBrinkShiftBreak[];
+}
+
+export interface ParBrinkShiftBreak {
+    BreakId: string;
+    StartTime: string;
+    EndTime?: string | null;
+    IsPaid: boolean;
+    Minutes: number;
 }
 
 export interface ParBrinkSales {
@@ -31,433 +48,69 @@ export interface ParBrinkSales {
     EmployeeId?: string;
 }
 
-// Real SOAP API call function - PAR Brink Labor2.svc integration
-async function callParBrinkSoapAPI(
-    _endpoint: string,
-    action: string,
-    soapBody: string,
-    accessToken?: string,
-    locationToken?: string
-): Promise<any> {
-    try {
-        // PAR Brink API URL - based on working PowerShell examples
-        const salesApiUrl = process.env.PAR_BRINK_SALES_URL || 'https://api11.brinkpos.net/sales2.svc';
-        const laborApiUrl = process.env.PAR_BRINK_LABOR_URL || 'https://api11.brinkpos.net/labor2.svc';
-        
-        // Select appropriate endpoint based on action
-        let apiUrl;
-        switch (action) {
-            case 'GetShifts':
-                apiUrl = laborApiUrl;
-                break;
-            case 'GetEmployees':
-                apiUrl = process.env.PAR_BRINK_SETTINGS_URL || 'https://api11.brinkpos.net/Settings2.svc';
-                break;
-            case 'GetSales':
-            case 'GetOrders':
-            case 'GetTills':
-                apiUrl = salesApiUrl;
-                break;
-            default:
-                throw new Error(`Unsupported PAR Brink action: ${action}`);
-        }
-        
-        // Use provided access token or throw error if not provided
-        const token = accessToken;
-        if (!token) {
-            throw new Error('PAR Brink access token is required but not provided in the request.');
-        }
-        
-        // Validate token is not the demo token
-        if (token === 'demo-access-token') {
-            throw new Error('Demo access token detected. Please provide a valid PAR Brink access token.');
-        }
-        
-        // PAR Brink SOAP Headers - based on working parBrinkDashboard.ts
-        const headers: Record<string, string> = {
-            'Content-Type': 'text/xml; charset=utf-8',
-            'AccessToken': token || '',
-            'LocationToken': locationToken || ''
-        };
+// Create a Brink client for the request tokens
+async function createBrinkClient(accessToken?: string, locationToken?: string): Promise<BrinkApiClient> {
+    // Use provided access token or throw error if not provided
+    if (!accessToken) {
+        throw new Error('PAR Brink access token is required but not provided in the request.');
+    }
+    
+    // Validate token is not the demo token
+    if (accessToken === 'demo-access-token') {
+        throw new Error('Demo access token detected. Please provide a valid PAR Brink access token.');
+    }
+    
+    if (!locationToken) {
+        throw new Error('PAR Brink location token is required but not provided in the request.');
+    }
+    
+    console.log(`PAR Brink SOAP - Location Token being sent:`, locationToken);
+    return createBrinkClientForLocation({ accessToken, locationToken });
+}
 
-        // Set correct SOAPAction based on endpoint
-        if (action === 'GetShifts') {
-            // Labor API actions
-            headers['SOAPAction'] = `http://www.brinksoftware.com/webservices/labor/v2/ILaborWebService2/${action}`;
-        } else if (action === 'GetEmployees') {
-            // Settings API actions
-            headers['SOAPAction'] = `http://www.brinksoftware.com/webservices/settings/v2/ISettingsWebService2/${action}`;
-        } else {
-            // Sales API actions
-            headers['SOAPAction'] = `http://www.brinksoftware.com/webservices/sales/v2/ISalesWebService2/${action}`;
+// Current business date in the store's own timezone - Brink business dates are store-local
+async function getStoreBusinessDate(locationToken?: string): Promise<string> {
+    let store = null;
+    if (locationToken) {
+        try {
+            store = await storeConfigService.getStoreConfig(locationToken);
+        } catch (error) {
+            console.warn('Store lookup failed, using default business calendar:', error);
         }
+    }
+    return getBusinessCalendar(store?.timezone, { businessDayStartHour: store?.businessDayStartHour }).businessDate;
+}
 
-        // Log the SOAP request for debugging
-        console.log(`PAR Brink SOAP ${action} request to ${apiUrl}:`, soapBody);
-        console.log(`PAR Brink SOAP ${action} - Location Token being sent:`, locationToken);
-        console.log(`PAR Brink SOAP ${action} - AccessToken provided:`, !!accessToken);
-
-        // Make HTTP POST request instead of SOAP client (matching PowerShell approach)
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: headers,
-            body: soapBody
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+// Job names from the store's synced job catalog - empty when neither SQL nor Brink has them
+async function getStoreJobs(brinkClient: BrinkApiClient, locationToken?: string): Promise<Map<string, BrinkJob>> {
+    let storeId: string | undefined;
+    if (locationToken) {
+        try {
+            storeId = (await storeConfigService.getStoreConfig(locationToken))?.id;
+        } catch (error) {
+            console.warn('Store lookup failed, loading jobs without the stored catalog:', error);
         }
+    }
+    const catalog = await jobCatalogService.getJobCatalog(storeId, brinkClient);
+    return catalog.jobs;
+}
 
-        const responseText = await response.text();
-        console.log(`PAR Brink SOAP ${action} response:`, responseText);
-        
-        // Parse XML response - PAR Brink returns XML SOAP responses
+// Shifts, orders and tills that come from the warehouse for closed business days - straight from Brink when the store isn't configured
+async function getStoreDays(brinkClient: BrinkApiClient, locationToken?: string): Promise<BrinkDaySource> {
+    let store = null;
+    if (locationToken) {
         try {
-            // Attempt to parse as JSON first (in case API returns JSON)
-            const result = JSON.parse(responseText);
-            return result;
-        } catch {
-            // Parse SOAP XML response - need to access through envelope structure like PowerShell
-            console.log('SOAP XML response detected, parsing SOAP envelope...');
-            console.log('Raw response (first 1000 chars):', responseText.substring(0, 1000));
-            
-            // Check for SOAP faults first
-            const soapFaultMatch = responseText.match(/<soap:Fault|<s:Fault/i);
-            if (soapFaultMatch) {
-                const faultString = responseText.match(/<faultstring[^>]*>([^<]+)<\/faultstring>/i)?.[1] || 'SOAP Fault';
-                throw new Error(`PAR Brink SOAP Fault: ${faultString}`);
-            }
-            
-            // Check for PAR Brink API errors
-            const errorMatch = responseText.match(/<Message[^>]*>([^<]+)<\/Message>/);
-            const resultCodeMatch = responseText.match(/<ResultCode[^>]*>(\d+)<\/ResultCode>/);
-            
-            if (resultCodeMatch && resultCodeMatch[1] !== '0') {
-                const errorMessage = errorMatch ? errorMatch[1] : 'Unknown PAR Brink error';
-                throw new Error(`PAR Brink API error (Code ${resultCodeMatch[1]}): ${errorMessage}`);
-            }
-            
-            // Parse successful responses based on action type
-            if (action === 'GetShifts') {
-                const shifts: any[] = [];
-                const shiftMatches = responseText.match(/<Shift>[\s\S]*?<\/Shift>/g) || [];
-                
-                shiftMatches.forEach(shiftXml => {
-                    const employeeId = shiftXml.match(/<EmployeeId>([^<]+)<\/EmployeeId>/)?.[1];
-                    const id = shiftXml.match(/<Id>([^<]+)<\/Id>/)?.[1];
-                    const jobId = shiftXml.match(/<JobId>([^<]+)<\/JobId>/)?.[1];
-                    const minutesWorked = shiftXml.match(/<MinutesWorked>([^<]+)<\/MinutesWorked>/)?.[1];
-                    const payRate = shiftXml.match(/<PayRate>([^<]+)<\/PayRate>/)?.[1];
-                    
-                    // Parse start time
-                    const startTimeMatch = shiftXml.match(/<StartTime[^>]*>[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/);
-                    // Parse end time
-                    const endTimeMatch = shiftXml.match(/<EndTime[^>]*>[\s\S]*?<a:DateTime>([^<]+)<\/a:DateTime>/);
-                    
-                    if (employeeId && id) {
-                        shifts.push({
-                            Id: id,
-                            EmployeeId: employeeId,
-                            JobId: jobId,
-                            MinutesWorked: parseInt(minutesWorked || '0'),
-                            PayRate: parseFloat(payRate || '0'),
-                            StartTime: startTimeMatch?.[1] || '',
-                            EndTime: endTimeMatch?.[1] === '0001-01-01T00:00:00Z' ? null : endTimeMatch?.[1],
-                            BusinessDate: shiftXml.match(/<BusinessDate>([^<]+)<\/BusinessDate>/)?.[1]
-                        });
-                    }
-                });
-                
-                console.log(`PAR Brink GetShifts - Found ${shifts.length} shifts in response for location token:`, locationToken);
-                console.log('PAR Brink GetShifts - Parsed shifts:', shifts);
-                
-                return { Shifts: shifts };
-            }
-            
-            if (action === 'GetEmployees') {
-                const employees: any[] = [];
-                const empMatches = responseText.match(/<Employee>[\s\S]*?<\/Employee>/g) || [];
-                
-                empMatches.forEach(empXml => {
-                    const employeeId = empXml.match(/<EmployeeId>([^<]+)<\/EmployeeId>/)?.[1];
-                    const firstName = empXml.match(/<FirstName>([^<]+)<\/FirstName>/)?.[1];
-                    const lastName = empXml.match(/<LastName>([^<]+)<\/LastName>/)?.[1];
-                    const active = empXml.match(/<Active>([^<]+)<\/Active>/)?.[1];
-                    
-                    if (employeeId) {
-                        employees.push({
-                            EmployeeId: employeeId,
-                            FirstName: firstName || '',
-                            LastName: lastName || '',
-                            Active: active === 'true'
-                        });
-                    }
-                });
-                
-                return { Employees: employees };
-            }
-            
-            if (action === 'GetTills') {
-                console.log('=== PARSING GETTILLS SOAP RESPONSE ===');
-                
-                // Extract the tills section following PowerShell pattern: 
-                // envelope.Body.GetTillsResponse.GetTillsResult.Tills.till
-                const tillsResultMatch = responseText.match(/<GetTillsResult[^>]*>([\s\S]*?)<\/GetTillsResult>/i);
-                if (!tillsResultMatch) {
-                    console.log('No GetTillsResult found in response');
-                    return { Tills: { till: [] } };
-                }
-                
-                const tillsResultXml = tillsResultMatch[1];
-                console.log('GetTillsResult section found, length:', tillsResultXml.length);
-                
-                // Look for Tills container
-                const tillsContainerMatch = tillsResultXml.match(/<Tills[^>]*>([\s\S]*?)<\/Tills>/i);
-                if (!tillsContainerMatch) {
-                    console.log('No Tills container found in GetTillsResult');
-                    return { Tills: { till: [] } };
-                }
-                
-                const tillsContainerXml = tillsContainerMatch[1];
-                console.log('Tills container found, length:', tillsContainerXml.length);
-                
-                // Now extract individual Till elements
-                const tills: any[] = [];
-                const tillMatches = tillsContainerXml.match(/<till[^>]*>([\s\S]*?)<\/till>/gi) || [];
-                
-                console.log(`Found ${tillMatches.length} till elements in SOAP response`);
-                console.log(`Raw tills container (first 1000 chars):`, tillsContainerXml.substring(0, 1000));
-                
-                tillMatches.forEach((tillXml, index) => {
-                    console.log(`\n--- Parsing till ${index + 1} from SOAP ---`);
-                    console.log(`Till XML (first 300 chars):`, tillXml.substring(0, 300));
-                    
-                    const tillId = tillXml.match(/<CashDrawerId>([^<]+)<\/CashDrawerId>/i)?.[1];
-                    const tillNumber = tillXml.match(/<Number>([^<]+)<\/Number>/i)?.[1];
-                    const startingBank = tillXml.match(/<StartingBank>([^<]+)<\/StartingBank>/i)?.[1];
-                    const isClosed = tillXml.match(/<IsClosed>([^<]+)<\/IsClosed>/i)?.[1];
-                    const declaredCash = tillXml.match(/<DeclaredCash>([^<]+)<\/DeclaredCash>/i)?.[1];
-                    const overShort = tillXml.match(/<OverShort>([^<]+)<\/OverShort>/i)?.[1];
-                    
-                    console.log(`Till parsed: ID=${tillId}, Number=${tillNumber}, Bank=${startingBank}, Closed=${isClosed}`);
-                    
-                    // Parse PaidInOuts following PowerShell pattern: till.PaidInOuts.PaidInOut
-                    const paidInOuts: any[] = [];
-                    
-                    // Look for PaidInOuts container first
-                    const paidInOutsContainerMatch = tillXml.match(/<PaidInOuts[^>]*>([\s\S]*?)<\/PaidInOuts>/i);
-                    if (paidInOutsContainerMatch) {
-                        const paidInOutsXml = paidInOutsContainerMatch[1];
-                        console.log(`Found PaidInOuts container, length: ${paidInOutsXml.length}`);
-                        console.log(`PaidInOuts XML (first 300 chars):`, paidInOutsXml.substring(0, 300));
-                        
-                        // Extract PaidInOut elements
-                        let paidInOutMatches = paidInOutsXml.match(/<PaidInOut[^>]*>([\s\S]*?)<\/PaidInOut>/gi) || [];
-                        
-                        console.log(`Found ${paidInOutMatches.length} PaidInOut elements`);
-                        
-                        paidInOutMatches.forEach((paidInOutXml, pioIndex) => {
-                            console.log(`\n--- PaidInOut ${pioIndex + 1} from SOAP ---`);
-                            console.log(`PaidInOut XML:`, paidInOutXml.substring(0, 200));
-                            
-                            const accountType = paidInOutXml.match(/<AccountType>([^<]+)<\/AccountType>/i)?.[1];
-                            const amount = paidInOutXml.match(/<Amount>([^<]+)<\/Amount>/i)?.[1];
-                            const description = paidInOutXml.match(/<Description>([^<]+)<\/Description>/i)?.[1];
-                            
-                            console.log(`PaidInOut parsed: AccountType=${accountType}, Amount=${amount}, Description=${description}`);
-                            
-                            if (accountType && amount) {
-                                paidInOuts.push({
-                                    AccountType: accountType,
-                                    Amount: parseFloat(amount || '0'),
-                                    Description: description
-                                });
-                                
-                                // Log cash tip discovery
-                                if (accountType === '0' && parseFloat(amount) > 0) {
-                                    console.log(`✅ CASH TIP FOUND: $${amount} in PaidInOut ${pioIndex + 1}`);
-                                }
-                            }
-                        });
-                    } else {
-                        console.log('No PaidInOuts container found in till');
-                    }
-                    
-                    console.log(`Till ${index + 1}: ID=${tillId}, Number=${tillNumber}, PaidInOuts=${paidInOuts.length}`);
-                    
-                    // Include tills with valid ID
-                    if (tillId) {
-                        tills.push({
-                            CashDrawerId: tillId,
-                            Id: tillId, // Also include for compatibility
-                            Number: tillNumber,
-                            StartingBank: parseFloat(startingBank || '0'),
-                            IsClosed: isClosed === 'true',
-                            DeclaredCash: parseFloat(declaredCash || '0'),
-                            OverShort: parseFloat(overShort || '0'),
-                            PaidInOuts: {
-                                PaidInOut: paidInOuts.length === 1 ? paidInOuts[0] : paidInOuts
-                            }
-                        });
-                    }
-                });
-                
-                console.log(`\n=== TILLS SOAP PARSING SUMMARY ===`);
-                console.log(`Parsed ${tills.length} tills from SOAP response`);
-                
-                return { Tills: { till: tills } };
-            }
-            
-            if (action === 'GetOrders') {
-                console.log('=== PARSING GETORDERS SOAP RESPONSE ===');
-                
-                // Extract the orders section following PowerShell pattern: 
-                // envelope.Body.GetOrdersResponse.GetOrdersResult.orders.order
-                const ordersResultMatch = responseText.match(/<GetOrdersResult[^>]*>([\s\S]*?)<\/GetOrdersResult>/i);
-                if (!ordersResultMatch) {
-                    console.log('No GetOrdersResult found in response');
-                    return { Orders: { order: [] } };
-                }
-                
-                const ordersResultXml = ordersResultMatch[1];
-                console.log('GetOrdersResult section found, length:', ordersResultXml.length);
-                
-                // Look for Orders container (capital O - based on raw XML)
-                const ordersContainerMatch = ordersResultXml.match(/<Orders[^>]*>([\s\S]*?)<\/Orders>/i);
-                if (!ordersContainerMatch) {
-                    console.log('No Orders container found in GetOrdersResult');
-                    return { Orders: { order: [] } };
-                }
-                
-                const ordersContainerXml = ordersContainerMatch[1];
-                console.log('Orders container found, length:', ordersContainerXml.length);
-                
-                // Now extract individual Order elements (capital O - based on raw XML)
-                const orders: any[] = [];
-                const orderMatches = ordersContainerXml.match(/<Order[^>]*>([\s\S]*?)<\/Order>/gi) || [];
-                
-                console.log(`Found ${orderMatches.length} order elements in SOAP response`);
-                console.log(`Raw orders container (first 1000 chars):`, ordersContainerXml.substring(0, 1000));
-                
-                orderMatches.forEach((orderXml, index) => {
-                    console.log(`\n=== Parsing Order ${index + 1} from SOAP envelope ===`);
-                    console.log(`Order XML (first 500 chars):`, orderXml.substring(0, 500));
-                    
-                    // Parse order fields - note: PowerShell shows these are direct children of <order>
-                    const orderId = orderXml.match(/<Id>([^<]+)<\/Id>/i)?.[1];
-                    const total = orderXml.match(/<Total>([^<]+)<\/Total>/i)?.[1];
-                    const businessDate = orderXml.match(/<BusinessDate>([^<]+)<\/BusinessDate>/i)?.[1];
-                    const orderNumber = orderXml.match(/<Number>([^<]+)<\/Number>/i)?.[1];
-                    const name = orderXml.match(/<Name>([^<]+)<\/Name>/i)?.[1];
-                    
-                    console.log(`Order parsed: Id=${orderId}, Number=${orderNumber}, Total=${total}, Name=${name}`);
-                    
-                    // Parse payments following PowerShell pattern: order.Payments.OrderPayment
-                    const payments: any[] = [];
-                    
-                    // Look for Payments container first
-                    const paymentsContainerMatch = orderXml.match(/<Payments[^>]*>([\s\S]*?)<\/Payments>/i);
-                    if (paymentsContainerMatch) {
-                        const paymentsXml = paymentsContainerMatch[1];
-                        console.log(`Found Payments container, length: ${paymentsXml.length}`);
-                        console.log(`Payments XML (first 300 chars):`, paymentsXml.substring(0, 300));
-                        
-                        // PowerShell uses OrderPayment, so try that first
-                        let paymentMatches = paymentsXml.match(/<OrderPayment[^>]*>([\s\S]*?)<\/OrderPayment>/gi) || [];
-                        if (paymentMatches.length === 0) {
-                            // Fallback to regular Payment tags
-                            paymentMatches = paymentsXml.match(/<Payment[^>]*>([\s\S]*?)<\/Payment>/gi) || [];
-                        }
-                        
-                        console.log(`Found ${paymentMatches.length} payment elements (OrderPayment pattern)`);
-                        
-                        paymentMatches.forEach((paymentXml, paymentIndex) => {
-                            console.log(`\n--- Payment ${paymentIndex + 1} from SOAP ---`);
-                            console.log(`Payment XML:`, paymentXml.substring(0, 200));
-                            
-                            const paymentId = paymentXml.match(/<Id>([^<]+)<\/Id>/i)?.[1] || paymentXml.match(/<id>([^<]+)<\/id>/i)?.[1];
-                            const amount = paymentXml.match(/<Amount>([^<]+)<\/Amount>/i)?.[1];
-                            const tenderId = paymentXml.match(/<TenderId>([^<]+)<\/TenderId>/i)?.[1];
-                            const tipAmount = paymentXml.match(/<TipAmount>([^<]+)<\/TipAmount>/i)?.[1];
-                            const employeeId = paymentXml.match(/<EmployeeId>([^<]+)<\/EmployeeId>/i)?.[1];
-                            const paymentType = paymentXml.match(/<PaymentType>([^<]+)<\/PaymentType>/i)?.[1];
-                            
-                            console.log(`Payment parsed: ID=${paymentId}, Amount=${amount}, TipAmount=${tipAmount}, PaymentType=${paymentType}`);
-                            
-                            if (paymentId) {
-                                payments.push({
-                                    Id: paymentId,
-                                    id: paymentId, // Also include lowercase for compatibility
-                                    Amount: parseFloat(amount || '0'),
-                                    TenderId: tenderId ? parseInt(tenderId) : null,
-                                    TipAmount: parseFloat(tipAmount || '0'),
-                                    EmployeeId: employeeId,
-                                    PaymentType: paymentType
-                                });
-                                
-                                // Log tip discovery
-                                if (tipAmount && parseFloat(tipAmount) > 0) {
-                                    console.log(`✅ TIP FOUND: $${tipAmount} in payment ${paymentId}`);
-                                }
-                            }
-                        });
-                    } else {
-                        console.log('No Payments container found in order');
-                    }
-                    
-                    console.log(`Order ${index + 1}: Id=${orderId}, Number=${orderNumber}, Total=${total}, Name=${name}, Payments=${payments.length}`);
-                    
-                    // Include orders with valid ID and non-zero totals (exclude test/incomplete orders)
-                    if (orderId && total && parseFloat(total) > 0) {
-                        orders.push({
-                            OrderId: orderId,
-                            Id: orderId, // Also include Id for compatibility
-                            Total: parseFloat(total),
-                            BusinessDate: businessDate,
-                            Number: orderNumber,
-                            Name: name,
-                            Payments: payments
-                        });
-                        console.log(`✅ Added order ${index + 1} to results`);
-                    } else {
-                        console.log(`❌ Skipped order ${index + 1}: missing required fields or zero total`);
-                    }
-                });
-                
-                console.log(`\n=== SOAP PARSING COMPLETE ===`);
-                console.log(`Parsed ${orders.length} valid orders from PAR Brink SOAP response`);
-                return { Orders: { order: orders } };
-            }
-            
-            // Default fallback
-            return { Success: true, RawResponse: responseText };
-        }
-        
-    } catch (error) {
-        // Enhanced error handling for PAR Brink connection issues
-        const errorMessage = error instanceof Error ? error.message : 'Unknown SOAP error';
-        console.error(`PAR Brink SOAP ${action} error:`, errorMessage);
-        
-        // Check for common PAR Brink connection issues
-        if (errorMessage.includes('ENOTFOUND') || errorMessage.includes('timeout')) {
-            throw new Error(`PAR Brink server unreachable. Please check server URL and network connectivity.`);
-        } else if (errorMessage.includes('401') || errorMessage.includes('Unauthorized')) {
-            throw new Error(`PAR Brink authentication failed. Please check access token and credentials.`);
-        } else if (errorMessage.includes('WSDL')) {
-            throw new Error(`PAR Brink WSDL not found. Please verify WSDL URL: ${process.env.PAR_BRINK_WSDL_URL}`);
+            store = await storeConfigService.getStoreConfig(locationToken);
+        } catch (error) {
+            console.warn('Store lookup failed, reading from Brink without the warehouse:', error);
         }
-        
-        throw new Error(`PAR Brink ${action} failed: ${errorMessage}`);
     }
+    return brinkWarehouseService.createDaySource(store, brinkClient);
 }
 
 // Get current clocked-in employees from PAR Brink
 async function getParBrinkClockedInEmployees(accessToken?: string, locationToken?: string, businessDate?: string): Promise<ParBrinkShift[]> {
     try {
-        // Get Mountain Time (PAR Brink timezone) - based on PowerShell examples
-        const now = new Date();
-        const mtTime = new Date(now.getTime() - (7 * 60 * 60 * 1000)); // UTC-7 for Mountain Time
-        
         // Extract just the date part to avoid duplicate timestamps
         let mTimeDay: string;
         if (businessDate) {
@@ -465,42 +118,44 @@ async function getParBrinkClockedInEmployees(accessToken?: string, locationToken
             mTimeDay = businessDate.split('T')[0];
             console.log(`Using provided business date: ${businessDate} -> extracted date: ${mTimeDay}`);
         } else {
-            // Use current Mountain Time date
-            mTimeDay = mtTime.toISOString().split('T')[0];
-            console.log(`Using current Mountain Time date: ${mTimeDay}`);
+            // Use the store's current business date
+            mTimeDay = await getStoreBusinessDate(locationToken);
+            console.log(`Using current business date: ${mTimeDay}`);
         }
 
-        const soapBody = `
-            <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/labor/v2" xmlns:sys="http://schemas.datacontract.org/2004/07/System">
-                <soapenv:Header/>
-                <soapenv:Body>
-                    <v2:GetShifts>
-                        <v2:request>
-                            <v2:BusinessDate>${mTimeDay}T00:00:00</v2:BusinessDate>
-                        </v2:request>
-                    </v2:GetShifts>
-                </soapenv:Body>
-            </soapenv:Envelope>`;
-        
-        console.log(`PAR Brink SOAP GetShifts request to https://api11.brinkpos.net/labor2.svc: ${soapBody}`);
-        console.log(`PAR Brink SOAP GetShifts - Location Token being sent: ${locationToken}`);
-        console.log(`PAR Brink SOAP GetShifts - AccessToken provided: ${!!accessToken}`);
-        
-        const result = await callParBrinkSoapAPI('Labor2.svc', 'GetShifts', soapBody, accessToken, locationToken);
+        const brinkClient = await createBrinkClient(accessToken, locationToken);
+        const brinkDays = await getStoreDays(brinkClient, locationToken);
+        const [shifts, jobs] = await Promise.all([
+            brinkDays.getShifts(mTimeDay),
+            getStoreJobs(brinkClient, locationToken)
+        ]);
+        console.log(`PAR Brink GetShifts - Found ${shifts.length} shifts in response for location token:`, locationToken);
         
         // Transform PAR Brink response to our interface
-        const shifts = result?.Shifts || [];
-        return shifts.map((shift: any) => ({
-            ShiftId: shift.Id || `shift-${shift.EmployeeId}-${Date.now()}`,
-            EmployeeId: shift.EmployeeId || '',
-            StartTime: shift.StartTime || '',
-            EndTime: shift.EndTime || null,
-            JobId: shift.JobId || '',
-            JobName: '', // Not provided in PAR Brink response
-            Hours: shift.MinutesWorked ? Math.round(shift.MinutesWorked / 60 * 100) / 100 : 0,
-            Status: shift.EndTime ? 'clocked-out' : 'clocked-in'
+        return shifts.map(shift => ({
+            ShiftId: shift.id || `shift-${shift.employeeId}-${Date.now()}`,
+            EmployeeId: shift.employeeId,
+            StartTime: shift.startTime || '',
+            EndTime: shift.endTime,
+            JobId: shift.jobId || '',
+            JobName: shift.jobId ? getJobName(shift.jobId, jobs) : '',
+            JobCategory: getShiftJob(shift, jobs)?.category || 'other',
+            Hours: shift.minutesWorked ? Math.round(shift.minutesWorked / 60 * 100) / 100 : 0,
+            // An open break on an open shift means the employee is on break right now
+            Status: shift.endTime ? 'clocked-out' : shift.breaks.some(shiftBreak => !shiftBreak.endTime) ? 'break' : 'clocked-in',
+            Breaks: shift.breaks.map(shiftBreak => ({
+                BreakId: shiftBreak.id,
+                StartTime: shiftBreak.startTime || '',
+                EndTime: shiftBreak.endTime,
+                IsPaid: shiftBreak.isPaid,
+                Minutes: shiftBreak.minutes
+            }))
         }));
     } catch (error) {
+        if (error instanceof BrinkApiError) {
+            // Keep the status/category so handlers can tell auth, fault and transient failures apart
+            throw error;
+        }
         const errorMessage = error instanceof Error ? error.message : 'Unknown error';
         throw new Error(`Failed to fetch clocked-in employees: ${errorMessage}`);
     }
@@ -509,31 +164,23 @@ async function getParBrinkClockedInEmployees(accessToken?: string, locationToken
 // Get employee data from PAR Brink
 async function getParBrinkEmployees(accessToken?: string, locationToken?: string): Promise<ParBrinkEmployee[]> {
     try {
-        const soapBody = `
-            <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:set="http://www.brinksoftware.com/webservices/settings/v2">
-                <soapenv:Header/>
-                <soapenv:Body>
-                    <set:GetEmployees>
-                        <set:request>
-                            <set:IncludeJobTypeInfo>true</set:IncludeJobTypeInfo>
-                        </set:request>
-                    </set:GetEmployees>
-                </soapenv:Body>
-            </soapenv:Envelope>`;
-        
-        const result = await callParBrinkSoapAPI('Settings2.svc', 'GetEmployees', soapBody, accessToken, locationToken);
+        const brinkClient = await createBrinkClient(accessToken, locationToken);
+        const employees = await brinkClient.getEmployees({ includeJobTypeInfo: true });
         
         // Transform PAR Brink response to our interface
-        const employees = result?.Employees || [];
-        return employees.map((emp: any) => ({
-            EmployeeId: emp.EmployeeId || '',
-            FirstName: emp.FirstName || '',
-            LastName: emp.LastName || '',
-            Status: emp.Active ? 'active' : 'inactive',
-            Position: '', // Not provided in basic PAR Brink response
-            HourlyRate: 0 // Not provided in basic PAR Brink response
+        return employees.map(emp => ({
+            EmployeeId: emp.id,
+            FirstName: emp.firstName,
+            LastName: emp.lastName,
+            Status: emp.isActive ? 'active' : 'inactive',
+            Position: emp.jobTitle || '',
+            HourlyRate: emp.payRate
         }));
     } catch (error) {
+        if (error instanceof BrinkApiError) {
+            // Keep the status/category so handlers can tell auth, fault and transient failures apart
+            throw error;
+        }
         const errorMessage = error instanceof Error ? error.message : 'Unknown error';
         throw new Error(`Failed to fetch employees: ${errorMessage}`);
     }
@@ -542,213 +189,83 @@ async function getParBrinkEmployees(accessToken?: string, locationToken?: string
 // Get sales data from PAR Brink
 async function getParBrinkSales(startDate?: string, _endDate?: string, accessToken?: string, locationToken?: string): Promise<ParBrinkSales[]> {
     try {
-        // Get current time for business date calculation
-        const now = new Date();
-        
-        // Use provided start date or current date for business date
-        const mTimeDay = startDate || now.toISOString().split('T')[0];
-
-        console.log(`PAR Brink SOAP GetOrders request to https://api11.brinkpos.net/sales2.svc: 
-            <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/sales/v2">
-                <soapenv:Header/>
-                <soapenv:Body>
-                    <v2:GetOrders>
-                        <v2:request>
-                            <v2:BusinessDate>${mTimeDay}</v2:BusinessDate>
-                            <v2:ExcludeOpenOrders>false</v2:ExcludeOpenOrders>
-                            <v2:PriceRollUp>RollUpAndDetails</v2:PriceRollUp>
-                        </v2:request>
-                    </v2:GetOrders>
-                </soapenv:Body>
-            </soapenv:Envelope>`);
-        console.log(`PAR Brink SOAP GetOrders - Location Token being sent: ${locationToken}`);
-        console.log(`PAR Brink SOAP GetOrders - AccessToken provided: ${!!accessToken}`);
+        // Use provided start date or the store's current business date
+        const mTimeDay = startDate || await getStoreBusinessDate(locationToken);
+        console.log(`PAR Brink GetOrders request - Business Date: ${mTimeDay}`);
 
-        const soapBody = `
-            <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/sales/v2">
-                <soapenv:Header/>
-                <soapenv:Body>
-                    <v2:GetOrders>
-                        <v2:request>
-                            <v2:BusinessDate>${mTimeDay}</v2:BusinessDate>
-                            <v2:ExcludeOpenOrders>false</v2:ExcludeOpenOrders>
-                            <v2:PriceRollUp>RollUpAndDetails</v2:PriceRollUp>
-                        </v2:request>
-                    </v2:GetOrders>
-                </soapenv:Body>
-            </soapenv:Envelope>`;
-        
-        const result = await callParBrinkSoapAPI('Sales2.svc', 'GetOrders', soapBody, accessToken, locationToken);
+        const brinkClient = await createBrinkClient(accessToken, locationToken);
+        const orders = await brinkClient.getOrders(mTimeDay, {
+            excludeOpenOrders: false,
+            priceRollUp: 'RollUpAndDetails'
+        });
         
-        console.log(`PAR Brink SOAP GetOrders response:`, JSON.stringify(result, null, 2));
+        // Include orders with non-zero totals (exclude test/incomplete orders)
+        const validOrders = orders.filter(order => order.total > 0);
+        console.log(`Parsed ${validOrders.length} orders from PAR Brink API`);
         
         // Transform PAR Brink response to our interface
-        const orders = result?.Orders?.order || [];
-        console.log(`Parsed ${orders.length} orders from PAR Brink API`);
-        
-        return orders.map((order: any) => ({
-            SaleId: order.OrderId || `sale-${Date.now()}`,
-            Amount: order.Total || 0,
-            Timestamp: order.BusinessDate || new Date().toISOString(),
+        return validOrders.map(order => ({
+            SaleId: order.id,
+            Amount: order.total,
+            Timestamp: order.businessDate || new Date().toISOString(),
             ItemCount: 0, // Not provided in basic PAR Brink response
             PaymentMethod: '', // Not provided in basic PAR Brink response
             EmployeeId: '', // Not provided in basic PAR Brink response
-            Number: order.Number || '', // PAR Brink order number
-            Name: order.Name || ''       // PAR Brink customer name
+            Number: order.number, // PAR Brink order number
+            Name: order.name      // PAR Brink customer name
         }));
     } catch (error) {
+        if (error instanceof BrinkApiError) {
+            // Keep the status/category so handlers can tell auth, fault and transient failures apart
+            throw error;
+        }
         const errorMessage = error instanceof Error ? error.message : 'Unknown error';
         throw new Error(`Failed to fetch sales data: ${errorMessage}`);
     }
 }
 
-// Get tips data from PAR Brink (both credit card and cash tips)
+// Get tips data from PAR Brink (credit card tips recorded on order payments)
 async function getParBrinkTips(startDate?: string, _endDate?: string, accessToken?: string, locationToken?: string): Promise<any[]> {
     try {
-        // Get current time for business date calculation
-        const now = new Date();
-        
-        // Use provided start date or current date for business date
-        const mTimeDay = startDate || now.toISOString().split('T')[0];
-
-        console.log(`PAR Brink SOAP GetOrders request for tips analysis - Business Date: ${mTimeDay}`);
+        // Use provided start date or the store's current business date
+        const mTimeDay = startDate || await getStoreBusinessDate(locationToken);
+        console.log(`PAR Brink GetOrders request for tips analysis - Business Date: ${mTimeDay}`);
 
-        // Use enhanced GetOrders call matching PowerShell example
-        const soapBody = `
-            <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/sales/v2">
-                <soapenv:Header/>
-                <soapenv:Body>
-                    <v2:GetOrders>
-                        <v2:request>
-                            <v2:BusinessDate>${mTimeDay}</v2:BusinessDate>
-                            <v2:ExcludeOpenOrders>false</v2:ExcludeOpenOrders>
-                            <v2:PriceRollUp>RollUpAndDetails</v2:PriceRollUp>
-                        </v2:request>
-                    </v2:GetOrders>
-                </soapenv:Body>
-            </soapenv:Envelope>`;
-        
-        const result = await callParBrinkSoapAPI('Sales2.svc', 'GetOrders', soapBody, accessToken, locationToken);
-        
-        console.log(`PAR Brink SOAP GetOrders for tips response:`, JSON.stringify(result, null, 2));
+        const brinkClient = await createBrinkClient(accessToken, locationToken);
+        // Only payments are used, so the stored orders of a closed day are as good as a price roll-up request
+        const brinkDays = await getStoreDays(brinkClient, locationToken);
+        const orders = await brinkDays.getOrders(mTimeDay);
         
         // Parse orders and extract tip data from payments
-        const orders = result?.Orders?.order || [];
         const tipsData: any[] = [];
-        
-        console.log(`=== TIPS PARSING DEBUG ===`);
-        console.log(`Total orders found: ${orders.length}`);
-        console.log(`Raw result structure:`, JSON.stringify(result, null, 2));
-        
-        orders.forEach((order: any, orderIndex: number) => {
-            console.log(`\n--- Processing order ${orderIndex + 1} ---`);
-            console.log(`Order ID: ${order.OrderId || order.Id}`);
-            console.log(`Order Number: ${order.Number}`);
-            console.log(`Order Total: ${order.Total}`);
-            console.log(`Order Name: ${order.Name}`);
-            console.log(`Payments structure:`, JSON.stringify(order.Payments, null, 2));
-            
-            // Check if payments exist and handle PowerShell structure: order.Payments.OrderPayment
-            let payments = [];
-            if (order.Payments) {
-                if (Array.isArray(order.Payments)) {
-                    // If Payments is directly an array
-                    payments = order.Payments;
-                } else if (order.Payments.OrderPayment) {
-                    // PowerShell pattern: order.Payments.OrderPayment (this is what we expect!)
-                    payments = Array.isArray(order.Payments.OrderPayment) ? order.Payments.OrderPayment : [order.Payments.OrderPayment];
-                    console.log(`    Using PowerShell pattern: order.Payments.OrderPayment`);
-                } else if (order.Payments.Payment) {
-                    // Alternative: payments nested under Payment property
-                    payments = Array.isArray(order.Payments.Payment) ? order.Payments.Payment : [order.Payments.Payment];
-                    console.log(`    Using alternative pattern: order.Payments.Payment`);
-                } else {
-                    // Direct payments object
-                    payments = [order.Payments];
-                    console.log(`    Using direct payment object`);
+        orders.filter(order => order.total > 0).forEach(order => {
+            order.payments.forEach(payment => {
+                if (payment.tipAmount > 0) {
+                    tipsData.push({
+                        OrderId: order.id,
+                        OrderNumber: order.number,
+                        CustomerName: order.name,
+                        TipAmount: payment.tipAmount,
+                        PaymentType: payment.tenderId || 'Unknown',
+                        PaymentAmount: payment.amount,
+                        EmployeeId: payment.employeeId,
+                        TillNumber: payment.tillNumber,
+                        BusinessDate: order.businessDate,
+                        Timestamp: order.businessDate,
+                        PaymentId: payment.id
+                    });
+                    console.log(`    ✅ Found tip: $${payment.tipAmount} for Order ${order.id}`);
                 }
-            }
-            
-            console.log(`Found ${payments.length} payments for order ${orderIndex + 1}`);
-            
-            payments.forEach((payment: any, paymentIndex: number) => {
-                console.log(`\n  Payment ${paymentIndex + 1}:`);
-                console.log(`    Payment ID: ${payment.Id || payment.id}`);
-                console.log(`    Amount: ${payment.Amount}`);
-                console.log(`    TipAmount: ${payment.TipAmount}`);
-                console.log(`    TenderId: ${payment.TenderId}`);
-                console.log(`    EmployeeId: ${payment.EmployeeId}`);
-                console.log(`    Full payment object:`, JSON.stringify(payment, null, 2));
-                
-                // Check for tip amount directly on payment (based on PowerShell structure)
-                const tipAmount = parseFloat(payment.TipAmount || '0');
-                if (tipAmount > 0) {
-                    const tipEntry = {
-                        OrderId: order.OrderId || order.Id,
-                        OrderNumber: order.Number,
-                        CustomerName: order.Name,
-                        TipAmount: tipAmount,
-                        PaymentType: payment.TenderId || 'Unknown',
-                        PaymentAmount: parseFloat(payment.Amount || '0'),
-                        EmployeeId: payment.EmployeeId,
-                        TillNumber: payment.TillNumber,
-                        BusinessDate: order.BusinessDate,
-                        Timestamp: payment.BusinessDate || order.BusinessDate,
-                        PaymentId: payment.Id || payment.id
-                    };
-                    tipsData.push(tipEntry);
-                    console.log(`    ✅ Found tip: $${tipAmount} for Order ${order.OrderId || order.Id}`);
-                    console.log(`    Tip entry:`, JSON.stringify(tipEntry, null, 2));
-                } else {
-                    console.log(`    ❌ No tip found (TipAmount: ${payment.TipAmount})`);
-                }
-                
-                // Also check payment details if they exist
-                let details = [];
-                if (payment.Details) {
-                    details = Array.isArray(payment.Details) ? payment.Details : [payment.Details];
-                } else if (payment.Detail) {
-                    details = Array.isArray(payment.Detail) ? payment.Detail : [payment.Detail];
-                }
-                
-                console.log(`    Found ${details.length} payment details`);
-                
-                details.forEach((detail: any, detailIndex: number) => {
-                    console.log(`    Detail ${detailIndex + 1}:`, JSON.stringify(detail, null, 2));
-                    
-                    const detailTipAmount = parseFloat(detail.TipAmount || '0');
-                    if (detailTipAmount > 0) {
-                        const detailTipEntry = {
-                            OrderId: order.OrderId || order.Id,
-                            OrderNumber: order.Number,
-                            CustomerName: order.Name,
-                            TipAmount: detailTipAmount,
-                            PaymentType: payment.TenderId || 'Unknown',
-                            PaymentAmount: parseFloat(payment.Amount || '0'),
-                            EmployeeId: detail.EmployeeId || payment.EmployeeId,
-                            TillNumber: detail.TillNumber || payment.TillNumber,
-                            BusinessDate: order.BusinessDate,
-                            Timestamp: payment.BusinessDate || order.BusinessDate,
-                            PaymentId: payment.Id || payment.id,
-                            DetailId: detail.Id || detail.id
-                        };
-                        tipsData.push(detailTipEntry);
-                        console.log(`    ✅ Found detail tip: $${detailTipAmount} for Order ${order.OrderId || order.Id}`);
-                        console.log(`    Detail tip entry:`, JSON.stringify(detailTipEntry, null, 2));
-                    } else {
-                        console.log(`    ❌ No detail tip found (TipAmount: ${detail.TipAmount})`);
-                    }
-                });
             });
         });
         
-        console.log(`\n=== TIPS PARSING SUMMARY ===`);
-        console.log(`Total tips found: ${tipsData.length}`);
-        console.log(`Tips data:`, JSON.stringify(tipsData, null, 2));
-        
         console.log(`Parsed ${tipsData.length} tip entries from ${orders.length} PAR Brink orders`);
         return tipsData;
     } catch (error) {
+        if (error instanceof BrinkApiError) {
+            // Keep the status/category so handlers can tell auth, fault and transient failures apart
+            throw error;
+        }
         const errorMessage = error instanceof Error ? error.message : 'Unknown error';
         console.error('PAR Brink tips extraction error:', errorMessage);
         throw new Error(`Failed to fetch tips data: ${errorMessage}`);
@@ -758,98 +275,33 @@ async function getParBrinkTips(startDate?: string, _endDate?: string, accessToke
 // Get till data from PAR Brink (for cash tips)
 async function getParBrinkTills(businessDate?: string, accessToken?: string, locationToken?: string): Promise<any[]> {
     try {
-        // Get current time for business date calculation
-        const now = new Date();
-        
-        // Use provided business date or current date
-        const mTimeDay = businessDate || now.toISOString().split('T')[0];
+        // Use provided business date or the store's current business date
+        const mTimeDay = businessDate || await getStoreBusinessDate(locationToken);
+        console.log(`PAR Brink GetTills request for cash tips - Business Date: ${mTimeDay}`);
 
-        console.log(`PAR Brink SOAP GetTills request for cash tips - Business Date: ${mTimeDay}`);
-
-        // Use GetTills call matching PowerShell example
-        const soapBody = `
-            <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="http://www.brinksoftware.com/webservices/sales/v2">
-                <soapenv:Header/>
-                <soapenv:Body>
-                    <v2:GetTills>
-                        <v2:request>
-                            <v2:BusinessDate>${mTimeDay}</v2:BusinessDate>
-                        </v2:request>
-                    </v2:GetTills>
-                </soapenv:Body>
-            </soapenv:Envelope>`;
-        
-        const result = await callParBrinkSoapAPI('Sales2.svc', 'GetTills', soapBody, accessToken, locationToken);
-        
-        console.log(`PAR Brink SOAP GetTills response:`, JSON.stringify(result, null, 2));
-        
-        // Parse tills and extract cash tips data from PaidInOuts
-        // PowerShell structure: tillResponse.envelope.Body.GetTillsResponse.GetTillsResult.Tills.till
-        // But our parsed result should be: result.Tills.till (similar to Orders.Order pattern)
-        const tills = result?.Tills?.till || result?.Tills?.Till || [];
-        const tillsData: any[] = [];
-        
-        console.log(`=== TILLS PARSING DEBUG ===`);
-        console.log(`Total tills found: ${tills.length}`);
-        console.log(`Raw result structure:`, JSON.stringify(result, null, 2));
-        
-        tills.forEach((till: any, tillIndex: number) => {
-            console.log(`\n--- Processing till ${tillIndex + 1} ---`);
-            console.log(`Till ID: ${till.CashDrawerId || till.Id}`);
-            console.log(`Till Number: ${till.Number}`);
-            console.log(`Starting Bank: ${till.StartingBank}`);
-            console.log(`Is Closed: ${till.IsClosed}`);
-            console.log(`PaidInOuts structure:`, JSON.stringify(till.PaidInOuts, null, 2));
+        const brinkClient = await createBrinkClient(accessToken, locationToken);
+        const brinkDays = await getStoreDays(brinkClient, locationToken);
+        const tills = await brinkDays.getTills(mTimeDay);
+        
+        const tillsData = tills.map(till => {
+            // AccountType "0" = PaidIn (cash tips), "1" = PaidOut
+            const paidInAmount = till.paidInOuts
+                .filter(pio => pio.accountType === '0')
+                .reduce((sum, pio) => sum + pio.amount, 0);
+            const paidOutAmount = till.paidInOuts
+                .filter(pio => pio.accountType === '1')
+                .reduce((sum, pio) => sum + pio.amount, 0);
             
-            let paidInAmount = 0;
-            let paidOutAmount = 0;
+            console.log(`Till ${till.number}: CashTips=$${paidInAmount}, PaidOut=$${paidOutAmount}, Net=$${paidInAmount - paidOutAmount}`);
             
-            // Check if PaidInOuts exist and handle structure: till.PaidInOuts.PaidInOut
-            if (till.PaidInOuts && till.PaidInOuts.PaidInOut) {
-                let paidInOuts = [];
-                if (Array.isArray(till.PaidInOuts.PaidInOut)) {
-                    paidInOuts = till.PaidInOuts.PaidInOut;
-                } else {
-                    paidInOuts = [till.PaidInOuts.PaidInOut];
-                }
-                
-                console.log(`Found ${paidInOuts.length} PaidInOut entries for till ${tillIndex + 1}`);
-                
-                paidInOuts.forEach((pio: any, pioIndex: number) => {
-                    console.log(`\n  PaidInOut ${pioIndex + 1}:`);
-                    console.log(`    AccountType: ${pio.AccountType}`);
-                    console.log(`    Amount: ${pio.Amount}`);
-                    console.log(`    Description: ${pio.Description}`);
-                    console.log(`    Full PaidInOut object:`, JSON.stringify(pio, null, 2));
-                    
-                    const amount = parseFloat(pio.Amount || '0');
-                    
-                    // PowerShell logic: AccountType "0" = PaidIn (cash tips), "1" = PaidOut
-                    switch (pio.AccountType) {
-                        case "0":
-                            paidInAmount += amount;
-                            console.log(`    ✅ Cash Tip (PaidIn): $${amount}`);
-                            break;
-                        case "1":
-                            paidOutAmount += amount;
-                            console.log(`    💰 PaidOut: $${amount}`);
-                            break;
-                        default:
-                            console.log(`    ❓ Unknown AccountType: ${pio.AccountType}`);
-                    }
-                });
-            } else {
-                console.log('No PaidInOuts found in till');
-            }
-            
-            const tillEntry = {
-                TillID: till.CashDrawerId || till.Id,
-                TillNumber: till.Number,
+            return {
+                TillID: till.id,
+                TillNumber: till.number,
                 BusinessDate: mTimeDay,
-                StartingBank: parseFloat(till.StartingBank || '0'),
-                IsClosed: till.IsClosed,
-                DeclaredCash: parseFloat(till.DeclaredCash || '0'),
-                OverShort: parseFloat(till.OverShort || '0'),
+                StartingBank: till.startingBank,
+                IsClosed: till.isClosed,
+                DeclaredCash: till.declaredCash,
+                OverShort: till.overShort,
                 CashTips: paidInAmount,
                 PaidOut: paidOutAmount,
                 TotalIn: paidInAmount,
@@ -857,19 +309,16 @@ async function getParBrinkTills(businessDate?: string, accessToken?: string, loc
                 NetPaidIO: paidInAmount - paidOutAmount,
                 Timestamp: new Date().toISOString()
             };
-            
-            tillsData.push(tillEntry);
-            console.log(`Till ${tillIndex + 1}: CashTips=$${paidInAmount}, PaidOut=$${paidOutAmount}, Net=$${paidInAmount - paidOutAmount}`);
         });
         
-        console.log(`\n=== TILLS PARSING SUMMARY ===`);
-        console.log(`Total tills processed: ${tillsData.length}`);
         console.log(`Total cash tips: $${tillsData.reduce((sum, till) => sum + till.CashTips, 0)}`);
-        console.log(`Tills data:`, JSON.stringify(tillsData, null, 2));
-        
-        console.log(`Parsed ${tillsData.length} till entries from ${tills.length} PAR Brink tills`);
+        console.log(`Parsed ${tillsData.length} till entries from PAR Brink`);
         return tillsData;
     } catch (error) {
+        if (error instanceof BrinkApiError) {
+            // Keep the status/category so handlers can tell auth, fault and transient failures apart
+            throw error;
+        }
         const errorMessage = error instanceof Error ? error.message : 'Unknown error';
         console.error('PAR Brink tills extraction error:', errorMessage);
         throw new Error(`Failed to fetch tills data: ${errorMessage}`);
@@ -919,16 +368,19 @@ export async function laborShifts(request: HttpRequest, context: InvocationConte
     } catch (error) {
         context.log('PAR Brink labor-shifts error:', error);
         
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+        const brinkError = describeBrinkError(error, 501);
         return {
-            status: 501,
+            status: brinkError.status,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 success: false,
-                error: errorMessage,
+                error: brinkError.message,
+                code: brinkError.code,
+                category: brinkError.category,
+                retryable: brinkError.retryable,
                 timestamp: new Date().toISOString(),
                 source: 'par-brink-api'
             })
@@ -973,16 +425,19 @@ export async function employees(request: HttpRequest, context: InvocationContext
     } catch (error) {
         context.log('PAR Brink employees error:', error);
         
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+        const brinkError = describeBrinkError(error, 501);
         return {
-            status: 501,
+            status: brinkError.status,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 success: false,
-                error: errorMessage,
+                error: brinkError.message,
+                code: brinkError.code,
+                category: brinkError.category,
+                retryable: brinkError.retryable,
                 timestamp: new Date().toISOString(),
                 source: 'par-brink-api'
             })
@@ -1036,16 +491,19 @@ export async function sales(request: HttpRequest, context: InvocationContext): P
     } catch (error) {
         context.log('PAR Brink sales error:', error);
         
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+        const brinkError = describeBrinkError(error, 501);
         return {
-            status: 501,
+            status: brinkError.status,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 success: false,
-                error: errorMessage,
+                error: brinkError.message,
+                code: brinkError.code,
+                category: brinkError.category,
+                retryable: brinkError.retryable,
                 timestamp: new Date().toISOString(),
                 source: 'par-brink-api'
             })
@@ -1099,16 +557,19 @@ export async function tips(request: HttpRequest, context: InvocationContext): Pr
     } catch (error) {
         context.log('PAR Brink tips error:', error);
         
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+        const brinkError = describeBrinkError(error, 501);
         return {
-            status: 501,
+            status: brinkError.status,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 success: false,
-                error: errorMessage,
+                error: brinkError.message,
+                code: brinkError.code,
+                category: brinkError.category,
+                retryable: brinkError.retryable,
                 timestamp: new Date().toISOString(),
                 source: 'par-brink-api'
             })
@@ -1160,16 +621,19 @@ export async function tills(request: HttpRequest, context: InvocationContext): P
     } catch (error) {
         context.log('PAR Brink tills error:', error);
         
-        const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+        const brinkError = describeBrinkError(error, 501);
         return {
-            status: 501,
+            status: brinkError.status,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 success: false,
-                error: errorMessage,
+                error: brinkError.message,
+                code: brinkError.code,
+                category: brinkError.category,
+                retryable: brinkError.retryable,
                 timestamp: new Date().toISOString(),
                 source: 'par-brink-api'
             })
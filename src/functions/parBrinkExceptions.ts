@@ -0,0 +1,452 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { BrinkApiClient, createBrinkClientForLocation, describeBrinkError } from '../services/BrinkApiClient';
+import { BrinkDaySource, brinkWarehouseService } from '../services/brinkWarehouseService';
+import { BrinkOrder } from '../models/brink';
+import { formatHourKey, getLocalHour, resolveTimezone } from '../utils/timezone';
+import { getBusinessCalendar } from '../utils/businessCalendar';
+import { getBusinessHourPosition, getStoreHoursForDate, StoreHoursWindow } from '../utils/storeHours';
+import { loadReportDays, parseReportDateRange, ReportDay } from '../utils/reportDates';
+
+/**
+ * LOSS-PREVENTION THRESHOLDS
+ * Rates are % of gross sales (sold order totals plus voids, discounts and comps)
+ * Any of them can be overridden per request with { thresholds: { ... } }
+ */
+const EXCEPTION_THRESHOLDS = {
+  maxVoidRatePercent: 2,            // store, per business date and for the range
+  maxEmployeeVoidRatePercent: 5,    // employee, for the range
+  minEmployeeGrossSales: 200,       // below this an employee's rates are not flagged (too few orders)
+  maxDiscountRatePercent: 10,
+  maxCompRatePercent: 3,
+  maxRefundsPerEmployeePerDay: 2
+};
+
+type ExceptionThresholds = typeof EXCEPTION_THRESHOLDS;
+
+type ExceptionType = 'voided_order' | 'voided_item' | 'discount' | 'comp' | 'refund';
+
+interface ExceptionEvent {
+  type: ExceptionType;
+  businessDate: string;
+  hour: string | null;
+  orderId: string;
+  orderNumber: string;
+  employeeId: string | null;
+  amount: number;
+  reason: string | null;          // void reason or discount name
+  itemId?: string;
+}
+
+interface ExceptionTotals {
+  orders: number;                 // sold orders
+  sales: number;                  // sold order totals
+  grossSales: number;             // sales + voids + discounts + comps
+  voidedOrders: number;
+  voidedItems: number;
+  voidAmount: number;
+  discounts: number;
+  discountAmount: number;
+  comps: number;
+  compAmount: number;
+  refunds: number;
+  refundAmount: number;
+  voidRate: number;               // % of gross sales
+  discountRate: number;
+  compRate: number;
+}
+
+interface ExceptionFlag {
+  scope: 'store' | 'day' | 'employee';
+  key: string;                    // store id, business date or employee id
+  metric: 'voidRate' | 'discountRate' | 'compRate' | 'refunds';
+  value: number;
+  threshold: number;
+  message: string;
+}
+
+// Events returned in the response - totals always cover every event
+const MAX_EXCEPTION_EVENTS = 500;
+
+/**
+ * PAR Brink Exceptions Function
+ * POST { locationToken, accessToken, startDate?, endDate?, thresholds? } - dates default to the current business date
+ * Summarizes voids, discounts, comps and refunds per store, employee, business date and hour and flags unusual rates
+ */
+export async function parBrinkExceptions(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink exceptions request started');
+
+    const body = await request.json() as any;
+    const { locationToken, accessToken, startDate, endDate } = body || {};
+
+    if (!locationToken || !accessToken) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Missing required parameters: locationToken and accessToken are required'
+        }
+      };
+    }
+
+    const { thresholds, errors: thresholdErrors } = resolveThresholds(body?.thresholds);
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    const locationInfo = await storeConfigService.getStoreConfig(locationToken, context);
+
+    if (!locationInfo) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid location token or store not found'
+        }
+      };
+    }
+
+    const storeTimezone = resolveTimezone(locationInfo.timezone);
+    const currentBusinessDate = getBusinessCalendar(storeTimezone, { businessDayStartHour: locationInfo.businessDayStartHour }).businessDate;
+    const { range, errors } = parseReportDateRange(startDate, endDate, currentBusinessDate);
+
+    if (!range || thresholdErrors.length > 0) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid exceptions request',
+          details: [...errors, ...thresholdErrors]
+        }
+      };
+    }
+
+    context.log(`🚨 Exceptions for ${locationInfo.name} ${range.startDate} - ${range.endDate} (${range.dates.length} business dates, ${storeTimezone})`);
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const brinkDays = brinkWarehouseService.createDaySource(locationInfo, brinkClient, context);
+
+    const { results, days, degraded } = await loadReportDays(range.dates, businessDate => fetchExceptionOrders(brinkDays, businessDate, context), context);
+
+    const events: ExceptionEvent[] = [];
+    const soldOrders: { businessDate: string; hour: string | null; employeeId: string | null; total: number }[] = [];
+    const hourPositions = new Map<string, number>();
+    results.forEach(({ businessDate, value: orders }) => {
+      collectExceptions(orders, businessDate, storeTimezone, getStoreHoursForDate(locationInfo, businessDate), events, soldOrders, hourPositions);
+    });
+
+    const employeeNames = await fetchEmployeeNames(brinkClient, context);
+
+    // Summaries - every event and sold order lands in exactly one group of each breakdown
+    const summarize = <K extends string | null>(keyOf: (item: { businessDate: string; hour: string | null; employeeId: string | null }) => K) => {
+      const groups = new Map<K, { events: ExceptionEvent[]; sold: typeof soldOrders }>();
+      const group = (key: K) => {
+        const existing = groups.get(key) || { events: [], sold: [] };
+        groups.set(key, existing);
+        return existing;
+      };
+      soldOrders.forEach(order => group(keyOf(order)).sold.push(order));
+      events.forEach(event => group(keyOf(event)).events.push(event));
+      return Array.from(groups.entries()).map(([key, value]) => ({ key, totals: calculateTotals(value.events, value.sold) }));
+    };
+
+    const totals = calculateTotals(events, soldOrders);
+    const daily = summarize(item => item.businessDate)
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(({ key, totals }) => ({ businessDate: key, ...totals }));
+    const hourly = summarize(item => item.hour)
+      .filter(({ key }) => key !== null)
+      .sort((a, b) => (hourPositions.get(a.key!) ?? 0) - (hourPositions.get(b.key!) ?? 0))
+      .map(({ key, totals }) => ({ hour: key!, ...totals }));
+    const byEmployee = summarize(item => item.employeeId)
+      .map(({ key, totals }) => ({ employeeId: key, employeeName: key ? employeeNames.get(key) || null : null, ...totals }))
+      .sort((a, b) => (b.voidAmount + b.compAmount + b.refundAmount) - (a.voidAmount + a.compAmount + a.refundAmount));
+
+    const flags = flagExceptions(locationInfo.id, totals, daily, byEmployee, events, thresholds);
+    flags.forEach(flag => context.warn(`🚩 ${flag.message}`));
+    context.log(`🚨 Exceptions: ${events.length} events, void rate ${totals.voidRate}%, ${flags.length} flags`);
+
+    const exceptionDays: (ReportDay & { orders: number })[] = days.map(day => ({
+      ...day,
+      orders: results.find(result => result.businessDate === day.businessDate)?.value.length ?? 0
+    }));
+
+    // 206 tells the frontend some business dates are missing (see data.days)
+    return {
+      status: degraded ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          location: locationInfo.name,
+          locationId: locationInfo.id,
+          startDate: range.startDate,
+          endDate: range.endDate,
+          timezone: storeTimezone,
+          degraded,
+          days: exceptionDays,
+          thresholds,
+          totals,
+          flags,
+          daily,
+          hourly,
+          byEmployee,
+          events: events
+            .sort((a, b) => b.amount - a.amount)
+            .slice(0, MAX_EXCEPTION_EVENTS)
+            .map(event => ({ ...event, employeeName: event.employeeId ? employeeNames.get(event.employeeId) || null : null })),
+          eventsTruncated: events.length > MAX_EXCEPTION_EVENTS
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink exceptions:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+/**
+ * Request overrides on top of EXCEPTION_THRESHOLDS
+ */
+function resolveThresholds(overrides: unknown): { thresholds: ExceptionThresholds; errors: string[] } {
+  const thresholds = { ...EXCEPTION_THRESHOLDS };
+  const errors: string[] = [];
+  if (overrides === undefined || overrides === null) {
+    return { thresholds, errors };
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { thresholds, errors: ['thresholds must be an object'] };
+  }
+
+  Object.entries(overrides as Record<string, unknown>).forEach(([name, value]) => {
+    if (!(name in EXCEPTION_THRESHOLDS)) {
+      errors.push(`Unknown threshold: ${name}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`Threshold ${name} must be a non-negative number`);
+    } else {
+      thresholds[name as keyof ExceptionThresholds] = value;
+    }
+  });
+  return { thresholds, errors };
+}
+
+async function fetchExceptionOrders(source: BrinkDaySource, businessDate: string, context: InvocationContext): Promise<BrinkOrder[]> {
+  // Every order, including the zero and negative totals that voids and refunds produce
+  const orders = (await source.getOrders(businessDate)).filter(order => order.number);
+  context.log(`Retrieved ${orders.length} orders for exceptions on ${businessDate}`);
+  return orders;
+}
+
+/**
+ * Employee names for the report - best effort, ids are enough to act on
+ */
+async function fetchEmployeeNames(client: BrinkApiClient, context: InvocationContext): Promise<Map<string, string>> {
+  try {
+    const employees = await client.getEmployees();
+    return new Map(employees.map(employee => [employee.id, `${employee.firstName} ${employee.lastName}`.trim()]));
+  } catch (error) {
+    context.warn(`⚠️ Employee names unavailable: ${describeBrinkError(error).message}`);
+    return new Map();
+  }
+}
+
+const roundCurrency = (value: number) => Math.round(value * 100) / 100;
+const percentOf = (value: number, total: number) => total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+
+/**
+ * Split one business date's orders into sold orders and exception events
+ * A voided order is one event; items voided on an order that was still sold are one event each
+ */
+function collectExceptions(
+  orders: BrinkOrder[],
+  businessDate: string,
+  timezone: string,
+  storeHours: StoreHoursWindow,
+  events: ExceptionEvent[],
+  soldOrders: { businessDate: string; hour: string | null; employeeId: string | null; total: number }[],
+  hourPositions: Map<string, number>
+): void {
+  orders.forEach(order => {
+    // Voided orders may never have been sent
+    const time = order.firstSendTime || order.modifiedTime;
+    let hour: string | null = null;
+    if (time) {
+      const localHour = getLocalHour(time, timezone);
+      hour = formatHourKey(localHour);
+      hourPositions.set(hour, getBusinessHourPosition(localHour, storeHours));
+    }
+
+    const event = (type: ExceptionType, employeeId: string | undefined, amount: number, reason: string | undefined, itemId?: string) => {
+      events.push({
+        type,
+        businessDate,
+        hour,
+        orderId: order.id,
+        orderNumber: order.number,
+        employeeId: employeeId || order.employeeId || null,
+        amount: roundCurrency(amount),
+        reason: reason || null,
+        ...(itemId ? { itemId } : {})
+      });
+    };
+    const itemAmount = (item: BrinkOrder['items'][number]) => item.grossSales + item.modifiers.reduce((sum, modifier) => sum + modifier.price, 0);
+
+    if (order.isVoided) {
+      const voidedAmount = order.items.filter(item => !item.isDeleted).reduce((sum, item) => sum + itemAmount(item), 0);
+      event('voided_order', order.voidEmployeeId, voidedAmount || Math.abs(order.total), order.voidReason);
+      return;
+    }
+
+    // Brink rings a refund as an order with a negative total
+    if (order.total < 0) {
+      event('refund', order.employeeId, Math.abs(order.total), undefined);
+      return;
+    }
+
+    if (order.total > 0) {
+      soldOrders.push({ businessDate, hour, employeeId: order.employeeId || null, total: order.total });
+    }
+
+    order.items
+      .filter(item => item.isVoided && !item.isDeleted)
+      .forEach(item => event('voided_item', item.voidEmployeeId || item.employeeId, itemAmount(item), item.voidReason || item.name, item.itemId));
+
+    order.discounts.forEach(discount => {
+      event(discount.isComp ? 'comp' : 'discount', discount.employeeId, discount.amount, discount.name);
+    });
+  });
+}
+
+function calculateTotals(events: ExceptionEvent[], soldOrders: { total: number }[]): ExceptionTotals {
+  const sum = (types: ExceptionType[]) => events.filter(event => types.includes(event.type)).reduce((total, event) => total + event.amount, 0);
+  const count = (types: ExceptionType[]) => events.filter(event => types.includes(event.type)).length;
+
+  const sales = soldOrders.reduce((total, order) => total + order.total, 0);
+  const voidAmount = sum(['voided_order', 'voided_item']);
+  const discountAmount = sum(['discount']);
+  const compAmount = sum(['comp']);
+  const grossSales = sales + voidAmount + discountAmount + compAmount;
+
+  return {
+    orders: soldOrders.length,
+    sales: roundCurrency(sales),
+    grossSales: roundCurrency(grossSales),
+    voidedOrders: count(['voided_order']),
+    voidedItems: count(['voided_item']),
+    voidAmount: roundCurrency(voidAmount),
+    discounts: count(['discount']),
+    discountAmount: roundCurrency(discountAmount),
+    comps: count(['comp']),
+    compAmount: roundCurrency(compAmount),
+    refunds: count(['refund']),
+    refundAmount: roundCurrency(sum(['refund'])),
+    voidRate: percentOf(voidAmount, grossSales),
+    discountRate: percentOf(discountAmount, grossSales),
+    compRate: percentOf(compAmount, grossSales)
+  };
+}
+
+function flagExceptions(
+  storeId: string,
+  totals: ExceptionTotals,
+  daily: (ExceptionTotals & { businessDate: string })[],
+  byEmployee: (ExceptionTotals & { employeeId: string | null; employeeName: string | null })[],
+  events: ExceptionEvent[],
+  thresholds: ExceptionThresholds
+): ExceptionFlag[] {
+  const flags: ExceptionFlag[] = [];
+  const rateFlag = (scope: ExceptionFlag['scope'], key: string, label: string, metric: 'voidRate' | 'discountRate' | 'compRate', value: number, threshold: number) => {
+    if (value > threshold) {
+      flags.push({ scope, key, metric, value, threshold, message: `${label} ${metric.replace('Rate', ' rate')} ${value}% exceeds ${threshold}%` });
+    }
+  };
+
+  rateFlag('store', storeId, 'Store', 'voidRate', totals.voidRate, thresholds.maxVoidRatePercent);
+  rateFlag('store', storeId, 'Store', 'discountRate', totals.discountRate, thresholds.maxDiscountRatePercent);
+  rateFlag('store', storeId, 'Store', 'compRate', totals.compRate, thresholds.maxCompRatePercent);
+
+  // A single bad day disappears in a month's totals
+  if (daily.length > 1) {
+    daily.forEach(day => rateFlag('day', day.businessDate, `Business date ${day.businessDate}`, 'voidRate', day.voidRate, thresholds.maxVoidRatePercent));
+  }
+
+  byEmployee
+    .filter(employee => employee.employeeId && employee.grossSales >= thresholds.minEmployeeGrossSales)
+    .forEach(employee => {
+      const label = `Employee ${employee.employeeName || employee.employeeId}`;
+      rateFlag('employee', employee.employeeId!, label, 'voidRate', employee.voidRate, thresholds.maxEmployeeVoidRatePercent);
+      rateFlag('employee', employee.employeeId!, label, 'compRate', employee.compRate, thresholds.maxCompRatePercent);
+    });
+
+  const refundsPerEmployeeDay = new Map<string, number>();
+  events
+    .filter(event => event.type === 'refund' && event.employeeId)
+    .forEach(event => {
+      const key = `${event.employeeId}|${event.businessDate}`;
+      refundsPerEmployeeDay.set(key, (refundsPerEmployeeDay.get(key) || 0) + 1);
+    });
+  refundsPerEmployeeDay.forEach((refunds, key) => {
+    if (refunds > thresholds.maxRefundsPerEmployeePerDay) {
+      const [employeeId, businessDate] = key.split('|');
+      flags.push({
+        scope: 'employee',
+        key: employeeId,
+        metric: 'refunds',
+        value: refunds,
+        threshold: thresholds.maxRefundsPerEmployeePerDay,
+        message: `Employee ${employeeId} issued ${refunds} refunds on ${businessDate} (more than ${thresholds.maxRefundsPerEmployeePerDay})`
+      });
+    }
+  });
+
+  return flags;
+}
+
+// Register the function
+app.http('parBrinkExceptions', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/exceptions',
+  handler: parBrinkExceptions
+});
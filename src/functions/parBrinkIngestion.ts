@@ -0,0 +1,183 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext, Timer } from '@azure/functions';
+import { storeConfigService } from '../services/storeConfigService';
+import { brinkIngestionService } from '../services/brinkIngestionService';
+
+// Hourly, so each store is ingested within the hour after its business day closes (NCRONTAB, UTC)
+const INGESTION_SCHEDULE = '0 30 * * * *';
+
+const DEFAULT_RUN_LIMIT = 20;
+const MAX_RUN_LIMIT = 100;
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*'
+};
+
+function jsonResponse(status: number, body: object): HttpResponseInit {
+  return { status, headers: corsHeaders, jsonBody: body };
+}
+
+/**
+ * The access token ingestion runs with - always PAR_BRINK_ACCESS_TOKEN, never one from a request
+ */
+function getIngestionAccessToken(): string | null {
+  const accessToken = process.env.PAR_BRINK_ACCESS_TOKEN;
+  return accessToken && accessToken !== 'demo-access-token' ? accessToken : null;
+}
+
+/**
+ * PAR Brink Nightly Ingestion (timer)
+ * Loads every active store's last closed business date into the warehouse once, after the day closes
+ */
+export async function parBrinkNightlyIngestion(timer: Timer, context: InvocationContext): Promise<void> {
+  if (timer.isPastDue) {
+    context.log('🌙 Ingestion timer is past due - running now');
+  }
+
+  const accessToken = getIngestionAccessToken();
+  if (!accessToken) {
+    context.warn('⚠️ Skipping Brink ingestion: PAR_BRINK_ACCESS_TOKEN is not configured');
+    return;
+  }
+
+  try {
+    const stores = await storeConfigService.getAllActiveStores(context);
+    await brinkIngestionService.runScheduledIngestion(stores, accessToken, context);
+  } catch (error) {
+    // Nothing was recorded for the stores that weren't reached - the next run picks them up
+    context.error('❌ Brink ingestion run failed:', error);
+  }
+}
+
+/**
+ * PAR Brink Ingestion Runs Function
+ * GET ?limit= - recent runs (default 20), newest first
+ * GET ?runId= - one run with its per-store results (failed first)
+ */
+export async function parBrinkIngestionRuns(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink ingestion runs request started');
+
+    const runIdParam = request.query.get('runId');
+    if (runIdParam) {
+      const runId = parseInt(runIdParam, 10);
+      if (isNaN(runId)) {
+        return jsonResponse(400, { success: false, error: 'runId must be a number' });
+      }
+      const run = await brinkIngestionService.getRun(runId, context);
+      if (!run) {
+        return jsonResponse(404, { success: false, error: `Ingestion run ${runId} not found` });
+      }
+      return jsonResponse(200, { success: true, data: run });
+    }
+
+    const limitParam = request.query.get('limit');
+    const limit = limitParam ? parseInt(limitParam, 10) : DEFAULT_RUN_LIMIT;
+    if (isNaN(limit) || limit < 1 || limit > MAX_RUN_LIMIT) {
+      return jsonResponse(400, { success: false, error: `limit must be between 1 and ${MAX_RUN_LIMIT}` });
+    }
+    const runs = await brinkIngestionService.getRuns(limit, context);
+    return jsonResponse(200, { success: true, data: { runs } });
+
+  } catch (error) {
+    context.error('Error in PAR Brink ingestion runs:', error);
+    return jsonResponse(500, {
+      success: false,
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}
+
+/**
+ * PAR Brink Ingestion Re-run Function
+ * POST { runId? } - ingest the failed and partial stores of a run again (default: the latest run with any)
+ * for the same business dates, as a new run, with PAR_BRINK_ACCESS_TOKEN
+ */
+export async function parBrinkIngestionRerun(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink ingestion re-run request started');
+
+    const body = await request.json().catch(() => ({})) as any;
+    const { runId } = body || {};
+
+    if (runId !== undefined && (typeof runId !== 'number' || !Number.isInteger(runId))) {
+      return jsonResponse(400, { success: false, error: 'runId must be an integer' });
+    }
+
+    const accessToken = getIngestionAccessToken();
+    if (!accessToken) {
+      return jsonResponse(503, { success: false, error: 'Brink ingestion is not configured: PAR_BRINK_ACCESS_TOKEN is not set' });
+    }
+
+    if (runId !== undefined && !(await brinkIngestionService.getRun(runId, context))) {
+      return jsonResponse(404, { success: false, error: `Ingestion run ${runId} not found` });
+    }
+
+    const stores = await storeConfigService.getAllActiveStores(context);
+    const { run, sourceRunId, skipped } = await brinkIngestionService.rerunFailedStores(stores, accessToken, runId, context);
+
+    // The outcome per store is in data.run - a re-run whose stores fail again is still a completed request
+    return jsonResponse(200, {
+      success: true,
+      data: {
+        sourceRunId,
+        run,
+        skipped,
+        ...(sourceRunId === null ? { message: 'No ingestion run has failed stores' } : {})
+      }
+    });
+
+  } catch (error) {
+    context.error('Error in PAR Brink ingestion re-run:', error);
+    return jsonResponse(500, {
+      success: false,
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}
+
+// Register the functions
+app.timer('parBrinkNightlyIngestion', {
+  schedule: INGESTION_SCHEDULE,
+  handler: parBrinkNightlyIngestion
+});
+
+app.http('parBrinkIngestionRuns', {
+  methods: ['GET', 'OPTIONS'],
+  authLevel: 'function',
+  route: 'par-brink/ingestion/runs',
+  handler: parBrinkIngestionRuns
+});
+
+app.http('parBrinkIngestionRerun', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'function',
+  route: 'par-brink/ingestion/rerun',
+  handler: parBrinkIngestionRerun
+});
@@ -0,0 +1,352 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { createBrinkClientForLocation, describeBrinkError } from '../services/BrinkApiClient';
+import { BrinkDaySource, brinkWarehouseService } from '../services/brinkWarehouseService';
+import { jobCatalogService } from '../services/jobCatalogService';
+import { BrinkJob, BrinkShift, JobCategory } from '../models/brink';
+import { formatHourKey, resolveTimezone } from '../utils/timezone';
+import { getBusinessCalendar, getBusinessDayWindow, resolveBusinessDayStartHour } from '../utils/businessCalendar';
+import { getBusinessHourPosition, getStoreHoursForDate } from '../utils/storeHours';
+import { loadReportDays, parseReportDateRange } from '../utils/reportDates';
+import { getShiftHourSegments } from '../utils/shiftHours';
+import { addJobLabor, getJobName, getShiftJob, JobLaborBreakdown, setJobHeadcount, summarizeJobLabor } from '../utils/jobLabor';
+
+interface JobRow {
+  jobId: string | null;
+  name: string;
+  category: JobCategory;
+  hoursWorked: number;
+  laborCost: number;
+  employeesWorking: number;
+}
+
+/**
+ * Hours/cost per job and per job category for one set of shift segments, counting each employee once
+ */
+class JobLaborTally {
+  private jobs = new Map<string, JobRow & { employees: Set<string> }>();
+  private categories: JobLaborBreakdown = {};
+  private categoryEmployees: Partial<Record<JobCategory, Set<string>>> = {};
+
+  add(shift: BrinkShift, job: BrinkJob | undefined, name: string, hours: number): void {
+    const category = job?.category || 'other';
+    const cost = shift.payRate > 0 ? hours * shift.payRate : 0;
+
+    const key = shift.jobId || '';
+    const row = this.jobs.get(key) || { jobId: shift.jobId || null, name, category, hoursWorked: 0, laborCost: 0, employeesWorking: 0, employees: new Set<string>() };
+    row.hoursWorked += hours;
+    row.laborCost += cost;
+    row.employees.add(shift.employeeId);
+    this.jobs.set(key, row);
+
+    addJobLabor(this.categories, category, hours, cost);
+    const employees = this.categoryEmployees[category] || new Set<string>();
+    employees.add(shift.employeeId);
+    this.categoryEmployees[category] = employees;
+  }
+
+  rows(): JobRow[] {
+    return Array.from(this.jobs.values())
+      .map(({ employees, ...row }) => ({
+        ...row,
+        hoursWorked: Math.round(row.hoursWorked * 100) / 100,
+        laborCost: Math.round(row.laborCost * 100) / 100,
+        employeesWorking: employees.size
+      }))
+      .sort((a, b) => b.hoursWorked - a.hoursWorked || a.name.localeCompare(b.name));
+  }
+
+  byCategory() {
+    setJobHeadcount(this.categories, this.categoryEmployees);
+    return summarizeJobLabor(this.categories);
+  }
+}
+
+/**
+ * PAR Brink Jobs Function
+ * POST { locationToken, accessToken, refresh? } - the store's job catalog, synced from Brink when older than a day
+ * (or when refresh is true)
+ */
+export async function parBrinkJobs(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink jobs request started');
+
+    const body = await request.json() as any;
+    const { locationToken, accessToken, refresh } = body || {};
+
+    if (!locationToken || !accessToken) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Missing required parameters: locationToken and accessToken are required'
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    const locationInfo = await storeConfigService.getStoreConfig(locationToken, context);
+
+    if (!locationInfo) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid location token or store not found'
+        }
+      };
+    }
+
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const catalog = await jobCatalogService.getJobCatalog(locationInfo.id, brinkClient, context, { refresh: refresh === true });
+    context.log(`🧑‍🍳 Jobs for ${locationInfo.name}: ${catalog.jobs.size} (${catalog.status})`);
+
+    // 206 tells the frontend the jobs are the last synced ones (or there are none)
+    return {
+      status: catalog.status === 'ok' ? 200 : 206,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          location: locationInfo.name,
+          locationId: locationInfo.id,
+          status: catalog.status,
+          lastSynced: catalog.lastSynced ? catalog.lastSynced.toISOString() : null,
+          note: catalog.note,
+          jobs: Array.from(catalog.jobs.values()).sort((a, b) => a.name.localeCompare(b.name))
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink jobs:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+/**
+ * PAR Brink Job Labor Function
+ * POST { locationToken, accessToken, startDate?, endDate? } - dates default to the current business date
+ * Hours, labor cost and headcount per job and job category (cook, cashier, shift lead, manager) for the range,
+ * each business date and each store-local hour of it
+ */
+export async function parBrinkJobLabor(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink job labor request started');
+
+    const body = await request.json() as any;
+    const { locationToken, accessToken, startDate, endDate } = body || {};
+
+    if (!locationToken || !accessToken) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Missing required parameters: locationToken and accessToken are required'
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    const locationInfo = await storeConfigService.getStoreConfig(locationToken, context);
+
+    if (!locationInfo) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid location token or store not found'
+        }
+      };
+    }
+
+    const storeTimezone = resolveTimezone(locationInfo.timezone);
+    const currentBusinessDate = getBusinessCalendar(storeTimezone, { businessDayStartHour: locationInfo.businessDayStartHour }).businessDate;
+    const { range, errors } = parseReportDateRange(startDate, endDate, currentBusinessDate);
+
+    if (!range) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid date range',
+          details: errors
+        }
+      };
+    }
+
+    context.log(`🧑‍🍳 Job labor for ${locationInfo.name} ${range.startDate} - ${range.endDate} (${range.dates.length} business dates, ${storeTimezone})`);
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const brinkDays = brinkWarehouseService.createDaySource(locationInfo, brinkClient, context);
+
+    const catalog = await jobCatalogService.getJobCatalog(locationInfo.id, brinkClient, context);
+    const { results, days, degraded } = await loadReportDays(range.dates, businessDate => fetchJobShifts(brinkDays, businessDate, context), context);
+
+    const now = new Date();
+    const rangeTally = new JobLaborTally();
+    const daily = results.map(({ businessDate, value: shifts }) => {
+      const storeHours = getStoreHoursForDate(locationInfo, businessDate);
+      const dayEnd = getBusinessDayWindow(businessDate, storeTimezone, resolveBusinessDayStartHour(locationInfo.businessDayStartHour)).end;
+      const dayTally = new JobLaborTally();
+      const hours = new Map<string, { position: number; tally: JobLaborTally }>();
+
+      shifts.forEach(shift => {
+        const job = getShiftJob(shift, catalog.jobs);
+        const name = getJobName(shift.jobId, catalog.jobs);
+
+        getShiftHourSegments(shift, storeTimezone, now, dayEnd).forEach(segment => {
+          rangeTally.add(shift, job, name, segment.hours);
+          dayTally.add(shift, job, name, segment.hours);
+
+          const hour = formatHourKey(segment.localHour);
+          const entry = hours.get(hour) || { position: getBusinessHourPosition(segment.localHour, storeHours), tally: new JobLaborTally() };
+          entry.tally.add(shift, job, name, segment.hours);
+          hours.set(hour, entry);
+        });
+      });
+
+      return {
+        businessDate,
+        byCategory: dayTally.byCategory(),
+        jobs: dayTally.rows(),
+        hourly: Array.from(hours.entries())
+          .sort(([, a], [, b]) => a.position - b.position)
+          .map(([hour, entry]) => ({ hour, byCategory: entry.tally.byCategory(), jobs: entry.tally.rows() }))
+      };
+    });
+
+    const byCategory = rangeTally.byCategory();
+    context.log(`🧑‍🍳 Job labor: ${byCategory.map(row => `${row.category} ${row.hoursWorked}h`).join(', ') || 'no shifts'}`);
+
+    // 206 tells the frontend some business dates (see data.days) or job names are missing
+    const jobsDegraded = catalog.status !== 'ok';
+    return {
+      status: degraded || jobsDegraded ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          location: locationInfo.name,
+          locationId: locationInfo.id,
+          startDate: range.startDate,
+          endDate: range.endDate,
+          timezone: storeTimezone,
+          degraded: degraded || jobsDegraded,
+          jobCatalog: catalog.status,
+          jobCatalogNote: catalog.note,
+          days,
+          byCategory,
+          jobs: rangeTally.rows(),
+          daily
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink job labor:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+async function fetchJobShifts(source: BrinkDaySource, businessDate: string, context: InvocationContext): Promise<BrinkShift[]> {
+  // Same shift filter as the dashboard so job hours add up to its labor totals
+  const shifts = (await source.getShifts(businessDate)).filter(shift => shift.startTime && (shift.minutesWorked > 0 || !shift.endTime));
+  context.log(`Retrieved ${shifts.length} shifts for job labor on ${businessDate}`);
+  return shifts;
+}
+
+// Register the functions
+app.http('parBrinkJobs', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/jobs',
+  handler: parBrinkJobs
+});
+
+app.http('parBrinkJobLabor', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/job-labor',
+  handler: parBrinkJobLabor
+});
@@ -0,0 +1,195 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { describeBrinkError } from '../services/BrinkApiClient';
+import { DEFAULT_WORKWEEK_START_DAY, OvertimeFlagType, overtimeService } from '../services/overtimeService';
+import { StoreConfig } from '../services/storeConfigService';
+import { isIsoDate } from '../utils/reportDates';
+
+const FLAG_TYPES: OvertimeFlagType[] = ['weekly_overtime', 'approaching_weekly', 'projected_weekly_overtime', 'daily_overtime', 'approaching_daily'];
+
+/**
+ * PAR Brink Overtime Function
+ * POST { accessToken, locationToken?, locationTokens?, weekOf?, workweekStartDay? }
+ * Each employee's hours for the workweek across stores, with overtime so far, the end-of-week projection and
+ * flags for anyone over or about to cross the weekly (40h) or daily (Colorado 12h) limit
+ * Stores: locationTokens, else every active store of locationToken's tenant, else every active store
+ */
+export async function parBrinkOvertime(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink overtime request started');
+
+    const body = await request.json() as any;
+    const { accessToken, locationToken, locationTokens, weekOf } = body || {};
+    const workweekStartDay = body?.workweekStartDay ?? DEFAULT_WORKWEEK_START_DAY;
+
+    const errors: string[] = [];
+    if (!accessToken) errors.push('accessToken is required');
+    if (locationTokens !== undefined && (!Array.isArray(locationTokens) || locationTokens.length === 0 || locationTokens.some((token: unknown) => typeof token !== 'string'))) {
+      errors.push('locationTokens must be a non-empty array of location tokens');
+    }
+    if (weekOf !== undefined && (typeof weekOf !== 'string' || !isIsoDate(weekOf))) errors.push('weekOf must be YYYY-MM-DD');
+    if (!Number.isInteger(workweekStartDay) || workweekStartDay < 0 || workweekStartDay > 6) {
+      errors.push('workweekStartDay must be 0 (Sunday) to 6 (Saturday)');
+    }
+
+    if (errors.length > 0) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid overtime request',
+          details: errors
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    let stores: StoreConfig[];
+    if (locationTokens) {
+      const found = await Promise.all((locationTokens as string[]).map(token => storeConfigService.getStoreConfig(token, context)));
+      const missing = found.filter(store => !store).length;
+      if (missing > 0) {
+        return {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          jsonBody: {
+            success: false,
+            error: `Invalid location token or store not found (${missing} of ${locationTokens.length})`
+          }
+        };
+      }
+      stores = found as StoreConfig[];
+    } else {
+      const activeStores = await storeConfigService.getAllActiveStores(context);
+      const store = locationToken ? await storeConfigService.getStoreConfig(locationToken, context) : null;
+      if (locationToken && !store) {
+        return {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          jsonBody: {
+            success: false,
+            error: 'Invalid location token or store not found'
+          }
+        };
+      }
+      // An access token belongs to one brand - only its stores share employees
+      stores = store?.tenantId ? activeStores.filter(active => active.tenantId === store.tenantId) : activeStores;
+    }
+
+    if (stores.length === 0) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'No active stores to report on'
+        }
+      };
+    }
+
+    const overtime = await overtimeService.getWeeklyOvertime({ stores, accessToken, weekOf, workweekStartDay }, context);
+    if (overtime.stores.every(store => store.status === 'failed')) {
+      // Nothing usable - report why instead of an empty week
+      return {
+        status: 502,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'PAR Brink request failed for every store',
+          stores: overtime.stores
+        }
+      };
+    }
+
+    const flagged = overtime.employees.filter(employee => employee.flags.length > 0);
+    const sum = (values: number[]) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+    const totals = {
+      employees: overtime.employees.length,
+      flaggedEmployees: flagged.length,
+      clockedIn: overtime.employees.filter(employee => employee.clockedIn).length,
+      hoursWorked: sum(overtime.employees.map(employee => employee.hoursWorked)),
+      overtimeHours: sum(overtime.employees.map(employee => employee.overtimeHours)),
+      projectedHours: sum(overtime.employees.map(employee => employee.projectedHours)),
+      projectedOvertimeHours: sum(overtime.employees.map(employee => employee.projectedOvertimeHours)),
+      byFlag: Object.fromEntries(FLAG_TYPES.map(type => [type, flagged.filter(employee => employee.flags.some(flag => flag.type === type)).length]))
+    };
+
+    context.log(`⏱️ Overtime: ${totals.employees} employees, ${totals.flaggedEmployees} flagged, ${totals.overtimeHours}h overtime, ${totals.projectedOvertimeHours}h projected`);
+
+    // 206 tells the frontend some stores or business dates are missing (see data.stores)
+    return {
+      status: overtime.degraded ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          ...overtime.workweek,
+          workweekStartDay,
+          weeklyThreshold: overtime.weeklyThreshold,
+          degraded: overtime.degraded,
+          stores: overtime.stores,
+          totals,
+          employees: overtime.employees
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink overtime:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+// Register the function
+app.http('parBrinkOvertime', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/overtime',
+  handler: parBrinkOvertime
+});
@@ -0,0 +1,321 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { createBrinkClientForLocation, describeBrinkError } from '../services/BrinkApiClient';
+import { BrinkDaySource, brinkWarehouseService } from '../services/brinkWarehouseService';
+import { BrinkOrder } from '../models/brink';
+import { StoreConfig } from '../services/storeConfigService';
+import { formatHourKey, getLocalHour, resolveTimezone } from '../utils/timezone';
+import { getBusinessCalendar } from '../utils/businessCalendar';
+import { getBusinessHourPosition, getStoreHoursForDate, StoreHoursWindow } from '../utils/storeHours';
+import { DEFAULT_DAYPARTS, getDaypart } from '../utils/dayparts';
+import { loadReportDays, parseReportDateRange, ReportDay } from '../utils/reportDates';
+
+interface MixTotals {
+  quantity: number;
+  sales: number;
+}
+
+interface HourlyMix extends MixTotals {
+  hour: string;
+}
+
+interface DaypartMix extends MixTotals {
+  daypart: string;
+}
+
+interface ModifierMix extends MixTotals {
+  itemId: string;
+  name: string | null;
+}
+
+interface ItemMix extends MixTotals {
+  itemId: string;
+  name: string | null;
+  modifierSales: number;       // included in sales
+  salesShare: number;          // % of the range's product sales
+  hourly: HourlyMix[];
+  dayparts: DaypartMix[];
+  modifiers: ModifierMix[];
+}
+
+interface ProductMixDay extends ReportDay {
+  orders: number;
+}
+
+/**
+ * Running totals keyed by item id; hours are keyed "HH:00" with their business-day position for sorting
+ */
+interface MixAccumulator {
+  items: Map<string, {
+    itemId: string;
+    name: string | null;
+    quantity: number;
+    sales: number;
+    modifierSales: number;
+    hours: Map<string, MixTotals & { position: number }>;
+    dayparts: Map<string, MixTotals>;
+    modifiers: Map<string, ModifierMix>;
+  }>;
+  hours: Map<string, MixTotals & { position: number }>;
+  dayparts: Map<string, MixTotals>;
+  orders: number;
+}
+
+/**
+ * PAR Brink Product Mix Function
+ * POST { locationToken, accessToken, startDate?, endDate? } - dates default to the current business date
+ * Returns item quantity and sales (including modifiers) by hour and daypart for the date range
+ */
+export async function parBrinkProductMix(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink product mix request started');
+
+    const body = await request.json() as any;
+    const { locationToken, accessToken, startDate, endDate } = body || {};
+
+    if (!locationToken || !accessToken) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Missing required parameters: locationToken and accessToken are required'
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    const locationInfo = await storeConfigService.getStoreConfig(locationToken, context);
+
+    if (!locationInfo) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid location token or store not found'
+        }
+      };
+    }
+
+    const storeTimezone = resolveTimezone(locationInfo.timezone);
+    const currentBusinessDate = getBusinessCalendar(storeTimezone, { businessDayStartHour: locationInfo.businessDayStartHour }).businessDate;
+    const { range, errors } = parseReportDateRange(startDate, endDate, currentBusinessDate);
+
+    if (!range) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid date range',
+          details: errors
+        }
+      };
+    }
+
+    context.log(`🍔 Product mix for ${locationInfo.name} ${range.startDate} - ${range.endDate} (${range.dates.length} business dates, ${storeTimezone})`);
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const brinkDays = brinkWarehouseService.createDaySource(locationInfo, brinkClient, context);
+
+    const mix: MixAccumulator = { items: new Map(), hours: new Map(), dayparts: new Map(), orders: 0 };
+    const { results, days, degraded } = await loadReportDays(range.dates, businessDate => fetchProductMixOrders(brinkDays, businessDate, context), context);
+    results.forEach(({ businessDate, value: orders }) => {
+      addOrdersToMix(mix, orders, storeTimezone, getStoreHoursForDate(locationInfo, businessDate));
+    });
+    const orderCounts = new Map(results.map(({ businessDate, value }) => [businessDate, value.length]));
+
+    const data = buildProductMixResponse(mix, locationInfo, storeTimezone, range.startDate, range.endDate, days.map(day => ({ ...day, orders: orderCounts.get(day.businessDate) ?? 0 })));
+    context.log(`🍔 Product mix: ${data.items.length} items, ${data.totals.quantity} sold, $${data.totals.sales} across ${mix.orders} orders`);
+
+    // 206 tells the frontend some business dates are missing (see data.days)
+    return {
+      status: degraded ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink product mix:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+async function fetchProductMixOrders(source: BrinkDaySource, businessDate: string, context: InvocationContext): Promise<BrinkOrder[]> {
+  // Same order filter as the dashboard so product sales line up with its totals
+  const orders = (await source.getOrders(businessDate)).filter(order => order.number && order.total > 0);
+  context.log(`Retrieved ${orders.length} orders with ${orders.reduce((sum, order) => sum + order.items.length, 0)} line items for ${businessDate}`);
+  return orders;
+}
+
+function addTotals(totals: Map<string, MixTotals>, key: string, quantity: number, sales: number): void {
+  const entry = totals.get(key) || { quantity: 0, sales: 0 };
+  entry.quantity += quantity;
+  entry.sales += sales;
+  totals.set(key, entry);
+}
+
+function addHourTotals(totals: Map<string, MixTotals & { position: number }>, key: string, position: number, quantity: number, sales: number): void {
+  const entry = totals.get(key) || { quantity: 0, sales: 0, position };
+  entry.quantity += quantity;
+  entry.sales += sales;
+  totals.set(key, entry);
+}
+
+/**
+ * Add one business date's line items to the mix, bucketed by the store-local hour the order was sent
+ */
+function addOrdersToMix(mix: MixAccumulator, orders: BrinkOrder[], timezone: string, storeHours: StoreHoursWindow): void {
+  orders.forEach(order => {
+    if (!order.firstSendTime || order.isVoided) return;
+
+    const localHour = getLocalHour(order.firstSendTime, timezone);
+    const hour = formatHourKey(localHour);
+    const position = getBusinessHourPosition(localHour, storeHours);
+    const daypart = getDaypart(localHour, storeHours).name;
+    mix.orders += 1;
+
+    order.items.forEach(line => {
+      // Items removed or voided after being rung in were never sold
+      if (line.isDeleted || line.isVoided) return;
+
+      const modifierSales = line.modifiers.reduce((sum, modifier) => sum + modifier.price, 0);
+      const sales = line.grossSales + modifierSales;
+
+      const item = mix.items.get(line.itemId) || {
+        itemId: line.itemId,
+        name: line.name || null,
+        quantity: 0,
+        sales: 0,
+        modifierSales: 0,
+        hours: new Map(),
+        dayparts: new Map(),
+        modifiers: new Map()
+      };
+      mix.items.set(line.itemId, item);
+      item.name = item.name || line.name || null;
+      item.quantity += line.quantity;
+      item.sales += sales;
+      item.modifierSales += modifierSales;
+      addHourTotals(item.hours, hour, position, line.quantity, sales);
+      addTotals(item.dayparts, daypart, line.quantity, sales);
+
+      line.modifiers.forEach(modifier => {
+        const entry = item.modifiers.get(modifier.itemId) || { itemId: modifier.itemId, name: modifier.name || null, quantity: 0, sales: 0 };
+        entry.quantity += modifier.quantity;
+        entry.sales += modifier.price;
+        item.modifiers.set(modifier.itemId, entry);
+      });
+
+      addHourTotals(mix.hours, hour, position, line.quantity, sales);
+      addTotals(mix.dayparts, daypart, line.quantity, sales);
+    });
+  });
+}
+
+const roundCurrency = (value: number) => Math.round(value * 100) / 100;
+
+function toHourly(hours: Map<string, MixTotals & { position: number }>): HourlyMix[] {
+  return Array.from(hours.entries())
+    .sort(([, a], [, b]) => a.position - b.position)
+    .map(([hour, totals]) => ({ hour, quantity: totals.quantity, sales: roundCurrency(totals.sales) }));
+}
+
+function toDayparts(dayparts: Map<string, MixTotals>): DaypartMix[] {
+  return DEFAULT_DAYPARTS
+    .filter(daypart => dayparts.has(daypart.name))
+    .map(daypart => {
+      const totals = dayparts.get(daypart.name)!;
+      return { daypart: daypart.name, quantity: totals.quantity, sales: roundCurrency(totals.sales) };
+    });
+}
+
+function buildProductMixResponse(mix: MixAccumulator, store: StoreConfig, timezone: string, startDate: string, endDate: string, days: ProductMixDay[]) {
+  const totalSales = Array.from(mix.items.values()).reduce((sum, item) => sum + item.sales, 0);
+  const totalQuantity = Array.from(mix.items.values()).reduce((sum, item) => sum + item.quantity, 0);
+
+  const items: ItemMix[] = Array.from(mix.items.values())
+    .sort((a, b) => b.sales - a.sales || b.quantity - a.quantity)
+    .map(item => ({
+      itemId: item.itemId,
+      name: item.name,
+      quantity: item.quantity,
+      sales: roundCurrency(item.sales),
+      modifierSales: roundCurrency(item.modifierSales),
+      salesShare: totalSales > 0 ? Math.round((item.sales / totalSales) * 1000) / 10 : 0,
+      hourly: toHourly(item.hours),
+      dayparts: toDayparts(item.dayparts),
+      modifiers: Array.from(item.modifiers.values())
+        .sort((a, b) => b.quantity - a.quantity)
+        .map(modifier => ({ ...modifier, sales: roundCurrency(modifier.sales) }))
+    }));
+
+  return {
+    location: store.name,
+    locationId: store.id,
+    startDate,
+    endDate,
+    timezone,
+    degraded: days.some(day => day.status === 'failed'),
+    days,
+    dayparts: DEFAULT_DAYPARTS,
+    totals: {
+      orders: mix.orders,
+      quantity: totalQuantity,
+      sales: roundCurrency(totalSales)
+    },
+    hourly: toHourly(mix.hours),
+    byDaypart: toDayparts(mix.dayparts),
+    items
+  };
+}
+
+// Register the function
+app.http('parBrinkProductMix', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/product-mix',
+  handler: parBrinkProductMix
+});
@@ -0,0 +1,162 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { describeBrinkError } from '../services/BrinkApiClient';
+import { StoreConfig } from '../services/storeConfigService';
+import { storeRollupService } from '../services/storeRollupService';
+import { isIsoDate } from '../utils/reportDates';
+
+/**
+ * PAR Brink Rollup Function
+ * POST { accessToken, region? | state? | locationTokens?, businessDate? }
+ * The dashboard's sales, guests, labor cost, labor % and SPLH for every store of a region, a state or a list
+ * of stores in one call - per-store rows, totals by state and region, and hourly aggregates by store-local hour
+ * businessDate defaults to each store's current business date
+ * region and state load every matching store's location token from store_configurations, so the route needs a function key
+ */
+export async function parBrinkRollup(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink rollup request started');
+
+    const body = await request.json() as any;
+    const { accessToken, region, state, locationTokens, businessDate } = body || {};
+
+    const errors: string[] = [];
+    if (!accessToken) errors.push('accessToken is required');
+    const selectors = [region, state, locationTokens].filter(selector => selector !== undefined).length;
+    if (selectors !== 1) errors.push('Provide exactly one of region, state or locationTokens');
+    if (region !== undefined && (typeof region !== 'string' || !region.trim())) errors.push('region must be a region name');
+    if (state !== undefined && (typeof state !== 'string' || !/^[A-Za-z]{2}$/.test(state))) errors.push('state must be a two-letter state abbreviation');
+    if (locationTokens !== undefined && (!Array.isArray(locationTokens) || locationTokens.length === 0 || locationTokens.some((token: unknown) => typeof token !== 'string'))) {
+      errors.push('locationTokens must be a non-empty array of location tokens');
+    }
+    if (businessDate !== undefined && (typeof businessDate !== 'string' || !isIsoDate(businessDate))) errors.push('businessDate must be YYYY-MM-DD');
+
+    if (errors.length > 0) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid rollup request',
+          details: errors
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    let stores: StoreConfig[];
+    if (locationTokens) {
+      const found = await Promise.all((locationTokens as string[]).map(token => storeConfigService.getStoreConfig(token, context)));
+      const missing = found.filter(store => !store).length;
+      if (missing > 0) {
+        return {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          },
+          jsonBody: {
+            success: false,
+            error: `Invalid location token or store not found (${missing} of ${locationTokens.length})`
+          }
+        };
+      }
+      // The same store listed twice is counted once
+      stores = (found as StoreConfig[]).filter((store, index, all) => all.findIndex(other => other.id === store.id) === index);
+    } else if (region !== undefined) {
+      stores = await storeConfigService.getStoresByRegion(region, context);
+    } else {
+      stores = await storeConfigService.getStoresByState(state.toUpperCase(), context);
+    }
+
+    if (stores.length === 0) {
+      return {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: region !== undefined ? `No active stores in region "${region}"` : `No active stores in ${state.toUpperCase()}`
+        }
+      };
+    }
+
+    const rollup = await storeRollupService.getRollup({ stores, accessToken, businessDate }, context);
+    if (rollup.stores.every(store => store.status === 'failed')) {
+      // Nothing usable - report why instead of a $0 region
+      return {
+        status: 502,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'PAR Brink request failed for every store',
+          stores: rollup.stores
+        }
+      };
+    }
+
+    // 206 tells the frontend some stores are missing sales or labor (see data.stores)
+    return {
+      status: rollup.degraded ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          scope: locationTokens ? { locationTokens: locationTokens.length } : region !== undefined ? { region } : { state: state.toUpperCase() },
+          businessDate: businessDate || null,
+          ...rollup
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink rollup:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+// Register the function
+app.http('parBrinkRollup', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'function',
+  route: 'par-brink/rollup',
+  handler: parBrinkRollup
+});
@@ -0,0 +1,259 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { BrinkApiClient, createBrinkClientForLocation, describeBrinkError } from '../services/BrinkApiClient';
+import { BrinkDaySource, brinkWarehouseService } from '../services/brinkWarehouseService';
+import { BrinkOrder, BrinkTender, BrinkTenderType } from '../models/brink';
+import { resolveTimezone } from '../utils/timezone';
+import { getBusinessCalendar } from '../utils/businessCalendar';
+import { loadReportDays, parseReportDateRange } from '../utils/reportDates';
+
+interface TenderTotals {
+  payments: number;
+  amount: number;                // payment amounts, refunds netted out
+  tips: number;
+  total: number;                 // amount + tips - what should be deposited/settled
+  refunds: number;
+  refundAmount: number;          // positive amount paid back
+}
+
+interface TenderRow extends TenderTotals {
+  tenderId: number | null;
+  name: string;
+  type: BrinkTenderType;
+}
+
+const TENDER_TYPES: BrinkTenderType[] = ['cash', 'card', 'gift_card', 'third_party', 'other'];
+
+/**
+ * PAR Brink Tenders Function
+ * POST { locationToken, accessToken, startDate?, endDate? } - dates default to the current business date
+ * Totals payments, tips and counts per tender (and tender type) for each business date, for reconciling deposits
+ */
+export async function parBrinkTenders(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log('PAR Brink tenders request started');
+
+    const body = await request.json() as any;
+    const { locationToken, accessToken, startDate, endDate } = body || {};
+
+    if (!locationToken || !accessToken) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Missing required parameters: locationToken and accessToken are required'
+        }
+      };
+    }
+
+    const { storeConfigService } = await import('../services/storeConfigService');
+    const locationInfo = await storeConfigService.getStoreConfig(locationToken, context);
+
+    if (!locationInfo) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid location token or store not found'
+        }
+      };
+    }
+
+    const storeTimezone = resolveTimezone(locationInfo.timezone);
+    const currentBusinessDate = getBusinessCalendar(storeTimezone, { businessDayStartHour: locationInfo.businessDayStartHour }).businessDate;
+    const { range, errors } = parseReportDateRange(startDate, endDate, currentBusinessDate);
+
+    if (!range) {
+      return {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        jsonBody: {
+          success: false,
+          error: 'Invalid date range',
+          details: errors
+        }
+      };
+    }
+
+    context.log(`💳 Tenders for ${locationInfo.name} ${range.startDate} - ${range.endDate} (${range.dates.length} business dates)`);
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const brinkDays = brinkWarehouseService.createDaySource(locationInfo, brinkClient, context);
+
+    const { tenders, status: tenderCatalog } = await fetchTenderCatalog(brinkClient, context);
+    const { results, days, degraded } = await loadReportDays(range.dates, businessDate => fetchTenderOrders(brinkDays, businessDate, context), context);
+
+    const daily = results.map(({ businessDate, value: orders }) => {
+      const rows = totalTenders(orders, tenders);
+      return { businessDate, orders: orders.length, totals: sumTotals(rows), tenders: rows, byType: totalTypes(rows) };
+    });
+
+    // Range totals - the same tender rows summed across business dates
+    const rangeRows = new Map<string, TenderRow>();
+    daily.forEach(day => day.tenders.forEach(row => {
+      const key = String(row.tenderId);
+      rangeRows.set(key, addTotals(rangeRows.get(key) || { ...emptyTotals(), tenderId: row.tenderId, name: row.name, type: row.type }, row));
+    }));
+    const rangeTenders = sortTenders(Array.from(rangeRows.values()));
+    const totals = sumTotals(rangeTenders);
+
+    context.log(`💳 Tenders: ${rangeTenders.length} tenders, ${totals.payments} payments, $${totals.total} total`);
+
+    // 206 tells the frontend some business dates are missing (see data.days) or tender names are
+    return {
+      status: degraded || tenderCatalog !== 'ok' ? 206 : 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      jsonBody: {
+        success: true,
+        data: {
+          location: locationInfo.name,
+          locationId: locationInfo.id,
+          startDate: range.startDate,
+          endDate: range.endDate,
+          degraded: degraded || tenderCatalog !== 'ok',
+          tenderCatalog,
+          days,
+          totals,
+          tenders: rangeTenders,
+          byType: totalTypes(rangeTenders),
+          daily
+        }
+      }
+    };
+
+  } catch (error) {
+    context.error('Error in PAR Brink tenders:', error);
+    const brinkError = describeBrinkError(error);
+    return {
+      status: brinkError.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...(brinkError.retryAfterSeconds !== undefined ? { 'Retry-After': String(brinkError.retryAfterSeconds) } : {})
+      },
+      jsonBody: {
+        success: false,
+        error: brinkError.code ? 'PAR Brink request failed' : 'Internal server error',
+        details: brinkError.message,
+        code: brinkError.code,
+        category: brinkError.category,
+        retryable: brinkError.retryable
+      }
+    };
+  }
+}
+
+/**
+ * Tender names from Settings2 - without them the report still totals by tender id
+ */
+async function fetchTenderCatalog(client: BrinkApiClient, context: InvocationContext): Promise<{ tenders: Map<number, BrinkTender>; status: 'ok' | 'failed' }> {
+  try {
+    const tenders = await client.getTenders();
+    return { tenders: new Map(tenders.map(tender => [tender.id, tender])), status: 'ok' };
+  } catch (error) {
+    context.warn(`⚠️ Tender names unavailable, reporting tender ids: ${describeBrinkError(error).message}`);
+    return { tenders: new Map(), status: 'failed' };
+  }
+}
+
+async function fetchTenderOrders(source: BrinkDaySource, businessDate: string, context: InvocationContext): Promise<BrinkOrder[]> {
+  // Every order with payments - refunds are negative payments and must reduce the deposit
+  const orders = (await source.getOrders(businessDate)).filter(order => order.number && order.payments.length > 0);
+  context.log(`Retrieved ${orders.length} paid orders for ${businessDate}`);
+  return orders;
+}
+
+const roundCurrency = (value: number) => Math.round(value * 100) / 100;
+
+function emptyTotals(): TenderTotals {
+  return { payments: 0, amount: 0, tips: 0, total: 0, refunds: 0, refundAmount: 0 };
+}
+
+function addTotals<T extends TenderTotals>(target: T, source: TenderTotals): T {
+  target.payments += source.payments;
+  target.amount = roundCurrency(target.amount + source.amount);
+  target.tips = roundCurrency(target.tips + source.tips);
+  target.total = roundCurrency(target.total + source.total);
+  target.refunds += source.refunds;
+  target.refundAmount = roundCurrency(target.refundAmount + source.refundAmount);
+  return target;
+}
+
+function sumTotals(rows: TenderTotals[]): TenderTotals {
+  return rows.reduce((totals, row) => addTotals(totals, row), emptyTotals());
+}
+
+function sortTenders(rows: TenderRow[]): TenderRow[] {
+  return rows.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+/**
+ * One row per tender used on the business date
+ */
+function totalTenders(orders: BrinkOrder[], tenders: Map<number, BrinkTender>): TenderRow[] {
+  const rows = new Map<string, TenderRow>();
+
+  orders.forEach(order => {
+    order.payments.forEach(payment => {
+      const tender = payment.tenderId !== null ? tenders.get(payment.tenderId) : undefined;
+      const key = String(payment.tenderId);
+      const row = rows.get(key) || {
+        ...emptyTotals(),
+        tenderId: payment.tenderId,
+        name: tender?.name || (payment.tenderId !== null ? `Tender ${payment.tenderId}` : 'Unknown tender'),
+        type: tender?.type || 'other'
+      };
+      rows.set(key, row);
+
+      const refund = payment.amount < 0;
+      addTotals(row, {
+        payments: refund ? 0 : 1,
+        amount: payment.amount,
+        tips: payment.tipAmount,
+        total: payment.amount + payment.tipAmount,
+        refunds: refund ? 1 : 0,
+        refundAmount: refund ? -payment.amount : 0
+      });
+    });
+  });
+
+  return sortTenders(Array.from(rows.values()));
+}
+
+function totalTypes(rows: TenderRow[]): ({ type: BrinkTenderType } & TenderTotals)[] {
+  return TENDER_TYPES
+    .map(type => ({ type, ...sumTotals(rows.filter(row => row.type === type)) }))
+    .filter(row => row.payments > 0 || row.refunds > 0);
+}
+
+// Register the function
+app.http('parBrinkTenders', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'par-brink/tenders',
+  handler: parBrinkTenders
+});
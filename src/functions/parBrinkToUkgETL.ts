@@ -1,5 +1,8 @@
 import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
 import { UkgReadyApiService, UkgReadyConfig, UkgReadyEmployeePayload } from '../services/UkgReadyApiService';
+import { createBrinkClientForLocation } from '../services/BrinkApiClient';
+import { JobCatalog, jobCatalogService } from '../services/jobCatalogService';
+import { BrinkJob } from '../models/brink';
 
 // PAR Brink Employee Interface (based on our successful API test)
 interface ParBrinkEmployee {
@@ -30,14 +33,7 @@ interface UkgReadyEmployee extends UkgReadyEmployeePayload {
     // Additional fields specific to our ETL process
 }
 
-// Transformation mappings
-const JOB_CODE_MAPPING: Record<string, string> = {
-    '10': 'Manager',
-    '20': 'Crew Member',
-    '30': 'Shift Leader',
-    // Add more mappings as needed
-};
-
+// Transformation mappings - job titles come from the store's synced Brink job catalog
 const SECURITY_LEVEL_MAPPING: Record<string, string> = {
     '1': 'Manager',
     '2': 'Staff',
@@ -103,10 +99,11 @@ export async function parBrinkToUkgETL(request: HttpRequest, context: Invocation
         // STEP 1: EXTRACT - Get employee data from PAR Brink
         context.log('📥 STEP 1: Extracting employee data from PAR Brink...');
         const parBrinkEmployees = await extractParBrinkEmployees(accessToken, locationToken, context);
+        const jobCatalog = await extractJobCatalog(accessToken, locationToken, context);
 
         // STEP 2: TRANSFORM - Convert PAR Brink format to UKG Ready format
         context.log('🔄 STEP 2: Transforming PAR Brink data to UKG Ready format...');
-        const ukgReadyEmployees = transformParBrinkToUkgReady(parBrinkEmployees, context);
+        const ukgReadyEmployees = transformParBrinkToUkgReady(parBrinkEmployees, jobCatalog.jobs, context);
 
         // STEP 3: LOAD - Prepare for UKG Ready (dry run or actual load)
         context.log(`📤 STEP 3: ${dryRun ? 'Dry run preview' : 'Loading data to UKG Ready'}...`);
@@ -126,6 +123,7 @@ export async function parBrinkToUkgETL(request: HttpRequest, context: Invocation
                 data: {
                     extracted: parBrinkEmployees.length,
                     transformed: ukgReadyEmployees.length,
+                    jobCatalog: jobCatalog.status,
                     loadResult: loadResult,
                     preview: dryRun ? ukgReadyEmployees.slice(0, 5) : undefined // Show first 5 for preview
                 }
@@ -153,35 +151,36 @@ export async function parBrinkToUkgETL(request: HttpRequest, context: Invocation
  * EXTRACT: Get employee data from PAR Brink SOAP API
  */
 async function extractParBrinkEmployees(accessToken: string, locationToken: string, context: InvocationContext): Promise<ParBrinkEmployee[]> {
-    const soapEnvelope = `<?xml version="1.0" encoding="utf-8"?>
-    <soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" xmlns:set="http://www.brinksoftware.com/webservices/settings/v2">
-        <soap:Header />
-        <soap:Body>
-            <set:GetEmployees />
-        </soap:Body>
-    </soap:Envelope>`;
-
     try {
-        const response = await fetch('https://api11.brinkpos.net/Settings2.svc', {
-            method: 'POST',
-            headers: {
-                'AccessToken': accessToken,
-                'LocationToken': locationToken,
-                'Content-Type': 'text/xml',
-                'SOAPAction': 'http://www.brinksoftware.com/webservices/settings/v2/ISettingsWebService2/GetEmployees'
-            },
-            body: soapEnvelope
-        });
-
-        if (!response.ok) {
-            throw new Error(`PAR Brink API request failed: ${response.status} ${response.statusText}`);
-        }
-
-        const xmlText = await response.text();
+        const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+        const brinkEmployees = await brinkClient.getEmployees();
         context.log('📊 Received employee data from PAR Brink');
         
-        // Parse XML and extract employee data
-        const employees = parseParBrinkEmployeeXML(xmlText, context);
+        if (brinkEmployees.length === 0) {
+            context.log('⚠️ No employee data found in PAR Brink response');
+        }
+
+        const employees: ParBrinkEmployee[] = brinkEmployees.map(employee => ({
+            EmployeeId: employee.id,
+            FirstName: employee.firstName,
+            LastName: employee.lastName,
+            MiddleName: employee.middleName,
+            HomeLocationId: employee.homeLocationId || '',
+            JobCodeId: employee.jobCodeId || '',
+            SecurityLevelId: employee.securityLevelId || '',
+            HireDate: employee.hireDate || '',
+            TerminationDate: employee.terminationDate,
+            PayRate: employee.payRate,
+            IsActive: employee.isActive,
+            SocialSecurityNumber: employee.socialSecurityNumber,
+            DateOfBirth: employee.dateOfBirth,
+            PhoneNumber: employee.phoneNumber,
+            EmailAddress: employee.emailAddress,
+            Address: employee.address,
+            City: employee.city,
+            State: employee.state,
+            ZipCode: employee.zipCode
+        }));
         context.log(`✅ Extracted ${employees.length} employees from PAR Brink`);
         
         return employees;
@@ -192,68 +191,28 @@ async function extractParBrinkEmployees(accessToken: string, locationToken: stri
 }
 
 /**
- * Parse PAR Brink XML response to extract employee data
+ * EXTRACT: Job names for the store (synced from PAR Brink Settings2 GetJobs)
+ * A failed sync doesn't stop the ETL - employees without a known job get "Job Code X" titles
  */
-function parseParBrinkEmployeeXML(xmlText: string, context: InvocationContext): ParBrinkEmployee[] {
-    const employees: ParBrinkEmployee[] = [];
-    
+async function extractJobCatalog(accessToken: string, locationToken: string, context: InvocationContext): Promise<JobCatalog> {
+    let storeId: string | undefined;
     try {
-        // Simple regex-based XML parsing for employee data
-        // In production, consider using a proper XML parser
-        const employeeMatches = xmlText.match(/<Employee[^>]*>[\s\S]*?<\/Employee>/g);
-        
-        if (!employeeMatches) {
-            context.log('⚠️ No employee data found in PAR Brink response');
-            return employees;
-        }
-
-        employeeMatches.forEach(employeeXml => {
-            const employee: ParBrinkEmployee = {
-                EmployeeId: extractXmlValue(employeeXml, 'Id') || '',
-                FirstName: extractXmlValue(employeeXml, 'FirstName') || '',
-                LastName: extractXmlValue(employeeXml, 'LastName') || '',
-                MiddleName: extractXmlValue(employeeXml, 'MiddleName'),
-                HomeLocationId: extractXmlValue(employeeXml, 'HomeLocationId') || '',
-                JobCodeId: extractXmlValue(employeeXml, 'JobCodeId') || '',
-                SecurityLevelId: extractXmlValue(employeeXml, 'SecurityLevelId') || '',
-                HireDate: extractXmlValue(employeeXml, 'HireDate') || '',
-                TerminationDate: extractXmlValue(employeeXml, 'TerminationDate'),
-                PayRate: parseFloat(extractXmlValue(employeeXml, 'PayRate') || '0'),
-                IsActive: extractXmlValue(employeeXml, 'IsActive') === 'true',
-                SocialSecurityNumber: extractXmlValue(employeeXml, 'SocialSecurityNumber'),
-                DateOfBirth: extractXmlValue(employeeXml, 'DateOfBirth'),
-                PhoneNumber: extractXmlValue(employeeXml, 'PhoneNumber'),
-                EmailAddress: extractXmlValue(employeeXml, 'EmailAddress'),
-                Address: extractXmlValue(employeeXml, 'Address'),
-                City: extractXmlValue(employeeXml, 'City'),
-                State: extractXmlValue(employeeXml, 'State'),
-                ZipCode: extractXmlValue(employeeXml, 'ZipCode')
-            };
-            
-            employees.push(employee);
-        });
-        
-    } catch (error: any) {
-        context.log('❌ Error parsing PAR Brink XML:', error);
-        throw error;
+        const { storeConfigService } = await import('../services/storeConfigService');
+        storeId = (await storeConfigService.getStoreConfig(locationToken, context))?.id;
+    } catch (error) {
+        context.log('⚠️ Store lookup failed, loading jobs without the stored catalog:', error);
     }
-    
-    return employees;
-}
 
-/**
- * Extract value from XML element
- */
-function extractXmlValue(xml: string, elementName: string): string | undefined {
-    const regex = new RegExp(`<${elementName}[^>]*>([^<]*)</${elementName}>`, 'i');
-    const match = xml.match(regex);
-    return match ? match[1].trim() : undefined;
+    const brinkClient = await createBrinkClientForLocation({ accessToken, locationToken, context });
+    const catalog = await jobCatalogService.getJobCatalog(storeId, brinkClient, context);
+    context.log(`🧑‍🍳 Job catalog: ${catalog.jobs.size} jobs (${catalog.status})${catalog.note ? ` - ${catalog.note}` : ''}`);
+    return catalog;
 }
 
 /**
  * TRANSFORM: Convert PAR Brink employee data to UKG Ready format
  */
-function transformParBrinkToUkgReady(parBrinkEmployees: ParBrinkEmployee[], context: InvocationContext): UkgReadyEmployee[] {
+function transformParBrinkToUkgReady(parBrinkEmployees: ParBrinkEmployee[], jobs: Map<string, BrinkJob>, context: InvocationContext): UkgReadyEmployee[] {
     context.log(`🔄 Transforming ${parBrinkEmployees.length} PAR Brink employees to UKG Ready format`);
     
     return parBrinkEmployees.map(parEmployee => {
@@ -266,7 +225,7 @@ function transformParBrinkToUkgReady(parBrinkEmployees: ParBrinkEmployee[], cont
             homePhone: parEmployee.PhoneNumber,
             hireDate: formatDateForUkg(parEmployee.HireDate),
             terminationDate: parEmployee.TerminationDate ? formatDateForUkg(parEmployee.TerminationDate) : undefined,
-            jobTitle: JOB_CODE_MAPPING[parEmployee.JobCodeId] || `Job Code ${parEmployee.JobCodeId}`,
+            jobTitle: jobs.get(parEmployee.JobCodeId)?.name || `Job Code ${parEmployee.JobCodeId}`,
             department: SECURITY_LEVEL_MAPPING[parEmployee.SecurityLevelId] || `Security Level ${parEmployee.SecurityLevelId}`,
             location: parEmployee.HomeLocationId, // Could be mapped to location name
             payRate: parEmployee.PayRate,
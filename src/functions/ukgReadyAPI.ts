@@ -1,5 +1,6 @@
 import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
 import { TenantDatabaseService } from '../services/TenantDatabaseService';
+import { createHttpError, getHttpStatusForCategory, getResiliencePolicy, OutboundCallError, resilientFetch } from '../utils/resilience';
 
 /**
  * UKG Ready API Endpoints - Time Entries and Employee Management
@@ -7,6 +8,7 @@ import { TenantDatabaseService } from '../services/TenantDatabaseService';
  */
 
 const dbService = new TenantDatabaseService();
+const ukgPolicy = getResiliencePolicy('UKG_READY');
 
 /**
  * Make authenticated request to UKG Ready API
@@ -29,8 +31,8 @@ async function makeUKGRequest(
       throw new Error('Client secret not found');
     }
 
-    // Get OAuth token
-    const tokenResponse = await fetch(tenant.tokenEndpoint || '', {
+    // Get OAuth token (no side effects, safe to retry)
+    const tokenResponse = await resilientFetch(tenant.tokenEndpoint || '', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -41,27 +43,30 @@ async function makeUKGRequest(
         client_secret: clientSecret,
         scope: tenant.scope || 'read write'
       })
-    });
+    }, { name: 'UKG Ready token request', policy: ukgPolicy, idempotent: true });
 
     if (!tokenResponse.ok) {
-      throw new Error(`Token request failed: ${tokenResponse.status}`);
+      const error = createHttpError(`Token request failed: ${tokenResponse.status}`, tokenResponse.status);
+      // Rejected client credentials come back as 400 invalid_client
+      if (tokenResponse.status === 400) error.category = 'auth';
+      throw error;
     }
 
     const tokenData = await tokenResponse.json();
     
     // Make API request
     const apiUrl = `${tenant.baseUrl}/ta/rest/v2/companies/${tenant.companyId}${endpoint}`;
-    const response = await fetch(apiUrl, {
+    const response = await resilientFetch(apiUrl, {
       method,
       headers: {
         'Authorization': `Bearer ${tokenData.access_token}`,
         'Content-Type': 'application/json',
       },
       body: body ? JSON.stringify(body) : undefined
-    });
+    }, { name: `UKG Ready ${method} ${endpoint}`, policy: ukgPolicy });
 
     if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+      throw createHttpError(`API request failed: ${response.status} ${response.statusText}`, response.status, response.headers.get('retry-after'));
     }
 
     return await response.json();
@@ -137,6 +142,22 @@ export async function ukgReadyAPI(request: HttpRequest, context: InvocationConte
 
   } catch (error: any) {
     context.error('UKG Ready API error:', error);
+
+    // Failed UKG calls carry a category - report them as upstream errors instead of a generic 500
+    if (error instanceof OutboundCallError) {
+      return {
+        status: getHttpStatusForCategory(error.category),
+        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
+        body: JSON.stringify({
+          success: false,
+          error: 'UKG Ready request failed',
+          message: error.message,
+          category: error.category,
+          retryable: error.category === 'transient'
+        })
+      };
+    }
+
     return {
       status: 500,
       headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
@@ -0,0 +1,138 @@
+import { app, HttpRequest, HttpResponseInit, InvocationContext } from '@azure/functions';
+import { databaseStoreService } from '../services/databaseStoreService';
+import { storeConfigService } from '../services/storeConfigService';
+import { validationRuleService } from '../services/validationRuleService';
+import { getValidationRules, ValidationRuleScope, ValidationRuleSetting, validateRuleSetting } from '../utils/validationRules';
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*'
+};
+
+function jsonResponse(status: number, body: object): HttpResponseInit {
+  return { status, headers: corsHeaders, jsonBody: body };
+}
+
+/**
+ * Validation Rules Admin Function
+ * GET    - rule registry and stored settings, or the effective rules for ?storeToken=
+ * PUT    - create/update the setting for { scopeType, scopeKey, ruleId, enabled?, parameters? }
+ * DELETE - remove the setting for ?scopeType=&scopeKey=&ruleId=
+ */
+export async function validationRulesAdmin(request: HttpRequest, context: InvocationContext): Promise<HttpResponseInit> {
+  try {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        }
+      };
+    }
+
+    context.log(`Validation rules admin ${request.method} request started`);
+
+    if (request.method === 'GET') {
+      const storeToken = request.query.get('storeToken');
+
+      if (storeToken) {
+        const store = await storeConfigService.getStoreConfig(storeToken, context);
+        if (!store) {
+          return jsonResponse(404, { success: false, error: 'Store not found' });
+        }
+
+        const rules = await validationRuleService.getRulesForStore(store, context);
+        return jsonResponse(200, {
+          success: true,
+          data: {
+            store: { id: store.id, name: store.name, state: store.state, tenantId: store.tenantId || null },
+            rules: rules.map(({ rule, enabled, parameters, overriddenBy }) => ({
+              id: rule.id,
+              category: rule.category,
+              description: rule.description,
+              enabled,
+              parameters,
+              overriddenBy
+            }))
+          }
+        });
+      }
+
+      const settings = await databaseStoreService.getValidationRuleSettings(undefined, context);
+      return jsonResponse(200, {
+        success: true,
+        data: {
+          rules: getValidationRules().map(rule => ({
+            id: rule.id,
+            category: rule.category,
+            description: rule.description,
+            requires: rule.requires,
+            defaultParameters: rule.defaultParameters
+          })),
+          settings
+        }
+      });
+    }
+
+    if (request.method === 'PUT') {
+      const body = await request.json() as any;
+      const setting: ValidationRuleSetting = {
+        scopeType: body?.scopeType,
+        scopeKey: body?.scopeType === 'global' ? null : body?.scopeKey ?? null,
+        ruleId: body?.ruleId,
+        enabled: body?.enabled ?? null,
+        parameters: body?.parameters ?? null
+      };
+
+      const errors = validateRuleSetting(setting);
+      if (errors.length > 0) {
+        return jsonResponse(400, { success: false, error: 'Invalid validation rule setting', details: errors });
+      }
+
+      const saved = await databaseStoreService.saveValidationRuleSetting(setting, body.updatedBy || 'validation-rules-admin', context);
+      validationRuleService.invalidate();
+
+      return jsonResponse(200, { success: true, data: saved });
+    }
+
+    if (request.method === 'DELETE') {
+      const scopeType = request.query.get('scopeType') as ValidationRuleScope;
+      const scopeKey = scopeType === 'global' ? null : request.query.get('scopeKey');
+      const ruleId = request.query.get('ruleId') || '';
+
+      const errors = validateRuleSetting({ scopeType, scopeKey, ruleId });
+      if (errors.length > 0) {
+        return jsonResponse(400, { success: false, error: 'Invalid validation rule setting', details: errors });
+      }
+
+      const deleted = await databaseStoreService.deleteValidationRuleSetting(scopeType, scopeKey, ruleId, context);
+      if (!deleted) {
+        return jsonResponse(404, { success: false, error: 'Validation rule setting not found' });
+      }
+      validationRuleService.invalidate();
+
+      return jsonResponse(200, { success: true, data: { scopeType, scopeKey, ruleId, deleted: true } });
+    }
+
+    return jsonResponse(405, { success: false, error: `Method ${request.method} not allowed` });
+
+  } catch (error) {
+    context.error('Error in validation rules admin:', error);
+    return jsonResponse(500, {
+      success: false,
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}
+
+// Register the function
+app.http('validationRulesAdmin', {
+  methods: ['GET', 'PUT', 'DELETE', 'OPTIONS'],
+  authLevel: 'function',
+  route: 'admin/validation-rules',
+  handler: validationRulesAdmin
+});
@@ -11,11 +11,23 @@ import './functions/thirdPartyAPIs';
 import './functions/testDbConnection';
 import './functions/parBrinkConfigurations';
 import './functions/parBrinkDashboard';
+import './functions/dataQualityTrends';
+import './functions/parBrinkBreakCompliance';
+import './functions/parBrinkChannels';
+import './functions/parBrinkExceptions';
+import './functions/parBrinkIngestion';
+import './functions/parBrinkJobs';
+import './functions/parBrinkOvertime';
+import './functions/parBrinkRollup';
+import './functions/parBrinkTenders';
+import './functions/parBrinkProductMix';
 import './functions/parBrinkEnhanced';
 import './functions/parBrinkToUkgETL';
 import './functions/simpleTest';
 import './functions/thirdPartyAPISimple';
 import './functions/ukgReadyAPI';
+import './functions/validationRulesAdmin';
+import './functions/brinkBackfillAdmin';
 
 // Export the app for Azure Functions runtime
 export { app };
@@ -0,0 +1,608 @@
+import { z } from 'zod';
+
+// Normalized PAR Brink models returned by BrinkApiClient
+
+export interface BrinkPayment {
+  id: string;
+  amount: number;
+  tenderId: number | null;
+  tipAmount: number;
+  employeeId?: string;
+  paymentType?: string;
+  tillNumber?: string;
+}
+
+export interface BrinkOrderItemModifier {
+  id: string;
+  itemId: string;                 // menu item id of the modifier
+  name?: string;
+  quantity: number;
+  price: number;                  // extended price of the modifier
+}
+
+export interface BrinkOrderItem {
+  id: string;
+  itemId: string;                 // menu item id
+  name?: string;
+  quantity: number;
+  price: number;                  // unit price
+  grossSales: number;             // extended price before discounts, excluding modifiers
+  isDeleted: boolean;             // removed from the order after being rung in
+  isVoided: boolean;              // voided after being sent to the kitchen
+  voidReason?: string;
+  voidEmployeeId?: string;        // employee who voided it (approving manager when Brink records one)
+  employeeId?: string;            // employee who rang it in
+  modifiers: BrinkOrderItemModifier[];
+}
+
+export interface BrinkOrderDiscount {
+  id: string;
+  discountId: string;             // Settings2 discount definition id
+  name?: string;
+  amount: number;                 // positive amount taken off the order
+  isComp: boolean;                // comp (item given away) rather than a price discount
+  employeeId?: string;            // employee who applied it
+  orderItemId?: string;           // set for item-level discounts
+}
+
+export interface BrinkOrder {
+  id: string;
+  number: string;
+  name: string;
+  total: number;
+  businessDate?: string;
+  firstSendTime: string | null;   // UTC timestamp, null when the order was never sent
+  modifiedTime: string | null;
+  guestCount: number | null;      // guests entered at the POS, null when none was recorded
+  destinationId: number | null;   // Settings2 destination (dine in, to go, delivery, ...)
+  employeeId?: string;            // employee who owns the order
+  isVoided: boolean;              // the whole order was voided
+  voidReason?: string;
+  voidEmployeeId?: string;
+  payments: BrinkPayment[];
+  items: BrinkOrderItem[];
+  discounts: BrinkOrderDiscount[];
+}
+
+export interface BrinkShiftBreak {
+  id: string;
+  startTime: string | null;
+  endTime: string | null;         // null while the employee is still on break
+  isPaid: boolean;                // paid rest period vs unpaid meal period
+  minutes: number;                // 0 while the break is open
+}
+
+export interface BrinkShift {
+  id: string;
+  employeeId: string;
+  jobId?: string;
+  businessDate?: string;
+  startTime: string | null;
+  endTime: string | null;         // null while the employee is still clocked in
+  minutesWorked: number;
+  payRate: number;
+  breaks: BrinkShiftBreak[];
+}
+
+export interface BrinkEmployee {
+  id: string;
+  firstName: string;
+  lastName: string;
+  middleName?: string;
+  employeeNumber?: string;
+  jobTitle?: string;
+  homeLocationId?: string;
+  jobCodeId?: string;
+  securityLevelId?: string;
+  hireDate?: string;
+  terminationDate?: string;
+  payRate: number;
+  isActive: boolean;
+  socialSecurityNumber?: string;
+  dateOfBirth?: string;
+  phoneNumber?: string;
+  emailAddress?: string;
+  address?: string;
+  city?: string;
+  state?: string;
+  zipCode?: string;
+}
+
+export type BrinkTenderType = 'cash' | 'card' | 'gift_card' | 'third_party' | 'other';
+
+export interface BrinkTender {
+  id: number;                     // OrderPayment.TenderId
+  name: string;                   // e.g. "Cash", "Visa", "DoorDash"
+  type: BrinkTenderType;
+  active: boolean;
+}
+
+export type SalesChannel = 'dine_in' | 'pickup' | 'delivery' | 'third_party' | 'online' | 'mobile_app' | 'catering' | 'other';
+
+export const SALES_CHANNELS: SalesChannel[] = ['dine_in', 'pickup', 'delivery', 'third_party', 'online', 'mobile_app', 'catering', 'other'];
+
+export interface BrinkDestination {
+  id: number;                     // Order.DestinationId
+  name: string;                   // e.g. "Dine In", "To Go", "DoorDash"
+  channel: SalesChannel;
+  active: boolean;
+}
+
+export type JobCategory = 'cook' | 'cashier' | 'shift_lead' | 'manager' | 'other';
+
+export const JOB_CATEGORIES: JobCategory[] = ['cook', 'cashier', 'shift_lead', 'manager', 'other'];
+
+export interface BrinkJob {
+  id: string;                     // Shift.JobId / Employee.JobCodeId
+  name: string;                   // e.g. "Line Cook", "Cashier", "Shift Leader"
+  category: JobCategory;
+  active: boolean;
+}
+
+export interface BrinkPaidInOut {
+  accountType: string;            // "0" = paid in (cash tips), "1" = paid out
+  amount: number;
+  description?: string;
+}
+
+export interface BrinkTill {
+  id: string;
+  number?: string;
+  startingBank: number;
+  isClosed: boolean;
+  declaredCash: number;
+  overShort: number;
+  paidInOuts: BrinkPaidInOut[];
+}
+
+/**
+ * Guests served by an order - the recorded guest count, or 1 when the order has none
+ */
+export function resolveGuestCount(guestCount?: number | string | null): number {
+  const count = typeof guestCount === 'string' ? parseInt(guestCount, 10) : guestCount;
+  return typeof count === 'number' && Number.isFinite(count) && count > 0 ? count : 1;
+}
+
+// ---------------------------------------------------------------------------
+// Zod schemas for Brink SOAP responses
+// Input is the object produced by BrinkXmlParser (namespace prefixes removed,
+// attributes as "@_name", every leaf value a string)
+// ---------------------------------------------------------------------------
+
+/** Brink's "no value" date, sent instead of i:nil on DateTime fields */
+export const BRINK_NULL_DATE_PREFIX = '0001-01-01';
+
+function isNil(value: unknown): boolean {
+  return value === undefined || value === null ||
+    (typeof value === 'object' && (value as Record<string, unknown>)['@_nil'] === 'true');
+}
+
+function toText(value: unknown): string | undefined {
+  if (isNil(value)) return undefined;
+  if (typeof value === 'object') {
+    const text = (value as Record<string, unknown>)['#text'];
+    return text === undefined ? undefined : String(text);
+  }
+  return String(value);
+}
+
+/** Repeated elements parse to an array, a single element to an object and an empty container to '' */
+function toArray(value: unknown): unknown[] {
+  if (isNil(value) || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+const brinkString = z.unknown().transform(value => {
+  const text = toText(value);
+  return text === undefined || text === '' ? undefined : text;
+});
+
+const brinkNumber = z.unknown().transform((value, ctx) => {
+  const text = toText(value);
+  if (text === undefined || text === '') return undefined;
+  const number = Number(text);
+  if (Number.isNaN(number)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Expected a number, received "${text}"` });
+    return z.NEVER;
+  }
+  return number;
+});
+
+const brinkBoolean = z.unknown().transform(value => toText(value)?.toLowerCase() === 'true');
+
+/** xs:dateTime / date fields - the null-date sentinel becomes undefined */
+const brinkDate = z.unknown().transform(value => {
+  const text = toText(value);
+  return !text || text.startsWith(BRINK_NULL_DATE_PREFIX) ? undefined : text;
+});
+
+/** System.DateTimeOffset fields - <X><DateTime>..</DateTime><OffsetMinutes>..</OffsetMinutes></X> */
+const brinkDateTimeOffset = z.unknown().transform(value => {
+  if (isNil(value) || typeof value !== 'object') return null;
+  const text = toText((value as Record<string, unknown>).DateTime);
+  return !text || text.startsWith(BRINK_NULL_DATE_PREFIX) ? null : text;
+});
+
+/** A container element holding zero, one or many itemName children */
+function brinkCollection<T extends z.ZodTypeAny>(itemName: string, itemSchema: T) {
+  return z.unknown()
+    .transform(value => isNil(value) || typeof value !== 'object' ? [] : toArray((value as Record<string, unknown>)[itemName]))
+    .pipe(z.array(itemSchema));
+}
+
+export const BrinkResultHeaderSchema = z.object({
+  ResultCode: brinkNumber,
+  Message: brinkString
+});
+
+export const BrinkPaymentSchema = z.object({
+  Id: brinkString,
+  Amount: brinkNumber,
+  TenderId: brinkNumber,
+  TipAmount: brinkNumber,
+  EmployeeId: brinkString,
+  PaymentType: brinkString,
+  TillNumber: brinkString
+}).transform((payment): BrinkPayment => ({
+  id: payment.Id || '',
+  amount: payment.Amount ?? 0,
+  tenderId: payment.TenderId ?? null,
+  tipAmount: payment.TipAmount ?? 0,
+  employeeId: payment.EmployeeId,
+  paymentType: payment.PaymentType,
+  tillNumber: payment.TillNumber
+}));
+
+export const BrinkOrderItemModifierSchema = z.object({
+  Id: brinkString,
+  ItemId: brinkString,
+  Name: brinkString,
+  Quantity: brinkNumber,
+  Price: brinkNumber
+}).transform((modifier): BrinkOrderItemModifier => ({
+  id: modifier.Id || '',
+  itemId: modifier.ItemId || '',
+  name: modifier.Name,
+  quantity: modifier.Quantity ?? 1,
+  price: modifier.Price ?? 0
+}));
+
+export const BrinkOrderItemSchema = z.object({
+  Id: brinkString,
+  ItemId: brinkString,
+  Name: brinkString,
+  Quantity: brinkNumber,
+  Price: brinkNumber,
+  GrossSales: brinkNumber,
+  IsDeleted: brinkBoolean,
+  IsVoided: brinkBoolean,
+  VoidReason: brinkString,
+  VoidEmployeeId: brinkString,
+  EmployeeId: brinkString,
+  Modifiers: brinkCollection('OrderItemModifier', BrinkOrderItemModifierSchema)
+}).transform((item): BrinkOrderItem => {
+  const quantity = item.Quantity ?? 1;
+  const price = item.Price ?? 0;
+  return {
+    id: item.Id || '',
+    itemId: item.ItemId || '',
+    name: item.Name,
+    quantity,
+    price,
+    // Older Brink versions only send the unit price
+    grossSales: item.GrossSales ?? price * quantity,
+    isDeleted: item.IsDeleted,
+    isVoided: item.IsVoided,
+    voidReason: item.VoidReason,
+    voidEmployeeId: item.VoidEmployeeId,
+    employeeId: item.EmployeeId,
+    modifiers: item.Modifiers.filter(modifier => modifier.itemId)
+  };
+});
+
+export const BrinkOrderDiscountSchema = z.object({
+  Id: brinkString,
+  DiscountId: brinkString,
+  Name: brinkString,
+  Amount: brinkNumber,
+  IsComp: brinkBoolean,
+  EmployeeId: brinkString,
+  OrderItemId: brinkString
+}).transform((discount): BrinkOrderDiscount => ({
+  id: discount.Id || '',
+  discountId: discount.DiscountId || '',
+  name: discount.Name,
+  // Some Brink versions send the discount as a negative adjustment
+  amount: Math.abs(discount.Amount ?? 0),
+  isComp: discount.IsComp,
+  employeeId: discount.EmployeeId,
+  orderItemId: discount.OrderItemId
+}));
+
+export const BrinkOrderSchema = z.object({
+  Id: brinkString,
+  Number: brinkString,
+  Name: brinkString,
+  Total: brinkNumber,
+  BusinessDate: brinkDate,
+  FirstSendTime: brinkDateTimeOffset,
+  ModifiedTime: brinkDateTimeOffset,
+  GuestCount: brinkNumber,
+  DestinationId: brinkNumber,
+  EmployeeId: brinkString,
+  IsVoided: brinkBoolean,
+  VoidReason: brinkString,
+  VoidEmployeeId: brinkString,
+  Payments: brinkCollection('OrderPayment', BrinkPaymentSchema),
+  Items: brinkCollection('OrderItem', BrinkOrderItemSchema),
+  Discounts: brinkCollection('OrderDiscount', BrinkOrderDiscountSchema)
+}).transform((order): BrinkOrder => ({
+  id: order.Id || '',
+  number: order.Number || '',
+  name: order.Name || `Order ${order.Number || ''}`.trim(),
+  total: order.Total ?? 0,
+  businessDate: order.BusinessDate,
+  firstSendTime: order.FirstSendTime,
+  modifiedTime: order.ModifiedTime,
+  guestCount: order.GuestCount !== undefined && order.GuestCount > 0 ? order.GuestCount : null,
+  destinationId: order.DestinationId ?? null,
+  employeeId: order.EmployeeId,
+  isVoided: order.IsVoided,
+  voidReason: order.VoidReason,
+  voidEmployeeId: order.VoidEmployeeId,
+  payments: order.Payments,
+  items: order.Items.filter(item => item.itemId),
+  discounts: order.Discounts.filter(discount => discount.amount > 0)
+}));
+
+export const BrinkShiftBreakSchema = z.object({
+  Id: brinkString,
+  StartTime: brinkDateTimeOffset,
+  EndTime: brinkDateTimeOffset,
+  IsPaid: brinkBoolean
+}).transform((shiftBreak): BrinkShiftBreak => {
+  const start = shiftBreak.StartTime ? new Date(shiftBreak.StartTime).getTime() : NaN;
+  const end = shiftBreak.EndTime ? new Date(shiftBreak.EndTime).getTime() : NaN;
+  return {
+    id: shiftBreak.Id || '',
+    startTime: shiftBreak.StartTime,
+    endTime: shiftBreak.EndTime,
+    isPaid: shiftBreak.IsPaid,
+    minutes: end > start ? Math.round((end - start) / 60000) : 0
+  };
+});
+
+export const BrinkShiftSchema = z.object({
+  Id: brinkString,
+  EmployeeId: brinkString,
+  JobId: brinkString,
+  BusinessDate: brinkDate,
+  StartTime: brinkDateTimeOffset,
+  EndTime: brinkDateTimeOffset,
+  MinutesWorked: brinkNumber,
+  PayRate: brinkNumber,
+  Breaks: brinkCollection('Break', BrinkShiftBreakSchema)
+}).transform((shift): BrinkShift => ({
+  id: shift.Id || '',
+  employeeId: shift.EmployeeId || '',
+  jobId: shift.JobId,
+  businessDate: shift.BusinessDate,
+  startTime: shift.StartTime,
+  endTime: shift.EndTime,
+  minutesWorked: shift.MinutesWorked ?? 0,
+  payRate: shift.PayRate ?? 0,
+  breaks: shift.Breaks.filter(shiftBreak => shiftBreak.startTime)
+}));
+
+export const BrinkEmployeeSchema = z.object({
+  Id: brinkString,
+  EmployeeId: brinkString,
+  FirstName: brinkString,
+  LastName: brinkString,
+  MiddleName: brinkString,
+  EmployeeNumber: brinkString,
+  JobTitle: brinkString,
+  Position: brinkString,
+  HomeLocationId: brinkString,
+  JobCodeId: brinkString,
+  SecurityLevelId: brinkString,
+  HireDate: brinkDate,
+  TerminationDate: brinkDate,
+  PayRate: brinkNumber,
+  IsActive: brinkString,
+  Active: brinkString,
+  SocialSecurityNumber: brinkString,
+  DateOfBirth: brinkDate,
+  PhoneNumber: brinkString,
+  EmailAddress: brinkString,
+  Address: brinkString,
+  City: brinkString,
+  State: brinkString,
+  ZipCode: brinkString
+}).transform((employee): BrinkEmployee => ({
+  id: employee.Id || employee.EmployeeId || '',
+  firstName: employee.FirstName || '',
+  lastName: employee.LastName || '',
+  middleName: employee.MiddleName,
+  employeeNumber: employee.EmployeeNumber,
+  jobTitle: employee.JobTitle || employee.Position,
+  homeLocationId: employee.HomeLocationId,
+  jobCodeId: employee.JobCodeId,
+  securityLevelId: employee.SecurityLevelId,
+  hireDate: employee.HireDate,
+  terminationDate: employee.TerminationDate,
+  payRate: employee.PayRate ?? 0,
+  isActive: (employee.IsActive ?? employee.Active)?.toLowerCase() === 'true',
+  socialSecurityNumber: employee.SocialSecurityNumber,
+  dateOfBirth: employee.DateOfBirth,
+  phoneNumber: employee.PhoneNumber,
+  emailAddress: employee.EmailAddress,
+  address: employee.Address,
+  city: employee.City,
+  state: employee.State,
+  zipCode: employee.ZipCode
+}));
+
+export const BrinkPaidInOutSchema = z.object({
+  AccountType: brinkString,
+  Amount: brinkNumber,
+  Description: brinkString
+}).transform((pio): BrinkPaidInOut => ({
+  accountType: pio.AccountType || '',
+  amount: pio.Amount ?? 0,
+  description: pio.Description
+}));
+
+export const BrinkTillSchema = z.object({
+  CashDrawerId: brinkString,
+  Id: brinkString,
+  Number: brinkString,
+  StartingBank: brinkNumber,
+  IsClosed: brinkBoolean,
+  DeclaredCash: brinkNumber,
+  OverShort: brinkNumber,
+  PaidInOuts: brinkCollection('PaidInOut', BrinkPaidInOutSchema)
+}).transform((till): BrinkTill => ({
+  id: till.CashDrawerId || till.Id || '',
+  number: till.Number,
+  startingBank: till.StartingBank ?? 0,
+  isClosed: till.IsClosed,
+  declaredCash: till.DeclaredCash ?? 0,
+  overShort: till.OverShort ?? 0,
+  paidInOuts: till.PaidInOuts.filter(pio => pio.accountType)
+}));
+
+// Brink tender types, plus the names stores commonly give tenders that have no usable type
+const TENDER_TYPE_PATTERNS: [RegExp, BrinkTenderType][] = [
+  [/gift|stored ?value/i, 'gift_card'],
+  [/third|delivery|door ?dash|uber|grub ?hub|postmates|ezcater|\bolo\b|online/i, 'third_party'],
+  [/cash/i, 'cash'],
+  [/card|credit|debit|visa|master|amex|american express|discover|jcb|diners/i, 'card']
+];
+
+/**
+ * Tender category from Brink's tender type, falling back to the tender name
+ */
+export function classifyTender(type: string | undefined, name: string): BrinkTenderType {
+  for (const text of [type, name]) {
+    const match = text ? TENDER_TYPE_PATTERNS.find(([pattern]) => pattern.test(text)) : undefined;
+    if (match) {
+      return match[1];
+    }
+  }
+  return 'other';
+}
+
+export const BrinkTenderSchema = z.object({
+  Id: brinkNumber,
+  Name: brinkString,
+  TenderType: brinkString,
+  Active: brinkString
+}).transform((tender): BrinkTender => {
+  const name = tender.Name || `Tender ${tender.Id ?? ''}`.trim();
+  return {
+    id: tender.Id ?? -1,
+    name,
+    type: classifyTender(tender.TenderType, name),
+    // Missing Active means the tender is in use
+    active: tender.Active?.toLowerCase() !== 'false'
+  };
+});
+
+// Destination names stores use for each channel - first match wins, so the specific ones come first
+const CHANNEL_PATTERNS: [RegExp, SalesChannel][] = [
+  [/cater/i, 'catering'],
+  [/third|door ?dash|uber|grub ?hub|postmates|ezcater/i, 'third_party'],
+  [/mobile|app\b/i, 'mobile_app'],
+  [/online|web|\bolo\b/i, 'online'],
+  [/deliver/i, 'delivery'],
+  [/pick ?up|to ?go|take ?out|carry ?out|drive/i, 'pickup'],
+  [/dine|eat ?in|for here|counter/i, 'dine_in']
+];
+
+/**
+ * Sales channel from a Brink destination name
+ */
+export function classifyChannel(name: string): SalesChannel {
+  return CHANNEL_PATTERNS.find(([pattern]) => pattern.test(name))?.[1] || 'other';
+}
+
+export const BrinkDestinationSchema = z.object({
+  Id: brinkNumber,
+  Name: brinkString,
+  Active: brinkString
+}).transform((destination): BrinkDestination => {
+  const name = destination.Name || `Destination ${destination.Id ?? ''}`.trim();
+  return {
+    id: destination.Id ?? -1,
+    name,
+    channel: classifyChannel(name),
+    active: destination.Active?.toLowerCase() !== 'false'
+  };
+});
+
+// Job names stores use for each labor category - first match wins, so "Shift Manager" is a shift lead
+const JOB_CATEGORY_PATTERNS: [RegExp, JobCategory][] = [
+  [/shift|lead|supervisor|key ?holder/i, 'shift_lead'],
+  [/manager|\bmgr\b|\ba?gm\b|director/i, 'manager'],
+  [/cook|kitchen|grill|\bline\b|prep|fry|chef|dish|\bboh\b/i, 'cook'],
+  [/cashier|register|front|counter|server|team member|drive|\bfoh\b/i, 'cashier']
+];
+
+/**
+ * Labor category from a Brink job name
+ */
+export function classifyJob(name: string): JobCategory {
+  return JOB_CATEGORY_PATTERNS.find(([pattern]) => pattern.test(name))?.[1] || 'other';
+}
+
+export const BrinkJobSchema = z.object({
+  Id: brinkString,
+  Name: brinkString,
+  Active: brinkString
+}).transform((job): BrinkJob => {
+  const name = job.Name || `Job Code ${job.Id ?? ''}`.trim();
+  return {
+    id: job.Id || '',
+    name,
+    category: classifyJob(name),
+    active: job.Active?.toLowerCase() !== 'false'
+  };
+});
+
+// Operation results (the <{Operation}Result> element of each response)
+
+export const GetOrdersResultSchema = BrinkResultHeaderSchema.extend({
+  Orders: brinkCollection('Order', BrinkOrderSchema)
+});
+
+export const GetShiftsResultSchema = BrinkResultHeaderSchema.extend({
+  Shifts: brinkCollection('Shift', BrinkShiftSchema)
+});
+
+export const GetEmployeesResultSchema = BrinkResultHeaderSchema.extend({
+  Employees: brinkCollection('Employee', BrinkEmployeeSchema)
+});
+
+export const GetTillsResultSchema = BrinkResultHeaderSchema.extend({
+  Tills: z.unknown()
+    .transform(value => {
+      // Till elements have been seen both as <Till> and <till>
+      if (isNil(value) || typeof value !== 'object') return [];
+      const container = value as Record<string, unknown>;
+      return toArray(container.Till ?? container.till);
+    })
+    .pipe(z.array(BrinkTillSchema))
+});
+
+export const GetTendersResultSchema = BrinkResultHeaderSchema.extend({
+  Tenders: brinkCollection('Tender', BrinkTenderSchema)
+});
+
+export const GetDestinationsResultSchema = BrinkResultHeaderSchema.extend({
+  Destinations: brinkCollection('Destination', BrinkDestinationSchema)
+});
+
+export const GetJobsResultSchema = BrinkResultHeaderSchema.extend({
+  Jobs: brinkCollection('Job', BrinkJobSchema)
+});
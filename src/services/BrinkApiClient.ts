@@ -0,0 +1,465 @@
+// PAR Brink SOAP API Client
+// Single place that builds Brink envelopes, posts them to the Sales2, Labor2 and
+// Settings2 services and turns the responses into normalized objects
+
+import axios from 'axios';
+import { createHash } from 'crypto';
+import { InvocationContext } from '@azure/functions';
+import { z } from 'zod';
+import {
+  BrinkDestination,
+  BrinkEmployee,
+  BrinkJob,
+  BrinkOrder,
+  BrinkShift,
+  BrinkTender,
+  BrinkTill,
+  GetDestinationsResultSchema,
+  GetEmployeesResultSchema,
+  GetJobsResultSchema,
+  GetOrdersResultSchema,
+  GetShiftsResultSchema,
+  GetTendersResultSchema,
+  GetTillsResultSchema
+} from '../models/brink';
+import { BrinkXmlParseError, getOperationResult, getSoapFault, parseSoapBody, validateBrinkResult } from './BrinkXmlParser';
+import { brinkHostService } from './brinkHostService';
+import {
+  classifyError,
+  classifyHttpStatus,
+  CircuitOpenError,
+  ErrorCategory,
+  executeWithResilience,
+  getResiliencePolicy,
+  OutboundCallError,
+  parseRetryAfter,
+  ResiliencePolicy
+} from '../utils/resilience';
+
+export type BrinkServiceName = 'sales' | 'labor' | 'settings';
+
+// How long Brink's acceptance of an access/location token pair is trusted before it is checked again
+const CREDENTIALS_VERIFIED_TTL_MS = 10 * 60 * 1000;
+
+// Token pairs Brink accepted recently (sha256 of tokens and host) -> when that stops counting
+const verifiedCredentials = new Map<string, number>();
+
+interface BrinkServiceDefinition {
+  path: string;
+  namespace: string;
+  contract: string;
+  urlEnvVar: string;
+}
+
+const BRINK_SERVICES: Record<BrinkServiceName, BrinkServiceDefinition> = {
+  sales: {
+    path: 'sales2.svc',
+    namespace: 'http://www.brinksoftware.com/webservices/sales/v2',
+    contract: 'ISalesWebService2',
+    urlEnvVar: 'PAR_BRINK_SALES_URL'
+  },
+  labor: {
+    path: 'labor2.svc',
+    namespace: 'http://www.brinksoftware.com/webservices/labor/v2',
+    contract: 'ILaborWebService2',
+    urlEnvVar: 'PAR_BRINK_LABOR_URL'
+  },
+  settings: {
+    path: 'Settings2.svc',
+    namespace: 'http://www.brinksoftware.com/webservices/settings/v2',
+    contract: 'ISettingsWebService2',
+    urlEnvVar: 'PAR_BRINK_SETTINGS_URL'
+  }
+};
+
+export const DEFAULT_BRINK_BASE_URL = 'https://api11.brinkpos.net';
+
+export interface BrinkClientOptions {
+  accessToken: string;
+  locationToken: string;
+  baseUrl?: string;
+  timeoutMs?: number;
+  policy?: Partial<ResiliencePolicy>;   // defaults come from PAR_BRINK_TIMEOUT, PAR_BRINK_MAX_RETRIES, ...
+  context?: InvocationContext;
+}
+
+export interface GetOrdersOptions {
+  excludeOpenOrders?: boolean;
+  priceRollUp?: string;
+}
+
+export interface GetEmployeesOptions {
+  includeJobTypeInfo?: boolean;
+}
+
+/**
+ * statusCode is what our endpoints should answer with; category (see utils/resilience) says
+ * whether retrying, re-authenticating or fixing the request is the right reaction
+ */
+export class BrinkApiError extends OutboundCallError {
+  constructor(
+    message: string,
+    public code: string,
+    public statusCode: number = 502,
+    category: ErrorCategory = 'fault',
+    public resultCode?: number,
+    options: { upstreamStatus?: number; retryAfterMs?: number } = {}
+  ) {
+    super(message, category, options);
+    this.name = 'BrinkApiError';
+  }
+}
+
+/**
+ * Brink request BusinessDate values are xs:dateTime - always send midnight
+ */
+export function formatBrinkBusinessDate(businessDate: string): string {
+  return `${businessDate.split('T')[0]}T00:00:00`;
+}
+
+/**
+ * Build a SOAP envelope for a Brink operation
+ * requestXml is the inner content of the <v2:request> element (omit for parameterless calls)
+ */
+export function buildBrinkEnvelope(service: BrinkServiceName, operation: string, requestXml?: string): string {
+  const { namespace } = BRINK_SERVICES[service];
+  const body = requestXml !== undefined
+    ? `<v2:${operation}><v2:request>${requestXml}</v2:request></v2:${operation}>`
+    : `<v2:${operation} />`;
+
+  return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:v2="${namespace}" xmlns:sys="http://schemas.datacontract.org/2004/07/System">` +
+    `<soapenv:Header/><soapenv:Body>${body}</soapenv:Body></soapenv:Envelope>`;
+}
+
+export function getBrinkSoapAction(service: BrinkServiceName, operation: string): string {
+  const { namespace, contract } = BRINK_SERVICES[service];
+  return `${namespace}/${contract}/${operation}`;
+}
+
+export class BrinkApiClient {
+  private readonly baseUrl: string;
+  private readonly policy: ResiliencePolicy;
+
+  constructor(private readonly options: BrinkClientOptions) {
+    if (!options.accessToken) {
+      throw new BrinkApiError('PAR Brink access token is required', 'MISSING_ACCESS_TOKEN', 400, 'permanent');
+    }
+    if (!options.locationToken) {
+      throw new BrinkApiError('PAR Brink location token is required', 'MISSING_LOCATION_TOKEN', 400, 'permanent');
+    }
+    this.baseUrl = (options.baseUrl || DEFAULT_BRINK_BASE_URL).replace(/\/+$/, '');
+    this.policy = getResiliencePolicy('PAR_BRINK', {
+      ...options.policy,
+      ...(options.timeoutMs !== undefined ? { timeoutMs: options.timeoutMs } : {})
+    });
+  }
+
+  /**
+   * Get all orders for a business date (Sales2 GetOrders)
+   */
+  async getOrders(businessDate: string, options: GetOrdersOptions = {}): Promise<BrinkOrder[]> {
+    let requestXml = `<v2:BusinessDate>${formatBrinkBusinessDate(businessDate)}</v2:BusinessDate>`;
+    if (options.excludeOpenOrders !== undefined) {
+      requestXml += `<v2:ExcludeOpenOrders>${options.excludeOpenOrders}</v2:ExcludeOpenOrders>`;
+    }
+    if (options.priceRollUp) {
+      requestXml += `<v2:PriceRollUp>${options.priceRollUp}</v2:PriceRollUp>`;
+    }
+
+    const { Orders } = await this.call('sales', 'GetOrders', GetOrdersResultSchema, requestXml);
+    const orders = Orders.filter(order => order.id);
+    this.log(`📦 PAR Brink GetOrders: ${orders.length} orders for ${businessDate}`);
+    return orders;
+  }
+
+  /**
+   * Get all shifts for a business date (Labor2 GetShifts)
+   */
+  async getShifts(businessDate: string): Promise<BrinkShift[]> {
+    const requestXml = `<v2:BusinessDate>${formatBrinkBusinessDate(businessDate)}</v2:BusinessDate>`;
+    const { Shifts } = await this.call('labor', 'GetShifts', GetShiftsResultSchema, requestXml);
+    const shifts = Shifts.filter(shift => shift.employeeId);
+    this.log(`👥 PAR Brink GetShifts: ${shifts.length} shifts for ${businessDate}`);
+    return shifts;
+  }
+
+  /**
+   * Get the employee roster for the location (Settings2 GetEmployees)
+   */
+  async getEmployees(options: GetEmployeesOptions = {}): Promise<BrinkEmployee[]> {
+    const requestXml = options.includeJobTypeInfo !== undefined
+      ? `<v2:IncludeJobTypeInfo>${options.includeJobTypeInfo}</v2:IncludeJobTypeInfo>`
+      : undefined;
+    const { Employees } = await this.call('settings', 'GetEmployees', GetEmployeesResultSchema, requestXml);
+    const employees = Employees.filter(employee => employee.id);
+    this.log(`🧑‍🍳 PAR Brink GetEmployees: ${employees.length} employees`);
+    return employees;
+  }
+
+  /**
+   * Get the tender definitions for the location (Settings2 GetTenders)
+   */
+  async getTenders(): Promise<BrinkTender[]> {
+    const { Tenders } = await this.call('settings', 'GetTenders', GetTendersResultSchema);
+    const tenders = Tenders.filter(tender => tender.id >= 0);
+    this.log(`💳 PAR Brink GetTenders: ${tenders.length} tenders`);
+    return tenders;
+  }
+
+  /**
+   * Get the order destinations (dine in, to go, delivery, ...) for the location (Settings2 GetDestinations)
+   */
+  async getDestinations(): Promise<BrinkDestination[]> {
+    const { Destinations } = await this.call('settings', 'GetDestinations', GetDestinationsResultSchema);
+    const destinations = Destinations.filter(destination => destination.id >= 0);
+    this.log(`🚗 PAR Brink GetDestinations: ${destinations.length} destinations`);
+    return destinations;
+  }
+
+  /**
+   * Get the job definitions (cook, cashier, shift lead, ...) for the location (Settings2 GetJobs)
+   */
+  async getJobs(): Promise<BrinkJob[]> {
+    const { Jobs } = await this.call('settings', 'GetJobs', GetJobsResultSchema);
+    const jobs = Jobs.filter(job => job.id);
+    this.log(`🧑‍🍳 PAR Brink GetJobs: ${jobs.length} jobs`);
+    return jobs;
+  }
+
+  /**
+   * Get tills and their paid-ins/outs for a business date (Sales2 GetTills)
+   */
+  async getTills(businessDate: string): Promise<BrinkTill[]> {
+    const requestXml = `<v2:BusinessDate>${formatBrinkBusinessDate(businessDate)}</v2:BusinessDate>`;
+    const { Tills } = await this.call('sales', 'GetTills', GetTillsResultSchema, requestXml);
+    const tills = Tills.filter(till => till.id);
+    this.log(`💵 PAR Brink GetTills: ${tills.length} tills for ${businessDate}`);
+    return tills;
+  }
+
+  /**
+   * Make sure Brink accepts this client's access and location tokens - required before serving data that
+   * doesn't come from Brink (the warehouse). Any successful call counts; otherwise one Settings2
+   * GetDestinations call. Throws the BrinkApiError Brink answered with
+   */
+  async verifyCredentials(): Promise<void> {
+    const expiresAt = verifiedCredentials.get(this.credentialsKey());
+    if (expiresAt !== undefined && expiresAt > Date.now()) {
+      return;
+    }
+    await this.execute('settings', 'GetDestinations');
+  }
+
+  /**
+   * Post an operation to a Brink service and return the raw response XML
+   * Throws BrinkApiError for transport failures, SOAP faults and non-zero ResultCode
+   * (after retries for transient failures)
+   */
+  async invoke(service: BrinkServiceName, operation: string, requestXml?: string): Promise<string> {
+    const { xml } = await this.execute(service, operation, requestXml);
+    return xml;
+  }
+
+  /**
+   * Post an operation and validate its <{operation}Result> against a response schema
+   */
+  private async call<T extends z.ZodTypeAny>(service: BrinkServiceName, operation: string, schema: T, requestXml?: string): Promise<z.output<T>> {
+    const { result } = await this.execute(service, operation, requestXml);
+    try {
+      return validateBrinkResult(schema, result, operation);
+    } catch (error) {
+      throw toBrinkApiError(error, operation);
+    }
+  }
+
+  private async execute(service: BrinkServiceName, operation: string, requestXml?: string): Promise<{ xml: string; result: Record<string, any> }> {
+    const url = this.getServiceUrl(service);
+    const envelope = buildBrinkEnvelope(service, operation, requestXml);
+
+    try {
+      const response = await executeWithResilience(signal => this.post(url, service, operation, envelope, signal), {
+        name: `PAR Brink ${operation}`,
+        url,
+        policy: this.policy,
+        context: this.options.context
+      });
+      verifiedCredentials.set(this.credentialsKey(), Date.now() + CREDENTIALS_VERIFIED_TTL_MS);
+      return response;
+    } catch (error) {
+      throw toBrinkApiError(error, operation);
+    }
+  }
+
+  /**
+   * A single attempt - every failure is thrown as a categorized BrinkApiError
+   */
+  private async post(url: string, service: BrinkServiceName, operation: string, envelope: string, signal: AbortSignal): Promise<{ xml: string; result: Record<string, any> }> {
+    let status: number;
+    let xml: string;
+    let retryAfter: string | undefined;
+    try {
+      const response = await axios.post(url, envelope, {
+        headers: {
+          'AccessToken': this.options.accessToken,
+          'LocationToken': this.options.locationToken,
+          'Content-Type': 'text/xml; charset=utf-8',
+          'SOAPAction': getBrinkSoapAction(service, operation)
+        },
+        signal,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      status = response.status;
+      xml = typeof response.data === 'string' ? response.data : String(response.data ?? '');
+      retryAfter = response.headers['retry-after'];
+    } catch (error) {
+      if (signal.aborted) {
+        throw new BrinkApiError(`PAR Brink ${operation} timed out after ${this.policy.timeoutMs}ms`, 'BRINK_TIMEOUT', 504, 'transient');
+      }
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      throw new BrinkApiError(`PAR Brink ${operation} request to ${url} failed: ${message}`, 'BRINK_UNREACHABLE', 503, classifyError(error));
+    }
+
+    if (status === 401 || status === 403) {
+      throw new BrinkApiError(`PAR Brink ${operation} authentication failed (HTTP ${status})`, 'UNAUTHORIZED', 401, 'auth', undefined, { upstreamStatus: status });
+    }
+
+    let body: Record<string, any>;
+    try {
+      body = parseSoapBody(xml);
+    } catch (error) {
+      // Non-SOAP bodies are usually gateway/HTML error pages - report the HTTP status if there is one
+      if (status < 200 || status >= 300) {
+        throw this.httpError(operation, status, retryAfter);
+      }
+      throw toBrinkApiError(error, operation);
+    }
+
+    // SOAP faults come back with HTTP 500, so check the body before the status
+    const fault = getSoapFault(body);
+    if (fault) {
+      throw new BrinkApiError(`PAR Brink ${operation} SOAP fault: ${fault.faultString}`, 'SOAP_FAULT', 502, 'fault', undefined, { upstreamStatus: status });
+    }
+
+    if (status < 200 || status >= 300) {
+      throw this.httpError(operation, status, retryAfter);
+    }
+
+    let result: Record<string, any>;
+    try {
+      result = getOperationResult(body, operation);
+    } catch (error) {
+      throw toBrinkApiError(error, operation);
+    }
+
+    const resultCode = result.ResultCode !== undefined ? String(result.ResultCode) : undefined;
+    if (resultCode !== undefined && resultCode !== '0') {
+      const message = typeof result.Message === 'string' && result.Message ? result.Message : 'Unknown PAR Brink error';
+      throw new BrinkApiError(`PAR Brink ${operation} error (Code ${resultCode}): ${message}`, 'RESULT_CODE', 502, 'fault', parseInt(resultCode));
+    }
+
+    return { xml, result };
+  }
+
+  private credentialsKey(): string {
+    return createHash('sha256')
+      .update(`${this.options.accessToken}\n${this.options.locationToken}\n${this.getServiceUrl('settings')}`)
+      .digest('hex');
+  }
+
+  private httpError(operation: string, status: number, retryAfter?: string): BrinkApiError {
+    const category = classifyHttpStatus(status);
+    return new BrinkApiError(
+      `PAR Brink ${operation} failed with HTTP ${status}`,
+      'HTTP_ERROR',
+      category === 'transient' ? 503 : 502,
+      category,
+      undefined,
+      { upstreamStatus: status, retryAfterMs: parseRetryAfter(retryAfter) }
+    );
+  }
+
+  /**
+   * PAR_BRINK_BASE_URL (e.g. the local stub server) overrides everything; otherwise a
+   * location-specific baseUrl wins and the PAR_BRINK_*_URL settings only replace the global default
+   */
+  private getServiceUrl(service: BrinkServiceName): string {
+    const definition = BRINK_SERVICES[service];
+    const overrideBaseUrl = process.env.PAR_BRINK_BASE_URL?.replace(/\/+$/, '');
+    if (overrideBaseUrl) {
+      return `${overrideBaseUrl}/${definition.path}`;
+    }
+    if (!this.options.baseUrl && process.env[definition.urlEnvVar]) {
+      return process.env[definition.urlEnvVar] as string;
+    }
+    return `${this.baseUrl}/${definition.path}`;
+  }
+
+  private log(message: string): void {
+    if (this.options.context) {
+      this.options.context.log(message);
+    } else {
+      console.log(message);
+    }
+  }
+}
+
+/**
+ * Create a client that posts to the Brink server configured for the location
+ * (store brink_api_host, then the tenant default, then DEFAULT_BRINK_BASE_URL)
+ */
+export async function createBrinkClientForLocation(options: Omit<BrinkClientOptions, 'baseUrl'>): Promise<BrinkApiClient> {
+  // No host lookup when PAR_BRINK_BASE_URL sends everything to one place (stub server, tests)
+  const baseUrl = options.locationToken && !process.env.PAR_BRINK_BASE_URL
+    ? await brinkHostService.resolveBaseUrl(options.locationToken, options.context)
+    : undefined;
+  return new BrinkApiClient({ ...options, baseUrl });
+}
+
+export interface BrinkErrorDetails {
+  status: number;
+  message: string;
+  code?: string;
+  category?: ErrorCategory;
+  retryable: boolean;
+  retryAfterSeconds?: number;
+}
+
+/**
+ * Map an error from a Brink call to the HTTP status and error fields our endpoints return
+ * Errors that did not come from Brink keep the caller's fallback status
+ */
+export function describeBrinkError(error: unknown, fallbackStatus = 500): BrinkErrorDetails {
+  if (error instanceof BrinkApiError) {
+    return {
+      status: error.statusCode,
+      message: error.message,
+      code: error.code,
+      category: error.category,
+      retryable: error.category === 'transient',
+      retryAfterSeconds: error.retryAfterMs !== undefined ? Math.ceil(error.retryAfterMs / 1000) : undefined
+    };
+  }
+  return {
+    status: fallbackStatus,
+    message: error instanceof Error ? error.message : 'Unknown error',
+    retryable: false
+  };
+}
+
+function toBrinkApiError(error: unknown, operation: string): BrinkApiError {
+  if (error instanceof BrinkApiError) {
+    return error;
+  }
+  if (error instanceof CircuitOpenError) {
+    return new BrinkApiError(`PAR Brink ${operation} skipped: ${error.message}`, 'CIRCUIT_OPEN', 503, 'transient', undefined, { retryAfterMs: error.retryAfterMs });
+  }
+  if (error instanceof OutboundCallError) {
+    return new BrinkApiError(error.message, error.category === 'transient' ? 'BRINK_TIMEOUT' : 'HTTP_ERROR', error.category === 'transient' ? 504 : 502, error.category);
+  }
+  if (error instanceof BrinkXmlParseError) {
+    return new BrinkApiError(error.message, 'INVALID_RESPONSE', 502, 'fault');
+  }
+  const message = error instanceof Error ? error.message : 'Unknown error';
+  return new BrinkApiError(`PAR Brink ${operation} failed: ${message}`, 'INVALID_RESPONSE', 502, 'fault');
+}
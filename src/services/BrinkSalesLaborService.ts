@@ -3,6 +3,13 @@
 
 import axios from 'axios';
 import { TenantDatabaseService } from './TenantDatabaseService';
+import { resolveGuestCount } from '../models/brink';
+import { storeConfigService } from './storeConfigService';
+import { brinkHostService } from './brinkHostService';
+import { DEFAULT_BRINK_BASE_URL } from './BrinkApiClient';
+import { executeWithResilience, getResiliencePolicy } from '../utils/resilience';
+import { getLocalHour, getNextLocalHourStart, resolveTimezone } from '../utils/timezone';
+import { getBusinessCalendar, resolveBusinessDayStartHour } from '../utils/businessCalendar';
 
 export interface HourlyData {
   hour: string;
@@ -31,6 +38,7 @@ export interface BrinkLocation {
   locationId: string;
   token: string;
   isActive: boolean;
+  timezone?: string;      // IANA timezone; looked up from store_configurations when omitted
 }
 
 export interface BrinkConfig {
@@ -41,7 +49,6 @@ export interface BrinkConfig {
 
 export class BrinkSalesLaborService {
   private tenantService: TenantDatabaseService;
-  private baseUrl = 'https://api11.brinkpos.net';
 
   constructor() {
     this.tenantService = new TenantDatabaseService();
@@ -72,19 +79,31 @@ export class BrinkSalesLaborService {
     }
   }
 
+  /**
+   * Brink server for the location - same routing as createBrinkClientForLocation
+   * (PAR_BRINK_BASE_URL, then the store's brink_api_host, then the tenant default)
+   */
+  private async getBaseUrl(locationToken: string): Promise<string> {
+    const overrideBaseUrl = process.env.PAR_BRINK_BASE_URL?.replace(/\/+$/, '');
+    if (overrideBaseUrl) {
+      return overrideBaseUrl;
+    }
+    return (await brinkHostService.resolveBaseUrl(locationToken)) || DEFAULT_BRINK_BASE_URL;
+  }
+
   /**
    * Make authenticated request to Brink API
    */
   private async brinkApiRequest(endpoint: string, locationToken: string): Promise<any> {
     try {
-      const url = `${this.baseUrl}${endpoint}`;
-      const response = await axios.get(url, {
+      const url = `${await this.getBaseUrl(locationToken)}${endpoint}`;
+      const response = await executeWithResilience(signal => axios.get(url, {
         headers: {
           'Authorization': `Bearer ${locationToken}`,
           'Content-Type': 'application/json'
         },
-        timeout: 30000
-      });
+        signal
+      }), { name: `PAR Brink ${endpoint}`, url, policy: getResiliencePolicy('PAR_BRINK') });
 
       return response.data;
     } catch (error: any) {
@@ -110,9 +129,25 @@ export class BrinkSalesLaborService {
   }
 
   /**
-   * Process raw sales data into hourly format
+   * Get the store's timezone and business day start - location config first, then store_configurations
+   */
+  private async getLocationCalendar(location: BrinkLocation): Promise<{ timezone: string; businessDayStartHour: number }> {
+    let store = null;
+    try {
+      store = await storeConfigService.getStoreConfig(location.token);
+    } catch (error) {
+      console.warn(`Store lookup failed for ${location.name}, using default business calendar:`, error);
+    }
+    return {
+      timezone: resolveTimezone(location.timezone || store?.timezone),
+      businessDayStartHour: resolveBusinessDayStartHour(store?.businessDayStartHour)
+    };
+  }
+
+  /**
+   * Process raw sales data into hourly format (hours are store-local)
    */
-  private processSalesData(salesData: any[]): Map<number, { sales: number; orders: number; guests: number }> {
+  private processSalesData(salesData: any[], timezone: string): Map<number, { sales: number; orders: number; guests: number }> {
     const hourlyData = new Map<number, { sales: number; orders: number; guests: number }>();
 
     // Initialize all 24 hours
@@ -124,27 +159,15 @@ export class BrinkSalesLaborService {
     salesData.forEach(transaction => {
       if (!transaction.timestamp || !transaction.amount) return;
 
-      const transactionTime = new Date(transaction.timestamp);
-      // Convert to Mountain Time before extracting hour
-      const mountainTimeHour = parseInt(transactionTime.toLocaleString("en-US", { 
-        timeZone: "America/Denver",
-        hour: 'numeric',
-        hour12: false
-      }));
-      let hour = mountainTimeHour;
-      
-      // Adjust for restaurant day (3 AM start)
-      if (hour < 3) {
-        hour += 24; // Move early morning hours to end of day
-      }
-      hour = hour % 24;
+      // Convert to store-local time before extracting hour
+      const hour = getLocalHour(transaction.timestamp, timezone);
 
       const existing = hourlyData.get(hour) || { sales: 0, orders: 0, guests: 0 };
       
       existing.sales += parseFloat(transaction.amount) || 0;
       existing.orders += 1;
-      // Guest count typically matches order count unless configured differently
-      existing.guests += transaction.guestCount || 1;
+      // Orders without a recorded guest count serve one guest
+      existing.guests += resolveGuestCount(transaction.guestCount);
       
       hourlyData.set(hour, existing);
     });
@@ -153,9 +176,9 @@ export class BrinkSalesLaborService {
   }
 
   /**
-   * Process raw labor data into hourly format
+   * Process raw labor data into hourly format (hours are store-local)
    */
-  private processLaborData(laborData: any[]): Map<number, { hours: number; dollars: number }> {
+  private processLaborData(laborData: any[], timezone: string): Map<number, { hours: number; dollars: number }> {
     const hourlyData = new Map<number, { hours: number; dollars: number }>();
 
     // Initialize all 24 hours
@@ -177,22 +200,10 @@ export class BrinkSalesLaborService {
       const hourlyRate = totalCost / totalHours;
 
       while (currentTime < endTime) {
-        // Convert to Mountain Time before extracting hour
-        const mountainTimeHour = parseInt(currentTime.toLocaleString("en-US", { 
-          timeZone: "America/Denver",
-          hour: 'numeric',
-          hour12: false
-        }));
-        let hour = mountainTimeHour;
-        
-        // Adjust for restaurant day (3 AM start)
-        if (hour < 3) {
-          hour += 24;
-        }
-        hour = hour % 24;
+        // Convert to store-local time before extracting hour
+        const hour = getLocalHour(currentTime, timezone);
 
-        const nextHour = new Date(currentTime);
-        nextHour.setHours(currentTime.getHours() + 1, 0, 0, 0);
+        const nextHour = getNextLocalHourStart(currentTime, timezone);
         
         const hoursInThisHour = Math.min(
           (Math.min(nextHour.getTime(), endTime.getTime()) - currentTime.getTime()) / (1000 * 60 * 60),
@@ -244,16 +255,10 @@ export class BrinkSalesLaborService {
   }
 
   /**
-   * Format hour for display (3:00 AM - 2:00 AM format)
+   * Format hour for display (5:00 AM ... 4:00 AM for a 5 AM business day start)
    */
   private formatHour(hour24: number): string {
-    // Convert to restaurant day format starting at 3 AM
-    let displayHour = hour24;
-    if (displayHour < 3) {
-      displayHour += 24;
-    }
-    displayHour = displayHour % 24;
-
+    const displayHour = hour24 % 24;
     const ampm = displayHour < 12 ? 'AM' : 'PM';
     const hour12 = displayHour === 0 ? 12 : displayHour > 12 ? displayHour - 12 : displayHour;
     
@@ -275,8 +280,9 @@ export class BrinkSalesLaborService {
         throw new Error(`Location ${locationId} not found or inactive`);
       }
 
-      // Use today's date if not specified
-      const reportDate = date || new Date().toISOString().split('T')[0];
+      // Use the store's current business date if not specified
+      const { timezone, businessDayStartHour } = await this.getLocationCalendar(location);
+      const reportDate = date || getBusinessCalendar(timezone, { businessDayStartHour }).businessDate;
 
       // Fetch data from Brink API
       const [salesData, laborData] = await Promise.all([
@@ -285,8 +291,8 @@ export class BrinkSalesLaborService {
       ]);
 
       // Process data into hourly format
-      const hourlySales = this.processSalesData(salesData);
-      const hourlyLabor = this.processLaborData(laborData);
+      const hourlySales = this.processSalesData(salesData, timezone);
+      const hourlyLabor = this.processLaborData(laborData, timezone);
 
       // Build hourly report data
       const hourlyData: HourlyData[] = [];
@@ -298,9 +304,9 @@ export class BrinkSalesLaborService {
         laborDollars: 0
       };
 
-      // Generate data for all 24 hours (starting at 3 AM)
+      // Generate data for all 24 hours (starting at the store's business day start)
       for (let i = 0; i < 24; i++) {
-        const hour24 = (i + 3) % 24; // Start at 3 AM
+        const hour24 = (i + businessDayStartHour) % 24;
         const sales = hourlySales.get(hour24) || { sales: 0, orders: 0, guests: 0 };
         const labor = hourlyLabor.get(hour24) || { hours: 0, dollars: 0 };
 
@@ -313,7 +319,7 @@ export class BrinkSalesLaborService {
         );
 
         const hourData: HourlyData = {
-          hour: this.formatHour((i + 3) % 24),
+          hour: this.formatHour(hour24),
           netSales: sales.sales,
           guests: sales.guests,
           guestAverage: metrics.guestAverage,
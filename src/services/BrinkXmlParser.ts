@@ -0,0 +1,93 @@
+// PAR Brink SOAP response parsing
+// Namespace-aware XML → object conversion plus schema validation of each operation result
+
+import { XMLParser } from 'fast-xml-parser';
+import { z } from 'zod';
+
+export class BrinkXmlParseError extends Error {
+  constructor(message: string, public operation?: string) {
+    super(message);
+    this.name = 'BrinkXmlParseError';
+  }
+}
+
+export interface SoapFault {
+  faultCode?: string;
+  faultString: string;
+}
+
+// Namespace prefixes (s:, a:, i:, b: ...) vary between Brink servers and releases,
+// so they are stripped and elements are addressed by local name only.
+// Leaf values stay strings - the response schemas decide how to coerce them.
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  processEntities: true
+});
+
+/**
+ * Parse a SOAP response and return the contents of <Body>
+ */
+export function parseSoapBody(xml: string): Record<string, any> {
+  let document: any;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Unknown error';
+    throw new BrinkXmlParseError(`Invalid XML in PAR Brink response: ${message}`);
+  }
+
+  const body = document?.Envelope?.Body;
+  if (!body || typeof body !== 'object') {
+    throw new BrinkXmlParseError('PAR Brink response is not a SOAP envelope');
+  }
+  return body;
+}
+
+/**
+ * Return the SOAP fault in a parsed body, if there is one
+ */
+export function getSoapFault(body: Record<string, any>): SoapFault | null {
+  const fault = body.Fault;
+  if (!fault) {
+    return null;
+  }
+  const text = (value: unknown) => typeof value === 'object' && value !== null
+    ? (value as any)['#text'] ?? (value as any).Text?.['#text'] ?? (value as any).Text
+    : value;
+  return {
+    faultCode: fault.faultcode !== undefined ? String(text(fault.faultcode)) : undefined,
+    faultString: String(text(fault.faultstring) ?? text(fault.Reason) ?? 'SOAP Fault')
+  };
+}
+
+/**
+ * Return the <{operation}Result> element of a parsed body
+ */
+export function getOperationResult(body: Record<string, any>, operation: string): Record<string, any> {
+  const result = body[`${operation}Response`]?.[`${operation}Result`];
+  if (result === undefined) {
+    throw new BrinkXmlParseError(`PAR Brink response has no ${operation}Result element`, operation);
+  }
+  // An empty result element parses to ''
+  return typeof result === 'object' && result !== null ? result : {};
+}
+
+/**
+ * Validate an operation result against its schema and return the normalized output
+ */
+export function validateBrinkResult<T extends z.ZodTypeAny>(schema: T, result: unknown, operation: string): z.output<T> {
+  const parsed = schema.safeParse(result);
+  if (!parsed.success) {
+    const issues = parsed.error.issues
+      .slice(0, 5)
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw new BrinkXmlParseError(`Unexpected PAR Brink ${operation} response shape - ${issues}`, operation);
+  }
+  return parsed.data;
+}
@@ -1,4 +1,14 @@
 import { InvocationContext } from '@azure/functions';
+import {
+    classifyError,
+    classifyHttpStatus,
+    createHttpError,
+    ErrorCategory,
+    getResiliencePolicy,
+    OutboundCallError,
+    resilientFetch,
+    ResiliencePolicy
+} from '../utils/resilience';
 
 // UKG Ready API Configuration
 interface UkgReadyConfig {
@@ -49,6 +59,7 @@ interface UkgReadyApiResponse {
     employeeId?: string;
     errors?: string[];
     warnings?: string[];
+    errorCategory?: ErrorCategory;
 }
 
 // UKG Ready Batch Response
@@ -69,10 +80,13 @@ export class UkgReadyApiService {
     private accessToken: string | null = null;
     private tokenExpiry: Date | null = null;
     private context: InvocationContext;
+    private policy: ResiliencePolicy;
 
     constructor(config: UkgReadyConfig, context: InvocationContext) {
         this.config = config;
         this.context = context;
+        // UKG_READY_TIMEOUT, UKG_READY_MAX_RETRIES, ... (see utils/resilience)
+        this.policy = getResiliencePolicy('UKG_READY');
     }
 
     /**
@@ -92,17 +106,21 @@ export class UkgReadyApiService {
         };
 
         try {
-            const response = await fetch(authUrl, {
+            // Requesting a token has no side effects, so it is safe to retry
+            const response = await resilientFetch(authUrl, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
                     'Accept': 'application/json'
                 },
                 body: new URLSearchParams(authPayload)
-            });
+            }, { name: 'UKG Ready authentication', policy: this.policy, idempotent: true, context: this.context });
 
             if (!response.ok) {
-                throw new Error(`Authentication failed: ${response.status} ${response.statusText}`);
+                // Token endpoints answer bad credentials with 400 as well as 401
+                const error = createHttpError(`Authentication failed: ${response.status} ${response.statusText}`, response.status);
+                if (response.status === 400) error.category = 'auth';
+                throw error;
             }
 
             const authData: UkgReadyAuthResponse = await response.json();
@@ -113,7 +131,10 @@ export class UkgReadyApiService {
             this.context.log('✅ UKG Ready authentication successful');
         } catch (error: any) {
             this.context.log('❌ UKG Ready authentication failed:', error);
-            throw new Error(`UKG Ready authentication failed: ${error.message}`);
+            throw new OutboundCallError(`UKG Ready authentication failed: ${error.message}`, classifyError(error), {
+                upstreamStatus: error.upstreamStatus,
+                retryAfterMs: error.retryAfterMs
+            });
         }
     }
 
@@ -168,7 +189,7 @@ export class UkgReadyApiService {
         };
 
         try {
-            const response = await fetch(employeeUrl, {
+            const response = await resilientFetch(employeeUrl, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${this.accessToken}`,
@@ -176,9 +197,9 @@ export class UkgReadyApiService {
                     'Accept': 'application/json'
                 },
                 body: JSON.stringify(ukgPayload)
-            });
+            }, { name: `UKG Ready employee ${employee.employeeNumber}`, policy: this.policy, context: this.context });
 
-            const result = await response.json();
+            const result = await response.json().catch(() => ({}));
 
             if (response.ok) {
                 return {
@@ -189,14 +210,16 @@ export class UkgReadyApiService {
             } else {
                 return {
                     success: false,
-                    errors: result.errors || [`HTTP ${response.status}: ${response.statusText}`]
+                    errors: result.errors || [`HTTP ${response.status}: ${response.statusText}`],
+                    errorCategory: classifyHttpStatus(response.status)
                 };
             }
         } catch (error: any) {
             this.context.log(`❌ Failed to create/update employee ${employee.employeeNumber}:`, error);
             return {
                 success: false,
-                errors: [error.message]
+                errors: [error.message],
+                errorCategory: classifyError(error)
             };
         }
     }
@@ -223,6 +246,7 @@ export class UkgReadyApiService {
             const batchPromises = batch.map(employee => this.createOrUpdateEmployee(employee));
             const batchResults_chunk = await Promise.allSettled(batchPromises);
 
+            let authRejected = false;
             batchResults_chunk.forEach((result, index) => {
                 if (result.status === 'fulfilled') {
                     batchResults.push(result.value);
@@ -230,18 +254,38 @@ export class UkgReadyApiService {
                         successful++;
                     } else {
                         failed++;
+                        authRejected = authRejected || result.value.errorCategory === 'auth';
                         batchErrors.push(`Employee ${batch[index].employeeNumber}: ${result.value.errors?.join(', ')}`);
                     }
                 } else {
                     failed++;
+                    const errorCategory = classifyError(result.reason);
+                    authRejected = authRejected || errorCategory === 'auth';
                     batchErrors.push(`Employee ${batch[index].employeeNumber}: ${result.reason}`);
                     batchResults.push({
                         success: false,
-                        errors: [result.reason.toString()]
+                        errors: [result.reason.toString()],
+                        errorCategory
                     });
                 }
             });
 
+            // Every remaining call would be rejected the same way - stop instead of burning through the list
+            if (authRejected && i + BATCH_SIZE < employees.length) {
+                const skipped = employees.slice(i + BATCH_SIZE);
+                this.context.log(`🛑 UKG Ready rejected our credentials, skipping ${skipped.length} remaining employees`);
+                skipped.forEach(employee => {
+                    failed++;
+                    batchErrors.push(`Employee ${employee.employeeNumber}: skipped after UKG Ready authentication failure`);
+                    batchResults.push({
+                        success: false,
+                        errors: ['Skipped after UKG Ready authentication failure'],
+                        errorCategory: 'auth'
+                    });
+                });
+                break;
+            }
+
             // Add a small delay between batches to be respectful of API limits
             if (i + BATCH_SIZE < employees.length) {
                 await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
@@ -270,13 +314,13 @@ export class UkgReadyApiService {
             // Test a simple API call to verify connection
             const testUrl = `${this.config.baseUrl}/personnel/v1/${this.config.companyShortName}/employees?limit=1`;
             
-            const response = await fetch(testUrl, {
+            const response = await resilientFetch(testUrl, {
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${this.accessToken}`,
                     'Accept': 'application/json'
                 }
-            });
+            }, { name: 'UKG Ready connection test', policy: this.policy, context: this.context });
 
             if (response.ok) {
                 const result = await response.json();
@@ -311,13 +355,13 @@ export class UkgReadyApiService {
         try {
             const countUrl = `${this.config.baseUrl}/personnel/v1/${this.config.companyShortName}/employees/count`;
             
-            const response = await fetch(countUrl, {
+            const response = await resilientFetch(countUrl, {
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${this.accessToken}`,
                     'Accept': 'application/json'
                 }
-            });
+            }, { name: 'UKG Ready employee count', policy: this.policy, context: this.context });
 
             if (response.ok) {
                 const result = await response.json();
@@ -0,0 +1,398 @@
+/**
+ * Brink Backfill Service
+ * Re-imports a date range of business dates per store into the Brink warehouse - when a store is onboarded
+ * or a parser fix needs history reloaded. Each store's progress is checkpointed after every business date
+ * (sql/create-brink-backfill-tables.sql), so a job stopped by the function timeout, a crash or Ctrl+C
+ * resumes where it left off
+ */
+
+import { Request, TYPES } from 'mssql';
+import { InvocationContext } from '@azure/functions';
+import { databaseStoreService } from './databaseStoreService';
+import { brinkIngestionService, IngestionStoreResult } from './brinkIngestionService';
+import { WAREHOUSE_DATASETS, WarehouseDataset } from './brinkWarehouseService';
+import { StoreConfig } from './storeConfigService';
+import { addDays } from '../utils/businessCalendar';
+import { getStoreConcurrency, mapWithConcurrency } from '../utils/concurrency';
+
+export const MAX_BACKFILL_DAYS = 366;
+
+// Pause between one store's business dates - a backfill shouldn't crowd out the live reports' Brink calls
+export const DEFAULT_BACKFILL_DELAY_MS = 1000;
+export const MAX_BACKFILL_DELAY_MS = 60000;
+
+// running: a request or the script holds the job - see claimJob
+export type BackfillJobStatus = 'in_progress' | 'running' | 'completed' | 'completed_with_errors';
+
+// A running job whose worker hasn't saved a checkpoint for this long died without releasing it
+const STALE_CLAIM_MINUTES = 15;
+
+export interface BackfillJobRequest {
+  stores: StoreConfig[];
+  startDate: string;             // YYYY-MM-DD inclusive
+  endDate: string;               // YYYY-MM-DD inclusive, capped per store at its last closed business date
+  datasets?: WarehouseDataset[]; // default all
+  dryRun?: boolean;              // fetch and count only - nothing is written to the warehouse
+  delayMs?: number;
+}
+
+export interface BackfillStoreProgress {
+  storeId: string;
+  storeName: string;
+  endDate: string;
+  nextDate: string | null;       // first business date not yet processed, null when done
+  datesCompleted: number;
+  datesFailed: number;           // dates with a failed or partial load - see failedDates
+  orders: number;                // rows loaded (or counted, for a dry run)
+  shifts: number;
+  tills: number;
+  failedDates: string[];
+  lastError?: string;
+}
+
+export interface BackfillJob {
+  id: number;
+  startDate: string;
+  endDate: string;
+  datasets: WarehouseDataset[];
+  dryRun: boolean;
+  delayMs: number;
+  status: BackfillJobStatus;
+  createdAt: Date;
+  updatedAt: Date;
+  completedAt: Date | null;
+  stores: BackfillStoreProgress[];
+}
+
+export interface BackfillRunOptions {
+  deadline?: number;             // epoch ms - stop starting new business dates after this
+  onDate?: (result: IngestionStoreResult) => void;
+}
+
+/**
+ * Thrown by runJob when another request or the script is already working on the job
+ */
+export class BackfillJobRunningError extends Error {
+  constructor(public jobId: number) {
+    super(`Backfill job ${jobId} is already running - wait for it to pause, then resume it`);
+    this.name = 'BackfillJobRunningError';
+  }
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+class BrinkBackfillService {
+  private static instance: BrinkBackfillService;
+
+  private constructor() {}
+
+  public static getInstance(): BrinkBackfillService {
+    if (!BrinkBackfillService.instance) {
+      BrinkBackfillService.instance = new BrinkBackfillService();
+    }
+    return BrinkBackfillService.instance;
+  }
+
+  /**
+   * Record a job and a checkpoint per store - nothing is loaded until runJob
+   * A store whose last closed business date is before startDate has nothing to load and starts done
+   */
+  public async createJob(request: BackfillJobRequest, context?: InvocationContext, now: Date = new Date()): Promise<BackfillJob> {
+    const datasets = request.datasets && request.datasets.length > 0 ? request.datasets : WAREHOUSE_DATASETS;
+    const pool = await databaseStoreService.getConnection(context);
+    const jobRequest = new Request(pool);
+    jobRequest.input('startDate', TYPES.Date, request.startDate);
+    jobRequest.input('endDate', TYPES.Date, request.endDate);
+    jobRequest.input('datasets', TYPES.NVarChar, datasets.join(','));
+    jobRequest.input('dryRun', TYPES.Bit, request.dryRun === true);
+    jobRequest.input('delayMs', TYPES.Int, request.delayMs ?? DEFAULT_BACKFILL_DELAY_MS);
+
+    const jobResult = await jobRequest.query(`
+      INSERT INTO brink_backfill_jobs (start_date, end_date, datasets, dry_run, delay_ms)
+      OUTPUT inserted.id
+      VALUES (@startDate, @endDate, @datasets, @dryRun, @delayMs);
+    `);
+    const jobId = Number(jobResult.recordset[0].id);
+
+    if (request.stores.length > 0) {
+      const storesRequest = new Request(pool);
+      storesRequest.input('jobId', TYPES.BigInt, jobId);
+      const rows = request.stores.map((store, index) => {
+        const lastClosed = brinkIngestionService.getLastClosedBusinessDate(store, now);
+        const endDate = lastClosed < request.endDate ? lastClosed : request.endDate;
+        storesRequest.input(`storeId${index}`, TYPES.NVarChar, store.id);
+        storesRequest.input(`storeName${index}`, TYPES.NVarChar, store.name.substring(0, 255));
+        storesRequest.input(`endDate${index}`, TYPES.Date, endDate);
+        storesRequest.input(`nextDate${index}`, TYPES.Date, endDate >= request.startDate ? request.startDate : null);
+        return `(@jobId, @storeId${index}, @storeName${index}, @endDate${index}, @nextDate${index})`;
+      });
+
+      await storesRequest.query(`
+        INSERT INTO brink_backfill_job_stores (job_id, store_id, store_name, end_date, next_date)
+        VALUES ${rows.join(',\n          ')};
+      `);
+    }
+
+    context?.log(`🧱 Backfill job ${jobId} created: ${request.stores.length} stores, ${request.startDate} - ${request.endDate}` +
+      ` (${datasets.join(', ')}${request.dryRun ? ', dry run' : ''})`);
+
+    const job = await this.getJob(jobId, context);
+    return job!;
+  }
+
+  /**
+   * Work through each store's remaining business dates from its checkpoint, stores
+   * PAR_BRINK_STORE_CONCURRENCY at a time and each store's dates one after another with the job's delay
+   * Stops starting dates once options.deadline passes - run it again to continue
+   * Throws BackfillJobRunningError when another worker holds the job
+   */
+  public async runJob(jobId: number, activeStores: StoreConfig[], accessToken: string, options: BackfillRunOptions = {}, context?: InvocationContext): Promise<BackfillJob> {
+    const job = await this.getJob(jobId, context);
+    if (!job) {
+      throw new Error(`Backfill job ${jobId} not found`);
+    }
+    if (!(await this.claimJob(jobId, context))) {
+      throw new BackfillJobRunningError(jobId);
+    }
+
+    try {
+      await this.runStores(jobId, job, activeStores, accessToken, options, context);
+    } catch (error) {
+      // Release the claim - the checkpoints saved so far stand and the job can be resumed
+      await this.finishJob(jobId, context);
+      throw error;
+    }
+
+    return this.finishJob(jobId, context);
+  }
+
+  private async runStores(jobId: number, job: BackfillJob, activeStores: StoreConfig[], accessToken: string, options: BackfillRunOptions, context?: InvocationContext): Promise<void> {
+
+    const storesById = new Map(activeStores.map(store => [store.id, store]));
+    const pending = job.stores.filter(progress => progress.nextDate !== null);
+    context?.log(`🧱 Backfill job ${jobId}: ${pending.length} of ${job.stores.length} stores have dates left`);
+
+    await mapWithConcurrency(pending, getStoreConcurrency(), async progress => {
+      const store = storesById.get(progress.storeId);
+      if (!store) {
+        // Nothing can be loaded without its location token - record the rest of its dates as failed
+        const remaining = dateCount(progress.nextDate!, progress.endDate);
+        await this.saveCheckpoint(jobId, progress.storeId, {
+          nextDate: null, completed: 0, failed: remaining, orders: 0, shifts: 0, tills: 0,
+          failedDate: null, error: 'Store is no longer active'
+        }, context);
+        return;
+      }
+
+      for (let date = progress.nextDate!; date <= progress.endDate; date = addDays(date, 1)) {
+        if (options.deadline !== undefined && Date.now() >= options.deadline) {
+          context?.log(`⏸️ Backfill job ${jobId} paused for ${store.name} at ${date}`);
+          return;
+        }
+
+        const result = await brinkIngestionService.ingestStore(store, date, accessToken, context, { datasets: job.datasets, dryRun: job.dryRun });
+        const nextDate = date < progress.endDate ? addDays(date, 1) : null;
+        await this.saveCheckpoint(jobId, store.id, {
+          nextDate,
+          completed: result.status === 'succeeded' ? 1 : 0,
+          failed: result.status === 'succeeded' ? 0 : 1,
+          orders: result.orders ?? 0,
+          shifts: result.shifts ?? 0,
+          tills: result.tills ?? 0,
+          failedDate: result.status === 'succeeded' ? null : date,
+          error: result.error || null
+        }, context);
+        options.onDate?.(result);
+
+        if (nextDate && job.delayMs > 0) {
+          await sleep(job.delayMs);
+        }
+      }
+    });
+  }
+
+  /**
+   * A job with every store's checkpoint, null when it doesn't exist
+   */
+  public async getJob(jobId: number, context?: InvocationContext): Promise<BackfillJob | null> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('jobId', TYPES.BigInt, jobId);
+
+    const result = await request.query(`
+      SELECT id, CONVERT(CHAR(10), start_date, 23) AS start_date, CONVERT(CHAR(10), end_date, 23) AS end_date,
+        datasets, dry_run, delay_ms, status, created_at, updated_at, completed_at
+      FROM brink_backfill_jobs
+      WHERE id = @jobId;
+
+      SELECT store_id, store_name, CONVERT(CHAR(10), end_date, 23) AS end_date, CONVERT(CHAR(10), next_date, 23) AS next_date,
+        dates_completed, dates_failed, order_count, shift_count, till_count, failed_dates, last_error
+      FROM brink_backfill_job_stores
+      WHERE job_id = @jobId
+      ORDER BY store_name;
+    `);
+
+    const [jobRows, storeRows] = result.recordsets as unknown as any[][];
+    if (jobRows.length === 0) {
+      return null;
+    }
+    const row = jobRows[0];
+
+    return {
+      id: Number(row.id),
+      startDate: row.start_date,
+      endDate: row.end_date,
+      datasets: String(row.datasets).split(',').filter(dataset => WAREHOUSE_DATASETS.includes(dataset as WarehouseDataset)) as WarehouseDataset[],
+      dryRun: Boolean(row.dry_run),
+      delayMs: row.delay_ms,
+      status: row.status as BackfillJobStatus,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+      completedAt: row.completed_at ? new Date(row.completed_at) : null,
+      stores: storeRows.map(store => ({
+        storeId: store.store_id,
+        storeName: store.store_name,
+        endDate: store.end_date,
+        nextDate: store.next_date ?? null,
+        datesCompleted: store.dates_completed,
+        datesFailed: store.dates_failed,
+        orders: store.order_count,
+        shifts: store.shift_count,
+        tills: store.till_count,
+        failedDates: store.failed_dates ? store.failed_dates.split(',') : [],
+        lastError: store.last_error ?? undefined
+      }))
+    };
+  }
+
+  /**
+   * Recent jobs without their stores, newest first
+   */
+  public async getJobs(limit: number, context?: InvocationContext): Promise<Omit<BackfillJob, 'stores'>[]> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('limit', TYPES.Int, limit);
+
+    const result = await request.query(`
+      SELECT TOP (@limit) id, CONVERT(CHAR(10), start_date, 23) AS start_date, CONVERT(CHAR(10), end_date, 23) AS end_date,
+        datasets, dry_run, delay_ms, status, created_at, updated_at, completed_at
+      FROM brink_backfill_jobs
+      ORDER BY id DESC;
+    `);
+
+    return result.recordset.map(row => ({
+      id: Number(row.id),
+      startDate: row.start_date,
+      endDate: row.end_date,
+      datasets: String(row.datasets).split(',') as WarehouseDataset[],
+      dryRun: Boolean(row.dry_run),
+      delayMs: row.delay_ms,
+      status: row.status as BackfillJobStatus,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+      completedAt: row.completed_at ? new Date(row.completed_at) : null
+    }));
+  }
+
+  /**
+   * Mark the job running unless another worker holds it - a single UPDATE, so two requests resuming the same
+   * job can't both get it. A claim not refreshed by a checkpoint for STALE_CLAIM_MINUTES is taken over
+   */
+  private async claimJob(jobId: number, context?: InvocationContext): Promise<boolean> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('jobId', TYPES.BigInt, jobId);
+    request.input('staleMinutes', TYPES.Int, STALE_CLAIM_MINUTES);
+
+    const result = await request.query(`
+      UPDATE brink_backfill_jobs
+      SET status = 'running', updated_at = GETUTCDATE()
+      WHERE id = @jobId
+        AND (status <> 'running' OR updated_at < DATEADD(MINUTE, -@staleMinutes, GETUTCDATE()));
+    `);
+    return result.rowsAffected[0] === 1;
+  }
+
+  private async saveCheckpoint(jobId: number, storeId: string, checkpoint: {
+    nextDate: string | null;
+    completed: number;
+    failed: number;
+    orders: number;
+    shifts: number;
+    tills: number;
+    failedDate: string | null;
+    error: string | null;
+  }, context?: InvocationContext): Promise<void> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('jobId', TYPES.BigInt, jobId);
+    request.input('storeId', TYPES.NVarChar, storeId);
+    request.input('nextDate', TYPES.Date, checkpoint.nextDate);
+    request.input('completed', TYPES.Int, checkpoint.completed);
+    request.input('failed', TYPES.Int, checkpoint.failed);
+    request.input('orders', TYPES.Int, checkpoint.orders);
+    request.input('shifts', TYPES.Int, checkpoint.shifts);
+    request.input('tills', TYPES.Int, checkpoint.tills);
+    request.input('failedDate', TYPES.NVarChar, checkpoint.failedDate);
+    request.input('error', TYPES.NVarChar, checkpoint.error ? checkpoint.error.substring(0, 1000) : null);
+
+    await request.query(`
+      UPDATE brink_backfill_job_stores
+      SET next_date = @nextDate,
+        dates_completed = dates_completed + @completed,
+        dates_failed = dates_failed + @failed,
+        order_count = order_count + @orders,
+        shift_count = shift_count + @shifts,
+        till_count = till_count + @tills,
+        failed_dates = CASE
+          WHEN @failedDate IS NULL THEN failed_dates
+          WHEN failed_dates IS NULL THEN @failedDate
+          ELSE failed_dates + ',' + @failedDate END,
+        last_error = COALESCE(@error, last_error),
+        updated_at = GETUTCDATE()
+      WHERE job_id = @jobId AND store_id = @storeId;
+
+      UPDATE brink_backfill_jobs SET updated_at = GETUTCDATE() WHERE id = @jobId;
+    `);
+  }
+
+  /**
+   * Release the job's claim - completed once no store has dates left, otherwise back to in_progress
+   */
+  private async finishJob(jobId: number, context?: InvocationContext): Promise<BackfillJob> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('jobId', TYPES.BigInt, jobId);
+
+    await request.query(`
+      UPDATE brink_backfill_jobs
+      SET status = CASE
+          WHEN EXISTS (SELECT 1 FROM brink_backfill_job_stores WHERE job_id = @jobId AND next_date IS NOT NULL) THEN 'in_progress'
+          WHEN EXISTS (SELECT 1 FROM brink_backfill_job_stores WHERE job_id = @jobId AND dates_failed > 0) THEN 'completed_with_errors'
+          ELSE 'completed' END,
+        completed_at = CASE
+          WHEN EXISTS (SELECT 1 FROM brink_backfill_job_stores WHERE job_id = @jobId AND next_date IS NOT NULL) THEN NULL
+          ELSE COALESCE(completed_at, GETUTCDATE()) END,
+        updated_at = GETUTCDATE()
+      WHERE id = @jobId;
+    `);
+
+    const job = (await this.getJob(jobId, context))!;
+    const progress = job.stores.reduce((totals, store) => ({
+      completed: totals.completed + store.datesCompleted,
+      failed: totals.failed + store.datesFailed
+    }), { completed: 0, failed: 0 });
+    context?.log(`🧱 Backfill job ${jobId} ${job.status}: ${progress.completed} dates loaded, ${progress.failed} failed`);
+    return job;
+  }
+}
+
+/**
+ * Business dates from start to end inclusive (0 when end is before start)
+ */
+function dateCount(startDate: string, endDate: string): number {
+  return Math.max(0, Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1);
+}
+
+// Export singleton instance
+export const brinkBackfillService = BrinkBackfillService.getInstance();
@@ -0,0 +1,119 @@
+/**
+ * PAR Brink Host Service
+ * Resolves which Brink API server a location lives on
+ *
+ * Resolution order:
+ * 1. store_configurations.brink_api_host for the location (via storeConfigService cache)
+ * 2. Tenant default - "apiHost" in the PAR Brink ThirdPartyAPIs ConfigurationJson
+ * 3. undefined - BrinkApiClient falls back to DEFAULT_BRINK_BASE_URL
+ */
+
+import { InvocationContext } from '@azure/functions';
+import { storeConfigService } from './storeConfigService';
+import { TenantDatabaseService } from './TenantDatabaseService';
+
+interface TenantDefaultCache {
+  apiHost?: string;
+  loadedAt: number;
+}
+
+/**
+ * Turn a configured host ("api11.brinkpos.net", "https://api11.brinkpos.net/") into a base URL
+ */
+export function normalizeBrinkBaseUrl(host?: string | null): string | undefined {
+  const trimmed = host?.trim();
+  if (!trimmed) {
+    return undefined;
+  }
+  const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  return withScheme.replace(/\/+$/, '');
+}
+
+class BrinkHostService {
+  private static instance: BrinkHostService;
+  private tenantDefault: TenantDefaultCache | null = null;
+  private tenantDefaultPromise: Promise<string | undefined> | null = null;
+  private readonly cacheMaxAge = 15 * 60 * 1000; // 15 minutes, same as the store cache
+  private readonly failureRetryAge = 60 * 1000;  // retry a failed lookup after 1 minute
+
+  private constructor() {}
+
+  public static getInstance(): BrinkHostService {
+    if (!BrinkHostService.instance) {
+      BrinkHostService.instance = new BrinkHostService();
+    }
+    return BrinkHostService.instance;
+  }
+
+  /**
+   * Get the Brink base URL for a location token, or undefined to use the client default
+   */
+  public async resolveBaseUrl(locationToken: string, context?: InvocationContext): Promise<string | undefined> {
+    try {
+      const store = await storeConfigService.getStoreConfig(locationToken, context);
+      const storeHost = normalizeBrinkBaseUrl(store?.brinkApiHost);
+      if (storeHost) {
+        context?.log(`🌐 PAR Brink host for ${store?.name}: ${storeHost}`);
+        return storeHost;
+      }
+    } catch (error) {
+      context?.warn('⚠️ Store lookup failed while resolving PAR Brink host, trying tenant default:', error);
+    }
+
+    return this.getTenantDefaultBaseUrl(context);
+  }
+
+  /**
+   * Get the tenant-level default host from the PAR Brink ThirdPartyAPI configuration (cached)
+   */
+  public async getTenantDefaultBaseUrl(context?: InvocationContext): Promise<string | undefined> {
+    if (this.tenantDefault && (Date.now() - this.tenantDefault.loadedAt) < this.cacheMaxAge) {
+      return this.tenantDefault.apiHost;
+    }
+
+    // Share one lookup between concurrent requests
+    if (!this.tenantDefaultPromise) {
+      this.tenantDefaultPromise = this.loadTenantDefault(context).finally(() => {
+        this.tenantDefaultPromise = null;
+      });
+    }
+    return this.tenantDefaultPromise;
+  }
+
+  /**
+   * Force the tenant default to be re-read on next use (admin function)
+   */
+  public clearCache(): void {
+    this.tenantDefault = null;
+  }
+
+  private async loadTenantDefault(context?: InvocationContext): Promise<string | undefined> {
+    try {
+      const tenantService = new TenantDatabaseService();
+      const apis = await tenantService.getThirdPartyAPIsByProvider('PAR Brink');
+      const configurationJson = apis[0]?.ConfigurationJson;
+
+      let apiHost: string | undefined;
+      if (configurationJson) {
+        const config = JSON.parse(configurationJson);
+        apiHost = normalizeBrinkBaseUrl(typeof config.apiHost === 'string' ? config.apiHost : undefined);
+      }
+
+      this.tenantDefault = { apiHost, loadedAt: Date.now() };
+      context?.log(apiHost
+        ? `🌐 PAR Brink tenant default host: ${apiHost}`
+        : '🌐 No PAR Brink tenant default host configured, using client default');
+      return apiHost;
+    } catch (error) {
+      context?.warn('⚠️ Failed to load PAR Brink tenant default host:', error);
+
+      // Keep serving the last known value; back off before hitting the database again
+      const apiHost = this.tenantDefault?.apiHost;
+      this.tenantDefault = { apiHost, loadedAt: Date.now() - this.cacheMaxAge + this.failureRetryAge };
+      return apiHost;
+    }
+  }
+}
+
+// Export singleton instance
+export const brinkHostService = BrinkHostService.getInstance();
@@ -0,0 +1,437 @@
+/**
+ * Brink Ingestion Service
+ * Loads each active store's last closed business date (orders, shifts and tills) into the Brink warehouse
+ * once the day has closed, and keeps a run history (sql/create-brink-ingestion-run-tables.sql) so failed
+ * stores can be re-run
+ */
+
+import { Request, TYPES } from 'mssql';
+import { InvocationContext } from '@azure/functions';
+import { databaseStoreService } from './databaseStoreService';
+import { createBrinkClientForLocation, describeBrinkError } from './BrinkApiClient';
+import { brinkWarehouseService, WAREHOUSE_DATASETS, WarehouseDataset } from './brinkWarehouseService';
+import { StoreConfig } from './storeConfigService';
+import { addDays, getBusinessCalendar } from '../utils/businessCalendar';
+import { getStoreConcurrency, mapWithConcurrency } from '../utils/concurrency';
+
+// Keeps a timer run well inside the 5 minute function timeout - the rest are picked up by the next run
+const MAX_STORES_PER_RUN = 50;
+
+export type IngestionTrigger = 'timer' | 'rerun';
+
+export type IngestionStoreStatus = 'succeeded' | 'partial' | 'failed';
+
+export type IngestionRunStatus = 'running' | IngestionStoreStatus;
+
+export interface IngestionStoreResult {
+  storeId: string;
+  storeName: string;
+  businessDate: string;          // YYYY-MM-DD
+  status: IngestionStoreStatus;  // partial: tills still open or a dataset failed
+  orders: number | null;         // null when the dataset wasn't loaded (or requested)
+  shifts: number | null;
+  tills: number | null;
+  error?: string;
+  durationMs: number;
+}
+
+export interface IngestionRun {
+  id: number;
+  trigger: IngestionTrigger;
+  retryOfRunId: number | null;
+  status: IngestionRunStatus;
+  storeCount: number;
+  succeeded: number;
+  partial: number;
+  failed: number;
+  startedAt: Date;
+  finishedAt: Date | null;
+  stores?: IngestionStoreResult[];
+}
+
+export interface IngestStoreOptions {
+  datasets?: WarehouseDataset[];
+  dryRun?: boolean;
+}
+
+interface IngestionTarget {
+  store: StoreConfig;
+  businessDate: string;
+}
+
+class BrinkIngestionService {
+  private static instance: BrinkIngestionService;
+
+  private constructor() {}
+
+  public static getInstance(): BrinkIngestionService {
+    if (!BrinkIngestionService.instance) {
+      BrinkIngestionService.instance = new BrinkIngestionService();
+    }
+    return BrinkIngestionService.instance;
+  }
+
+  /**
+   * The store's most recent closed business date - the day before its current business date
+   */
+  public getLastClosedBusinessDate(store: Pick<StoreConfig, 'timezone' | 'businessDayStartHour'>, now: Date = new Date()): string {
+    const calendar = getBusinessCalendar(store.timezone, { businessDayStartHour: store.businessDayStartHour, now });
+    return addDays(calendar.businessDate, -1);
+  }
+
+  /**
+   * Ingest every store whose last closed business date hasn't been attempted yet
+   * Stores that failed are left for rerunFailedStores, so a store that keeps failing isn't retried every hour
+   * Returns null when no store is due
+   */
+  public async runScheduledIngestion(stores: StoreConfig[], accessToken: string, context?: InvocationContext, now: Date = new Date()): Promise<IngestionRun | null> {
+    const candidates = stores.map(store => ({ store, businessDate: this.getLastClosedBusinessDate(store, now) }));
+    const attempted = await this.getAttemptedStoreDays(candidates, false, context);
+    const due = candidates.filter(target => !attempted.has(storeDayKey(target.store.id, target.businessDate)));
+
+    if (due.length === 0) {
+      context?.log(`🌙 No stores due for ingestion (${stores.length} active stores already attempted)`);
+      return null;
+    }
+    if (due.length > MAX_STORES_PER_RUN) {
+      context?.log(`🌙 ${due.length} stores due - ingesting ${MAX_STORES_PER_RUN} now, the rest next run`);
+    }
+
+    return this.ingest('timer', null, due.slice(0, MAX_STORES_PER_RUN), accessToken, context);
+  }
+
+  /**
+   * Ingest the failed and partial stores of a run again (default: the latest run with any)
+   * Stores that have since succeeded, or are no longer active, are skipped
+   */
+  public async rerunFailedStores(activeStores: StoreConfig[], accessToken: string, runId?: number, context?: InvocationContext): Promise<{ run: IngestionRun | null; sourceRunId: number | null; skipped: { storeId: string; businessDate: string; reason: string }[] }> {
+    const sourceRunId = runId ?? await this.getLatestRunWithFailures(context);
+    if (sourceRunId === null) {
+      return { run: null, sourceRunId: null, skipped: [] };
+    }
+
+    const source = await this.getRun(sourceRunId, context);
+    if (!source) {
+      throw new Error(`Ingestion run ${sourceRunId} not found`);
+    }
+
+    const retry = (source.stores || []).filter(result => result.status !== 'succeeded');
+    const storesById = new Map(activeStores.map(store => [store.id, store]));
+    const succeeded = await this.getAttemptedStoreDays(
+      retry.map(result => ({ store: { id: result.storeId }, businessDate: result.businessDate })), true, context);
+
+    const skipped: { storeId: string; businessDate: string; reason: string }[] = [];
+    const targets: IngestionTarget[] = [];
+    retry.forEach(result => {
+      const store = storesById.get(result.storeId);
+      if (!store) {
+        skipped.push({ storeId: result.storeId, businessDate: result.businessDate, reason: 'Store is no longer active' });
+      } else if (succeeded.has(storeDayKey(result.storeId, result.businessDate))) {
+        skipped.push({ storeId: result.storeId, businessDate: result.businessDate, reason: 'Already ingested by a later run' });
+      } else {
+        targets.push({ store, businessDate: result.businessDate });
+      }
+    });
+
+    if (targets.length === 0) {
+      context?.log(`🔁 Nothing to re-run for ingestion run ${sourceRunId}`);
+      return { run: null, sourceRunId, skipped };
+    }
+
+    return { run: await this.ingest('rerun', sourceRunId, targets, accessToken, context), sourceRunId, skipped };
+  }
+
+  /**
+   * Load one store's business date into the warehouse (only the given datasets, default all)
+   * Datasets are loaded independently so a failing one doesn't lose the others
+   * dryRun fetches from Brink and reports the counts without writing anything
+   */
+  public async ingestStore(store: StoreConfig, businessDate: string, accessToken: string, context?: InvocationContext, options: IngestStoreOptions = {}): Promise<IngestionStoreResult> {
+    const startedAt = Date.now();
+    const datasets = options.datasets || WAREHOUSE_DATASETS;
+    const result: IngestionStoreResult = {
+      storeId: store.id,
+      storeName: store.name,
+      businessDate,
+      status: 'failed',
+      orders: null,
+      shifts: null,
+      tills: null,
+      durationMs: 0
+    };
+    const errors: string[] = [];
+
+    try {
+      const client = await createBrinkClientForLocation({ accessToken, locationToken: store.token, context });
+      const loaders: Record<WarehouseDataset, () => Promise<number>> = {
+        orders: async () => {
+          const orders = await client.getOrders(businessDate);
+          if (!options.dryRun) {
+            await brinkWarehouseService.saveOrders(store.id, businessDate, orders, context);
+          }
+          return orders.length;
+        },
+        shifts: async () => {
+          const shifts = await client.getShifts(businessDate);
+          if (!options.dryRun) {
+            await brinkWarehouseService.saveShifts(store.id, businessDate, shifts, context);
+          }
+          return shifts.length;
+        },
+        tills: async () => {
+          const tills = await client.getTills(businessDate);
+          const openTills = tills.filter(till => !till.isClosed).length;
+          if (openTills > 0) {
+            // Same rule as the warehouse reads - an open till would be stored open for good
+            throw new Error(`${openTills} of ${tills.length} still open`);
+          }
+          if (!options.dryRun) {
+            await brinkWarehouseService.saveTills(store.id, businessDate, tills, context);
+          }
+          return tills.length;
+        }
+      };
+
+      for (const dataset of datasets) {
+        try {
+          result[dataset] = await loaders[dataset]();
+        } catch (error) {
+          errors.push(`${dataset}: ${describeBrinkError(error).message}`);
+        }
+      }
+    } catch (error) {
+      errors.push(describeBrinkError(error).message);
+    }
+
+    const loaded = datasets.filter(dataset => result[dataset] !== null).length;
+    result.status = errors.length === 0 ? 'succeeded' : loaded > 0 ? 'partial' : 'failed';
+    result.error = errors.length > 0 ? errors.join('; ') : undefined;
+    result.durationMs = Date.now() - startedAt;
+    return result;
+  }
+
+  /**
+   * Recent runs, newest first
+   */
+  public async getRuns(limit: number, context?: InvocationContext): Promise<IngestionRun[]> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('limit', TYPES.Int, limit);
+
+    const result = await request.query(`
+      SELECT TOP (@limit) id, trigger_type, retry_of_run_id, status, store_count, succeeded_count, partial_count,
+        failed_count, started_at, finished_at
+      FROM brink_ingestion_runs
+      ORDER BY started_at DESC, id DESC;
+    `);
+
+    return result.recordset.map(toIngestionRun);
+  }
+
+  /**
+   * A run with its per-store results, null when it doesn't exist
+   */
+  public async getRun(runId: number, context?: InvocationContext): Promise<IngestionRun | null> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('runId', TYPES.BigInt, runId);
+
+    const result = await request.query(`
+      SELECT id, trigger_type, retry_of_run_id, status, store_count, succeeded_count, partial_count,
+        failed_count, started_at, finished_at
+      FROM brink_ingestion_runs
+      WHERE id = @runId;
+
+      SELECT store_id, store_name, CONVERT(CHAR(10), business_date, 23) AS business_date, status,
+        order_count, shift_count, till_count, error_message, duration_ms
+      FROM brink_ingestion_run_stores
+      WHERE run_id = @runId
+      ORDER BY CASE status WHEN 'failed' THEN 0 WHEN 'partial' THEN 1 ELSE 2 END, store_name;
+    `);
+
+    const [runRows, storeRows] = result.recordsets as unknown as any[][];
+    if (runRows.length === 0) {
+      return null;
+    }
+
+    return {
+      ...toIngestionRun(runRows[0]),
+      stores: storeRows.map(row => ({
+        storeId: row.store_id,
+        storeName: row.store_name,
+        businessDate: row.business_date,
+        status: row.status as IngestionStoreStatus,
+        orders: row.order_count ?? null,
+        shifts: row.shift_count ?? null,
+        tills: row.till_count ?? null,
+        error: row.error_message ?? undefined,
+        durationMs: row.duration_ms
+      }))
+    };
+  }
+
+  /**
+   * Record a run and ingest its stores PAR_BRINK_STORE_CONCURRENCY at a time
+   * Each store's result is recorded as soon as it finishes, so an interrupted run still shows its progress
+   */
+  private async ingest(trigger: IngestionTrigger, retryOfRunId: number | null, targets: IngestionTarget[], accessToken: string, context?: InvocationContext): Promise<IngestionRun> {
+    const startedAt = new Date();
+    const runId = await this.startRun(trigger, retryOfRunId, targets.length, context);
+    context?.log(`🌙 Ingestion run ${runId} (${trigger}) started for ${targets.length} stores`);
+
+    const results = await mapWithConcurrency(targets, getStoreConcurrency(), async ({ store, businessDate }) => {
+      const result = await this.ingestStore(store, businessDate, accessToken, context);
+      context?.log(`${result.status === 'succeeded' ? '✅' : result.status === 'partial' ? '⚠️' : '❌'} Ingested ${store.name} ${businessDate}: ${result.status}` +
+        ` (${result.orders ?? '-'} orders, ${result.shifts ?? '-'} shifts, ${result.tills ?? '-'} tills, ${result.durationMs}ms)${result.error ? ` - ${result.error}` : ''}`);
+      try {
+        await this.recordStoreResult(runId, result, context);
+      } catch (error) {
+        context?.warn(`⚠️ Could not record ingestion of ${store.name} in run ${runId}:`, error);
+      }
+      return result;
+    });
+
+    const counts = {
+      succeeded: results.filter(result => result.status === 'succeeded').length,
+      partial: results.filter(result => result.status === 'partial').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+    const status: IngestionStoreStatus = counts.failed === 0 && counts.partial === 0 ? 'succeeded'
+      : counts.succeeded === 0 && counts.partial === 0 ? 'failed' : 'partial';
+
+    const finishedAt = await this.finishRun(runId, status, counts, context);
+    context?.log(`🌙 Ingestion run ${runId} ${status}: ${counts.succeeded} succeeded, ${counts.partial} partial, ${counts.failed} failed`);
+
+    return {
+      id: runId,
+      trigger,
+      retryOfRunId,
+      status,
+      storeCount: targets.length,
+      ...counts,
+      startedAt,
+      finishedAt,
+      stores: results
+    };
+  }
+
+  private async startRun(trigger: IngestionTrigger, retryOfRunId: number | null, storeCount: number, context?: InvocationContext): Promise<number> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('trigger', TYPES.NVarChar, trigger);
+    request.input('retryOfRunId', TYPES.BigInt, retryOfRunId);
+    request.input('storeCount', TYPES.Int, storeCount);
+
+    const result = await request.query(`
+      INSERT INTO brink_ingestion_runs (trigger_type, retry_of_run_id, store_count)
+      OUTPUT inserted.id
+      VALUES (@trigger, @retryOfRunId, @storeCount);
+    `);
+    return Number(result.recordset[0].id);
+  }
+
+  private async recordStoreResult(runId: number, result: IngestionStoreResult, context?: InvocationContext): Promise<void> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('runId', TYPES.BigInt, runId);
+    request.input('storeId', TYPES.NVarChar, result.storeId);
+    request.input('storeName', TYPES.NVarChar, result.storeName.substring(0, 255));
+    request.input('businessDate', TYPES.Date, result.businessDate);
+    request.input('status', TYPES.NVarChar, result.status);
+    request.input('orders', TYPES.Int, result.orders);
+    request.input('shifts', TYPES.Int, result.shifts);
+    request.input('tills', TYPES.Int, result.tills);
+    request.input('error', TYPES.NVarChar, result.error ? result.error.substring(0, 1000) : null);
+    request.input('durationMs', TYPES.Int, result.durationMs);
+
+    await request.query(`
+      INSERT INTO brink_ingestion_run_stores (run_id, store_id, store_name, business_date, status, order_count, shift_count, till_count, error_message, duration_ms)
+      VALUES (@runId, @storeId, @storeName, @businessDate, @status, @orders, @shifts, @tills, @error, @durationMs);
+    `);
+  }
+
+  private async finishRun(runId: number, status: IngestionStoreStatus, counts: { succeeded: number; partial: number; failed: number }, context?: InvocationContext): Promise<Date> {
+    try {
+      const pool = await databaseStoreService.getConnection(context);
+      const request = new Request(pool);
+      request.input('runId', TYPES.BigInt, runId);
+      request.input('status', TYPES.NVarChar, status);
+      request.input('succeeded', TYPES.Int, counts.succeeded);
+      request.input('partial', TYPES.Int, counts.partial);
+      request.input('failed', TYPES.Int, counts.failed);
+
+      const result = await request.query(`
+        UPDATE brink_ingestion_runs
+        SET status = @status, succeeded_count = @succeeded, partial_count = @partial, failed_count = @failed,
+          finished_at = GETUTCDATE()
+        OUTPUT inserted.finished_at
+        WHERE id = @runId;
+      `);
+      return new Date(result.recordset[0].finished_at);
+    } catch (error) {
+      // The per-store rows are already recorded - the run just stays "running"
+      context?.warn(`⚠️ Could not finish ingestion run ${runId}:`, error);
+      return new Date();
+    }
+  }
+
+  /**
+   * Store/business dates that already have a run-history row (only succeeded ones when succeededOnly)
+   */
+  private async getAttemptedStoreDays(targets: { store: Pick<StoreConfig, 'id'>; businessDate: string }[], succeededOnly: boolean, context?: InvocationContext): Promise<Set<string>> {
+    const dates = Array.from(new Set(targets.map(target => target.businessDate)));
+    if (dates.length === 0) {
+      return new Set();
+    }
+
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('succeededOnly', TYPES.Bit, succeededOnly);
+    const dateParameters = dates.map((date, index) => {
+      request.input(`date${index}`, TYPES.Date, date);
+      return `@date${index}`;
+    });
+
+    const result = await request.query(`
+      SELECT DISTINCT store_id, CONVERT(CHAR(10), business_date, 23) AS business_date
+      FROM brink_ingestion_run_stores
+      WHERE business_date IN (${dateParameters.join(', ')})
+        AND (@succeededOnly = 0 OR status = 'succeeded');
+    `);
+
+    return new Set(result.recordset.map(row => storeDayKey(row.store_id, row.business_date)));
+  }
+
+  private async getLatestRunWithFailures(context?: InvocationContext): Promise<number | null> {
+    const pool = await databaseStoreService.getConnection(context);
+    const result = await new Request(pool).query(`
+      SELECT TOP 1 id
+      FROM brink_ingestion_runs
+      WHERE failed_count > 0 OR partial_count > 0
+      ORDER BY started_at DESC, id DESC;
+    `);
+    return result.recordset.length > 0 ? Number(result.recordset[0].id) : null;
+  }
+}
+
+function storeDayKey(storeId: string, businessDate: string): string {
+  return `${storeId}|${businessDate}`;
+}
+
+function toIngestionRun(row: any): IngestionRun {
+  return {
+    id: Number(row.id),
+    trigger: row.trigger_type as IngestionTrigger,
+    retryOfRunId: row.retry_of_run_id !== null ? Number(row.retry_of_run_id) : null,
+    status: row.status as IngestionRunStatus,
+    storeCount: row.store_count,
+    succeeded: row.succeeded_count,
+    partial: row.partial_count,
+    failed: row.failed_count,
+    startedAt: new Date(row.started_at),
+    finishedAt: row.finished_at ? new Date(row.finished_at) : null
+  };
+}
+
+// Export singleton instance
+export const brinkIngestionService = BrinkIngestionService.getInstance();
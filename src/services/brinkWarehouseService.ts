@@ -0,0 +1,667 @@
+/**
+ * Brink Warehouse Service
+ * Normalized copies of each store's Brink orders, shifts and tills per business date (see
+ * sql/create-brink-warehouse-tables.sql). Closed business days are read from SQL instead of Brink -
+ * their data no longer changes, and re-fetching a week of orders for every report is the slowest part
+ * of most endpoints. Days still in progress always come from Brink.
+ */
+
+import { ISqlType, Request, Transaction, TYPES } from 'mssql';
+import { InvocationContext } from '@azure/functions';
+import { databaseStoreService } from './databaseStoreService';
+import { BrinkApiClient } from './BrinkApiClient';
+import {
+  BrinkOrder,
+  BrinkOrderDiscount,
+  BrinkOrderItem,
+  BrinkOrderItemModifier,
+  BrinkPaidInOut,
+  BrinkPayment,
+  BrinkShift,
+  BrinkShiftBreak,
+  BrinkTill
+} from '../models/brink';
+import { StoreConfig } from './storeConfigService';
+import { getBusinessDayStatus, getBusinessDayWindow, resolveBusinessDayStartHour } from '../utils/businessCalendar';
+import { resolveTimezone } from '../utils/timezone';
+
+// SQL Server allows 2100 parameters per request - leave room for @storeId and @businessDate
+const MAX_PARAMETERS_PER_INSERT = 2000;
+
+export type WarehouseDataset = 'orders' | 'shifts' | 'tills';
+
+export const WAREHOUSE_DATASETS: WarehouseDataset[] = ['orders', 'shifts', 'tills'];
+
+/**
+ * A dataset loaded for a store and business date
+ */
+export interface WarehouseDay {
+  storeId: string;
+  businessDate: string;          // YYYY-MM-DD
+  dataset: WarehouseDataset;
+  rowCount: number;              // orders, shifts or tills
+  loadCount: number;
+  lastLoaded: Date;
+}
+
+/**
+ * The store that warehouse reads and writes are keyed by
+ */
+export type WarehouseStore = Pick<StoreConfig, 'id' | 'name' | 'timezone' | 'businessDayStartHour'>;
+
+/**
+ * Orders, shifts and tills for a business date - from the warehouse when the day is closed and loaded,
+ * otherwise from Brink (closed days fetched from Brink are saved for next time)
+ */
+export interface BrinkDaySource {
+  getOrders(businessDate: string): Promise<BrinkOrder[]>;
+  getShifts(businessDate: string): Promise<BrinkShift[]>;
+  getTills(businessDate: string): Promise<BrinkTill[]>;
+}
+
+type SqlType = ISqlType | (() => ISqlType);
+
+// [column, type, value]
+type WarehouseColumn<T> = [string, SqlType, (row: T) => unknown];
+
+interface WarehouseTable<T> {
+  name: string;
+  columns: WarehouseColumn<T>[];
+}
+
+interface DatasetRows<T = any> {
+  table: WarehouseTable<T>;
+  rows: T[];
+}
+
+interface PaymentRow { orderId: string; payment: BrinkPayment }
+interface DiscountRow { orderId: string; discount: BrinkOrderDiscount }
+interface BreakRow { shiftId: string; shiftBreak: BrinkShiftBreak }
+interface PaidInOutRow { tillId: string; paidInOut: BrinkPaidInOut }
+
+/**
+ * Items and their modifiers share brink_order_items - a modifier row's parentLineId is its item's line id
+ */
+interface ItemRow {
+  orderId: string;
+  parentLineId: string | null;
+  item: Omit<BrinkOrderItem, 'modifiers'> | (BrinkOrderItemModifier & Partial<Omit<BrinkOrderItem, 'modifiers'>>);
+}
+
+const text = (value: string | undefined | null, length: number) => value ? value.substring(0, length) : null;
+
+const ORDERS: WarehouseTable<BrinkOrder> = {
+  name: 'brink_orders',
+  columns: [
+    ['order_id', TYPES.NVarChar, order => text(order.id, 50)],
+    ['order_number', TYPES.NVarChar, order => text(order.number, 50) || ''],
+    ['order_name', TYPES.NVarChar, order => text(order.name, 255) || ''],
+    ['total', TYPES.Decimal(18, 2), order => order.total],
+    ['first_send_time', TYPES.DateTime2, order => toSqlTime(order.firstSendTime)],
+    ['modified_time', TYPES.DateTime2, order => toSqlTime(order.modifiedTime)],
+    ['guest_count', TYPES.Int, order => order.guestCount],
+    ['destination_id', TYPES.Int, order => order.destinationId],
+    ['employee_id', TYPES.NVarChar, order => text(order.employeeId, 50)],
+    ['is_voided', TYPES.Bit, order => order.isVoided],
+    ['void_reason', TYPES.NVarChar, order => text(order.voidReason, 255)],
+    ['void_employee_id', TYPES.NVarChar, order => text(order.voidEmployeeId, 50)]
+  ]
+};
+
+const PAYMENTS: WarehouseTable<PaymentRow> = {
+  name: 'brink_order_payments',
+  columns: [
+    ['order_id', TYPES.NVarChar, row => text(row.orderId, 50)],
+    ['payment_id', TYPES.NVarChar, row => text(row.payment.id, 50) || ''],
+    ['tender_id', TYPES.Int, row => row.payment.tenderId],
+    ['amount', TYPES.Decimal(18, 2), row => row.payment.amount],
+    ['tip_amount', TYPES.Decimal(18, 2), row => row.payment.tipAmount],
+    ['employee_id', TYPES.NVarChar, row => text(row.payment.employeeId, 50)],
+    ['payment_type', TYPES.NVarChar, row => text(row.payment.paymentType, 50)],
+    ['till_number', TYPES.NVarChar, row => text(row.payment.tillNumber, 50)]
+  ]
+};
+
+const ITEMS: WarehouseTable<ItemRow> = {
+  name: 'brink_order_items',
+  columns: [
+    ['order_id', TYPES.NVarChar, row => text(row.orderId, 50)],
+    ['line_id', TYPES.NVarChar, row => text(row.item.id, 50) || ''],
+    ['parent_line_id', TYPES.NVarChar, row => text(row.parentLineId, 50)],
+    ['item_id', TYPES.NVarChar, row => text(row.item.itemId, 50) || ''],
+    ['item_name', TYPES.NVarChar, row => text(row.item.name, 255)],
+    ['quantity', TYPES.Decimal(18, 4), row => row.item.quantity],
+    ['price', TYPES.Decimal(18, 4), row => row.item.price],
+    ['gross_sales', TYPES.Decimal(18, 2), row => row.item.grossSales ?? row.item.price],
+    ['is_deleted', TYPES.Bit, row => row.item.isDeleted ?? false],
+    ['is_voided', TYPES.Bit, row => row.item.isVoided ?? false],
+    ['void_reason', TYPES.NVarChar, row => text(row.item.voidReason, 255)],
+    ['void_employee_id', TYPES.NVarChar, row => text(row.item.voidEmployeeId, 50)],
+    ['employee_id', TYPES.NVarChar, row => text(row.item.employeeId, 50)]
+  ]
+};
+
+const DISCOUNTS: WarehouseTable<DiscountRow> = {
+  name: 'brink_order_discounts',
+  columns: [
+    ['order_id', TYPES.NVarChar, row => text(row.orderId, 50)],
+    ['line_id', TYPES.NVarChar, row => text(row.discount.id, 50) || ''],
+    ['discount_id', TYPES.NVarChar, row => text(row.discount.discountId, 50) || ''],
+    ['discount_name', TYPES.NVarChar, row => text(row.discount.name, 255)],
+    ['amount', TYPES.Decimal(18, 2), row => row.discount.amount],
+    ['is_comp', TYPES.Bit, row => row.discount.isComp],
+    ['employee_id', TYPES.NVarChar, row => text(row.discount.employeeId, 50)],
+    ['order_item_id', TYPES.NVarChar, row => text(row.discount.orderItemId, 50)]
+  ]
+};
+
+const SHIFTS: WarehouseTable<BrinkShift> = {
+  name: 'brink_shifts',
+  columns: [
+    ['shift_id', TYPES.NVarChar, shift => text(shift.id, 50) || ''],
+    ['employee_id', TYPES.NVarChar, shift => text(shift.employeeId, 50) || ''],
+    ['job_id', TYPES.NVarChar, shift => text(shift.jobId, 50)],
+    ['start_time', TYPES.DateTime2, shift => toSqlTime(shift.startTime)],
+    ['end_time', TYPES.DateTime2, shift => toSqlTime(shift.endTime)],
+    ['minutes_worked', TYPES.Int, shift => Math.round(shift.minutesWorked)],
+    ['pay_rate', TYPES.Decimal(18, 4), shift => shift.payRate]
+  ]
+};
+
+const BREAKS: WarehouseTable<BreakRow> = {
+  name: 'brink_shift_breaks',
+  columns: [
+    ['shift_id', TYPES.NVarChar, row => text(row.shiftId, 50) || ''],
+    ['break_id', TYPES.NVarChar, row => text(row.shiftBreak.id, 50) || ''],
+    ['start_time', TYPES.DateTime2, row => toSqlTime(row.shiftBreak.startTime)],
+    ['end_time', TYPES.DateTime2, row => toSqlTime(row.shiftBreak.endTime)],
+    ['is_paid', TYPES.Bit, row => row.shiftBreak.isPaid],
+    ['minutes', TYPES.Int, row => Math.round(row.shiftBreak.minutes)]
+  ]
+};
+
+const TILLS: WarehouseTable<BrinkTill> = {
+  name: 'brink_tills',
+  columns: [
+    ['till_id', TYPES.NVarChar, till => text(till.id, 50) || ''],
+    ['till_number', TYPES.NVarChar, till => text(till.number, 50)],
+    ['starting_bank', TYPES.Decimal(18, 2), till => till.startingBank],
+    ['is_closed', TYPES.Bit, till => till.isClosed],
+    ['declared_cash', TYPES.Decimal(18, 2), till => till.declaredCash],
+    ['over_short', TYPES.Decimal(18, 2), till => till.overShort]
+  ]
+};
+
+const PAID_IN_OUTS: WarehouseTable<PaidInOutRow> = {
+  name: 'brink_till_paid_in_outs',
+  columns: [
+    ['till_id', TYPES.NVarChar, row => text(row.tillId, 50) || ''],
+    ['account_type', TYPES.NVarChar, row => text(row.paidInOut.accountType, 10) || ''],
+    ['amount', TYPES.Decimal(18, 2), row => row.paidInOut.amount],
+    ['description', TYPES.NVarChar, row => text(row.paidInOut.description, 255)]
+  ]
+};
+
+const DATASET_TABLES: Record<WarehouseDataset, WarehouseTable<any>[]> = {
+  orders: [ORDERS, PAYMENTS, ITEMS, DISCOUNTS],
+  shifts: [SHIFTS, BREAKS],
+  tills: [TILLS, PAID_IN_OUTS]
+};
+
+class BrinkWarehouseService {
+  private static instance: BrinkWarehouseService;
+
+  private constructor() {}
+
+  public static getInstance(): BrinkWarehouseService {
+    if (!BrinkWarehouseService.instance) {
+      BrinkWarehouseService.instance = new BrinkWarehouseService();
+    }
+    return BrinkWarehouseService.instance;
+  }
+
+  /**
+   * Whether a business date is closed for the store - only closed days are read from or saved to the warehouse
+   */
+  public isClosedBusinessDate(store: WarehouseStore, businessDate: string, now: Date = new Date()): boolean {
+    const window = getBusinessDayWindow(businessDate, resolveTimezone(store.timezone), resolveBusinessDayStartHour(store.businessDayStartHour));
+    return getBusinessDayStatus(window, now) === 'closed';
+  }
+
+  /**
+   * Brink reads for a store that go through the warehouse for closed days
+   * Without a store (not configured) every read goes to Brink
+   */
+  public createDaySource(store: WarehouseStore | null | undefined, client: BrinkApiClient, context?: InvocationContext): BrinkDaySource {
+    if (!store) {
+      return {
+        getOrders: businessDate => client.getOrders(businessDate),
+        getShifts: businessDate => client.getShifts(businessDate),
+        getTills: businessDate => client.getTills(businessDate)
+      };
+    }
+    return {
+      getOrders: businessDate => this.getOrders(store, businessDate, client, context),
+      getShifts: businessDate => this.getShifts(store, businessDate, client, context),
+      getTills: businessDate => this.getTills(store, businessDate, client, context)
+    };
+  }
+
+  /**
+   * A business date's orders - see readThrough
+   */
+  public async getOrders(store: WarehouseStore, businessDate: string, client: BrinkApiClient, context?: InvocationContext, options: { refresh?: boolean } = {}): Promise<BrinkOrder[]> {
+    return this.readThrough('orders', store, businessDate, client, context, options,
+      () => this.getStoredOrders(store.id, businessDate, context),
+      () => client.getOrders(businessDate),
+      orders => this.saveOrders(store.id, businessDate, orders, context));
+  }
+
+  /**
+   * A business date's shifts - see readThrough
+   */
+  public async getShifts(store: WarehouseStore, businessDate: string, client: BrinkApiClient, context?: InvocationContext, options: { refresh?: boolean } = {}): Promise<BrinkShift[]> {
+    return this.readThrough('shifts', store, businessDate, client, context, options,
+      () => this.getStoredShifts(store.id, businessDate, context),
+      () => client.getShifts(businessDate),
+      shifts => this.saveShifts(store.id, businessDate, shifts, context));
+  }
+
+  /**
+   * A business date's tills - see readThrough
+   * Tills are only saved once every till is closed, otherwise a till counted after the day ended would
+   * stay open in the warehouse
+   */
+  public async getTills(store: WarehouseStore, businessDate: string, client: BrinkApiClient, context?: InvocationContext, options: { refresh?: boolean } = {}): Promise<BrinkTill[]> {
+    return this.readThrough('tills', store, businessDate, client, context, options,
+      () => this.getStoredTills(store.id, businessDate, context),
+      () => client.getTills(businessDate),
+      async tills => {
+        if (tills.some(till => !till.isClosed)) {
+          context?.log(`🏦 Not warehousing tills for ${store.name} on ${businessDate} - ${tills.filter(till => !till.isClosed).length} still open`);
+          return;
+        }
+        await this.saveTills(store.id, businessDate, tills, context);
+      });
+  }
+
+  /**
+   * Closed days: the stored rows when the day is loaded, otherwise Brink's - saved for next time.
+   * Days in progress (or refresh) always fetch from Brink. Warehouse failures fall back to Brink and never
+   * fail the read; Brink failures are thrown as usual.
+   * Stored rows are only returned once Brink has accepted the caller's tokens (see verifyCredentials) -
+   * the warehouse must not serve a store's data to anyone who merely knows its location token.
+   */
+  private async readThrough<T>(
+    dataset: WarehouseDataset,
+    store: WarehouseStore,
+    businessDate: string,
+    client: BrinkApiClient,
+    context: InvocationContext | undefined,
+    options: { refresh?: boolean },
+    readStored: () => Promise<T[] | null>,
+    fetchBrink: () => Promise<T[]>,
+    save: (rows: T[]) => Promise<void>
+  ): Promise<T[]> {
+    if (!this.isClosedBusinessDate(store, businessDate)) {
+      return fetchBrink();
+    }
+
+    if (!options.refresh) {
+      let stored: T[] | null = null;
+      try {
+        stored = await readStored();
+      } catch (error) {
+        context?.warn(`⚠️ Warehouse ${dataset} unavailable for ${store.name} on ${businessDate}, using Brink:`, error);
+      }
+      if (stored) {
+        await client.verifyCredentials();
+        context?.log(`🗄️ ${stored.length} ${dataset} for ${store.name} on ${businessDate} from the warehouse`);
+        return stored;
+      }
+    }
+
+    const rows = await fetchBrink();
+    try {
+      await save(rows);
+    } catch {
+      // Logged by saveDataset - the rows from Brink are still good for this request
+    }
+    return rows;
+  }
+
+  /**
+   * Replace a store's orders (with payments, items, modifiers and discounts) for a business date
+   */
+  public async saveOrders(storeId: string, businessDate: string, orders: BrinkOrder[], context?: InvocationContext): Promise<void> {
+    const payments: PaymentRow[] = [];
+    const items: ItemRow[] = [];
+    const discounts: DiscountRow[] = [];
+
+    orders.forEach(order => {
+      order.payments.forEach(payment => payments.push({ orderId: order.id, payment }));
+      order.items.forEach(({ modifiers, ...item }) => {
+        items.push({ orderId: order.id, parentLineId: null, item });
+        modifiers.forEach(modifier => items.push({ orderId: order.id, parentLineId: item.id, item: modifier }));
+      });
+      order.discounts.forEach(discount => discounts.push({ orderId: order.id, discount }));
+    });
+
+    await this.saveDataset('orders', storeId, businessDate, orders.length, [
+      { table: ORDERS, rows: orders },
+      { table: PAYMENTS, rows: payments },
+      { table: ITEMS, rows: items },
+      { table: DISCOUNTS, rows: discounts }
+    ], context);
+  }
+
+  /**
+   * Replace a store's shifts (with breaks) for a business date
+   */
+  public async saveShifts(storeId: string, businessDate: string, shifts: BrinkShift[], context?: InvocationContext): Promise<void> {
+    const breaks: BreakRow[] = [];
+    shifts.forEach(shift => shift.breaks.forEach(shiftBreak => breaks.push({ shiftId: shift.id, shiftBreak })));
+
+    await this.saveDataset('shifts', storeId, businessDate, shifts.length, [
+      { table: SHIFTS, rows: shifts },
+      { table: BREAKS, rows: breaks }
+    ], context);
+  }
+
+  /**
+   * Replace a store's tills (with paid-ins/outs) for a business date
+   */
+  public async saveTills(storeId: string, businessDate: string, tills: BrinkTill[], context?: InvocationContext): Promise<void> {
+    const paidInOuts: PaidInOutRow[] = [];
+    tills.forEach(till => till.paidInOuts.forEach(paidInOut => paidInOuts.push({ tillId: till.id, paidInOut })));
+
+    await this.saveDataset('tills', storeId, businessDate, tills.length, [
+      { table: TILLS, rows: tills },
+      { table: PAID_IN_OUTS, rows: paidInOuts }
+    ], context);
+  }
+
+  /**
+   * A store's stored orders for a business date, null when the day isn't loaded
+   */
+  public async getStoredOrders(storeId: string, businessDate: string, context?: InvocationContext): Promise<BrinkOrder[] | null> {
+    const recordsets = await this.readDataset('orders', storeId, businessDate, context);
+    if (!recordsets) {
+      return null;
+    }
+    const [orderRows, paymentRows, itemRows, discountRows] = recordsets;
+
+    const orders = new Map<string, BrinkOrder>(orderRows.map(row => [row.order_id, {
+      id: row.order_id,
+      number: row.order_number,
+      name: row.order_name,
+      total: Number(row.total),
+      businessDate,
+      firstSendTime: fromSqlTime(row.first_send_time),
+      modifiedTime: fromSqlTime(row.modified_time),
+      guestCount: row.guest_count ?? null,
+      destinationId: row.destination_id ?? null,
+      employeeId: row.employee_id ?? undefined,
+      isVoided: Boolean(row.is_voided),
+      voidReason: row.void_reason ?? undefined,
+      voidEmployeeId: row.void_employee_id ?? undefined,
+      payments: [],
+      items: [],
+      discounts: []
+    }]));
+
+    paymentRows.forEach(row => orders.get(row.order_id)?.payments.push({
+      id: row.payment_id,
+      amount: Number(row.amount),
+      tenderId: row.tender_id ?? null,
+      tipAmount: Number(row.tip_amount),
+      employeeId: row.employee_id ?? undefined,
+      paymentType: row.payment_type ?? undefined,
+      tillNumber: row.till_number ?? undefined
+    }));
+
+    // Items come before their modifiers (insert order), so a modifier's item is always there to attach to
+    const items = new Map<string, BrinkOrderItem>();
+    itemRows.forEach(row => {
+      if (row.parent_line_id !== null) {
+        items.get(`${row.order_id}:${row.parent_line_id}`)?.modifiers.push({
+          id: row.line_id,
+          itemId: row.item_id,
+          name: row.item_name ?? undefined,
+          quantity: Number(row.quantity),
+          price: Number(row.price)
+        });
+        return;
+      }
+      const item: BrinkOrderItem = {
+        id: row.line_id,
+        itemId: row.item_id,
+        name: row.item_name ?? undefined,
+        quantity: Number(row.quantity),
+        price: Number(row.price),
+        grossSales: Number(row.gross_sales),
+        isDeleted: Boolean(row.is_deleted),
+        isVoided: Boolean(row.is_voided),
+        voidReason: row.void_reason ?? undefined,
+        voidEmployeeId: row.void_employee_id ?? undefined,
+        employeeId: row.employee_id ?? undefined,
+        modifiers: []
+      };
+      items.set(`${row.order_id}:${row.line_id}`, item);
+      orders.get(row.order_id)?.items.push(item);
+    });
+
+    discountRows.forEach(row => orders.get(row.order_id)?.discounts.push({
+      id: row.line_id,
+      discountId: row.discount_id,
+      name: row.discount_name ?? undefined,
+      amount: Number(row.amount),
+      isComp: Boolean(row.is_comp),
+      employeeId: row.employee_id ?? undefined,
+      orderItemId: row.order_item_id ?? undefined
+    }));
+
+    return Array.from(orders.values());
+  }
+
+  /**
+   * A store's stored shifts for a business date, null when the day isn't loaded
+   */
+  public async getStoredShifts(storeId: string, businessDate: string, context?: InvocationContext): Promise<BrinkShift[] | null> {
+    const recordsets = await this.readDataset('shifts', storeId, businessDate, context);
+    if (!recordsets) {
+      return null;
+    }
+    const [shiftRows, breakRows] = recordsets;
+
+    const shifts = new Map<string, BrinkShift>(shiftRows.map(row => [row.shift_id, {
+      id: row.shift_id,
+      employeeId: row.employee_id,
+      jobId: row.job_id ?? undefined,
+      businessDate,
+      startTime: fromSqlTime(row.start_time),
+      endTime: fromSqlTime(row.end_time),
+      minutesWorked: row.minutes_worked,
+      payRate: Number(row.pay_rate),
+      breaks: []
+    }]));
+
+    breakRows.forEach(row => shifts.get(row.shift_id)?.breaks.push({
+      id: row.break_id,
+      startTime: fromSqlTime(row.start_time),
+      endTime: fromSqlTime(row.end_time),
+      isPaid: Boolean(row.is_paid),
+      minutes: row.minutes
+    }));
+
+    return Array.from(shifts.values());
+  }
+
+  /**
+   * A store's stored tills for a business date, null when the day isn't loaded
+   */
+  public async getStoredTills(storeId: string, businessDate: string, context?: InvocationContext): Promise<BrinkTill[] | null> {
+    const recordsets = await this.readDataset('tills', storeId, businessDate, context);
+    if (!recordsets) {
+      return null;
+    }
+    const [tillRows, paidInOutRows] = recordsets;
+
+    const tills = new Map<string, BrinkTill>(tillRows.map(row => [row.till_id, {
+      id: row.till_id,
+      number: row.till_number ?? undefined,
+      startingBank: Number(row.starting_bank),
+      isClosed: Boolean(row.is_closed),
+      declaredCash: Number(row.declared_cash),
+      overShort: Number(row.over_short),
+      paidInOuts: []
+    }]));
+
+    paidInOutRows.forEach(row => tills.get(row.till_id)?.paidInOuts.push({
+      accountType: row.account_type,
+      amount: Number(row.amount),
+      description: row.description ?? undefined
+    }));
+
+    return Array.from(tills.values());
+  }
+
+  /**
+   * Datasets loaded for a store (or every store) between two business dates
+   */
+  public async getLoadedDays(query: { storeId?: string; startDate: string; endDate: string }, context?: InvocationContext): Promise<WarehouseDay[]> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('storeId', TYPES.NVarChar, query.storeId || null);
+    request.input('startDate', TYPES.Date, query.startDate);
+    request.input('endDate', TYPES.Date, query.endDate);
+
+    const result = await request.query(`
+      SELECT store_id, CONVERT(CHAR(10), business_date, 23) AS business_date, dataset, row_count, load_count, last_loaded
+      FROM brink_warehouse_days
+      WHERE (@storeId IS NULL OR store_id = @storeId)
+        AND business_date BETWEEN @startDate AND @endDate
+      ORDER BY store_id, business_date, dataset;
+    `);
+
+    return result.recordset.map(row => ({
+      storeId: row.store_id,
+      businessDate: row.business_date,
+      dataset: row.dataset as WarehouseDataset,
+      rowCount: row.row_count,
+      loadCount: row.load_count,
+      lastLoaded: new Date(row.last_loaded)
+    }));
+  }
+
+  /**
+   * The dataset's tables for a store/business date, one recordset per table in DATASET_TABLES order,
+   * or null when the day isn't loaded
+   */
+  private async readDataset(dataset: WarehouseDataset, storeId: string, businessDate: string, context?: InvocationContext): Promise<any[][] | null> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('storeId', TYPES.NVarChar, storeId);
+    request.input('businessDate', TYPES.Date, businessDate);
+    request.input('dataset', TYPES.NVarChar, dataset);
+
+    const tables = DATASET_TABLES[dataset];
+    const result = await request.query(`
+      SELECT row_count FROM brink_warehouse_days
+      WHERE store_id = @storeId AND business_date = @businessDate AND dataset = @dataset;
+      ${tables.map(table => `SELECT * FROM ${table.name} WHERE store_id = @storeId AND business_date = @businessDate ORDER BY id;`).join('\n      ')}
+    `);
+
+    const [day, ...rows] = result.recordsets as unknown as any[][];
+    return day.length > 0 ? rows : null;
+  }
+
+  /**
+   * Replace a dataset's rows for a store/business date in one transaction and mark the day loaded -
+   * loading the same day again leaves exactly one copy of it
+   */
+  private async saveDataset(dataset: WarehouseDataset, storeId: string, businessDate: string, rowCount: number, tables: DatasetRows[], context?: InvocationContext): Promise<void> {
+    const pool = await databaseStoreService.getConnection(context);
+    const transaction = new Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const dayRequest = new Request(transaction);
+      dayRequest.input('storeId', TYPES.NVarChar, storeId);
+      dayRequest.input('businessDate', TYPES.Date, businessDate);
+      dayRequest.input('dataset', TYPES.NVarChar, dataset);
+      dayRequest.input('rowCount', TYPES.Int, rowCount);
+
+      await dayRequest.query(`
+        MERGE brink_warehouse_days AS target
+        USING (SELECT @storeId AS store_id, @businessDate AS business_date, @dataset AS dataset) AS source
+          ON target.store_id = source.store_id AND target.business_date = source.business_date AND target.dataset = source.dataset
+        WHEN MATCHED THEN
+          UPDATE SET row_count = @rowCount, load_count = target.load_count + 1, last_loaded = GETUTCDATE()
+        WHEN NOT MATCHED THEN
+          INSERT (store_id, business_date, dataset, row_count)
+          VALUES (@storeId, @businessDate, @dataset, @rowCount);
+        ${tables.map(({ table }) => `DELETE FROM ${table.name} WHERE store_id = @storeId AND business_date = @businessDate;`).join('\n        ')}
+      `);
+
+      for (const { table, rows } of tables) {
+        await insertRows(transaction, table, storeId, businessDate, rows);
+      }
+
+      await transaction.commit();
+      context?.log(`🗄️ Warehoused ${rowCount} ${dataset} for store ${storeId} on ${businessDate}`);
+
+    } catch (error) {
+      try {
+        await transaction.rollback();
+      } catch {
+        // The transaction may never have started
+      }
+      context?.error(`❌ Failed to warehouse ${dataset} for store ${storeId} on ${businessDate}:`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Multi-row INSERTs, as many rows per statement as the parameter limit allows
+ */
+async function insertRows<T>(transaction: Transaction, table: WarehouseTable<T>, storeId: string, businessDate: string, rows: T[]): Promise<void> {
+  const rowsPerInsert = Math.floor(MAX_PARAMETERS_PER_INSERT / table.columns.length);
+  const columns = table.columns.map(([column]) => column).join(', ');
+
+  for (let start = 0; start < rows.length; start += rowsPerInsert) {
+    const request = new Request(transaction);
+    request.input('storeId', TYPES.NVarChar, storeId);
+    request.input('businessDate', TYPES.Date, businessDate);
+
+    const values = rows.slice(start, start + rowsPerInsert).map((row, index) => {
+      const parameters = table.columns.map(([, type, value], column) => {
+        request.input(`p${index}_${column}`, type, value(row) ?? null);
+        return `@p${index}_${column}`;
+      });
+      return `(@storeId, @businessDate, ${parameters.join(', ')})`;
+    });
+
+    await request.query(`
+      INSERT INTO ${table.name} (store_id, business_date, ${columns})
+      VALUES ${values.join(',\n        ')};
+    `);
+  }
+}
+
+function toSqlTime(value: string | null): Date | null {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+function fromSqlTime(value: Date | null): string | null {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Export singleton instance
+export const brinkWarehouseService = BrinkWarehouseService.getInstance();
@@ -0,0 +1,215 @@
+/**
+ * Data Quality History Service
+ * Persists each store/business-date's dashboard validation score and findings so quality can be
+ * trended (a store whose POS clock drifts or whose labor feed keeps misaligning with sales)
+ */
+
+import { Request, Transaction, TYPES } from 'mssql';
+import { InvocationContext } from '@azure/functions';
+import { databaseStoreService } from './databaseStoreService';
+import { BusinessDayStatus } from '../utils/businessCalendar';
+import { ValidationFinding } from '../utils/validationRules';
+
+// Keeps the findings insert within SQL Server's parameter limit
+const MAX_FINDINGS_PER_EVALUATION = 200;
+
+export interface DataQualityEvaluation {
+  storeId: string;
+  storeName: string;
+  businessDate: string;          // YYYY-MM-DD
+  dayStatus: BusinessDayStatus;
+  dataQualityScore: number;
+  totalIssues: number;
+  degradedSources: string[];
+  findings: ValidationFinding[];
+}
+
+export interface DataQualityTrendQuery {
+  storeId?: string;
+  startDate: string;             // YYYY-MM-DD inclusive
+  endDate: string;               // YYYY-MM-DD inclusive
+  ruleId?: string;               // only days where this rule reported a finding
+}
+
+export interface DataQualityDay {
+  storeId: string;
+  storeName: string;
+  businessDate: string;
+  dayStatus: BusinessDayStatus;
+  dataQualityScore: number;
+  totalIssues: number;
+  findingCount: number;          // findings of ruleId when filtered, otherwise all
+  degradedSources: string[];
+  evaluationCount: number;
+  lastEvaluated: Date;
+}
+
+export interface DataQualityRuleSummary {
+  storeId: string;
+  ruleId: string;
+  category: string;
+  daysWithFindings: number;
+  findings: number;
+  totalPenalty: number;
+}
+
+class DataQualityHistoryService {
+  private static instance: DataQualityHistoryService;
+
+  private constructor() {}
+
+  public static getInstance(): DataQualityHistoryService {
+    if (!DataQualityHistoryService.instance) {
+      DataQualityHistoryService.instance = new DataQualityHistoryService();
+    }
+    return DataQualityHistoryService.instance;
+  }
+
+  /**
+   * Store the latest evaluation for a store/business date, replacing its previous findings
+   */
+  public async recordEvaluation(evaluation: DataQualityEvaluation, context?: InvocationContext): Promise<void> {
+    const pool = await databaseStoreService.getConnection(context);
+    const transaction = new Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const historyRequest = new Request(transaction);
+      historyRequest.input('storeId', TYPES.NVarChar, evaluation.storeId);
+      historyRequest.input('storeName', TYPES.NVarChar, evaluation.storeName);
+      historyRequest.input('businessDate', TYPES.Date, evaluation.businessDate);
+      historyRequest.input('dayStatus', TYPES.NVarChar, evaluation.dayStatus);
+      historyRequest.input('score', TYPES.Int, Math.round(evaluation.dataQualityScore));
+      historyRequest.input('totalIssues', TYPES.Int, evaluation.totalIssues);
+      historyRequest.input('degradedSources', TYPES.NVarChar, evaluation.degradedSources.length > 0 ? evaluation.degradedSources.join(',') : null);
+
+      const historyResult = await historyRequest.query(`
+        MERGE data_quality_history AS target
+        USING (SELECT @storeId AS store_id, @businessDate AS business_date) AS source
+          ON target.store_id = source.store_id AND target.business_date = source.business_date
+        WHEN MATCHED THEN
+          UPDATE SET store_name = @storeName, day_status = @dayStatus, data_quality_score = @score,
+            total_issues = @totalIssues, degraded_sources = @degradedSources,
+            evaluation_count = target.evaluation_count + 1, last_evaluated = GETUTCDATE()
+        WHEN NOT MATCHED THEN
+          INSERT (store_id, store_name, business_date, day_status, data_quality_score, total_issues, degraded_sources)
+          VALUES (@storeId, @storeName, @businessDate, @dayStatus, @score, @totalIssues, @degradedSources)
+        OUTPUT inserted.id;
+      `);
+      const historyId = historyResult.recordset[0].id;
+
+      const deleteRequest = new Request(transaction);
+      deleteRequest.input('historyId', TYPES.BigInt, historyId);
+      await deleteRequest.query('DELETE FROM data_quality_findings WHERE history_id = @historyId;');
+
+      const findings = evaluation.findings.slice(0, MAX_FINDINGS_PER_EVALUATION);
+      if (findings.length > 0) {
+        const findingsRequest = new Request(transaction);
+        findingsRequest.input('historyId', TYPES.BigInt, historyId);
+        const rows = findings.map((finding, index) => {
+          findingsRequest.input(`ruleId${index}`, TYPES.NVarChar, finding.ruleId);
+          findingsRequest.input(`category${index}`, TYPES.NVarChar, finding.category);
+          findingsRequest.input(`severity${index}`, TYPES.NVarChar, finding.severity);
+          findingsRequest.input(`hour${index}`, TYPES.NVarChar, finding.hour || null);
+          findingsRequest.input(`message${index}`, TYPES.NVarChar, finding.message.substring(0, 500));
+          findingsRequest.input(`value${index}`, TYPES.Decimal(18, 4), finding.value ?? null);
+          findingsRequest.input(`threshold${index}`, TYPES.Decimal(18, 4), finding.threshold ?? null);
+          findingsRequest.input(`penalty${index}`, TYPES.Int, Math.round(finding.penalty));
+          return `(@historyId, @ruleId${index}, @category${index}, @severity${index}, @hour${index}, @message${index}, @value${index}, @threshold${index}, @penalty${index})`;
+        });
+
+        await findingsRequest.query(`
+          INSERT INTO data_quality_findings (history_id, rule_id, category, severity, hour, message, value, threshold, penalty)
+          VALUES ${rows.join(',\n            ')};
+        `);
+      }
+
+      await transaction.commit();
+      context?.log(`📉 Recorded data quality ${evaluation.dataQualityScore}% for ${evaluation.storeName} on ${evaluation.businessDate} (${findings.length} findings)`);
+
+    } catch (error) {
+      try {
+        await transaction.rollback();
+      } catch {
+        // The transaction may never have started
+      }
+      context?.error(`❌ Failed to record data quality for ${evaluation.storeName} on ${evaluation.businessDate}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Daily scores and per-rule totals for a date range
+   */
+  public async getTrends(query: DataQualityTrendQuery, context?: InvocationContext): Promise<{ days: DataQualityDay[]; rules: DataQualityRuleSummary[] }> {
+    try {
+      const pool = await databaseStoreService.getConnection(context);
+      const bind = (request: Request) => {
+        request.input('storeId', TYPES.NVarChar, query.storeId || null);
+        request.input('startDate', TYPES.Date, query.startDate);
+        request.input('endDate', TYPES.Date, query.endDate);
+        request.input('ruleId', TYPES.NVarChar, query.ruleId || null);
+        return request;
+      };
+      const filter = `
+        (@storeId IS NULL OR h.store_id = @storeId)
+        AND h.business_date BETWEEN @startDate AND @endDate`;
+
+      const daysResult = await bind(new Request(pool)).query(`
+        SELECT h.store_id, h.store_name, CONVERT(CHAR(10), h.business_date, 23) AS business_date, h.day_status,
+          h.data_quality_score, h.total_issues, h.degraded_sources, h.evaluation_count, h.last_evaluated,
+          (SELECT COUNT(*) FROM data_quality_findings f
+            WHERE f.history_id = h.id AND (@ruleId IS NULL OR f.rule_id = @ruleId)) AS finding_count
+        FROM data_quality_history h
+        WHERE ${filter}
+          AND (@ruleId IS NULL OR EXISTS (SELECT 1 FROM data_quality_findings f WHERE f.history_id = h.id AND f.rule_id = @ruleId))
+        ORDER BY h.store_name, h.business_date;
+      `);
+
+      const rulesResult = await bind(new Request(pool)).query(`
+        SELECT h.store_id, f.rule_id, f.category,
+          COUNT(DISTINCT h.business_date) AS days_with_findings,
+          COUNT(*) AS findings,
+          SUM(f.penalty) AS total_penalty
+        FROM data_quality_findings f
+          INNER JOIN data_quality_history h ON h.id = f.history_id
+        WHERE ${filter}
+          AND (@ruleId IS NULL OR f.rule_id = @ruleId)
+          AND f.severity <> 'info'
+        GROUP BY h.store_id, f.rule_id, f.category
+        ORDER BY days_with_findings DESC, findings DESC;
+      `);
+
+      return {
+        days: daysResult.recordset.map(row => ({
+          storeId: row.store_id,
+          storeName: row.store_name,
+          businessDate: row.business_date,
+          dayStatus: row.day_status,
+          dataQualityScore: row.data_quality_score,
+          totalIssues: row.total_issues,
+          findingCount: row.finding_count,
+          degradedSources: row.degraded_sources ? row.degraded_sources.split(',') : [],
+          evaluationCount: row.evaluation_count,
+          lastEvaluated: new Date(row.last_evaluated)
+        })),
+        rules: rulesResult.recordset.map(row => ({
+          storeId: row.store_id,
+          ruleId: row.rule_id,
+          category: row.category,
+          daysWithFindings: row.days_with_findings,
+          findings: row.findings,
+          totalPenalty: row.total_penalty
+        }))
+      };
+
+    } catch (error) {
+      context?.error('❌ Failed to fetch data quality trends:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const dataQualityHistoryService = DataQualityHistoryService.getInstance();
@@ -5,7 +5,8 @@
 
 import { ConnectionPool, Request, TYPES } from 'mssql';
 import { InvocationContext } from '@azure/functions';
-import { StoreConfig } from './storeConfigService';
+import { StoreConfig, StoreDailyHours } from './storeConfigService';
+import { normalizeScopeKey, ValidationRuleScope, ValidationRuleSetting } from '../utils/validationRules';
 
 interface DatabaseConfig {
   server: string;
@@ -60,8 +61,9 @@ class DatabaseStoreService {
 
   /**
    * Get or create database connection pool
+   * Shared with the other services that use the store database (e.g. dataQualityHistoryService)
    */
-  private async getConnection(context?: InvocationContext): Promise<ConnectionPool> {
+  public async getConnection(context?: InvocationContext): Promise<ConnectionPool> {
     if (this.pool && this.pool.connected) {
       return this.pool;
     }
@@ -94,6 +96,21 @@ class DatabaseStoreService {
     }
   }
 
+  /**
+   * Parse the daily_hours JSON column - a malformed value falls back to opening_hour/closing_hour
+   */
+  private parseDailyHours(raw: string | null, storeName: string, context?: InvocationContext): StoreDailyHours | undefined {
+    if (!raw) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(raw) as StoreDailyHours;
+    } catch (error) {
+      context?.warn(`⚠️ Invalid daily_hours JSON for ${storeName}, using opening/closing hour:`, error);
+      return undefined;
+    }
+  }
+
   /**
    * Get all active stores from database
    */
@@ -115,6 +132,10 @@ class DatabaseStoreService {
           manager_name as manager,
           opening_hour,
           closing_hour,
+          daily_hours,
+          business_day_start_hour,
+          tenant_id as tenantId,
+          brink_api_host as brinkApiHost,
           is_active as isActive,
           last_updated as lastUpdated
         FROM store_configurations 
@@ -134,6 +155,12 @@ class DatabaseStoreService {
         phone: row.phone,
         manager: row.manager,
         region: row.region,
+        brinkApiHost: row.brinkApiHost || undefined,
+        openingHour: row.opening_hour ?? undefined,
+        closingHour: row.closing_hour ?? undefined,
+        dailyHours: this.parseDailyHours(row.daily_hours, row.name, context),
+        businessDayStartHour: row.business_day_start_hour ?? undefined,
+        tenantId: row.tenantId || undefined,
         isActive: row.isActive,
         lastUpdated: new Date(row.lastUpdated)
       }));
@@ -170,6 +197,10 @@ class DatabaseStoreService {
           manager_name as manager,
           opening_hour,
           closing_hour,
+          daily_hours,
+          business_day_start_hour,
+          tenant_id as tenantId,
+          brink_api_host as brinkApiHost,
           is_active as isActive,
           last_updated as lastUpdated
         FROM store_configurations 
@@ -193,6 +224,12 @@ class DatabaseStoreService {
         phone: row.phone,
         manager: row.manager,
         region: row.region,
+        brinkApiHost: row.brinkApiHost || undefined,
+        openingHour: row.opening_hour ?? undefined,
+        closingHour: row.closing_hour ?? undefined,
+        dailyHours: this.parseDailyHours(row.daily_hours, row.name, context),
+        businessDayStartHour: row.business_day_start_hour ?? undefined,
+        tenantId: row.tenantId || undefined,
         isActive: row.isActive,
         lastUpdated: new Date(row.lastUpdated)
       };
@@ -226,6 +263,10 @@ class DatabaseStoreService {
           manager_name as manager,
           opening_hour,
           closing_hour,
+          daily_hours,
+          business_day_start_hour,
+          tenant_id as tenantId,
+          brink_api_host as brinkApiHost,
           is_active as isActive,
           last_updated as lastUpdated
         FROM store_configurations 
@@ -245,6 +286,12 @@ class DatabaseStoreService {
         phone: row.phone,
         manager: row.manager,
         region: row.region,
+        brinkApiHost: row.brinkApiHost || undefined,
+        openingHour: row.opening_hour ?? undefined,
+        closingHour: row.closing_hour ?? undefined,
+        dailyHours: this.parseDailyHours(row.daily_hours, row.name, context),
+        businessDayStartHour: row.business_day_start_hour ?? undefined,
+        tenantId: row.tenantId || undefined,
         isActive: row.isActive,
         lastUpdated: new Date(row.lastUpdated)
       }));
@@ -302,11 +349,16 @@ class DatabaseStoreService {
       
       // Build dynamic update query based on provided fields
       const updateFields: string[] = [];
-      const allowedFields = ['name', 'timezone', 'state', 'region', 'address', 'phone', 'manager'];
+      const allowedFields = ['name', 'timezone', 'state', 'region', 'address', 'phone', 'manager', 'brinkApiHost'];
+      const columnNames: { [field: string]: string } = {
+        name: 'store_name',
+        manager: 'manager_name',
+        brinkApiHost: 'brink_api_host'
+      };
       
       allowedFields.forEach(field => {
         if (updates[field as keyof StoreConfig] !== undefined) {
-          updateFields.push(`${field === 'name' ? 'store_name' : field === 'manager' ? 'manager_name' : field} = @${field}`);
+          updateFields.push(`${columnNames[field] || field} = @${field}`);
           request.input(field, TYPES.NVarChar, updates[field as keyof StoreConfig] as string);
         }
       });
@@ -361,16 +413,17 @@ class DatabaseStoreService {
       request.input('address', TYPES.NVarChar, store.address || null);
       request.input('phone', TYPES.NVarChar, store.phone || null);
       request.input('manager', TYPES.NVarChar, store.manager || null);
+      request.input('brinkApiHost', TYPES.NVarChar, store.brinkApiHost || null);
       request.input('isActive', TYPES.Bit, store.isActive);
       request.input('createdBy', TYPES.NVarChar, createdBy);
       
       const query = `
         INSERT INTO store_configurations (
           location_token, store_name, par_brink_location_id, timezone, state,
-          region, address, phone, manager_name, is_active, updated_by
+          region, address, phone, manager_name, brink_api_host, is_active, updated_by
         ) VALUES (
           @token, @name, @id, @timezone, @state,
-          @region, @address, @phone, @manager, @isActive, @createdBy
+          @region, @address, @phone, @manager, @brinkApiHost, @isActive, @createdBy
         );
       `;
       
@@ -385,6 +438,126 @@ class DatabaseStoreService {
     }
   }
 
+  /**
+   * Map a validation_rule_settings row - a malformed parameters value is dropped (defaults apply)
+   */
+  private mapValidationRuleSetting(row: any, context?: InvocationContext): ValidationRuleSetting {
+    let parameters: { [name: string]: number } | null = null;
+    if (row.parameters) {
+      try {
+        parameters = JSON.parse(row.parameters);
+      } catch (error) {
+        context?.warn(`⚠️ Invalid parameters JSON for validation rule ${row.rule_id} (${row.scope_type}/${row.scope_key}), ignoring:`, error);
+      }
+    }
+    return {
+      id: row.id,
+      scopeType: row.scope_type,
+      scopeKey: row.scope_key,
+      ruleId: row.rule_id,
+      enabled: row.is_enabled ?? null,
+      parameters,
+      lastUpdated: new Date(row.last_updated),
+      updatedBy: row.updated_by || undefined
+    };
+  }
+
+  /**
+   * Get validation rule settings - all of them, or only those of one scope
+   */
+  public async getValidationRuleSettings(scope?: { scopeType: ValidationRuleScope; scopeKey: string | null }, context?: InvocationContext): Promise<ValidationRuleSetting[]> {
+    try {
+      const pool = await this.getConnection(context);
+      const request = new Request(pool);
+
+      let where = '';
+      if (scope) {
+        request.input('scopeType', TYPES.NVarChar, scope.scopeType);
+        request.input('scopeKey', TYPES.NVarChar, normalizeScopeKey(scope.scopeType, scope.scopeKey));
+        where = 'WHERE scope_type = @scopeType AND ((@scopeKey IS NULL AND scope_key IS NULL) OR scope_key = @scopeKey)';
+      }
+
+      const result = await request.query(`
+        SELECT id, scope_type, scope_key, rule_id, is_enabled, parameters, last_updated, updated_by
+        FROM validation_rule_settings
+        ${where}
+        ORDER BY rule_id, scope_type, scope_key;
+      `);
+
+      return result.recordset.map(row => this.mapValidationRuleSetting(row, context));
+
+    } catch (error) {
+      context?.error('❌ Failed to fetch validation rule settings from database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or update the setting for a scope and rule
+   */
+  public async saveValidationRuleSetting(setting: ValidationRuleSetting, updatedBy: string, context?: InvocationContext): Promise<ValidationRuleSetting> {
+    try {
+      const pool = await this.getConnection(context);
+      const request = new Request(pool);
+
+      request.input('scopeType', TYPES.NVarChar, setting.scopeType);
+      request.input('scopeKey', TYPES.NVarChar, normalizeScopeKey(setting.scopeType, setting.scopeKey));
+      request.input('ruleId', TYPES.NVarChar, setting.ruleId);
+      request.input('isEnabled', TYPES.Bit, setting.enabled ?? null);
+      request.input('parameters', TYPES.NVarChar, setting.parameters && Object.keys(setting.parameters).length > 0 ? JSON.stringify(setting.parameters) : null);
+      request.input('updatedBy', TYPES.NVarChar, updatedBy);
+
+      const result = await request.query(`
+        MERGE validation_rule_settings AS target
+        USING (SELECT @scopeType AS scope_type, @scopeKey AS scope_key, @ruleId AS rule_id) AS source
+          ON target.scope_type = source.scope_type
+          AND ((target.scope_key IS NULL AND source.scope_key IS NULL) OR target.scope_key = source.scope_key)
+          AND target.rule_id = source.rule_id
+        WHEN MATCHED THEN
+          UPDATE SET is_enabled = @isEnabled, parameters = @parameters, last_updated = GETDATE(), updated_by = @updatedBy
+        WHEN NOT MATCHED THEN
+          INSERT (scope_type, scope_key, rule_id, is_enabled, parameters, updated_by)
+          VALUES (@scopeType, @scopeKey, @ruleId, @isEnabled, @parameters, @updatedBy)
+        OUTPUT inserted.id, inserted.scope_type, inserted.scope_key, inserted.rule_id, inserted.is_enabled,
+          inserted.parameters, inserted.last_updated, inserted.updated_by;
+      `);
+
+      context?.log(`✅ Saved validation rule ${setting.ruleId} for ${setting.scopeType}${setting.scopeKey ? ` ${setting.scopeKey}` : ''}`);
+      return this.mapValidationRuleSetting(result.recordset[0], context);
+
+    } catch (error) {
+      context?.error(`❌ Failed to save validation rule ${setting.ruleId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the setting for a scope and rule (the rule falls back to the next broader scope)
+   */
+  public async deleteValidationRuleSetting(scopeType: ValidationRuleScope, scopeKey: string | null, ruleId: string, context?: InvocationContext): Promise<boolean> {
+    try {
+      const pool = await this.getConnection(context);
+      const request = new Request(pool);
+
+      request.input('scopeType', TYPES.NVarChar, scopeType);
+      request.input('scopeKey', TYPES.NVarChar, normalizeScopeKey(scopeType, scopeKey));
+      request.input('ruleId', TYPES.NVarChar, ruleId);
+
+      const result = await request.query(`
+        DELETE FROM validation_rule_settings
+        WHERE scope_type = @scopeType
+          AND ((@scopeKey IS NULL AND scope_key IS NULL) OR scope_key = @scopeKey)
+          AND rule_id = @ruleId;
+      `);
+
+      return result.rowsAffected[0] > 0;
+
+    } catch (error) {
+      context?.error(`❌ Failed to delete validation rule ${ruleId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Test database connection
    */
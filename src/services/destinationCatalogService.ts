@@ -0,0 +1,94 @@
+/**
+ * Destination Catalog Service
+ * Caches each location's Brink destinations (Settings2 GetDestinations) so the dashboard's channel breakdown
+ * doesn't call Brink for every request
+ */
+
+import { InvocationContext } from '@azure/functions';
+import { BrinkApiClient, describeBrinkError } from './BrinkApiClient';
+import { BrinkDestination } from '../models/brink';
+
+/**
+ * A location's destinations by Brink destination id
+ * ok: loaded within cacheMaxAge, stale: Brink unavailable - using the last loaded destinations,
+ * unavailable: no destinations - every order's channel is "other"
+ */
+export interface DestinationCatalog {
+  destinations: Map<number, BrinkDestination>;
+  status: 'ok' | 'stale' | 'unavailable';
+  loadedAt: Date | null;
+  note?: string;
+}
+
+class DestinationCatalogService {
+  private static instance: DestinationCatalogService;
+  private catalogs = new Map<string, DestinationCatalog>();
+  private failedAt = new Map<string, number>();
+  private readonly cacheMaxAge = 60 * 60 * 1000; // destinations rarely change - reload hourly
+  private readonly retryAfter = 60 * 1000; // after a failure, wait a minute before asking Brink again
+
+  private constructor() {}
+
+  public static getInstance(): DestinationCatalogService {
+    if (!DestinationCatalogService.instance) {
+      DestinationCatalogService.instance = new DestinationCatalogService();
+    }
+    return DestinationCatalogService.instance;
+  }
+
+  /**
+   * Destinations for a location - cached per location token, reloaded from Brink when older than an hour
+   * Never throws: falls back to the last loaded destinations, then to an empty catalog
+   */
+  public async getDestinationCatalog(locationToken: string, client: BrinkApiClient, context?: InvocationContext): Promise<DestinationCatalog> {
+    const cached = this.catalogs.get(locationToken);
+    const now = Date.now();
+    if (cached?.loadedAt && now - cached.loadedAt.getTime() < this.cacheMaxAge) {
+      return cached;
+    }
+
+    const failedAt = this.failedAt.get(locationToken);
+    if (failedAt !== undefined && now - failedAt < this.retryAfter) {
+      return this.fallback(cached, 'Brink destinations failed to load recently');
+    }
+
+    try {
+      const destinations = await client.getDestinations();
+      const catalog: DestinationCatalog = {
+        destinations: new Map(destinations.map(destination => [destination.id, destination])),
+        status: 'ok',
+        loadedAt: new Date(now)
+      };
+      this.catalogs.set(locationToken, catalog);
+      this.failedAt.delete(locationToken);
+      return catalog;
+    } catch (error) {
+      const message = describeBrinkError(error).message;
+      context?.warn(`⚠️ Could not load destinations: ${message}`);
+      this.failedAt.set(locationToken, now);
+      return this.fallback(cached, message);
+    }
+  }
+
+  /**
+   * Drop a location's cached destinations (or every location's)
+   */
+  public invalidate(locationToken?: string): void {
+    if (locationToken) {
+      this.catalogs.delete(locationToken);
+      this.failedAt.delete(locationToken);
+    } else {
+      this.catalogs.clear();
+      this.failedAt.clear();
+    }
+  }
+
+  private fallback(cached: DestinationCatalog | undefined, reason: string): DestinationCatalog {
+    return cached
+      ? { ...cached, status: 'stale', note: `Using destinations loaded ${cached.loadedAt?.toISOString() ?? 'at an unknown time'} - ${reason}` }
+      : { destinations: new Map(), status: 'unavailable', loadedAt: null, note: `Destination names unavailable - ${reason}` };
+  }
+}
+
+// Export singleton instance
+export const destinationCatalogService = DestinationCatalogService.getInstance();
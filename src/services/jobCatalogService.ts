@@ -0,0 +1,187 @@
+/**
+ * Job Catalog Service
+ * Keeps each store's Brink job definitions (Settings2 GetJobs) in brink_jobs so labor can be reported
+ * by job name and category without calling Brink for every request
+ */
+
+import { Request, TYPES } from 'mssql';
+import { InvocationContext } from '@azure/functions';
+import { databaseStoreService } from './databaseStoreService';
+import { BrinkApiClient, describeBrinkError } from './BrinkApiClient';
+import { BrinkJob, JOB_CATEGORIES, JobCategory } from '../models/brink';
+
+// Keeps the upsert within SQL Server's parameter limit (4 parameters per job)
+const MAX_JOBS_PER_SYNC = 500;
+
+/**
+ * A store's jobs by Brink job id
+ * ok: synced within syncMaxAge, stale: Brink unavailable - using the last synced jobs,
+ * unavailable: no jobs from Brink or SQL - every shift reports as "other"
+ */
+export interface JobCatalog {
+  jobs: Map<string, BrinkJob>;
+  status: 'ok' | 'stale' | 'unavailable';
+  lastSynced: Date | null;
+  note?: string;
+}
+
+interface StoredJobs {
+  jobs: BrinkJob[];
+  lastSynced: Date | null;
+}
+
+class JobCatalogService {
+  private static instance: JobCatalogService;
+  private catalogs = new Map<string, { catalog: JobCatalog; loadedAt: number }>();
+  private readonly cacheMaxAge = 5 * 60 * 1000; // 5 minutes in milliseconds
+  private readonly retryAfter = 60 * 1000; // a stale or unavailable catalog is retried after a minute, not on every request
+  private readonly syncMaxAge = 24 * 60 * 60 * 1000; // jobs rarely change - re-sync daily
+
+  private constructor() {}
+
+  public static getInstance(): JobCatalogService {
+    if (!JobCatalogService.instance) {
+      JobCatalogService.instance = new JobCatalogService();
+    }
+    return JobCatalogService.instance;
+  }
+
+  /**
+   * Jobs for a store - from brink_jobs, re-synced from Brink when older than a day (or refresh is set)
+   * Never throws: falls back to the stored jobs, then to an empty catalog
+   * Cached per store for 5 minutes, or a minute when the catalog is stale or unavailable
+   * Without a storeId (store not configured) the jobs come straight from Brink and aren't stored
+   */
+  public async getJobCatalog(storeId: string | undefined, client: BrinkApiClient, context?: InvocationContext, options: { refresh?: boolean } = {}): Promise<JobCatalog> {
+    const cached = storeId ? this.catalogs.get(storeId) : undefined;
+    const maxAge = cached?.catalog.status === 'ok' ? this.cacheMaxAge : this.retryAfter;
+    if (!options.refresh && cached && Date.now() - cached.loadedAt < maxAge) {
+      return cached.catalog;
+    }
+
+    let stored: StoredJobs = { jobs: [], lastSynced: null };
+    if (storeId) {
+      try {
+        stored = await this.getStoredJobs(storeId, context);
+      } catch (error) {
+        context?.warn(`⚠️ Stored jobs unavailable for store ${storeId}:`, error);
+      }
+    }
+
+    const fresh = stored.jobs.length > 0 && stored.lastSynced !== null && Date.now() - stored.lastSynced.getTime() < this.syncMaxAge;
+    let catalog: JobCatalog;
+    if (fresh && !options.refresh) {
+      catalog = { jobs: toJobMap(stored.jobs), status: 'ok', lastSynced: stored.lastSynced };
+    } else {
+      try {
+        const jobs = await client.getJobs();
+        const lastSynced = storeId ? await this.saveJobs(storeId, jobs, context) : null;
+        catalog = { jobs: toJobMap(jobs), status: 'ok', lastSynced };
+      } catch (error) {
+        const message = describeBrinkError(error).message;
+        context?.warn(`⚠️ Could not sync jobs${storeId ? ` for store ${storeId}` : ''}: ${message}`);
+        catalog = stored.jobs.length > 0
+          ? { jobs: toJobMap(stored.jobs), status: 'stale', lastSynced: stored.lastSynced, note: `Using jobs last synced ${stored.lastSynced?.toISOString() ?? 'at an unknown time'} - ${message}` }
+          : { jobs: new Map(), status: 'unavailable', lastSynced: null, note: `Job names unavailable - ${message}` };
+      }
+    }
+
+    if (storeId) {
+      this.catalogs.set(storeId, { catalog, loadedAt: Date.now() });
+    }
+    return catalog;
+  }
+
+  /**
+   * Jobs last synced for a store, inactive ones included
+   */
+  public async getStoredJobs(storeId: string, context?: InvocationContext): Promise<StoredJobs> {
+    const pool = await databaseStoreService.getConnection(context);
+    const request = new Request(pool);
+    request.input('storeId', TYPES.NVarChar, storeId);
+
+    const result = await request.query(`
+      SELECT job_id, job_name, category, is_active, last_synced
+      FROM brink_jobs
+      WHERE store_id = @storeId
+      ORDER BY job_name;
+    `);
+
+    const jobs: BrinkJob[] = result.recordset.map(row => ({
+      id: row.job_id,
+      name: row.job_name,
+      category: JOB_CATEGORIES.includes(row.category) ? row.category as JobCategory : 'other',
+      active: Boolean(row.is_active)
+    }));
+    const lastSynced = result.recordset.reduce<Date | null>((latest, row) => {
+      const synced = new Date(row.last_synced);
+      return latest === null || synced > latest ? synced : latest;
+    }, null);
+
+    return { jobs, lastSynced };
+  }
+
+  /**
+   * Upsert the jobs Brink returned and mark the store's other jobs inactive
+   * An empty list is not saved - a store always has jobs, so it means Brink returned nothing usable
+   */
+  private async saveJobs(storeId: string, jobs: BrinkJob[], context?: InvocationContext): Promise<Date | null> {
+    if (jobs.length === 0) {
+      context?.warn(`⚠️ Brink returned no jobs for store ${storeId} - keeping the stored jobs`);
+      return null;
+    }
+
+    try {
+      const pool = await databaseStoreService.getConnection(context);
+      const request = new Request(pool);
+      request.input('storeId', TYPES.NVarChar, storeId);
+
+      const rows = jobs.slice(0, MAX_JOBS_PER_SYNC).map((job, index) => {
+        request.input(`jobId${index}`, TYPES.NVarChar, job.id);
+        request.input(`jobName${index}`, TYPES.NVarChar, job.name.substring(0, 255));
+        request.input(`category${index}`, TYPES.NVarChar, job.category);
+        request.input(`active${index}`, TYPES.Bit, job.active);
+        return `(@jobId${index}, @jobName${index}, @category${index}, @active${index})`;
+      });
+
+      await request.query(`
+        MERGE brink_jobs AS target
+        USING (VALUES ${rows.join(',\n          ')}) AS source (job_id, job_name, category, is_active)
+          ON target.store_id = @storeId AND target.job_id = source.job_id
+        WHEN MATCHED THEN
+          UPDATE SET job_name = source.job_name, category = source.category, is_active = source.is_active, last_synced = GETUTCDATE()
+        WHEN NOT MATCHED BY TARGET THEN
+          INSERT (store_id, job_id, job_name, category, is_active)
+          VALUES (@storeId, source.job_id, source.job_name, source.category, source.is_active)
+        WHEN NOT MATCHED BY SOURCE AND target.store_id = @storeId THEN
+          UPDATE SET is_active = 0, last_synced = GETUTCDATE();
+      `);
+
+      context?.log(`🧑‍🍳 Synced ${rows.length} jobs for store ${storeId}`);
+      return new Date();
+
+    } catch (error) {
+      // The jobs from Brink are still good for this request - they'll be saved on the next sync
+      context?.warn(`⚠️ Could not save jobs for store ${storeId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Drop a store's cached catalog (or every store's)
+   */
+  public invalidate(storeId?: string): void {
+    if (storeId) {
+      this.catalogs.delete(storeId);
+    } else {
+      this.catalogs.clear();
+    }
+  }
+}
+
+function toJobMap(jobs: BrinkJob[]): Map<string, BrinkJob> {
+  return new Map(jobs.map(job => [job.id, job]));
+}
+
+// Export singleton instance
+export const jobCatalogService = JobCatalogService.getInstance();
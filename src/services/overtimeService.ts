@@ -0,0 +1,298 @@
+/**
+ * Overtime Service
+ * Totals each employee's paid hours for a workweek across every store they worked (Brink employee ids are
+ * shared by a brand's locations) and projects the rest of the week from the hours they worked on the same
+ * days of the previous week
+ */
+
+import { InvocationContext } from '@azure/functions';
+import { createBrinkClientForLocation, describeBrinkError } from './BrinkApiClient';
+import { StoreConfig } from './storeConfigService';
+import { brinkWarehouseService } from './brinkWarehouseService';
+import { BrinkShift } from '../models/brink';
+import { addDays, getBusinessCalendar, getBusinessDayWindow, getWeekStart, resolveBusinessDayStartHour } from '../utils/businessCalendar';
+import { resolveTimezone } from '../utils/timezone';
+import { loadReportDays, ReportDay } from '../utils/reportDates';
+import { getStoreConcurrency, mapWithConcurrency } from '../utils/concurrency';
+import { getShiftPaidHours } from '../utils/shiftHours';
+import { getOvertimeRules, OVERTIME_WARNING_HOURS } from '../utils/overtimeRules';
+
+export const DEFAULT_WORKWEEK_START_DAY = 1; // Monday
+
+export interface OvertimeQuery {
+  stores: StoreConfig[];
+  accessToken: string;
+  weekOf?: string;                // any business date in the workweek (default: the current one)
+  workweekStartDay?: number;      // 0 = Sunday ... 6 = Saturday
+}
+
+export interface Workweek {
+  startDate: string;
+  endDate: string;
+  asOfDate: string;               // last business date with hours - today for the current week
+  complete: boolean;              // every business date has closed, nothing to project
+  remainingDates: string[];       // business dates after asOfDate, projected from the prior week
+}
+
+export type OvertimeFlagType = 'weekly_overtime' | 'approaching_weekly' | 'projected_weekly_overtime' | 'daily_overtime' | 'approaching_daily';
+
+export interface OvertimeFlag {
+  type: OvertimeFlagType;
+  businessDate?: string;
+  hours: number;
+  threshold: number;
+  message: string;
+}
+
+export interface EmployeeOvertimeDay {
+  businessDate: string;
+  hours: number;
+  dailyLimit: number | null;      // lowest daily limit of the states the employee worked in that day
+  overtimeHours: number;
+  clockedIn: boolean;
+}
+
+export interface EmployeeOvertime {
+  employeeId: string;
+  employeeName: string | null;
+  clockedIn: boolean;
+  hoursWorked: number;
+  weeklyOvertimeHours: number;
+  dailyOvertimeHours: number;
+  overtimeHours: number;          // the larger of weekly and daily - the same hour is never paid twice
+  projectedHours: number;
+  projectedOvertimeHours: number;
+  stores: { storeId: string; storeName: string; hours: number }[];
+  days: EmployeeOvertimeDay[];
+  flags: OvertimeFlag[];
+}
+
+export interface StoreOvertimeStatus {
+  storeId: string;
+  storeName: string;
+  state: string;
+  status: 'ok' | 'partial' | 'failed';
+  days: ReportDay[];
+  error?: string;
+}
+
+export interface WeeklyOvertime {
+  workweek: Workweek;
+  weeklyThreshold: number;
+  stores: StoreOvertimeStatus[];
+  employees: EmployeeOvertime[];
+  degraded: boolean;
+}
+
+interface StoreShifts {
+  store: StoreConfig;
+  shifts: { businessDate: string; value: BrinkShift[] }[];
+  names: Map<string, string>;
+}
+
+const roundHours = (value: number) => Math.round(value * 100) / 100;
+
+class OvertimeService {
+  private static instance: OvertimeService;
+
+  private constructor() {}
+
+  public static getInstance(): OvertimeService {
+    if (!OvertimeService.instance) {
+      OvertimeService.instance = new OvertimeService();
+    }
+    return OvertimeService.instance;
+  }
+
+  /**
+   * Dates of the workweek holding weekOf, as seen from now
+   */
+  public getWorkweek(stores: StoreConfig[], weekOf: string | undefined, workweekStartDay: number, now: Date = new Date()): Workweek {
+    // Stores can sit in different timezones - the week is only as far along as the earliest of them
+    const currentDate = stores
+      .map(store => getBusinessCalendar(resolveTimezone(store.timezone), { businessDayStartHour: store.businessDayStartHour, now }).businessDate)
+      .sort()[0];
+    const startDate = getWeekStart(weekOf || currentDate, workweekStartDay);
+    const endDate = addDays(startDate, 6);
+    const complete = currentDate > endDate;
+    const asOfDate = complete ? endDate : currentDate;
+
+    const remainingDates: string[] = [];
+    for (let date = addDays(asOfDate, 1); !complete && date <= endDate; date = addDays(date, 1)) {
+      remainingDates.push(date);
+    }
+    return { startDate, endDate, asOfDate, complete, remainingDates };
+  }
+
+  /**
+   * Hours, overtime and end-of-week projection per employee across the stores
+   */
+  public async getWeeklyOvertime(query: OvertimeQuery, context?: InvocationContext): Promise<WeeklyOvertime> {
+    const now = new Date();
+    const workweek = this.getWorkweek(query.stores, query.weekOf, query.workweekStartDay ?? DEFAULT_WORKWEEK_START_DAY, now);
+
+    const weekDates: string[] = [];
+    for (let date = workweek.startDate; date <= workweek.asOfDate; date = addDays(date, 1)) {
+      weekDates.push(date);
+    }
+    // Today and the days left, a week earlier - the employee's typical hours on those days
+    const priorDates = workweek.complete ? [] : [workweek.asOfDate, ...workweek.remainingDates].map(date => addDays(date, -7));
+
+    context?.log(`⏱️ Overtime for ${query.stores.length} stores, week ${workweek.startDate} - ${workweek.endDate} (as of ${workweek.asOfDate})`);
+
+    const statuses: StoreOvertimeStatus[] = [];
+    const loaded = await mapWithConcurrency(query.stores, getStoreConcurrency(), async store => {
+      const status: StoreOvertimeStatus = { storeId: store.id, storeName: store.name, state: store.state, status: 'ok', days: [] };
+      statuses.push(status);
+      try {
+        const client = await createBrinkClientForLocation({ accessToken: query.accessToken, locationToken: store.token, context });
+        // Every day but today is closed - those come from the warehouse once loaded
+        const brinkDays = brinkWarehouseService.createDaySource(store, client, context);
+        const { results, days, degraded } = await loadReportDays([...priorDates, ...weekDates], businessDate => brinkDays.getShifts(businessDate), context);
+        status.days = days;
+        status.status = degraded ? 'partial' : 'ok';
+
+        let names = new Map<string, string>();
+        try {
+          const employees = await client.getEmployees();
+          names = new Map(employees.map(employee => [employee.id, `${employee.firstName} ${employee.lastName}`.trim()]));
+        } catch (error) {
+          context?.warn(`⚠️ Employee names unavailable for ${store.name}: ${describeBrinkError(error).message}`);
+        }
+        return { store, shifts: results, names } as StoreShifts;
+
+      } catch (error) {
+        status.status = 'failed';
+        status.error = describeBrinkError(error).message;
+        context?.warn(`⚠️ Overtime: no shifts for ${store.name}: ${status.error}`);
+        return null;
+      }
+    });
+
+    // One workweek threshold for everyone - the strictest of the stores' states
+    const weeklyThreshold = Math.min(...query.stores.map(store => getOvertimeRules(store.state).weeklyHours));
+    const employees = this.totalEmployees(loaded.filter((entry): entry is StoreShifts => entry !== null), workweek, weeklyThreshold, now);
+    employees.forEach(employee => employee.flags.forEach(flag => context?.warn(`🚩 ${employee.employeeName || employee.employeeId}: ${flag.message}`)));
+
+    statuses.sort((a, b) => a.storeName.localeCompare(b.storeName));
+    return {
+      workweek,
+      weeklyThreshold,
+      stores: statuses,
+      employees,
+      degraded: statuses.some(status => status.status !== 'ok')
+    };
+  }
+
+  private totalEmployees(storeShifts: StoreShifts[], workweek: Workweek, weeklyThreshold: number, now: Date): EmployeeOvertime[] {
+    interface Tally {
+      name: string | null;
+      days: Map<string, { hours: number; dailyLimit: number | null; clockedIn: boolean }>;
+      prior: Map<string, number>;
+      stores: Map<string, { storeName: string; hours: number }>;
+    }
+    const tallies = new Map<string, Tally>();
+    const tallyOf = (employeeId: string) => {
+      const tally = tallies.get(employeeId) || { name: null, days: new Map(), prior: new Map(), stores: new Map() };
+      tallies.set(employeeId, tally);
+      return tally;
+    };
+
+    storeShifts.forEach(({ store, shifts, names }) => {
+      const dailyLimit = getOvertimeRules(store.state).dailyHours ?? null;
+      const timezone = resolveTimezone(store.timezone);
+      shifts.forEach(({ businessDate, value }) => {
+        // A shift left open on a closed day stops at the end of that day
+        const dayEnd = getBusinessDayWindow(businessDate, timezone, resolveBusinessDayStartHour(store.businessDayStartHour)).end;
+        value.forEach(shift => {
+          const hours = getShiftPaidHours(shift, now, dayEnd);
+          if (hours <= 0) return;
+          const tally = tallyOf(shift.employeeId);
+          tally.name = tally.name || names.get(shift.employeeId) || null;
+
+          if (businessDate < workweek.startDate) {
+            tally.prior.set(businessDate, (tally.prior.get(businessDate) || 0) + hours);
+            return;
+          }
+
+          const day = tally.days.get(businessDate) || { hours: 0, dailyLimit: null, clockedIn: false };
+          day.hours += hours;
+          day.dailyLimit = dailyLimit === null ? day.dailyLimit : Math.min(day.dailyLimit ?? dailyLimit, dailyLimit);
+          day.clockedIn = day.clockedIn || (!shift.endTime && dayEnd > now);
+          tally.days.set(businessDate, day);
+
+          const storeHours = tally.stores.get(store.id) || { storeName: store.name, hours: 0 };
+          storeHours.hours += hours;
+          tally.stores.set(store.id, storeHours);
+        });
+      });
+    });
+
+    return Array.from(tallies.entries())
+      // Employees who only worked last week have nothing to report this week
+      .filter(([, tally]) => tally.days.size > 0)
+      .map(([employeeId, tally]) => {
+        const days: EmployeeOvertimeDay[] = Array.from(tally.days.entries())
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([businessDate, day]) => ({
+            businessDate,
+            hours: roundHours(day.hours),
+            dailyLimit: day.dailyLimit,
+            overtimeHours: day.dailyLimit !== null ? roundHours(Math.max(0, day.hours - day.dailyLimit)) : 0,
+            clockedIn: day.clockedIn
+          }));
+
+        const hoursWorked = Array.from(tally.days.values()).reduce((sum, day) => sum + day.hours, 0);
+        const weeklyOvertimeHours = Math.max(0, hoursWorked - weeklyThreshold);
+        const dailyOvertimeHours = days.reduce((sum, day) => sum + day.overtimeHours, 0);
+        const clockedIn = days.some(day => day.clockedIn);
+
+        // Rest of today tops up to last week's hours for the same day, later days repeat last week
+        const typical = (date: string) => tally.prior.get(addDays(date, -7)) || 0;
+        const today = tally.days.get(workweek.asOfDate)?.hours || 0;
+        const remainingHours = workweek.complete
+          ? 0
+          : Math.max(0, typical(workweek.asOfDate) - today) + workweek.remainingDates.reduce((sum, date) => sum + typical(date), 0);
+        const projectedHours = hoursWorked + remainingHours;
+
+        const flags: OvertimeFlag[] = [];
+        if (weeklyOvertimeHours > 0) {
+          flags.push({ type: 'weekly_overtime', hours: roundHours(hoursWorked), threshold: weeklyThreshold, message: `${hoursWorked.toFixed(1)}h this week - over ${weeklyThreshold}h` });
+        } else if (hoursWorked >= weeklyThreshold - OVERTIME_WARNING_HOURS.weekly) {
+          flags.push({ type: 'approaching_weekly', hours: roundHours(hoursWorked), threshold: weeklyThreshold, message: `${hoursWorked.toFixed(1)}h this week - within ${OVERTIME_WARNING_HOURS.weekly}h of ${weeklyThreshold}h` });
+        } else if (projectedHours > weeklyThreshold) {
+          flags.push({ type: 'projected_weekly_overtime', hours: roundHours(projectedHours), threshold: weeklyThreshold, message: `Projected ${projectedHours.toFixed(1)}h by ${workweek.endDate} - over ${weeklyThreshold}h` });
+        }
+        days.forEach(day => {
+          if (day.dailyLimit === null) return;
+          if (day.overtimeHours > 0) {
+            flags.push({ type: 'daily_overtime', businessDate: day.businessDate, hours: day.hours, threshold: day.dailyLimit, message: `${day.hours.toFixed(1)}h on ${day.businessDate} - over ${day.dailyLimit}h in a day` });
+          } else if (day.clockedIn && day.hours >= day.dailyLimit - OVERTIME_WARNING_HOURS.daily) {
+            flags.push({ type: 'approaching_daily', businessDate: day.businessDate, hours: day.hours, threshold: day.dailyLimit, message: `${day.hours.toFixed(1)}h on ${day.businessDate} and still clocked in - ${day.dailyLimit}h daily limit` });
+          }
+        });
+
+        return {
+          employeeId,
+          employeeName: tally.name,
+          clockedIn,
+          hoursWorked: roundHours(hoursWorked),
+          weeklyOvertimeHours: roundHours(weeklyOvertimeHours),
+          dailyOvertimeHours: roundHours(dailyOvertimeHours),
+          overtimeHours: roundHours(Math.max(weeklyOvertimeHours, dailyOvertimeHours)),
+          projectedHours: roundHours(projectedHours),
+          projectedOvertimeHours: roundHours(Math.max(0, projectedHours - weeklyThreshold)),
+          stores: Array.from(tally.stores.entries())
+            .map(([storeId, entry]) => ({ storeId, storeName: entry.storeName, hours: roundHours(entry.hours) }))
+            .sort((a, b) => b.hours - a.hours),
+          days,
+          flags
+        };
+      })
+      // Flagged employees first, then by projected hours
+      .sort((a, b) => Number(b.flags.length > 0) - Number(a.flags.length > 0) || b.projectedHours - a.projectedHours);
+  }
+}
+
+// Export singleton instance
+export const overtimeService = OvertimeService.getInstance();
@@ -13,6 +13,15 @@ import * as fs from 'fs/promises';
 import * as path from 'path';
 import { InvocationContext } from '@azure/functions';
 
+type DayOfWeek = 'sunday' | 'monday' | 'tuesday' | 'wednesday' | 'thursday' | 'friday' | 'saturday';
+
+interface StoreDayHours {
+  open: string;            // Local "HH:mm" (e.g., "10:30")
+  close: string;           // Local "HH:mm"; earlier than open means the store closes after midnight
+}
+
+type StoreDailyHours = Partial<Record<DayOfWeek, StoreDayHours>>;
+
 interface StoreConfig {
   token: string;           // Encrypted PAR Brink location token
   name: string;            // Store display name
@@ -23,6 +32,12 @@ interface StoreConfig {
   phone?: string;          // Optional: store phone
   manager?: string;        // Optional: store manager
   region?: string;         // Optional: for multi-region expansion
+  brinkApiHost?: string;   // Optional: PAR Brink API server (falls back to the tenant default)
+  openingHour?: number;    // Optional: opening hour (24-hour format)
+  closingHour?: number;    // Optional: closing hour (24-hour format)
+  dailyHours?: StoreDailyHours; // Optional: per-day hours, preferred over openingHour/closingHour
+  businessDayStartHour?: number; // Optional: local hour the business day starts (default 5 AM)
+  tenantId?: string;       // Optional: owning tenant (brand) for tenant-scoped settings
   isActive: boolean;       // Whether store is currently operational
   lastUpdated: Date;       // When this record was last modified
 }
@@ -95,6 +110,15 @@ class StoreConfigService {
     return allStores.filter(store => store.state === state);
   }
 
+  /**
+   * Get stores by region (case-insensitive - regions are free text)
+   */
+  public async getStoresByRegion(region: string, context?: InvocationContext): Promise<StoreConfig[]> {
+    const allStores = await this.getAllActiveStores(context);
+    const wanted = region.trim().toLowerCase();
+    return allStores.filter(store => store.region?.trim().toLowerCase() === wanted);
+  }
+
   /**
    * Force refresh cache from database (admin function)
    */
@@ -372,4 +396,4 @@ class StoreConfigService {
 
 // Export singleton instance
 export const storeConfigService = StoreConfigService.getInstance();
-export { StoreConfig };
+export { StoreConfig, StoreDailyHours, StoreDayHours, DayOfWeek };
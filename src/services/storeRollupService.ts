@@ -0,0 +1,323 @@
+/**
+ * Store Rollup Service
+ * Sales and labor for a business date across many stores at once - per-store rows with the same totals as
+ * par-brink/dashboard, summed by state and region, plus hourly aggregates by store-local hour
+ */
+
+import { InvocationContext } from '@azure/functions';
+import { createBrinkClientForLocation, describeBrinkError } from './BrinkApiClient';
+import { StoreConfig } from './storeConfigService';
+import { brinkWarehouseService } from './brinkWarehouseService';
+import { resolveGuestCount } from '../models/brink';
+import { BusinessDayStatus, getBusinessCalendar, resolveBusinessDayStartHour } from '../utils/businessCalendar';
+import { formatHourKey, getLocalHour, resolveTimezone } from '../utils/timezone';
+import { getStoreConcurrency, mapWithConcurrency } from '../utils/concurrency';
+import { getShiftHourSegments } from '../utils/shiftHours';
+
+export interface RollupQuery {
+  stores: StoreConfig[];
+  accessToken: string;
+  businessDate?: string;          // default: each store's current business date
+}
+
+/**
+ * Totals for a store, a group of stores or an hour - null when no store behind it has that source
+ * laborPercentage and splh only use stores with both sales and labor, so a store missing one doesn't skew them
+ */
+export interface RollupMetrics {
+  sales: number | null;
+  guests: number | null;
+  orders: number | null;
+  laborCost: number | null;
+  laborHours: number | null;
+  laborPercentage: number | null;
+  splh: number | null;            // sales per labor hour
+  guestAverage: number | null;
+}
+
+export interface StoreRollup extends RollupMetrics {
+  storeId: string;
+  storeName: string;
+  state: string;
+  region: string | null;
+  businessDate: string;
+  dayStatus: BusinessDayStatus;
+  status: 'ok' | 'partial' | 'failed';
+  errors?: string[];
+}
+
+export interface RollupGroup extends RollupMetrics {
+  stores: number;
+  storesReporting: number;        // stores with sales or labor
+}
+
+export interface RollupHour extends RollupMetrics {
+  hour: string;                   // store-local "HH:00" - lunch at every store lines up whatever its timezone
+}
+
+export interface StoreRollupResult {
+  stores: StoreRollup[];
+  totals: RollupGroup;
+  byState: ({ state: string } & RollupGroup)[];
+  byRegion: ({ region: string | null } & RollupGroup)[];
+  hourly: RollupHour[];
+  degraded: boolean;
+}
+
+/**
+ * One store's amounts (or one hour of them) - a source that failed contributes nothing
+ */
+interface RollupAmounts {
+  hasSales: boolean;
+  hasLabor: boolean;
+  sales: number;
+  guests: number;
+  orders: number;
+  laborCost: number;
+  laborHours: number;
+}
+
+interface RollupTally {
+  stores: number;
+  storesReporting: number;
+  salesStores: number;
+  laborStores: number;
+  pairedStores: number;           // stores with both sales and labor
+  sales: number;
+  guests: number;
+  orders: number;
+  laborCost: number;
+  laborHours: number;
+  pairedSales: number;            // sales, labor cost and labor hours of the stores that have both
+  pairedLaborCost: number;
+  pairedLaborHours: number;
+}
+
+interface LoadedStore {
+  row: StoreRollup;
+  amounts: RollupAmounts;
+  hours: Map<number, RollupAmounts>;
+}
+
+const roundAmount = (value: number) => Math.round(value * 100) / 100;
+
+function emptyAmounts(hasSales: boolean, hasLabor: boolean): RollupAmounts {
+  return { hasSales, hasLabor, sales: 0, guests: 0, orders: 0, laborCost: 0, laborHours: 0 };
+}
+
+function emptyTally(): RollupTally {
+  return {
+    stores: 0,
+    storesReporting: 0,
+    salesStores: 0,
+    laborStores: 0,
+    pairedStores: 0,
+    sales: 0,
+    guests: 0,
+    orders: 0,
+    laborCost: 0,
+    laborHours: 0,
+    pairedSales: 0,
+    pairedLaborCost: 0,
+    pairedLaborHours: 0
+  };
+}
+
+function addAmounts(tally: RollupTally, amounts: RollupAmounts): void {
+  tally.stores++;
+  if (!amounts.hasSales && !amounts.hasLabor) return;
+  tally.storesReporting++;
+  if (amounts.hasSales) {
+    tally.salesStores++;
+    tally.sales += amounts.sales;
+    tally.guests += amounts.guests;
+    tally.orders += amounts.orders;
+  }
+  if (amounts.hasLabor) {
+    tally.laborStores++;
+    tally.laborCost += amounts.laborCost;
+    tally.laborHours += amounts.laborHours;
+  }
+  if (amounts.hasSales && amounts.hasLabor) {
+    tally.pairedStores++;
+    tally.pairedSales += amounts.sales;
+    tally.pairedLaborCost += amounts.laborCost;
+    tally.pairedLaborHours += amounts.laborHours;
+  }
+}
+
+function toMetrics(tally: RollupTally): RollupMetrics {
+  const hasSales = tally.salesStores > 0;
+  const hasLabor = tally.laborStores > 0;
+  const paired = tally.pairedStores > 0;
+  return {
+    sales: hasSales ? roundAmount(tally.sales) : null,
+    guests: hasSales ? tally.guests : null,
+    orders: hasSales ? tally.orders : null,
+    laborCost: hasLabor ? roundAmount(tally.laborCost) : null,
+    laborHours: hasLabor ? roundAmount(tally.laborHours) : null,
+    laborPercentage: paired ? (tally.pairedSales > 0 ? roundAmount((tally.pairedLaborCost / tally.pairedSales) * 100) : 0) : null,
+    splh: paired ? (tally.pairedLaborHours > 0 ? roundAmount(tally.pairedSales / tally.pairedLaborHours) : 0) : null,
+    guestAverage: hasSales ? (tally.guests > 0 ? roundAmount(tally.sales / tally.guests) : 0) : null
+  };
+}
+
+function toGroup(tally: RollupTally): RollupGroup {
+  return { stores: tally.stores, storesReporting: tally.storesReporting, ...toMetrics(tally) };
+}
+
+class StoreRollupService {
+  private static instance: StoreRollupService;
+
+  private constructor() {}
+
+  public static getInstance(): StoreRollupService {
+    if (!StoreRollupService.instance) {
+      StoreRollupService.instance = new StoreRollupService();
+    }
+    return StoreRollupService.instance;
+  }
+
+  /**
+   * Per-store sales and labor with state, region and hourly totals
+   */
+  public async getRollup(query: RollupQuery, context?: InvocationContext): Promise<StoreRollupResult> {
+    const now = new Date();
+    context?.log(`📊 Rollup for ${query.stores.length} stores, business date ${query.businessDate || 'current'}`);
+
+    const loaded = await mapWithConcurrency(query.stores, getStoreConcurrency(), store => this.loadStore(store, query, now, context));
+
+    const totals = emptyTally();
+    const states = new Map<string, RollupTally>();
+    const regions = new Map<string | null, RollupTally>();
+    const hours = new Map<number, RollupTally>();
+    loaded.forEach(({ row, amounts, hours: storeHours }) => {
+      const state = states.get(row.state) || emptyTally();
+      const region = regions.get(row.region) || emptyTally();
+      states.set(row.state, state);
+      regions.set(row.region, region);
+      [totals, state, region].forEach(tally => addAmounts(tally, amounts));
+
+      storeHours.forEach((hourAmounts, hour) => {
+        const tally = hours.get(hour) || emptyTally();
+        hours.set(hour, tally);
+        addAmounts(tally, hourAmounts);
+      });
+    });
+
+    // Hours run in business-day order from the earliest day start among the stores (5 AM by default)
+    const dayStartHour = Math.min(...query.stores.map(store => resolveBusinessDayStartHour(store.businessDayStartHour)));
+    const hourly = Array.from(hours.entries())
+      .sort(([a], [b]) => ((a - dayStartHour + 24) % 24) - ((b - dayStartHour + 24) % 24))
+      .map(([hour, tally]) => ({ hour: formatHourKey(hour), ...toMetrics(tally) }));
+
+    const stores = loaded.map(store => store.row).sort((a, b) => a.storeName.localeCompare(b.storeName));
+    const result: StoreRollupResult = {
+      stores,
+      totals: toGroup(totals),
+      byState: Array.from(states.entries())
+        .map(([state, tally]) => ({ state, ...toGroup(tally) }))
+        .sort((a, b) => a.state.localeCompare(b.state)),
+      byRegion: Array.from(regions.entries())
+        .map(([region, tally]) => ({ region, ...toGroup(tally) }))
+        // Stores without a region last
+        .sort((a, b) => a.region === null ? 1 : b.region === null ? -1 : a.region.localeCompare(b.region)),
+      hourly,
+      degraded: stores.some(store => store.status !== 'ok')
+    };
+
+    context?.log(`📊 Rollup: ${result.totals.storesReporting}/${result.totals.stores} stores reporting, sales $${result.totals.sales ?? 'n/a'}, labor ${result.totals.laborPercentage ?? 'n/a'}%, SPLH ${result.totals.splh ?? 'n/a'}`);
+    return result;
+  }
+
+  /**
+   * One store's day - orders and shifts are read one after the other (Brink throttles parallel calls per
+   * location token) and either can fail without losing the other
+   */
+  private async loadStore(store: StoreConfig, query: RollupQuery, now: Date, context?: InvocationContext): Promise<LoadedStore> {
+    const timezone = resolveTimezone(store.timezone);
+    const calendar = getBusinessCalendar(timezone, { businessDayStartHour: store.businessDayStartHour, businessDate: query.businessDate, now });
+    const errors: string[] = [];
+    const hours = new Map<number, RollupAmounts>();
+    const hourOf = (hour: number) => {
+      const amounts = hours.get(hour) || emptyAmounts(false, false);
+      hours.set(hour, amounts);
+      return amounts;
+    };
+
+    let hasSales = false;
+    let hasLabor = false;
+    try {
+      const client = await createBrinkClientForLocation({ accessToken: query.accessToken, locationToken: store.token, context });
+      // Closed days come from the warehouse once loaded
+      const brinkDays = brinkWarehouseService.createDaySource(store, client, context);
+
+      try {
+        // The dashboard's orders: zero-total orders excluded, and an order counts in the hour it was first sent
+        const orders = (await brinkDays.getOrders(calendar.businessDate)).filter(order => order.number && order.total > 0 && order.firstSendTime);
+        orders.forEach(order => {
+          const amounts = hourOf(getLocalHour(order.firstSendTime!, timezone));
+          amounts.sales += order.total;
+          amounts.orders += 1;
+          amounts.guests += resolveGuestCount(order.guestCount);
+        });
+        hasSales = true;
+      } catch (error) {
+        errors.push(`sales: ${describeBrinkError(error).message}`);
+      }
+
+      try {
+        // The dashboard's shifts: open shifts count until now (or the end of a closed day), and only hourly employees (payRate > 0) have a cost
+        const shifts = (await brinkDays.getShifts(calendar.businessDate)).filter(shift => shift.startTime && (shift.minutesWorked > 0 || !shift.endTime));
+        shifts.forEach(shift => {
+          getShiftHourSegments(shift, timezone, now, calendar.window.end).forEach(segment => {
+            const amounts = hourOf(segment.localHour);
+            amounts.laborHours += segment.hours;
+            amounts.laborCost += shift.payRate > 0 ? segment.hours * shift.payRate : 0;
+          });
+        });
+        hasLabor = true;
+      } catch (error) {
+        errors.push(`labor: ${describeBrinkError(error).message}`);
+      }
+    } catch (error) {
+      errors.push(describeBrinkError(error).message);
+    }
+
+    const amounts = emptyAmounts(hasSales, hasLabor);
+    hours.forEach(hourAmounts => {
+      hourAmounts.hasSales = hasSales;
+      hourAmounts.hasLabor = hasLabor;
+      amounts.sales += hourAmounts.sales;
+      amounts.guests += hourAmounts.guests;
+      amounts.orders += hourAmounts.orders;
+      amounts.laborCost += hourAmounts.laborCost;
+      amounts.laborHours += hourAmounts.laborHours;
+    });
+
+    const storeTally = emptyTally();
+    addAmounts(storeTally, amounts);
+    const status = hasSales && hasLabor ? 'ok' : hasSales || hasLabor ? 'partial' : 'failed';
+    if (status !== 'ok') {
+      context?.warn(`⚠️ Rollup: ${store.name} ${calendar.businessDate} ${status} - ${errors.join('; ')}`);
+    }
+
+    return {
+      row: {
+        storeId: store.id,
+        storeName: store.name,
+        state: store.state,
+        region: store.region || null,
+        businessDate: calendar.businessDate,
+        dayStatus: calendar.status,
+        status,
+        ...toMetrics(storeTally),
+        ...(errors.length > 0 ? { errors } : {})
+      },
+      amounts,
+      hours
+    };
+  }
+}
+
+export const storeRollupService = StoreRollupService.getInstance();
@@ -0,0 +1,64 @@
+/**
+ * Validation Rule Service
+ * Resolves the dashboard validation rules for a store from validation_rule_settings, with a short
+ * in-memory cache so the dashboard doesn't query SQL on every refresh
+ */
+
+import { InvocationContext } from '@azure/functions';
+import { databaseStoreService } from './databaseStoreService';
+import { StoreConfig } from './storeConfigService';
+import { getDefaultValidationRules, ResolvedValidationRule, resolveValidationRules, ValidationRuleSetting } from '../utils/validationRules';
+
+class ValidationRuleService {
+  private static instance: ValidationRuleService;
+  private settings: ValidationRuleSetting[] | null = null;
+  private loadedAt = 0;
+  private readonly cacheMaxAge = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+  private constructor() {}
+
+  public static getInstance(): ValidationRuleService {
+    if (!ValidationRuleService.instance) {
+      ValidationRuleService.instance = new ValidationRuleService();
+    }
+    return ValidationRuleService.instance;
+  }
+
+  /**
+   * Rules with the global, tenant, state and store settings for a store applied
+   * Falls back to the built-in defaults when the settings can't be loaded
+   */
+  public async getRulesForStore(store: Pick<StoreConfig, 'id' | 'state' | 'tenantId'>, context?: InvocationContext): Promise<ResolvedValidationRule[]> {
+    try {
+      const settings = await this.getAllSettings(context);
+      return resolveValidationRules(settings, { tenantId: store.tenantId, state: store.state, storeId: store.id });
+    } catch (error) {
+      context?.warn('⚠️ Validation rule settings unavailable, using default rules:', error);
+      return getDefaultValidationRules();
+    }
+  }
+
+  /**
+   * All stored settings (cached)
+   */
+  public async getAllSettings(context?: InvocationContext): Promise<ValidationRuleSetting[]> {
+    if (this.settings && Date.now() - this.loadedAt < this.cacheMaxAge) {
+      return this.settings;
+    }
+    this.settings = await databaseStoreService.getValidationRuleSettings(undefined, context);
+    this.loadedAt = Date.now();
+    context?.log(`📏 Loaded ${this.settings.length} validation rule settings`);
+    return this.settings;
+  }
+
+  /**
+   * Drop the cache after a setting changes
+   */
+  public invalidate(): void {
+    this.settings = null;
+    this.loadedAt = 0;
+  }
+}
+
+// Export singleton instance
+export const validationRuleService = ValidationRuleService.getInstance();
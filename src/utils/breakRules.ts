@@ -0,0 +1,122 @@
+/**
+ * Meal and rest period rules per state, and the check of a shift's breaks against them
+ * Add a state by adding its rule set to BREAK_RULES - the compliance report picks it up by the store's state
+ */
+
+import { BrinkShift, BrinkShiftBreak } from '../models/brink';
+import { getShiftInterval } from './shiftHours';
+
+export interface BreakRuleSet {
+  state: string;
+  name: string;                   // the regulation, shown on the report
+  meal: {
+    afterHours: number;           // shifts longer than this need a meal period
+    minMinutes: number;           // uninterrupted, unpaid
+  };
+  rest: {
+    minutes: number;              // paid rest per period
+    perHours: number;             // one rest per this many hours worked, or major fraction of it
+  };
+}
+
+export const BREAK_RULES: Record<string, BreakRuleSet> = {
+  // Colorado Overtime and Minimum Pay Standards (COMPS) Order, Rule 5
+  CO: {
+    state: 'CO',
+    name: 'Colorado COMPS Order Rule 5',
+    meal: { afterHours: 5, minMinutes: 30 },
+    rest: { minutes: 10, perHours: 4 }
+  }
+};
+
+export type BreakViolationType = 'missed_meal' | 'short_meal' | 'missed_rest';
+
+export interface BreakViolation {
+  type: BreakViolationType;
+  required: number;               // meal minutes, or rest periods
+  actual: number;
+  message: string;
+}
+
+export interface ShiftBreakCheck {
+  shiftId: string;
+  employeeId: string;
+  startTime: string | null;
+  endTime: string | null;
+  hoursWorked: number;            // clock hours, breaks included - rules count the shift length
+  mealMinutes: number;            // longest unpaid break
+  restPeriods: number;            // paid breaks of at least the rest length
+  requiredRestPeriods: number;
+  breaks: BrinkShiftBreak[];
+  violations: BreakViolation[];
+}
+
+export function getBreakRules(state: string | undefined): BreakRuleSet | undefined {
+  return state ? BREAK_RULES[state.toUpperCase()] : undefined;
+}
+
+/**
+ * Rest periods due for a shift - one per perHours, plus one for a remainder over half of perHours
+ * (Colorado: 2-6 hours one, 6-10 hours two, 10-14 hours three)
+ */
+export function getRequiredRestPeriods(hoursWorked: number, rules: BreakRuleSet): number {
+  const majorFraction = rules.rest.perHours / 2;
+  return hoursWorked > majorFraction ? Math.ceil((hoursWorked - majorFraction) / rules.rest.perHours) : 0;
+}
+
+/**
+ * Check one closed shift's breaks; open shifts aren't checked until the employee clocks out
+ */
+export function checkShiftBreaks(shift: BrinkShift, rules: BreakRuleSet, now: Date = new Date()): ShiftBreakCheck | null {
+  if (!shift.endTime) return null;
+  const interval = getShiftInterval(shift, now);
+  if (!interval) return null;
+
+  const hoursWorked = (interval.end.getTime() - interval.start.getTime()) / (60 * 60 * 1000);
+  const closedBreaks = shift.breaks.filter(shiftBreak => shiftBreak.endTime);
+  const mealMinutes = closedBreaks
+    .filter(shiftBreak => !shiftBreak.isPaid)
+    .reduce((longest, shiftBreak) => Math.max(longest, shiftBreak.minutes), 0);
+  const restPeriods = closedBreaks.filter(shiftBreak => shiftBreak.isPaid && shiftBreak.minutes >= rules.rest.minutes).length;
+  const requiredRestPeriods = getRequiredRestPeriods(hoursWorked, rules);
+
+  const violations: BreakViolation[] = [];
+  if (hoursWorked > rules.meal.afterHours) {
+    if (mealMinutes === 0) {
+      violations.push({
+        type: 'missed_meal',
+        required: rules.meal.minMinutes,
+        actual: 0,
+        message: `No meal period (${hoursWorked.toFixed(1)}h shift, ${rules.meal.minMinutes} min required after ${rules.meal.afterHours}h)`
+      });
+    } else if (mealMinutes < rules.meal.minMinutes) {
+      violations.push({
+        type: 'short_meal',
+        required: rules.meal.minMinutes,
+        actual: mealMinutes,
+        message: `Meal period of ${mealMinutes} min (${hoursWorked.toFixed(1)}h shift, ${rules.meal.minMinutes} min required)`
+      });
+    }
+  }
+  if (restPeriods < requiredRestPeriods) {
+    violations.push({
+      type: 'missed_rest',
+      required: requiredRestPeriods,
+      actual: restPeriods,
+      message: `${restPeriods} of ${requiredRestPeriods} ${rules.rest.minutes}-min rest periods recorded (${hoursWorked.toFixed(1)}h shift)`
+    });
+  }
+
+  return {
+    shiftId: shift.id,
+    employeeId: shift.employeeId,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    hoursWorked: Math.round(hoursWorked * 100) / 100,
+    mealMinutes,
+    restPeriods,
+    requiredRestPeriods,
+    breaks: shift.breaks,
+    violations
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Restaurant business calendar
+ * A business day runs from the store's day-start hour (default 5 AM local) to the same hour the next
+ * day, so a 1 AM close still belongs to the previous business date. Everything is computed from the
+ * IANA timezone database built into Node - no network calls
+ */
+
+import { getLocalDate, getLocalDateTimeParts, getLocalDateTimeString, getUtcOffsetMinutes, resolveTimezone } from './timezone';
+
+export const DEFAULT_BUSINESS_DAY_START_HOUR = 5;
+
+/**
+ * Where a business date sits relative to now
+ * closed: the window has ended and its numbers are final; in_progress: now is inside the window;
+ * future: the window has not started
+ */
+export type BusinessDayStatus = 'closed' | 'in_progress' | 'future';
+
+export interface BusinessDayWindow {
+  start: Date;          // UTC instant the business day opens
+  end: Date;            // UTC instant the next business day opens (exclusive)
+  startLocal: string;   // YYYY-MM-DDTHH:mm:ss store-local
+  endLocal: string;
+  hours: number;        // 24, or 23/25 across a DST change
+}
+
+export interface BusinessCalendar {
+  timezone: string;
+  businessDate: string;          // YYYY-MM-DD
+  calendarDate: string;          // store-local calendar date right now
+  localTime: string;             // YYYY-MM-DDTHH:mm:ss store-local right now
+  offsetMinutes: number;         // signed UTC offset right now (-360 for MDT, -420 for MST)
+  businessDayStartHour: number;
+  window: BusinessDayWindow;     // window of businessDate
+  status: BusinessDayStatus;     // businessDate relative to now
+}
+
+export interface BusinessCalendarOptions {
+  businessDayStartHour?: number | null;
+  businessDate?: string;         // explicit business date (otherwise the current one)
+  now?: Date;
+}
+
+/**
+ * Store day-start hour, or the default when missing/out of range
+ */
+export function resolveBusinessDayStartHour(hour?: number | null): number {
+  return typeof hour === 'number' && Number.isInteger(hour) && hour >= 0 && hour <= 23
+    ? hour
+    : DEFAULT_BUSINESS_DAY_START_HOUR;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date (pure calendar arithmetic, no timezone involved)
+ */
+export function addDays(date: string, days: number): string {
+  const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * First date of the 7-day week holding a YYYY-MM-DD date (weekStartDay: 0 = Sunday ... 6 = Saturday)
+ */
+export function getWeekStart(date: string, weekStartDay: number): string {
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((dayOfWeek - weekStartDay + 7) % 7));
+}
+
+/**
+ * UTC instant of a store-local wall-clock time
+ * A time skipped by spring-forward resolves to the instant just after the gap
+ */
+export function localDateTimeToUtc(date: string, hour: number, minute: number, timezone: string): Date {
+  const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset at the guess may differ from the offset at the answer near a DST change - check twice
+  const firstOffset = getUtcOffsetMinutes(wallClockAsUtc, timezone);
+  let instant = wallClockAsUtc - firstOffset * 60000;
+  const secondOffset = getUtcOffsetMinutes(instant, timezone);
+  if (secondOffset !== firstOffset) {
+    const candidate = wallClockAsUtc - secondOffset * 60000;
+    // Inside a spring-forward gap neither offset round-trips; keep the later instant
+    if (getUtcOffsetMinutes(candidate, timezone) === secondOffset) {
+      instant = candidate;
+    }
+  }
+  return new Date(instant);
+}
+
+/**
+ * Business date an instant belongs to
+ */
+export function getBusinessDate(value: Date | string | number, timezone: string, businessDayStartHour: number = DEFAULT_BUSINESS_DAY_START_HOUR): string {
+  const calendarDate = getLocalDate(value, timezone);
+  return getLocalDateTimeParts(value, timezone).hour < businessDayStartHour ? addDays(calendarDate, -1) : calendarDate;
+}
+
+/**
+ * UTC window covered by a business date
+ */
+export function getBusinessDayWindow(businessDate: string, timezone: string, businessDayStartHour: number = DEFAULT_BUSINESS_DAY_START_HOUR): BusinessDayWindow {
+  const start = localDateTimeToUtc(businessDate, businessDayStartHour, 0, timezone);
+  const end = localDateTimeToUtc(addDays(businessDate, 1), businessDayStartHour, 0, timezone);
+  return {
+    start,
+    end,
+    startLocal: getLocalDateTimeString(start, timezone),
+    endLocal: getLocalDateTimeString(end, timezone),
+    hours: (end.getTime() - start.getTime()) / (60 * 60 * 1000)
+  };
+}
+
+/**
+ * Whether a business-day window is closed, in progress or in the future at an instant
+ */
+export function getBusinessDayStatus(window: BusinessDayWindow, now: Date = new Date()): BusinessDayStatus {
+  if (now.getTime() >= window.end.getTime()) {
+    return 'closed';
+  }
+  return now.getTime() < window.start.getTime() ? 'future' : 'in_progress';
+}
+
+/**
+ * Current business date, offset and business-day window for a store
+ */
+export function getBusinessCalendar(timezone: string | null | undefined, options: BusinessCalendarOptions = {}): BusinessCalendar {
+  const zone = resolveTimezone(timezone);
+  const now = options.now || new Date();
+  const businessDayStartHour = resolveBusinessDayStartHour(options.businessDayStartHour);
+  const businessDate = options.businessDate || getBusinessDate(now, zone, businessDayStartHour);
+  const window = getBusinessDayWindow(businessDate, zone, businessDayStartHour);
+
+  return {
+    timezone: zone,
+    businessDate,
+    calendarDate: getLocalDate(now, zone),
+    localTime: getLocalDateTimeString(now, zone),
+    offsetMinutes: getUtcOffsetMinutes(now, zone),
+    businessDayStartHour,
+    window,
+    status: getBusinessDayStatus(window, now)
+  };
+}
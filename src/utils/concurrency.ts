@@ -0,0 +1,34 @@
+/**
+ * Bounded parallelism for work fanned out across stores
+ * Brink throttles parallel calls per location token, so run one store per worker and keep each store's
+ * own calls sequential (see loadReportDays)
+ */
+
+export const DEFAULT_STORE_CONCURRENCY = 4;
+
+/**
+ * Stores processed at once - PAR_BRINK_STORE_CONCURRENCY, or the default when missing/invalid
+ */
+export function getStoreConcurrency(): number {
+  const value = parseInt(process.env.PAR_BRINK_STORE_CONCURRENCY || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_STORE_CONCURRENCY;
+}
+
+/**
+ * Run worker over items with at most limit in flight, returning results in item order
+ * Rejects with the first error once it happens - workers that must not fail the batch should catch their own
+ */
+export async function mapWithConcurrency<T, R>(items: T[], limit: number, worker: (item: T, index: number) => Promise<R>): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const run = async (): Promise<void> => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run));
+  return results;
+}
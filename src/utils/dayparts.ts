@@ -0,0 +1,34 @@
+/**
+ * Restaurant dayparts
+ * A daypart runs from its start hour to the next daypart's start; hours are business-day positions
+ * (see getBusinessHourPosition), so Late Night keeps the orders rung in after midnight
+ */
+
+import { getBusinessHourPosition, StoreHoursWindow } from './storeHours';
+
+export interface Daypart {
+  name: string;
+  startHour: number;    // business-day position, 0-47
+}
+
+export const DEFAULT_DAYPARTS: Daypart[] = [
+  { name: 'Breakfast', startHour: 0 },
+  { name: 'Lunch', startHour: 11 },
+  { name: 'Afternoon', startHour: 14 },
+  { name: 'Dinner', startHour: 17 },
+  { name: 'Late Night', startHour: 21 }
+];
+
+/**
+ * Daypart of a store-local hour - hours before the first daypart's start belong to it
+ */
+export function getDaypart(localHour: number, window: StoreHoursWindow, dayparts: Daypart[] = DEFAULT_DAYPARTS): Daypart {
+  const position = getBusinessHourPosition(localHour, window);
+  let match = dayparts[0];
+  dayparts.forEach(daypart => {
+    if (daypart.startHour <= position) {
+      match = daypart;
+    }
+  });
+  return match;
+}
@@ -0,0 +1,69 @@
+/**
+ * Labor by job category (cook, cashier, shift lead, manager)
+ * A shift's job comes from its Brink JobId; shifts without one, or whose job isn't in the store's
+ * synced catalog, are "other"
+ */
+
+import { BrinkJob, BrinkShift, JOB_CATEGORIES, JobCategory } from '../models/brink';
+
+export interface JobLabor {
+  hoursWorked: number;
+  laborCost: number;              // hourly employees only, like the dashboard's laborCost
+  employeesWorking: number;       // distinct employees
+}
+
+/** Only categories with labor are present */
+export type JobLaborBreakdown = Partial<Record<JobCategory, JobLabor>>;
+
+export interface JobLaborSummary extends JobLabor {
+  category: JobCategory;
+  hoursShare: number;             // % of labor hours across all categories
+}
+
+export function getShiftJob(shift: Pick<BrinkShift, 'jobId'>, jobs: Map<string, BrinkJob>): BrinkJob | undefined {
+  return shift.jobId ? jobs.get(shift.jobId) : undefined;
+}
+
+/**
+ * Job name for display - the catalog name, or the job code when the job isn't in the catalog
+ */
+export function getJobName(jobId: string | undefined, jobs: Map<string, BrinkJob>): string {
+  if (!jobId) return 'Unknown job';
+  return jobs.get(jobId)?.name || `Job Code ${jobId}`;
+}
+
+/**
+ * Add hours/cost to a category; headcount is counted separately (see setJobHeadcount) since one
+ * employee can work several segments of the same bucket
+ */
+export function addJobLabor(breakdown: JobLaborBreakdown, category: JobCategory, hoursWorked: number, laborCost: number): void {
+  const entry = breakdown[category] || { hoursWorked: 0, laborCost: 0, employeesWorking: 0 };
+  entry.hoursWorked += hoursWorked;
+  entry.laborCost += laborCost;
+  breakdown[category] = entry;
+}
+
+export function setJobHeadcount(breakdown: JobLaborBreakdown, employees: Partial<Record<JobCategory, Set<string>>>): void {
+  (Object.keys(breakdown) as JobCategory[]).forEach(category => {
+    breakdown[category]!.employeesWorking = employees[category]?.size || 0;
+  });
+}
+
+/**
+ * One row per category in JOB_CATEGORIES order, rounded for the response
+ */
+export function summarizeJobLabor(breakdown: JobLaborBreakdown): JobLaborSummary[] {
+  const totalHours = Object.values(breakdown).reduce((sum, entry) => sum + (entry?.hoursWorked || 0), 0);
+  return JOB_CATEGORIES
+    .filter(category => breakdown[category])
+    .map(category => {
+      const entry = breakdown[category]!;
+      return {
+        category,
+        hoursWorked: Math.round(entry.hoursWorked * 100) / 100,
+        laborCost: Math.round(entry.laborCost * 100) / 100,
+        employeesWorking: entry.employeesWorking,
+        hoursShare: totalHours > 0 ? Math.round((entry.hoursWorked / totalHours) * 1000) / 10 : 0
+      };
+    });
+}
@@ -0,0 +1,30 @@
+/**
+ * Overtime thresholds per state
+ * Weekly overtime is federal (FLSA); states can add a daily limit. Add a state by adding it to OVERTIME_RULES
+ */
+
+export interface OvertimeRuleSet {
+  name: string;
+  weeklyHours: number;            // hours in the workweek before overtime
+  dailyHours?: number;            // hours in a workday before overtime
+}
+
+export const FEDERAL_OVERTIME_RULES: OvertimeRuleSet = {
+  name: 'FLSA',
+  weeklyHours: 40
+};
+
+export const OVERTIME_RULES: Record<string, OvertimeRuleSet> = {
+  // Colorado COMPS Order Rule 4 - over 40 hours a week or 12 hours a workday
+  CO: { name: 'Colorado COMPS Order Rule 4', weeklyHours: 40, dailyHours: 12 }
+};
+
+// How close to a threshold counts as "about to cross" it
+export const OVERTIME_WARNING_HOURS = {
+  weekly: 4,
+  daily: 1
+};
+
+export function getOvertimeRules(state: string | undefined): OvertimeRuleSet {
+  return (state && OVERTIME_RULES[state.toUpperCase()]) || FEDERAL_OVERTIME_RULES;
+}
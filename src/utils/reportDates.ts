@@ -0,0 +1,104 @@
+/**
+ * Business-date ranges for the multi-day Brink reports
+ * Brink answers one business date per call, so ranges are capped to keep a request within the
+ * function timeout and each date is loaded (and can fail) on its own
+ */
+
+import { InvocationContext } from '@azure/functions';
+import { describeBrinkError } from '../services/BrinkApiClient';
+import { addDays } from './businessCalendar';
+import { ErrorCategory } from './resilience';
+
+export const MAX_REPORT_DAYS = 31;
+
+export interface ReportDateRange {
+  startDate: string;    // YYYY-MM-DD inclusive
+  endDate: string;      // YYYY-MM-DD inclusive
+  dates: string[];      // every business date in the range, in order
+}
+
+export function isIsoDate(value: string): boolean {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+/**
+ * Validate a requested range - a missing start or end defaults to the other, or to defaultDate
+ */
+export function parseReportDateRange(
+  startDate: string | undefined,
+  endDate: string | undefined,
+  defaultDate: string,
+  maxDays: number = MAX_REPORT_DAYS
+): { range?: ReportDateRange; errors: string[] } {
+  const start = startDate || endDate || defaultDate;
+  const end = endDate || startDate || defaultDate;
+
+  if (!isIsoDate(start) || !isIsoDate(end)) {
+    return { errors: ['startDate and endDate must be YYYY-MM-DD'] };
+  }
+  if (start > end) {
+    return { errors: ['startDate must not be after endDate'] };
+  }
+  if (start < addDays(end, -(maxDays - 1))) {
+    return { errors: [`Date range cannot exceed ${maxDays} days`] };
+  }
+
+  const dates: string[] = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return { range: { startDate: start, endDate: end, dates }, errors: [] };
+}
+
+/**
+ * Outcome of one business date's Brink call - a failed date contributes nothing to the report
+ */
+export interface ReportDay {
+  businessDate: string;
+  status: 'ok' | 'failed';
+  latencyMs: number;
+  category?: ErrorCategory;
+  code?: string;
+  error?: string;
+}
+
+/**
+ * Load each business date in turn (Brink throttles parallel calls per location token), recording
+ * how each one failed instead of throwing
+ * Throws the first error only when every date failed - there is nothing to report
+ */
+export async function loadReportDays<T>(
+  dates: string[],
+  load: (businessDate: string) => Promise<T>,
+  context?: InvocationContext
+): Promise<{ results: { businessDate: string; value: T }[]; days: ReportDay[]; degraded: boolean }> {
+  const results: { businessDate: string; value: T }[] = [];
+  const days: ReportDay[] = [];
+  let firstError: unknown;
+
+  for (const businessDate of dates) {
+    const startedAt = Date.now();
+    try {
+      const value = await load(businessDate);
+      results.push({ businessDate, value });
+      days.push({ businessDate, status: 'ok', latencyMs: Date.now() - startedAt });
+    } catch (error) {
+      const details = describeBrinkError(error);
+      context?.warn(`⚠️ Report: business date ${businessDate} failed: ${details.message}`);
+      firstError = firstError ?? error;
+      days.push({
+        businessDate,
+        status: 'failed',
+        latencyMs: Date.now() - startedAt,
+        category: details.category,
+        code: details.code,
+        error: details.message
+      });
+    }
+  }
+
+  if (dates.length > 0 && results.length === 0) {
+    throw firstError;
+  }
+  return { results, days, degraded: results.length < dates.length };
+}
@@ -0,0 +1,333 @@
+import { InvocationContext } from '@azure/functions';
+
+/**
+ * Shared resilience layer for outbound PAR Brink and UKG Ready calls
+ * - Per-attempt timeout (AbortSignal)
+ * - Exponential backoff with jitter on transient errors, honouring Retry-After
+ * - Per-host circuit breaker
+ * - Error classification so callers can decide what to do with a failure
+ */
+
+/**
+ * auth      - credentials were rejected (401/403); retrying will not help
+ * fault     - the upstream processed the call and returned an application error (SOAP fault, ResultCode, bad payload)
+ * transient - timeouts, connection resets, 429 and 5xx; safe to retry later
+ * permanent - the request itself is wrong (other 4xx, unknown host, missing configuration)
+ */
+export type ErrorCategory = 'auth' | 'fault' | 'transient' | 'permanent';
+
+export interface OutboundErrorOptions {
+  upstreamStatus?: number;
+  retryAfterMs?: number;
+}
+
+export class OutboundCallError extends Error {
+  public upstreamStatus?: number;
+  public retryAfterMs?: number;
+
+  constructor(message: string, public category: ErrorCategory, options: OutboundErrorOptions = {}) {
+    super(message);
+    this.name = 'OutboundCallError';
+    this.upstreamStatus = options.upstreamStatus;
+    this.retryAfterMs = options.retryAfterMs;
+  }
+}
+
+export class CircuitOpenError extends OutboundCallError {
+  constructor(public host: string, retryAfterMs: number) {
+    super(`Circuit open for ${host} - skipping call for ${Math.ceil(retryAfterMs / 1000)}s`, 'transient', { retryAfterMs });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+export interface CircuitBreakerOptions {
+  failureThreshold: number;  // consecutive transient failures before opening
+  resetTimeoutMs: number;    // how long to stay open before letting a trial call through
+}
+
+export interface ResiliencePolicy {
+  timeoutMs: number;
+  maxRetries: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+  circuitBreaker: CircuitBreakerOptions;
+}
+
+export interface ResilienceOptions {
+  name: string;                       // used in log messages, e.g. "PAR Brink GetOrders"
+  url: string;                        // circuit breakers are keyed by this URL's host
+  policy?: Partial<ResiliencePolicy>;
+  idempotent?: boolean;               // non-idempotent calls only retry when the request was never accepted
+  context?: InvocationContext;
+}
+
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+// Codes that mean the request never reached the server, so even a POST can be retried
+const NOT_SENT_NETWORK_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+
+const DEFAULT_POLICY: ResiliencePolicy = {
+  timeoutMs: 30000,
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  circuitBreaker: {
+    failureThreshold: 5,
+    resetTimeoutMs: 60000
+  }
+};
+
+/**
+ * Build a policy from environment settings, e.g. prefix "PAR_BRINK" reads
+ * PAR_BRINK_TIMEOUT, PAR_BRINK_MAX_RETRIES, PAR_BRINK_RETRY_BASE_DELAY_MS,
+ * PAR_BRINK_CIRCUIT_FAILURE_THRESHOLD and PAR_BRINK_CIRCUIT_RESET_MS
+ */
+export function getResiliencePolicy(envPrefix: string, overrides: Partial<ResiliencePolicy> = {}): ResiliencePolicy {
+  const fromEnv = (name: string, fallback: number): number => {
+    const value = parseInt(process.env[`${envPrefix}_${name}`] || '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  return {
+    timeoutMs: overrides.timeoutMs ?? fromEnv('TIMEOUT', DEFAULT_POLICY.timeoutMs),
+    maxRetries: overrides.maxRetries ?? fromEnv('MAX_RETRIES', DEFAULT_POLICY.maxRetries),
+    baseDelayMs: overrides.baseDelayMs ?? fromEnv('RETRY_BASE_DELAY_MS', DEFAULT_POLICY.baseDelayMs),
+    maxDelayMs: overrides.maxDelayMs ?? fromEnv('RETRY_MAX_DELAY_MS', DEFAULT_POLICY.maxDelayMs),
+    circuitBreaker: overrides.circuitBreaker ?? {
+      failureThreshold: fromEnv('CIRCUIT_FAILURE_THRESHOLD', DEFAULT_POLICY.circuitBreaker.failureThreshold),
+      resetTimeoutMs: fromEnv('CIRCUIT_RESET_MS', DEFAULT_POLICY.circuitBreaker.resetTimeoutMs)
+    }
+  };
+}
+
+/**
+ * Classify an HTTP status from an upstream API
+ */
+export function classifyHttpStatus(status: number): ErrorCategory {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 408 || status === 425 || status === 429 || status >= 500) return 'transient';
+  return 'permanent';
+}
+
+/**
+ * Classify any error thrown by an outbound call (OutboundCallError, axios, fetch/undici, AbortError)
+ */
+export function classifyError(error: unknown): ErrorCategory {
+  if (error instanceof OutboundCallError) {
+    return error.category;
+  }
+
+  const err = error as any;
+  const status = err?.response?.status ?? err?.status;
+  if (typeof status === 'number') {
+    return classifyHttpStatus(status);
+  }
+
+  const code = err?.code ?? err?.cause?.code;
+  if (typeof code === 'string' && TRANSIENT_NETWORK_CODES.has(code)) {
+    return 'transient';
+  }
+  if (err?.name === 'AbortError' || err?.name === 'TimeoutError') {
+    return 'transient';
+  }
+  // fetch() rejects with a bare TypeError("fetch failed") for network problems
+  if (err instanceof TypeError && err.message === 'fetch failed') {
+    return 'transient';
+  }
+  return 'permanent';
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value?: string | null): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an OutboundCallError for a non-2xx HTTP response
+ */
+export function createHttpError(message: string, status: number, retryAfter?: string | null): OutboundCallError {
+  return new OutboundCallError(message, classifyHttpStatus(status), {
+    upstreamStatus: status,
+    retryAfterMs: parseRetryAfter(retryAfter)
+  });
+}
+
+/**
+ * HTTP status our own endpoints should answer with when an outbound call fails
+ */
+export function getHttpStatusForCategory(category: ErrorCategory): number {
+  switch (category) {
+    case 'auth': return 401;
+    case 'transient': return 503;
+    case 'fault':
+    case 'permanent':
+    default: return 502;
+  }
+}
+
+type CircuitState = 'closed' | 'open' | 'half-open';
+
+export class CircuitBreaker {
+  private state: CircuitState = 'closed';
+  private consecutiveFailures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+
+  constructor(public readonly host: string, private options: CircuitBreakerOptions) {}
+
+  /**
+   * Throws CircuitOpenError when calls to this host should be skipped
+   */
+  public beforeCall(): void {
+    if (this.state === 'closed') return;
+
+    const elapsed = Date.now() - this.openedAt;
+    if (this.state === 'open' && elapsed >= this.options.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+    throw new CircuitOpenError(this.host, Math.max(0, this.options.resetTimeoutMs - elapsed));
+  }
+
+  public recordSuccess(): void {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Only transient failures say anything about host health - auth, fault and permanent errors reset the count
+   */
+  public recordFailure(category: ErrorCategory): void {
+    this.trialInFlight = false;
+    if (category !== 'transient') {
+      if (this.state === 'half-open') this.state = 'closed';
+      this.consecutiveFailures = 0;
+      return;
+    }
+
+    this.consecutiveFailures++;
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.options.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  public getState(): CircuitState {
+    return this.state;
+  }
+}
+
+const circuitBreakers = new Map<string, CircuitBreaker>();
+
+export function getCircuitBreaker(url: string, options: CircuitBreakerOptions = DEFAULT_POLICY.circuitBreaker): CircuitBreaker {
+  let host: string;
+  try {
+    host = new URL(url).host;
+  } catch {
+    host = url;
+  }
+
+  let breaker = circuitBreakers.get(host);
+  if (!breaker) {
+    breaker = new CircuitBreaker(host, options);
+    circuitBreakers.set(host, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Run an outbound call with timeout, retry/backoff and the host's circuit breaker
+ * The operation receives an AbortSignal that fires when the attempt times out
+ */
+export async function executeWithResilience<T>(operation: (signal: AbortSignal) => Promise<T>, options: ResilienceOptions): Promise<T> {
+  const policy: ResiliencePolicy = { ...DEFAULT_POLICY, ...options.policy };
+  const breaker = getCircuitBreaker(options.url, policy.circuitBreaker);
+  const log = (message: string) => options.context ? options.context.warn(message) : console.warn(message);
+
+  for (let attempt = 0; ; attempt++) {
+    breaker.beforeCall();
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+    let error: unknown;
+    try {
+      const result = await operation(controller.signal);
+      breaker.recordSuccess();
+      return result;
+    } catch (caught) {
+      error = controller.signal.aborted && !(caught instanceof OutboundCallError)
+        ? new OutboundCallError(`${options.name} timed out after ${policy.timeoutMs}ms`, 'transient')
+        : caught;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const category = classifyError(error);
+    breaker.recordFailure(category);
+
+    if (category !== 'transient' || attempt >= policy.maxRetries || !isRetryable(error, options.idempotent !== false)) {
+      throw error;
+    }
+
+    const retryAfterMs = error instanceof OutboundCallError ? error.retryAfterMs : undefined;
+    const backoffMs = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    const delayMs = retryAfterMs !== undefined
+      ? Math.min(retryAfterMs, policy.maxDelayMs)
+      : Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+
+    const message = error instanceof Error ? error.message : String(error);
+    log(`🔁 ${options.name} failed (${message}) - retry ${attempt + 1}/${policy.maxRetries} in ${delayMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+/**
+ * Idempotent calls retry every transient error; others only when the upstream
+ * told us to come back (429/503 + Retry-After) or the request never left this host
+ */
+function isRetryable(error: unknown, idempotent: boolean): boolean {
+  if (idempotent) return true;
+  if (error instanceof CircuitOpenError) return false;
+  if (error instanceof OutboundCallError && error.retryAfterMs !== undefined) return true;
+  const code = (error as any)?.code ?? (error as any)?.cause?.code;
+  return typeof code === 'string' && NOT_SENT_NETWORK_CODES.has(code);
+}
+
+/**
+ * fetch() wrapped in executeWithResilience
+ * Transient HTTP statuses (429, 5xx) are retried and thrown as OutboundCallError once retries run out;
+ * every other response is returned for the caller to inspect
+ */
+export async function resilientFetch(url: string, init: RequestInit, options: Omit<ResilienceOptions, 'url'>): Promise<Response> {
+  const method = (init.method || 'GET').toUpperCase();
+  return executeWithResilience(async signal => {
+    const response = await fetch(url, { ...init, signal });
+    if (classifyHttpStatus(response.status) === 'transient') {
+      throw createHttpError(
+        `${options.name} failed: ${response.status} ${response.statusText}`,
+        response.status,
+        response.headers.get('retry-after')
+      );
+    }
+    return response;
+  }, {
+    idempotent: method === 'GET' || method === 'PUT' || method === 'DELETE',
+    ...options,
+    url
+  });
+}
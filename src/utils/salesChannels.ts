@@ -0,0 +1,66 @@
+/**
+ * Sales by order channel (dine in, pickup, delivery, third party, ...)
+ * An order's channel comes from its Brink destination; orders without one, or whose destination
+ * isn't in the catalog, are "other"
+ */
+
+import { BrinkDestination, BrinkOrder, resolveGuestCount, SALES_CHANNELS, SalesChannel } from '../models/brink';
+
+export interface ChannelSales {
+  sales: number;
+  orders: number;
+  guests: number;
+}
+
+/** Only channels with orders are present */
+export type ChannelBreakdown = Partial<Record<SalesChannel, ChannelSales>>;
+
+export interface ChannelSummary extends ChannelSales {
+  channel: SalesChannel;
+  salesShare: number;             // % of sales across all channels
+  guestAverage: number;
+}
+
+export function getOrderChannel(order: Pick<BrinkOrder, 'destinationId'>, destinations: Map<number, BrinkDestination>): SalesChannel {
+  const destination = order.destinationId !== null ? destinations.get(order.destinationId) : undefined;
+  return destination?.channel || 'other';
+}
+
+export function addChannelOrder(breakdown: ChannelBreakdown, channel: SalesChannel, order: Pick<BrinkOrder, 'total' | 'guestCount'>): void {
+  const entry = breakdown[channel] || { sales: 0, orders: 0, guests: 0 };
+  entry.sales += order.total;
+  entry.orders += 1;
+  entry.guests += resolveGuestCount(order.guestCount);
+  breakdown[channel] = entry;
+}
+
+/**
+ * Sum breakdowns (e.g. every hour of a day) into one row per channel, in SALES_CHANNELS order
+ */
+export function summarizeChannels(breakdowns: ChannelBreakdown[]): ChannelSummary[] {
+  const totals: ChannelBreakdown = {};
+  breakdowns.forEach(breakdown => {
+    (Object.keys(breakdown) as SalesChannel[]).forEach(channel => {
+      const entry = totals[channel] || { sales: 0, orders: 0, guests: 0 };
+      entry.sales += breakdown[channel]!.sales;
+      entry.orders += breakdown[channel]!.orders;
+      entry.guests += breakdown[channel]!.guests;
+      totals[channel] = entry;
+    });
+  });
+
+  const totalSales = Object.values(totals).reduce((sum, entry) => sum + (entry?.sales || 0), 0);
+  return SALES_CHANNELS
+    .filter(channel => totals[channel])
+    .map(channel => {
+      const entry = totals[channel]!;
+      return {
+        channel,
+        sales: Math.round(entry.sales * 100) / 100,
+        orders: entry.orders,
+        guests: entry.guests,
+        salesShare: totalSales > 0 ? Math.round((entry.sales / totalSales) * 1000) / 10 : 0,
+        guestAverage: entry.guests > 0 ? Math.round((entry.sales / entry.guests) * 100) / 100 : 0
+      };
+    });
+}
@@ -0,0 +1,107 @@
+/**
+ * Worked time of Brink shifts, split into store-local hours
+ * Shared by the dashboard's hourly labor buckets and the labor reports so both allocate a shift the same way
+ */
+
+import { BrinkShift } from '../models/brink';
+import { getLocalHour, getNextLocalHourStart } from './timezone';
+
+export interface ShiftInterval {
+  start: Date;
+  end: Date;
+  unpaidBreaks: TimeRange[];      // unpaid breaks inside start-end - their minutes are not allocated
+  paidRatio: number;              // scales what's left to Brink's minutesWorked (1 when the breaks are known)
+}
+
+export interface TimeRange {
+  start: Date;
+  end: Date;
+}
+
+export interface ShiftHourSegment {
+  localHour: number;              // store-local hour (0-23)
+  start: Date;
+  hours: number;                  // paid hours inside the local hour
+}
+
+/**
+ * Worked interval of a shift - an open shift runs until now, and nothing runs past now
+ * dayEnd is the end of the shift's business day: once that day has closed an open shift stops there
+ * (a forgotten clock-out) instead of running on into later days
+ * Unpaid breaks are taken out of the minutes they cover (a break still open runs until the shift's end). A closed
+ * shift whose unpaid breaks have no start/end times is scaled to Brink's minutesWorked instead
+ */
+export function getShiftInterval(shift: BrinkShift, now: Date, dayEnd?: Date): ShiftInterval | null {
+  if (!shift.startTime) return null;
+  const start = new Date(shift.startTime);
+  const recordedEnd = shift.endTime ? new Date(shift.endTime) : null;
+  if (isNaN(start.getTime()) || (recordedEnd && isNaN(recordedEnd.getTime()))) return null;
+
+  const until = !recordedEnd && dayEnd && dayEnd < now ? dayEnd : now;
+  const end = recordedEnd && recordedEnd < until ? recordedEnd : until;
+  if (end <= start) return null;
+
+  const unpaid = shift.breaks.filter(shiftBreak => !shiftBreak.isPaid);
+  const unpaidBreaks: TimeRange[] = [];
+  let breakDetail = true;
+  unpaid.forEach(shiftBreak => {
+    const breakStart = shiftBreak.startTime ? new Date(shiftBreak.startTime) : null;
+    const breakEnd = shiftBreak.endTime ? new Date(shiftBreak.endTime) : recordedEnd ? null : end;
+    if (!breakStart || !breakEnd || isNaN(breakStart.getTime()) || isNaN(breakEnd.getTime())) {
+      breakDetail = false;
+      return;
+    }
+    const range = { start: breakStart > start ? breakStart : start, end: breakEnd < end ? breakEnd : end };
+    if (range.end > range.start) unpaidBreaks.push(range);
+  });
+
+  if (recordedEnd && (!breakDetail || shift.breaks.length === 0) && shift.minutesWorked > 0) {
+    // No break detail - Brink's minutesWorked is the only record of the unpaid time
+    const elapsedMinutes = (recordedEnd.getTime() - start.getTime()) / 60000;
+    return { start, end, unpaidBreaks: [], paidRatio: Math.min(1, shift.minutesWorked / elapsedMinutes) };
+  }
+  return { start, end, unpaidBreaks, paidRatio: 1 };
+}
+
+/**
+ * Paid hours of a shift between from and to
+ */
+function getPaidHoursBetween(interval: ShiftInterval, from: Date, to: Date): number {
+  const unpaidMs = interval.unpaidBreaks.reduce((sum, range) => {
+    const overlapStart = range.start > from ? range.start : from;
+    const overlapEnd = range.end < to ? range.end : to;
+    return sum + Math.max(0, overlapEnd.getTime() - overlapStart.getTime());
+  }, 0);
+  return Math.max(0, (to.getTime() - from.getTime() - unpaidMs) / (60 * 60 * 1000)) * interval.paidRatio;
+}
+
+/**
+ * Paid hours of a shift so far - an open shift counts until now (or the end of its closed business day),
+ * less the unpaid breaks it has punched
+ */
+export function getShiftPaidHours(shift: BrinkShift, now: Date, dayEnd?: Date): number {
+  const interval = getShiftInterval(shift, now, dayEnd);
+  return interval ? getPaidHoursBetween(interval, interval.start, interval.end) : 0;
+}
+
+/**
+ * Paid hours of a shift in each store-local hour it overlaps, in time order - an unpaid break only
+ * reduces the hours it falls in
+ */
+export function getShiftHourSegments(shift: BrinkShift, timezone: string, now: Date, dayEnd?: Date): ShiftHourSegment[] {
+  const interval = getShiftInterval(shift, now, dayEnd);
+  if (!interval) return [];
+
+  const segments: ShiftHourSegment[] = [];
+  let cursor = interval.start;
+  while (cursor < interval.end) {
+    const nextHour = getNextLocalHourStart(cursor, timezone);
+    const segmentEnd = nextHour < interval.end ? nextHour : interval.end;
+    const hours = getPaidHoursBetween(interval, cursor, segmentEnd);
+    if (hours > 0) {
+      segments.push({ localHour: getLocalHour(cursor, timezone), start: cursor, hours });
+    }
+    cursor = segmentEnd;
+  }
+  return segments;
+}
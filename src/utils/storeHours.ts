@@ -0,0 +1,137 @@
+/**
+ * Store operating hours for a business date
+ * Hourly dashboard buckets cover the hours the store is open that day; activity before opening is
+ * "prep" and after closing is "cleanup" so it still counts toward the day's totals
+ *
+ * Hours come from (first match wins):
+ * 1. store_configurations.daily_hours for the business date's day of week
+ * 2. opening_hour / closing_hour
+ * 3. DEFAULT_OPENING_HOUR / DEFAULT_CLOSING_HOUR
+ */
+
+import { DayOfWeek, StoreConfig } from '../services/storeConfigService';
+import { resolveBusinessDayStartHour } from './businessCalendar';
+
+export const DEFAULT_OPENING_HOUR = 10;
+export const DEFAULT_CLOSING_HOUR = 22;
+
+const DAYS_OF_WEEK: DayOfWeek[] = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export type HourBucketKind = 'prep' | 'operating' | 'cleanup';
+
+export interface StoreHoursWindow {
+  dayOfWeek: DayOfWeek;
+  open: string;                 // "HH:mm" local
+  close: string;                // "HH:mm" local
+  openMinutes: number;          // minutes after local midnight of the business date
+  closeMinutes: number;         // > 1440 when the store closes after midnight
+  businessDayStartHour: number; // local hours before this belong to the previous business day
+  source: 'daily_hours' | 'opening_hour' | 'default';
+}
+
+function parseTime(value: string): number | null {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+function formatTime(minutes: number): string {
+  const wrapped = minutes % (24 * 60);
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Day of week for a YYYY-MM-DD business date (calendar date, independent of the server timezone)
+ */
+export function getDayOfWeek(businessDate: string): DayOfWeek {
+  return DAYS_OF_WEEK[new Date(`${businessDate}T12:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Resolve a store's open/close window for a business date
+ */
+export function getStoreHoursForDate(
+  store: Pick<StoreConfig, 'dailyHours' | 'openingHour' | 'closingHour' | 'businessDayStartHour'> | null | undefined,
+  businessDate: string
+): StoreHoursWindow {
+  const businessDayStartHour = resolveBusinessDayStartHour(store?.businessDayStartHour);
+  const dayOfWeek = getDayOfWeek(businessDate);
+
+  let openMinutes: number | null = null;
+  let closeMinutes: number | null = null;
+  let source: StoreHoursWindow['source'] = 'default';
+
+  const dayHours = store?.dailyHours?.[dayOfWeek];
+  if (dayHours?.open && dayHours?.close) {
+    openMinutes = parseTime(dayHours.open);
+    closeMinutes = parseTime(dayHours.close);
+    source = 'daily_hours';
+  }
+
+  if (openMinutes === null || closeMinutes === null) {
+    if (store?.openingHour !== undefined && store?.closingHour !== undefined) {
+      openMinutes = store.openingHour * 60;
+      closeMinutes = store.closingHour * 60;
+      source = 'opening_hour';
+    } else {
+      openMinutes = DEFAULT_OPENING_HOUR * 60;
+      closeMinutes = DEFAULT_CLOSING_HOUR * 60;
+      source = 'default';
+    }
+  }
+
+  // A close at or before the open time is after midnight
+  if (closeMinutes <= openMinutes) {
+    closeMinutes += 24 * 60;
+  }
+
+  return {
+    dayOfWeek,
+    open: formatTime(openMinutes),
+    close: formatTime(closeMinutes),
+    openMinutes,
+    closeMinutes,
+    businessDayStartHour,
+    source
+  };
+}
+
+/**
+ * Position of a local hour within the business day - hours before the business day start
+ * (e.g. 01:00 cleanup after a late close) come after 23:00
+ */
+export function getBusinessHourPosition(localHour: number, window: StoreHoursWindow): number {
+  return localHour < window.businessDayStartHour ? localHour + 24 : localHour;
+}
+
+/**
+ * Whether a local hour is before opening, during operating hours or after closing
+ * An hour that is partly open (10:00 for a 10:30 open) counts as operating
+ */
+export function classifyLocalHour(localHour: number, window: StoreHoursWindow): HourBucketKind {
+  const position = getBusinessHourPosition(localHour, window);
+  if ((position + 1) * 60 <= window.openMinutes) {
+    return 'prep';
+  }
+  if (position * 60 >= window.closeMinutes) {
+    return 'cleanup';
+  }
+  return 'operating';
+}
+
+/**
+ * Local hours (0-23) with operating-hour buckets, in business-day order
+ */
+export function getOperatingHours(window: StoreHoursWindow): number[] {
+  const hours: number[] = [];
+  const first = Math.floor(window.openMinutes / 60);
+  const last = Math.ceil(window.closeMinutes / 60) - 1;
+  for (let position = first; position <= last; position++) {
+    hours.push(position % 24);
+  }
+  return hours;
+}
@@ -0,0 +1,145 @@
+/**
+ * Timezone helpers for store-local time
+ * Brink returns UTC instants; every hourly bucket and "current hour" check must use the store's IANA
+ * timezone (storeConfigService StoreConfig.timezone), never the server clock or a hard-coded zone
+ */
+
+/** Used only when a store has no timezone configured */
+export const DEFAULT_STORE_TIMEZONE = 'America/Denver';
+
+export interface LocalDateTimeParts {
+  year: number;
+  month: number;   // 1-12
+  day: number;
+  hour: number;    // 0-23
+  minute: number;
+  second: number;
+}
+
+// Intl.DateTimeFormat is expensive to construct; keep one per timezone
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function getFormatter(timezone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23' // hour12: false can report midnight as "24"
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+function toDate(value: Date | string | number): Date {
+  return value instanceof Date ? value : new Date(value);
+}
+
+/**
+ * Check that a timezone name is a valid IANA zone
+ */
+export function isValidTimezone(timezone?: string | null): boolean {
+  if (!timezone) {
+    return false;
+  }
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Store timezone, or the default when missing/invalid
+ */
+export function resolveTimezone(timezone?: string | null): string {
+  return timezone && isValidTimezone(timezone) ? timezone : DEFAULT_STORE_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of an instant in the given timezone
+ */
+export function getLocalDateTimeParts(value: Date | string | number, timezone: string): LocalDateTimeParts {
+  const parts: { [type: string]: number } = {};
+  getFormatter(timezone).formatToParts(toDate(value)).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Local hour (0-23) of an instant in the given timezone
+ */
+export function getLocalHour(value: Date | string | number, timezone: string): number {
+  return getLocalDateTimeParts(value, timezone).hour;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in the given timezone
+ */
+export function getLocalDate(value: Date | string | number, timezone: string): string {
+  const { year, month, day } = getLocalDateTimeParts(value, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Local date and time (YYYY-MM-DDTHH:mm:ss, no offset) of an instant in the given timezone
+ */
+export function getLocalDateTimeString(value: Date | string | number, timezone: string): string {
+  const { hour, minute, second } = getLocalDateTimeParts(value, timezone);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${getLocalDate(value, timezone)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+/**
+ * Current local hour (0-23) at the store
+ */
+export function getCurrentLocalHour(timezone: string, now: Date = new Date()): number {
+  return getLocalHour(now, timezone);
+}
+
+/**
+ * UTC offset in minutes at an instant (negative west of UTC, e.g. -360 for MDT)
+ */
+export function getUtcOffsetMinutes(value: Date | string | number, timezone: string): number {
+  const date = toDate(value);
+  const { year, month, day, hour, minute, second } = getLocalDateTimeParts(date, timezone);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((localAsUtc - instant) / 60000);
+}
+
+/**
+ * Start of the next local hour after an instant
+ * Works for half-hour offsets and across DST changes, unlike Date#setHours on the server clock
+ */
+export function getNextLocalHourStart(value: Date | string | number, timezone: string): Date {
+  const date = toDate(value);
+  const { minute, second } = getLocalDateTimeParts(date, timezone);
+  const elapsedMs = (minute * 60 + second) * 1000 + date.getMilliseconds();
+  return new Date(date.getTime() - elapsedMs + 60 * 60 * 1000);
+}
+
+/**
+ * Hour bucket key used by the dashboards ("09:00")
+ */
+export function formatHourKey(hour: number): string {
+  return `${hour.toString().padStart(2, '0')}:00`;
+}
@@ -0,0 +1,470 @@
+/**
+ * Dashboard data-validation rules
+ * Each rule checks one thing about the hourly sales/labor buckets and returns structured findings.
+ * Thresholds and penalties are rule parameters with built-in defaults; validation_rule_settings rows
+ * override them per scope (see validationRuleService), so a Colorado store can use Colorado's tipped
+ * minimum instead of the federal $2.13
+ *
+ * Additional rules can be added with registerValidationRule()
+ */
+
+export type ValidationRuleCategory = 'sales' | 'labor' | 'alignment' | 'businessLogic';
+
+export type ValidationSeverity = 'info' | 'warning' | 'critical';
+
+/**
+ * global: every store; tenant: stores of a tenant (brand); state: stores in a state; store: one store
+ * Settings are applied in that order, so the most specific scope wins
+ */
+export type ValidationRuleScope = 'global' | 'tenant' | 'state' | 'store';
+
+export const VALIDATION_RULE_SCOPES: ValidationRuleScope[] = ['global', 'tenant', 'state', 'store'];
+
+/** Numeric thresholds plus the quality-score penalty per warning/critical finding */
+export type ValidationRuleParameters = { penalty: number } & { [name: string]: number };
+
+export interface ValidationSalesHour {
+  hour: string;
+  sales: number;
+  guests: number;
+  orders: number;
+}
+
+export interface ValidationLaborHour {
+  hour: string;
+  laborCost: number;
+  hoursWorked: number;
+  employeesWorking: number;
+}
+
+/**
+ * What the rules see - a source that failed is null so rules depending on it are skipped, not run on zeros
+ */
+export interface ValidationInput {
+  sales: ValidationSalesHour[] | null;
+  labor: ValidationLaborHour[] | null;
+  clockedInEmployees: number | null;   // live count, only for an in-progress business day
+  currentHour: string | null;          // bucket key of the current hour on an in-progress day
+  isFutureHour(hour: string): boolean;
+  isFullyOpenHour(hour: string): boolean;
+}
+
+export type ValidationDependency = 'sales' | 'labor' | 'clockedIn';
+
+/** One problem (or observation) reported by a rule */
+export interface ValidationResult {
+  severity: ValidationSeverity;
+  message: string;
+  hour?: string;
+  value?: number;
+  threshold?: number;
+  action?: string;                     // recommended action shown on the dashboard
+}
+
+export interface ValidationFinding extends ValidationResult {
+  ruleId: string;
+  category: ValidationRuleCategory;
+  penalty: number;                     // quality-score points deducted (0 for info)
+}
+
+export interface ValidationRule<P extends ValidationRuleParameters = ValidationRuleParameters> {
+  id: string;
+  category: ValidationRuleCategory;
+  description: string;
+  requires: ValidationDependency[];
+  defaultParameters: P;
+  evaluate(input: ValidationInput, parameters: P): ValidationResult[];
+}
+
+/** A rule with its settings applied for one store */
+export interface ResolvedValidationRule {
+  rule: ValidationRule;
+  enabled: boolean;
+  parameters: ValidationRuleParameters;
+  overriddenBy: ValidationRuleScope[];
+}
+
+/** A stored override (validation_rule_settings row) */
+export interface ValidationRuleSetting {
+  id?: number;
+  scopeType: ValidationRuleScope;
+  scopeKey: string | null;             // null for global, tenant id, state abbreviation or store location id
+  ruleId: string;
+  enabled?: boolean | null;            // null keeps the inherited value
+  parameters?: { [name: string]: number } | null;
+  lastUpdated?: Date;
+  updatedBy?: string;
+}
+
+export interface ValidationRuleTarget {
+  tenantId?: string | null;
+  state?: string | null;
+  storeId?: string | null;
+}
+
+export interface ValidationReport {
+  findings: ValidationFinding[];
+  skipped: { ruleId: string; reason: string }[];
+}
+
+const registry = new Map<string, ValidationRule>();
+
+/**
+ * Add a rule to the registry (replaces a rule with the same id)
+ */
+export function registerValidationRule<P extends ValidationRuleParameters>(rule: ValidationRule<P>): void {
+  registry.set(rule.id, rule as unknown as ValidationRule);
+}
+
+export function getValidationRule(ruleId: string): ValidationRule | undefined {
+  return registry.get(ruleId);
+}
+
+export function getValidationRules(): ValidationRule[] {
+  return Array.from(registry.values());
+}
+
+const sum = <T>(rows: T[], value: (row: T) => number) => rows.reduce((total, row) => total + value(row), 0);
+
+registerValidationRule({
+  id: 'sales-without-labor',
+  category: 'alignment',
+  description: 'Hours the store is fully open with significant sales but no labor',
+  requires: ['sales', 'labor'],
+  defaultParameters: { minSales: 100, penalty: 5 },
+  evaluate: (input, { minSales }) => input.sales!
+    .filter(salesHour => !input.isFutureHour(salesHour.hour) && input.isFullyOpenHour(salesHour.hour) && salesHour.sales > minSales)
+    .filter(salesHour => (input.labor!.find(laborHour => laborHour.hour === salesHour.hour)?.hoursWorked || 0) === 0)
+    .map(salesHour => ({
+      severity: 'warning' as const,
+      hour: salesHour.hour,
+      value: salesHour.sales,
+      threshold: minSales,
+      message: `${salesHour.hour} has $${salesHour.sales.toFixed(2)} sales but no labor hours during operating hours`
+    }))
+});
+
+registerValidationRule({
+  id: 'future-sales-data',
+  category: 'sales',
+  description: 'Sales in hours that have not happened yet',
+  requires: ['sales'],
+  defaultParameters: { penalty: 10 },
+  evaluate: input => input.sales!
+    .filter(hour => input.isFutureHour(hour.hour) && hour.sales > 0)
+    .map(hour => ({
+      severity: 'critical' as const,
+      hour: hour.hour,
+      value: hour.sales,
+      message: `${hour.hour} contains $${hour.sales.toFixed(2)} but is future time`
+    }))
+});
+
+registerValidationRule({
+  id: 'future-labor-data',
+  category: 'labor',
+  description: 'Labor in hours that have not happened yet - labor cannot exist in the future',
+  requires: ['labor'],
+  defaultParameters: { penalty: 10 },
+  evaluate: input => input.labor!
+    .filter(hour => input.isFutureHour(hour.hour) && (hour.laborCost > 0 || hour.hoursWorked > 0 || hour.employeesWorking > 0))
+    .map(hour => ({
+      severity: 'critical' as const,
+      hour: hour.hour,
+      value: hour.hoursWorked,
+      message: `${hour.hour} has ${hour.hoursWorked.toFixed(2)} labor hours ($${hour.laborCost.toFixed(2)}) in the future`,
+      action: 'Remove future labor entries - this should never happen'
+    }))
+});
+
+registerValidationRule({
+  id: 'labor-percentage-range',
+  category: 'businessLogic',
+  description: 'Day labor cost as a percentage of sales',
+  requires: ['sales', 'labor'],
+  defaultParameters: { maxPercentage: 40, minPercentage: 15, minSalesForMinimum: 500, penalty: 3 },
+  evaluate: (input, { maxPercentage, minPercentage, minSalesForMinimum }) => {
+    const totalSales = sum(input.sales!, hour => hour.sales);
+    if (totalSales <= 0) {
+      return [];
+    }
+    const laborPercentage = (sum(input.labor!, hour => hour.laborCost) / totalSales) * 100;
+    if (laborPercentage > maxPercentage) {
+      return [{
+        severity: 'warning',
+        value: laborPercentage,
+        threshold: maxPercentage,
+        message: `Labor ${laborPercentage.toFixed(1)}% exceeds ${maxPercentage}%`,
+        action: 'Review labor scheduling and efficiency'
+      }];
+    }
+    if (laborPercentage < minPercentage && totalSales > minSalesForMinimum) {
+      // Low labor % is often salaried staff missing from labor cost
+      return [{
+        severity: 'warning',
+        value: laborPercentage,
+        threshold: minPercentage,
+        message: `Labor ${laborPercentage.toFixed(1)}% is below ${minPercentage}% (may exclude salaried staff)`,
+        action: 'Verify labor data completeness - check if salaried staff are included'
+      }];
+    }
+    return [];
+  }
+});
+
+registerValidationRule({
+  id: 'average-order-value',
+  category: 'businessLogic',
+  description: 'Day average order value',
+  requires: ['sales'],
+  defaultParameters: { minValue: 8, maxValue: 50, minOrders: 10, penalty: 3 },
+  evaluate: (input, { minValue, maxValue, minOrders }) => {
+    const totalOrders = sum(input.sales!, hour => hour.orders);
+    if (totalOrders === 0) {
+      return [];
+    }
+    const averageOrderValue = sum(input.sales!, hour => hour.sales) / totalOrders;
+    if (averageOrderValue > maxValue) {
+      return [{
+        severity: 'info',
+        value: averageOrderValue,
+        threshold: maxValue,
+        message: `Average order value $${averageOrderValue.toFixed(2)} is above $${maxValue} (catering/large orders?)`
+      }];
+    }
+    if (averageOrderValue < minValue && totalOrders > minOrders) {
+      return [{
+        severity: 'warning',
+        value: averageOrderValue,
+        threshold: minValue,
+        message: `Average order value $${averageOrderValue.toFixed(2)} is below $${minValue}`,
+        action: 'Review pricing strategy or order composition'
+      }];
+    }
+    return [];
+  }
+});
+
+registerValidationRule({
+  id: 'min-active-sales-hours',
+  category: 'sales',
+  description: 'Minimum number of hours with sales',
+  requires: ['sales'],
+  defaultParameters: { minHours: 8, penalty: 15 },
+  evaluate: (input, { minHours }) => {
+    const activeHours = input.sales!.filter(hour => hour.sales > 0).length;
+    return activeHours < minHours
+      ? [{ severity: 'warning', value: activeHours, threshold: minHours, message: `Only ${activeHours} hours with sales activity` }]
+      : [];
+  }
+});
+
+registerValidationRule({
+  id: 'min-active-labor-hours',
+  category: 'labor',
+  description: 'Minimum number of hours with labor',
+  requires: ['labor'],
+  defaultParameters: { minHours: 6, penalty: 20 },
+  evaluate: (input, { minHours }) => {
+    const activeHours = input.labor!.filter(hour => hour.hoursWorked > 0).length;
+    return activeHours < minHours
+      ? [{ severity: 'warning', value: activeHours, threshold: minHours, message: `Only ${activeHours} hours with labor activity` }]
+      : [];
+  }
+});
+
+registerValidationRule({
+  id: 'clocked-in-headcount',
+  category: 'labor',
+  description: "The current hour's headcount includes every clocked-in employee",
+  requires: ['labor', 'clockedIn'],
+  defaultParameters: { penalty: 8 },
+  evaluate: input => {
+    const currentHour = input.labor!.find(hour => hour.hour === input.currentHour);
+    if (!currentHour || input.clockedInEmployees === null || currentHour.employeesWorking >= input.clockedInEmployees) {
+      return [];
+    }
+    return [{
+      severity: 'warning',
+      hour: currentHour.hour,
+      value: currentHour.employeesWorking,
+      threshold: input.clockedInEmployees,
+      message: `${currentHour.hour} reports ${currentHour.employeesWorking} employees but ${input.clockedInEmployees} are clocked in`,
+      action: 'Review employee clocking procedures - open shifts missing from hourly labor'
+    }];
+  }
+});
+
+registerValidationRule({
+  id: 'hourly-wage-range',
+  category: 'labor',
+  description: 'Average hourly wage per hour bucket (minWage is the tipped minimum for the store)',
+  requires: ['labor'],
+  defaultParameters: { minWage: 2.13, maxWage: 40, minHoursWorked: 0.25, penalty: 2 },
+  evaluate: (input, { minWage, maxWage, minHoursWorked }) => input.labor!
+    .filter(hour => hour.hoursWorked >= minHoursWorked && hour.laborCost > 0)
+    .map(hour => ({ hour, wage: hour.laborCost / hour.hoursWorked }))
+    .filter(({ wage }) => wage < minWage || wage > maxWage)
+    .map(({ hour, wage }) => ({
+      severity: 'warning' as const,
+      hour: hour.hour,
+      value: wage,
+      threshold: wage < minWage ? minWage : maxWage,
+      message: wage < minWage
+        ? `${hour.hour} average wage $${wage.toFixed(2)}/hour is below the minimum $${minWage.toFixed(2)}`
+        : `${hour.hour} average wage $${wage.toFixed(2)}/hour is above $${maxWage.toFixed(2)} (executive/owner rate?)`
+    }))
+});
+
+registerValidationRule({
+  id: 'hourly-labor-outliers',
+  category: 'labor',
+  description: 'Labor hours, headcount or cost too high for a single hour',
+  requires: ['labor'],
+  defaultParameters: { maxHoursWorked: 50, maxEmployees: 20, maxLaborCost: 1000, penalty: 2 },
+  evaluate: (input, { maxHoursWorked, maxEmployees, maxLaborCost }) => {
+    const results: ValidationResult[] = [];
+    input.labor!.forEach(hour => {
+      if (hour.hoursWorked > maxHoursWorked) {
+        results.push({ severity: 'warning', hour: hour.hour, value: hour.hoursWorked, threshold: maxHoursWorked, message: `${hour.hour} has ${hour.hoursWorked.toFixed(2)} hours worked` });
+      }
+      if (hour.employeesWorking > maxEmployees) {
+        results.push({ severity: 'warning', hour: hour.hour, value: hour.employeesWorking, threshold: maxEmployees, message: `${hour.hour} has ${hour.employeesWorking} employees` });
+      }
+      if (hour.laborCost > maxLaborCost) {
+        results.push({ severity: 'warning', hour: hour.hour, value: hour.laborCost, threshold: maxLaborCost, message: `${hour.hour} labor cost $${hour.laborCost.toFixed(2)} seems high for a single hour` });
+      }
+    });
+    return results;
+  }
+});
+
+/**
+ * Apply stored settings to the registry for one store - global, then tenant, then state, then store
+ */
+export function resolveValidationRules(settings: ValidationRuleSetting[], target: ValidationRuleTarget = {}): ResolvedValidationRule[] {
+  const scopeKeys: { [scope in ValidationRuleScope]: string | null } = {
+    global: null,
+    tenant: target.tenantId?.toLowerCase() || null,
+    state: target.state?.toUpperCase() || null,
+    store: target.storeId || null
+  };
+  const applies = (setting: ValidationRuleSetting) => setting.scopeType === 'global'
+    || (scopeKeys[setting.scopeType] !== null && normalizeScopeKey(setting.scopeType, setting.scopeKey) === scopeKeys[setting.scopeType]);
+
+  return getValidationRules().map(rule => {
+    const resolved: ResolvedValidationRule = { rule, enabled: true, parameters: { ...rule.defaultParameters }, overriddenBy: [] };
+
+    VALIDATION_RULE_SCOPES.forEach(scope => {
+      settings
+        .filter(setting => setting.ruleId === rule.id && setting.scopeType === scope && applies(setting))
+        .forEach(setting => {
+          if (setting.enabled !== undefined && setting.enabled !== null) {
+            resolved.enabled = setting.enabled;
+          }
+          Object.entries(setting.parameters || {}).forEach(([name, value]) => {
+            // Parameters a rule no longer has are ignored rather than failing the dashboard
+            if (name in rule.defaultParameters && typeof value === 'number' && Number.isFinite(value)) {
+              resolved.parameters[name] = value;
+            }
+          });
+          resolved.overriddenBy.push(scope);
+        });
+    });
+
+    return resolved;
+  });
+}
+
+/**
+ * Built-in defaults only (no stored settings)
+ */
+export function getDefaultValidationRules(): ResolvedValidationRule[] {
+  return resolveValidationRules([]);
+}
+
+/**
+ * Run the enabled rules - a rule whose source is unavailable is reported as skipped
+ */
+export function evaluateValidationRules(rules: ResolvedValidationRule[], input: ValidationInput): ValidationReport {
+  const report: ValidationReport = { findings: [], skipped: [] };
+  const available: { [dependency in ValidationDependency]: boolean } = {
+    sales: input.sales !== null,
+    labor: input.labor !== null,
+    clockedIn: input.clockedInEmployees !== null
+  };
+
+  rules.forEach(({ rule, enabled, parameters }) => {
+    if (!enabled) {
+      report.skipped.push({ ruleId: rule.id, reason: 'disabled' });
+      return;
+    }
+    const missing = rule.requires.filter(dependency => !available[dependency]);
+    if (missing.length > 0) {
+      report.skipped.push({ ruleId: rule.id, reason: `${missing.join(', ')} unavailable` });
+      return;
+    }
+
+    try {
+      rule.evaluate(input, parameters).forEach(result => {
+        report.findings.push({
+          ...result,
+          ruleId: rule.id,
+          category: rule.category,
+          penalty: result.severity === 'info' ? 0 : parameters.penalty
+        });
+      });
+    } catch (error) {
+      // A broken custom rule must not take the dashboard down
+      report.skipped.push({ ruleId: rule.id, reason: `rule failed: ${error instanceof Error ? error.message : String(error)}` });
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Canonical scope key - tenant ids are compared case-insensitively, states upper-case
+ */
+export function normalizeScopeKey(scopeType: ValidationRuleScope, scopeKey: string | null | undefined): string | null {
+  if (scopeType === 'global' || !scopeKey) {
+    return null;
+  }
+  const trimmed = scopeKey.trim();
+  return scopeType === 'tenant' ? trimmed.toLowerCase() : scopeType === 'state' ? trimmed.toUpperCase() : trimmed;
+}
+
+/**
+ * Check a setting before it is stored - returns the problems found (empty when valid)
+ */
+export function validateRuleSetting(setting: ValidationRuleSetting): string[] {
+  const errors: string[] = [];
+  if (!VALIDATION_RULE_SCOPES.includes(setting.scopeType)) {
+    errors.push(`scopeType must be one of ${VALIDATION_RULE_SCOPES.join(', ')}`);
+  }
+  if (setting.scopeType !== 'global' && !setting.scopeKey) {
+    errors.push(`scopeKey is required for ${setting.scopeType} settings`);
+  }
+  if (setting.scopeType === 'state' && setting.scopeKey && !/^[A-Za-z]{2}$/.test(setting.scopeKey.trim())) {
+    errors.push('scopeKey for state settings must be a two-letter state abbreviation');
+  }
+
+  const rule = getValidationRule(setting.ruleId);
+  if (!rule) {
+    errors.push(`Unknown rule: ${setting.ruleId}`);
+    return errors;
+  }
+  if (setting.enabled !== undefined && setting.enabled !== null && typeof setting.enabled !== 'boolean') {
+    errors.push('enabled must be true, false or null');
+  }
+  Object.entries(setting.parameters || {}).forEach(([name, value]) => {
+    if (!(name in rule.defaultParameters)) {
+      errors.push(`Unknown parameter for ${rule.id}: ${name} (expected ${Object.keys(rule.defaultParameters).join(', ')})`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`Parameter ${name} must be a number`);
+    } else if (name === 'penalty' && (value < 0 || value > 100)) {
+      errors.push('penalty must be between 0 and 100');
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,160 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { BrinkApiClient, BrinkApiError, createBrinkClientForLocation } from '../src/services/BrinkApiClient';
+import { BrinkStubServer, describeBrinkRequest, scrubBrinkResponse, startBrinkStubServer } from '../src/dev/brinkStubServer';
+
+const BUSINESS_DATE = '2026-03-14';
+const ACCESS_TOKEN = 'stub-access-token-0001';
+const LOCATION_TOKEN = 'stub-location-token-0001';
+const silent = () => undefined;
+
+describe('PAR Brink stub server (replay)', () => {
+  let stub: BrinkStubServer;
+  let client: BrinkApiClient;
+  const originalBaseUrl = process.env.PAR_BRINK_BASE_URL;
+
+  beforeAll(async () => {
+    stub = await startBrinkStubServer({ port: 0, log: silent });
+    process.env.PAR_BRINK_BASE_URL = stub.url;
+    // No store lookup while PAR_BRINK_BASE_URL is set - every call goes to the stub
+    client = await createBrinkClientForLocation({ accessToken: ACCESS_TOKEN, locationToken: LOCATION_TOKEN, policy: { maxRetries: 0 } });
+  });
+
+  afterAll(async () => {
+    if (originalBaseUrl === undefined) {
+      delete process.env.PAR_BRINK_BASE_URL;
+    } else {
+      process.env.PAR_BRINK_BASE_URL = originalBaseUrl;
+    }
+    await stub.close();
+  });
+
+  it('serves GetOrders with the requested business date', async () => {
+    const orders = await client.getOrders(BUSINESS_DATE);
+    expect(orders.length).toBeGreaterThan(0);
+    orders.forEach(order => expect(order.businessDate).toBe(`${BUSINESS_DATE}T00:00:00`));
+    expect(orders[0]).toMatchObject({ id: '900001', number: '101', total: 24.85 });
+  });
+
+  it('serves GetShifts, including an open shift', async () => {
+    const shifts = await client.getShifts(BUSINESS_DATE);
+    expect(shifts.map(shift => shift.employeeId)).toEqual(['5001', '5002']);
+    expect(shifts[0].startTime).toBe(`${BUSINESS_DATE}T15:30:00Z`);
+    expect(shifts[1].endTime).toBeNull();
+  });
+
+  it('serves GetTills', async () => {
+    const tills = await client.getTills(BUSINESS_DATE);
+    expect(tills).toEqual([expect.objectContaining({ id: '1', isClosed: true })]);
+  });
+
+  it('serves the settings operations', async () => {
+    const [employees, tenders, destinations, jobs] = await Promise.all([
+      client.getEmployees(),
+      client.getTenders(),
+      client.getDestinations(),
+      client.getJobs()
+    ]);
+    expect(employees.length).toBeGreaterThan(0);
+    expect(tenders.length).toBeGreaterThan(0);
+    expect(destinations.length).toBeGreaterThan(0);
+    expect(jobs.length).toBeGreaterThan(0);
+  });
+
+  it('returns the raw response XML from invoke', async () => {
+    const xml = await client.invoke('sales', 'GetOrders', `<v2:BusinessDate>${BUSINESS_DATE}T00:00:00</v2:BusinessDate>`);
+    expect(xml).toContain('GetOrdersResult');
+    expect(xml).not.toContain('{{BusinessDate}}');
+  });
+
+  it('reports an operation without a fixture as a Brink error', async () => {
+    await expect(client.invoke('sales', 'GetNoSuchOperation')).rejects.toBeInstanceOf(BrinkApiError);
+  });
+});
+
+describe('PAR Brink stub server (fixtures and recording)', () => {
+  let tempDir: string;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brink-stub-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('verifies credentials with one call and remembers them', async () => {
+    const served: string[] = [];
+    const stub = await startBrinkStubServer({ port: 0, log: message => served.push(message) });
+    try {
+      const client = new BrinkApiClient({ accessToken: 'verify-access-token', locationToken: LOCATION_TOKEN, baseUrl: stub.url, policy: { maxRetries: 0 } });
+      await client.verifyCredentials();
+      await client.verifyCredentials();
+      expect(served.filter(message => message.includes('settings/GetDestinations'))).toHaveLength(1);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('prefers a fixture for the requested business date', async () => {
+    const source = path.join(__dirname, '..', 'fixtures', 'brink', 'labor', 'GetShifts.xml');
+    fs.mkdirSync(path.join(tempDir, 'labor'));
+    fs.copyFileSync(source, path.join(tempDir, 'labor', 'GetShifts.xml'));
+    const datedXml = fs.readFileSync(source, 'utf8').replace('<a:EmployeeId>5001</a:EmployeeId>', '<a:EmployeeId>6001</a:EmployeeId>');
+    fs.writeFileSync(path.join(tempDir, 'labor', `GetShifts.${BUSINESS_DATE}.xml`), datedXml);
+
+    const stub = await startBrinkStubServer({ port: 0, fixturesDir: tempDir, log: silent });
+    try {
+      const client = new BrinkApiClient({ accessToken: ACCESS_TOKEN, locationToken: LOCATION_TOKEN, baseUrl: stub.url, policy: { maxRetries: 0 } });
+      expect((await client.getShifts(BUSINESS_DATE)).map(shift => shift.employeeId)).toEqual(['6001', '5002']);
+      expect((await client.getShifts('2026-03-15')).map(shift => shift.employeeId)).toEqual(['5001', '5002']);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  it('records upstream responses with tokens and personal data scrubbed', async () => {
+    const upstream = await startBrinkStubServer({ port: 0, log: silent });
+    const recorder = await startBrinkStubServer({ port: 0, mode: 'record', fixturesDir: tempDir, upstreamBaseUrl: upstream.url, log: silent });
+    try {
+      const client = new BrinkApiClient({ accessToken: ACCESS_TOKEN, locationToken: LOCATION_TOKEN, baseUrl: recorder.url, policy: { maxRetries: 0 } });
+      const employees = await client.getEmployees();
+      expect(employees.length).toBeGreaterThan(0);
+
+      const recorded = fs.readFileSync(path.join(tempDir, 'settings', 'GetEmployees.xml'), 'utf8');
+      expect(recorded).not.toContain(ACCESS_TOKEN);
+      expect(recorded).not.toContain(LOCATION_TOKEN);
+      employees.filter(employee => employee.lastName).forEach(employee => expect(recorded).not.toContain(`>${employee.lastName}<`));
+    } finally {
+      await recorder.close();
+      await upstream.close();
+    }
+  });
+});
+
+describe('scrubBrinkResponse', () => {
+  it('replaces personal data and tokens but keeps item and job names', () => {
+    const xml = '<s:Envelope><s:Body><a:Order><a:Name>Jane Doe</a:Name><a:Items><a:OrderItem><a:Name>Burrito</a:Name></a:OrderItem></a:Items>' +
+      '</a:Order><a:Employee><a:FirstName>Jane</a:FirstName><a:SocialSecurityNumber>123-45-6789</a:SocialSecurityNumber></a:Employee>' +
+      '<a:Note>secret-location-token</a:Note></s:Body></s:Envelope>';
+    const scrubbed = scrubBrinkResponse(xml, ['secret-location-token']);
+    expect(scrubbed).not.toContain('Jane');
+    expect(scrubbed).not.toContain('123-45-6789');
+    expect(scrubbed).not.toContain('secret-location-token');
+    expect(scrubbed).toContain('<a:Name>Burrito</a:Name>');
+    expect(scrubbed).toContain('SCRUBBED-TOKEN');
+  });
+});
+
+describe('describeBrinkRequest', () => {
+  it('reads service, operation and business date', () => {
+    const body = `<soapenv:Envelope><soapenv:Body><v2:GetOrders><v2:request><v2:BusinessDate>${BUSINESS_DATE}T00:00:00</v2:BusinessDate></v2:request></v2:GetOrders></soapenv:Body></soapenv:Envelope>`;
+    expect(describeBrinkRequest('/sales2.svc', undefined, body)).toEqual({ service: 'sales', operation: 'GetOrders', businessDate: BUSINESS_DATE });
+    expect(describeBrinkRequest('/Settings2.svc', '"http://www.brinksoftware.com/webservices/settings/v2/ISettingsWebService2/GetJobs"', '')).toEqual({
+      service: 'settings',
+      operation: 'GetJobs',
+      businessDate: undefined
+    });
+  });
+});
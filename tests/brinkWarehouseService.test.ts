@@ -0,0 +1,48 @@
+import { BrinkApiClient, BrinkApiError } from '../src/services/BrinkApiClient';
+import { brinkWarehouseService, WarehouseStore } from '../src/services/brinkWarehouseService';
+import { BrinkOrder } from '../src/models/brink';
+
+const STORE: WarehouseStore = { id: 'store-1', name: 'Test Store', timezone: 'America/Denver', businessDayStartHour: 5 };
+const CLOSED_DATE = '2026-03-14';
+const STORED_ORDERS = [{ id: '900001', number: '101', total: 24.85 }] as BrinkOrder[];
+
+function fakeClient(verify: () => Promise<void>) {
+  const client = { verifyCredentials: jest.fn(verify), getOrders: jest.fn(async () => []) };
+  return client as typeof client & BrinkApiClient;
+}
+
+describe('brinkWarehouseService closed-day reads', () => {
+  let storedOrders: jest.SpyInstance;
+
+  beforeEach(() => {
+    storedOrders = jest.spyOn(brinkWarehouseService, 'getStoredOrders').mockResolvedValue(STORED_ORDERS);
+  });
+
+  afterEach(() => {
+    storedOrders.mockRestore();
+  });
+
+  it('returns stored rows once Brink accepts the caller\'s tokens', async () => {
+    const client = fakeClient(async () => undefined);
+    await expect(brinkWarehouseService.getOrders(STORE, CLOSED_DATE, client)).resolves.toEqual(STORED_ORDERS);
+    expect(client.verifyCredentials).toHaveBeenCalledTimes(1);
+    expect(client.getOrders).not.toHaveBeenCalled();
+  });
+
+  it('does not serve stored rows to a caller Brink rejects', async () => {
+    const client = fakeClient(async () => {
+      throw new BrinkApiError('PAR Brink GetDestinations authentication failed (HTTP 401)', 'UNAUTHORIZED', 401, 'auth');
+    });
+    await expect(brinkWarehouseService.getOrders(STORE, CLOSED_DATE, client)).rejects.toMatchObject({ code: 'UNAUTHORIZED', statusCode: 401 });
+    expect(client.getOrders).not.toHaveBeenCalled();
+  });
+
+  it('goes to Brink (which checks the tokens itself) for a day that is not loaded', async () => {
+    storedOrders.mockResolvedValue(null);
+    const client = fakeClient(async () => undefined);
+    jest.spyOn(brinkWarehouseService, 'saveOrders').mockResolvedValueOnce(undefined);
+    await brinkWarehouseService.getOrders(STORE, CLOSED_DATE, client);
+    expect(client.getOrders).toHaveBeenCalledWith(CLOSED_DATE);
+    expect(client.verifyCredentials).not.toHaveBeenCalled();
+  });
+});
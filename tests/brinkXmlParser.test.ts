@@ -0,0 +1,192 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  GetDestinationsResultSchema,
+  GetEmployeesResultSchema,
+  GetJobsResultSchema,
+  GetOrdersResultSchema,
+  GetShiftsResultSchema,
+  GetTendersResultSchema,
+  GetTillsResultSchema
+} from '../src/models/brink';
+import { BrinkXmlParseError, getOperationResult, getSoapFault, parseSoapBody, validateBrinkResult } from '../src/services/BrinkXmlParser';
+
+const BUSINESS_DATE = '2026-03-14';
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'brink');
+
+function readFixture(service: string, operation: string): string {
+  return fs.readFileSync(path.join(FIXTURES_DIR, service, `${operation}.xml`), 'utf8').split('{{BusinessDate}}').join(BUSINESS_DATE);
+}
+
+function parseResult<T extends Parameters<typeof validateBrinkResult>[0]>(xml: string, operation: string, schema: T) {
+  return validateBrinkResult(schema, getOperationResult(parseSoapBody(xml), operation), operation);
+}
+
+function parseFixture<T extends Parameters<typeof validateBrinkResult>[0]>(service: string, operation: string, schema: T) {
+  return parseResult(readFixture(service, operation), operation, schema);
+}
+
+function envelope(operation: string, resultXml: string, prefix = 'a'): string {
+  return `<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>` +
+    `<${operation}Response xmlns="http://www.brinksoftware.com/webservices/sales/v2">` +
+    `<${operation}Result xmlns:${prefix}="http://www.brinksoftware.com/webservices/sales/v2" xmlns:i="http://www.w3.org/2001/XMLSchema-instance">` +
+    resultXml.split('a:').join(`${prefix}:`) +
+    `</${operation}Result></${operation}Response></s:Body></s:Envelope>`;
+}
+
+describe('Brink fixtures', () => {
+  const fixtures: [string, string, Parameters<typeof validateBrinkResult>[0]][] = [
+    ['sales', 'GetOrders', GetOrdersResultSchema],
+    ['sales', 'GetTills', GetTillsResultSchema],
+    ['labor', 'GetShifts', GetShiftsResultSchema],
+    ['settings', 'GetEmployees', GetEmployeesResultSchema],
+    ['settings', 'GetTenders', GetTendersResultSchema],
+    ['settings', 'GetDestinations', GetDestinationsResultSchema],
+    ['settings', 'GetJobs', GetJobsResultSchema]
+  ];
+
+  it('has a schema for every fixture file', () => {
+    const files = ['sales', 'labor', 'settings'].flatMap(service =>
+      fs.readdirSync(path.join(FIXTURES_DIR, service))
+        .filter(file => file.endsWith('.xml'))
+        .map(file => `${service}/${file.split('.')[0]}`));
+    expect(files.sort()).toEqual(fixtures.map(([service, operation]) => `${service}/${operation}`).sort());
+  });
+
+  it.each(fixtures)('%s/%s validates with ResultCode 0 and a nil Message', (service, operation, schema) => {
+    const result = parseFixture(service, operation, schema) as { ResultCode?: number; Message?: string };
+    expect(result.ResultCode).toBe(0);
+    expect(result.Message).toBeUndefined();
+  });
+});
+
+describe('GetOrders', () => {
+  const { Orders } = parseFixture('sales', 'GetOrders', GetOrdersResultSchema);
+
+  it('reads order-level values, not the first nested Id', () => {
+    const order = Orders[0];
+    expect(order.id).toBe('900001');
+    expect(order.number).toBe('101');
+    expect(order.total).toBe(24.85);
+    expect(order.guestCount).toBe(2);
+    expect(order.destinationId).toBe(1);
+    expect(order.businessDate).toBe(`${BUSINESS_DATE}T00:00:00`);
+    expect(order.firstSendTime).toBe(`${BUSINESS_DATE}T17:12:44Z`);
+  });
+
+  it('keeps repeated and single children as arrays', () => {
+    const [first, second] = Orders;
+    expect(first.items.map(item => item.id)).toEqual(['920001', '920002']);
+    expect(first.items[0].modifiers.map(modifier => modifier.name)).toEqual(['Guacamole']);
+    expect(first.items[1].modifiers).toEqual([]);
+    expect(first.payments).toHaveLength(1);
+    expect(first.payments[0]).toMatchObject({ id: '910001', amount: 24.85, tenderId: 1, tipAmount: 3 });
+    expect(second.items[0].modifiers.map(modifier => modifier.name)).toEqual(['Queso', 'Guacamole']);
+    expect(second.discounts).toEqual([expect.objectContaining({ id: '940001', amount: 2, isComp: false })]);
+  });
+
+  it('decodes entities in text values', () => {
+    expect(Orders[1].items[1].name).toBe('Chips & Salsa');
+  });
+});
+
+describe('GetShifts', () => {
+  const { Shifts } = parseFixture('labor', 'GetShifts', GetShiftsResultSchema);
+
+  it('reads closed shifts with their breaks', () => {
+    const shift = Shifts[0];
+    expect(shift).toMatchObject({
+      id: '700001',
+      employeeId: '5001',
+      jobId: '1',
+      startTime: `${BUSINESS_DATE}T15:30:00Z`,
+      endTime: `${BUSINESS_DATE}T23:30:00Z`,
+      minutesWorked: 450,
+      payRate: 16.5
+    });
+    expect(shift.breaks.map(shiftBreak => [shiftBreak.isPaid, shiftBreak.minutes])).toEqual([[true, 10], [false, 30]]);
+  });
+
+  it('turns the 0001-01-01 end time of an open shift into null', () => {
+    expect(Shifts[1].endTime).toBeNull();
+    expect(Shifts[1].breaks).toEqual([]);
+  });
+});
+
+describe('GetEmployees', () => {
+  it('turns the 0001-01-01 termination date into undefined', () => {
+    const { Employees } = parseFixture('settings', 'GetEmployees', GetEmployeesResultSchema);
+    expect(Employees.length).toBeGreaterThan(0);
+    Employees.forEach(employee => expect(employee.terminationDate).toBeUndefined());
+  });
+});
+
+describe('GetTills', () => {
+  it('reads a single till as a one-element array with its paid-ins/outs', () => {
+    const { Tills } = parseFixture('sales', 'GetTills', GetTillsResultSchema);
+    expect(Tills).toHaveLength(1);
+    expect(Tills[0]).toMatchObject({ id: '1', isClosed: true, startingBank: 150, declaredCash: 212.4, overShort: -0.35 });
+    expect(Tills[0].paidInOuts.map(pio => pio.amount)).toEqual([15, 8.5]);
+  });
+
+  it('accepts lower-case till elements', () => {
+    const xml = envelope('GetTills', '<a:ResultCode>0</a:ResultCode><a:Tills><a:till><a:CashDrawerId>7</a:CashDrawerId><a:IsClosed>false</a:IsClosed></a:till></a:Tills>');
+    expect(parseResult(xml, 'GetTills', GetTillsResultSchema).Tills).toEqual([expect.objectContaining({ id: '7', isClosed: false })]);
+  });
+});
+
+describe('namespace prefixes', () => {
+  it('parses the GetOrders fixture the same with a different prefix', () => {
+    const xml = readFixture('sales', 'GetOrders');
+    const renamed = xml.replace(/xmlns:a=/g, 'xmlns:x=').replace(/<(\/?)a:/g, '<$1x:');
+    expect(renamed).not.toContain('<a:');
+    expect(parseResult(renamed, 'GetOrders', GetOrdersResultSchema)).toEqual(parseResult(xml, 'GetOrders', GetOrdersResultSchema));
+  });
+
+  it('parses elements without any prefix', () => {
+    const xml = envelope('GetOrders', '<a:ResultCode>0</a:ResultCode><a:Orders><a:Order><a:Id>1</a:Id><a:Number>5</a:Number><a:Total>9.50</a:Total></a:Order></a:Orders>')
+      .replace(/<(\/?)a:/g, '<$1');
+    expect(parseResult(xml, 'GetOrders', GetOrdersResultSchema).Orders).toEqual([expect.objectContaining({ id: '1', number: '5', total: 9.5 })]);
+  });
+});
+
+describe('nil and empty values', () => {
+  it('treats i:nil elements and empty containers as missing', () => {
+    const xml = envelope('GetOrders',
+      '<a:Message i:nil="true"/><a:ResultCode>0</a:ResultCode><a:Orders><a:Order>' +
+      '<a:Id>1</a:Id><a:Number>5</a:Number><a:Total>9.50</a:Total><a:GuestCount i:nil="true"/><a:DestinationId i:nil="true"/>' +
+      '<a:FirstSendTime i:nil="true"/><a:Items/><a:Payments i:nil="true"/></a:Order></a:Orders>');
+    const [order] = parseResult(xml, 'GetOrders', GetOrdersResultSchema).Orders;
+    expect(order.guestCount).toBeNull();
+    expect(order.destinationId).toBeNull();
+    expect(order.firstSendTime).toBeNull();
+    expect(order.items).toEqual([]);
+    expect(order.payments).toEqual([]);
+  });
+
+  it('returns no orders for an empty or nil Orders element', () => {
+    expect(parseResult(envelope('GetOrders', '<a:ResultCode>0</a:ResultCode><a:Orders/>'), 'GetOrders', GetOrdersResultSchema).Orders).toEqual([]);
+    expect(parseResult(envelope('GetOrders', '<a:ResultCode>0</a:ResultCode><a:Orders i:nil="true"/>'), 'GetOrders', GetOrdersResultSchema).Orders).toEqual([]);
+  });
+});
+
+describe('errors', () => {
+  it('rejects a non-numeric value', () => {
+    const xml = envelope('GetOrders', '<a:ResultCode>0</a:ResultCode><a:Orders><a:Order><a:Id>1</a:Id><a:Total>lots</a:Total></a:Order></a:Orders>');
+    expect(() => parseResult(xml, 'GetOrders', GetOrdersResultSchema)).toThrow(BrinkXmlParseError);
+  });
+
+  it('rejects a response that is not a SOAP envelope', () => {
+    expect(() => parseSoapBody('<html><body>Service Unavailable</body></html>')).toThrow('not a SOAP envelope');
+  });
+
+  it('rejects a response without the operation result', () => {
+    expect(() => getOperationResult(parseSoapBody(envelope('GetTills', '')), 'GetOrders')).toThrow('no GetOrdersResult element');
+  });
+
+  it('reads SOAP faults', () => {
+    const body = parseSoapBody('<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body><s:Fault>' +
+      '<faultcode>s:Client</faultcode><faultstring xml:lang="en-US">Invalid token</faultstring></s:Fault></s:Body></s:Envelope>');
+    expect(getSoapFault(body)).toEqual({ faultCode: 's:Client', faultString: 'Invalid token' });
+  });
+});
@@ -0,0 +1,183 @@
+import {
+  addDays,
+  DEFAULT_BUSINESS_DAY_START_HOUR,
+  getBusinessCalendar,
+  getBusinessDate,
+  getBusinessDayStatus,
+  getBusinessDayWindow,
+  getWeekStart,
+  localDateTimeToUtc,
+  resolveBusinessDayStartHour
+} from '../src/utils/businessCalendar';
+
+// 2026 US DST changes: clocks spring forward at 02:00 on 2026-03-08 and fall back at 02:00 on 2026-11-01
+const DENVER = 'America/Denver';
+const PHOENIX = 'America/Phoenix';
+const LOS_ANGELES = 'America/Los_Angeles';
+
+describe('getBusinessDayWindow', () => {
+  it('is 24 hours on an ordinary day', () => {
+    const window = getBusinessDayWindow('2026-06-15', DENVER);
+    expect(window.start.toISOString()).toBe('2026-06-15T11:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-06-16T11:00:00.000Z');
+    expect(window.startLocal).toBe('2026-06-15T05:00:00');
+    expect(window.endLocal).toBe('2026-06-16T05:00:00');
+    expect(window.hours).toBe(24);
+  });
+
+  it('is 23 hours across spring forward', () => {
+    // The 5 AM start puts the missing hour in the business day before the calendar date of the change
+    const window = getBusinessDayWindow('2026-03-07', DENVER);
+    expect(window.start.toISOString()).toBe('2026-03-07T12:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-03-08T11:00:00.000Z');
+    expect(window.startLocal).toBe('2026-03-07T05:00:00');
+    expect(window.endLocal).toBe('2026-03-08T05:00:00');
+    expect(window.hours).toBe(23);
+    expect(getBusinessDayWindow('2026-03-08', DENVER).hours).toBe(24);
+    expect(getBusinessDayWindow('2026-03-07', LOS_ANGELES).hours).toBe(23);
+  });
+
+  it('is 25 hours across fall back', () => {
+    // The 5 AM start puts the repeated hour in the business day before the calendar date of the change
+    const window = getBusinessDayWindow('2026-10-31', DENVER);
+    expect(window.start.toISOString()).toBe('2026-10-31T11:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-11-01T12:00:00.000Z');
+    expect(window.endLocal).toBe('2026-11-01T05:00:00');
+    expect(window.hours).toBe(25);
+    expect(getBusinessDayWindow('2026-11-01', DENVER).hours).toBe(24);
+    expect(getBusinessDayWindow('2026-10-31', LOS_ANGELES).hours).toBe(25);
+  });
+
+  it('is always 24 hours in Phoenix', () => {
+    ['2026-03-07', '2026-03-08', '2026-10-31', '2026-11-01'].forEach(date => {
+      expect(getBusinessDayWindow(date, PHOENIX).hours).toBe(24);
+    });
+  });
+
+  it('moves a start hour inside the spring-forward gap to the end of the gap', () => {
+    // 02:00 does not exist on 2026-03-08 in Denver - the day opens at 03:00 MDT instead
+    const gapDay = getBusinessDayWindow('2026-03-08', DENVER, 2);
+    expect(gapDay.start.toISOString()).toBe('2026-03-08T09:00:00.000Z');
+    expect(gapDay.startLocal).toBe('2026-03-08T03:00:00');
+    expect(gapDay.end.toISOString()).toBe('2026-03-09T08:00:00.000Z');
+    expect(gapDay.hours).toBe(23);
+
+    // The day before ends where the gap day starts - no instant belongs to both or neither
+    const dayBefore = getBusinessDayWindow('2026-03-07', DENVER, 2);
+    expect(dayBefore.end.toISOString()).toBe(gapDay.start.toISOString());
+    expect(dayBefore.hours).toBe(24);
+  });
+
+  it('is contiguous from one business date to the next', () => {
+    let date = '2026-10-28';
+    for (let i = 0; i < 7; i++) {
+      const next = addDays(date, 1);
+      expect(getBusinessDayWindow(date, DENVER).end.toISOString()).toBe(getBusinessDayWindow(next, DENVER).start.toISOString());
+      date = next;
+    }
+  });
+});
+
+describe('localDateTimeToUtc', () => {
+  it('resolves the repeated fall-back hour to its first occurrence', () => {
+    expect(localDateTimeToUtc('2026-11-01', 1, 30, DENVER).toISOString()).toBe('2026-11-01T07:30:00.000Z');
+  });
+});
+
+describe('getBusinessDate', () => {
+  it('keeps hours before the day start on the previous business date', () => {
+    expect(getBusinessDate('2026-06-16T07:30:00Z', DENVER)).toBe('2026-06-15'); // 01:30 MDT
+    expect(getBusinessDate('2026-06-16T11:00:00Z', DENVER)).toBe('2026-06-16'); // 05:00 MDT
+    expect(getBusinessDate('2026-06-16T10:59:59Z', DENVER)).toBe('2026-06-15');
+  });
+
+  it('uses the store day-start hour', () => {
+    expect(getBusinessDate('2026-06-16T09:30:00Z', DENVER, 3)).toBe('2026-06-16'); // 03:30 MDT
+    expect(getBusinessDate('2026-06-16T09:30:00Z', DENVER, 5)).toBe('2026-06-15');
+    expect(getBusinessDate('2026-06-16T06:30:00Z', DENVER, 0)).toBe('2026-06-16'); // 00:30 MDT
+  });
+
+  it('handles the DST change nights', () => {
+    expect(getBusinessDate('2026-03-09T08:30:00Z', DENVER)).toBe('2026-03-08');  // 02:30 MDT
+    expect(getBusinessDate('2026-03-08T09:30:00Z', DENVER)).toBe('2026-03-07');  // 03:30 MDT, right after the gap
+    expect(getBusinessDate('2026-11-01T07:30:00Z', DENVER)).toBe('2026-10-31');  // first 01:30 (MDT)
+    expect(getBusinessDate('2026-11-01T08:30:00Z', DENVER)).toBe('2026-10-31');  // second 01:30 (MST)
+    expect(getBusinessDate('2026-11-01T12:00:00Z', DENVER)).toBe('2026-11-01');  // 05:00 MST
+  });
+
+  it('uses the store timezone, not the server clock', () => {
+    const instant = '2026-06-16T12:30:00Z';
+    expect(getBusinessDate(instant, DENVER)).toBe('2026-06-16');      // 06:30 MDT
+    expect(getBusinessDate(instant, LOS_ANGELES)).toBe('2026-06-16'); // 05:30 PDT
+    expect(getBusinessDate('2026-06-16T11:30:00Z', LOS_ANGELES)).toBe('2026-06-15'); // 04:30 PDT
+    expect(getBusinessDate('2026-06-16T11:30:00Z', PHOENIX)).toBe('2026-06-15'); // 04:30 MST
+  });
+});
+
+describe('getBusinessDayStatus', () => {
+  const window = getBusinessDayWindow('2026-03-07', DENVER);
+
+  it('is future before the window opens', () => {
+    expect(getBusinessDayStatus(window, new Date('2026-03-07T11:59:59Z'))).toBe('future');
+  });
+
+  it('is in progress from the start up to the end', () => {
+    expect(getBusinessDayStatus(window, window.start)).toBe('in_progress');
+    expect(getBusinessDayStatus(window, new Date('2026-03-08T10:59:59Z'))).toBe('in_progress');
+  });
+
+  it('is closed from the end (exclusive) on', () => {
+    expect(getBusinessDayStatus(window, window.end)).toBe('closed');
+    expect(getBusinessDayStatus(window, new Date('2026-03-09T00:00:00Z'))).toBe('closed');
+  });
+});
+
+describe('getBusinessCalendar', () => {
+  it('puts the early hours of the calendar day on the previous business date', () => {
+    const now = new Date('2026-11-01T08:30:00Z'); // second 01:30, MST
+    const calendar = getBusinessCalendar(DENVER, { now });
+    expect(calendar.businessDate).toBe('2026-10-31');
+    expect(calendar.calendarDate).toBe('2026-11-01');
+    expect(calendar.localTime).toBe('2026-11-01T01:30:00');
+    expect(calendar.offsetMinutes).toBe(-420);
+    expect(calendar.status).toBe('in_progress');
+    expect(calendar.window.hours).toBe(25);
+  });
+
+  it('reports an explicit business date as closed or future', () => {
+    const now = new Date('2026-03-08T18:00:00Z');
+    expect(getBusinessCalendar(DENVER, { businessDate: '2026-03-07', now }).status).toBe('closed');
+    expect(getBusinessCalendar(DENVER, { businessDate: '2026-03-08', now }).status).toBe('in_progress');
+    expect(getBusinessCalendar(DENVER, { businessDate: '2026-03-09', now }).status).toBe('future');
+  });
+
+  it('uses the store day-start hour', () => {
+    const now = new Date('2026-06-16T09:30:00Z'); // 03:30 MDT
+    expect(getBusinessCalendar(DENVER, { now }).businessDate).toBe('2026-06-15');
+    expect(getBusinessCalendar(DENVER, { businessDayStartHour: 3, now }).businessDate).toBe('2026-06-16');
+  });
+
+  it('falls back to Denver and the default start hour', () => {
+    const calendar = getBusinessCalendar('Not/A_Zone', { businessDayStartHour: 42, now: new Date('2026-06-16T12:00:00Z') });
+    expect(calendar.timezone).toBe(DENVER);
+    expect(calendar.businessDayStartHour).toBe(DEFAULT_BUSINESS_DAY_START_HOUR);
+  });
+});
+
+describe('date arithmetic', () => {
+  it('resolveBusinessDayStartHour accepts 0-23 only', () => {
+    expect(resolveBusinessDayStartHour(0)).toBe(0);
+    expect(resolveBusinessDayStartHour(23)).toBe(23);
+    expect(resolveBusinessDayStartHour(24)).toBe(DEFAULT_BUSINESS_DAY_START_HOUR);
+    expect(resolveBusinessDayStartHour(3.5)).toBe(DEFAULT_BUSINESS_DAY_START_HOUR);
+    expect(resolveBusinessDayStartHour(null)).toBe(DEFAULT_BUSINESS_DAY_START_HOUR);
+  });
+
+  it('addDays and getWeekStart ignore DST', () => {
+    expect(addDays('2026-03-07', 1)).toBe('2026-03-08');
+    expect(addDays('2026-11-01', -1)).toBe('2026-10-31');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(getWeekStart('2026-03-08', 1)).toBe('2026-03-02'); // Sunday -> the Monday before
+    expect(getWeekStart('2026-03-08', 0)).toBe('2026-03-08');
+  });
+});
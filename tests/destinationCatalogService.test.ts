@@ -0,0 +1,71 @@
+import { BrinkApiClient, BrinkApiError } from '../src/services/BrinkApiClient';
+import { destinationCatalogService } from '../src/services/destinationCatalogService';
+import { BrinkDestination } from '../src/models/brink';
+
+const DESTINATIONS: BrinkDestination[] = [
+  { id: 1, name: 'Dine In', channel: 'dine_in', active: true },
+  { id: 2, name: 'To Go', channel: 'pickup', active: true }
+];
+
+function fakeClient(getDestinations: () => Promise<BrinkDestination[]>) {
+  const calls = jest.fn(getDestinations);
+  return { client: { getDestinations: calls } as unknown as BrinkApiClient, calls };
+}
+
+describe('destinationCatalogService', () => {
+  let clock: jest.SpyInstance<number, []>;
+  let now: number;
+
+  beforeEach(() => {
+    destinationCatalogService.invalidate();
+    now = new Date('2026-06-15T18:00:00Z').getTime();
+    clock = jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    clock.mockRestore();
+  });
+
+  it('loads destinations once per location and caches them for an hour', async () => {
+    const { client, calls } = fakeClient(async () => DESTINATIONS);
+    const first = await destinationCatalogService.getDestinationCatalog('location-1', client);
+    expect(first.status).toBe('ok');
+    expect(first.destinations.get(2)?.name).toBe('To Go');
+
+    now += 30 * 60 * 1000;
+    await destinationCatalogService.getDestinationCatalog('location-1', client);
+    expect(calls).toHaveBeenCalledTimes(1);
+
+    await destinationCatalogService.getDestinationCatalog('location-2', client);
+    expect(calls).toHaveBeenCalledTimes(2);
+  });
+
+  it('uses the last loaded destinations when Brink fails', async () => {
+    let fail = false;
+    const { client } = fakeClient(async () => {
+      if (fail) throw new BrinkApiError('Brink request timed out', 'BRINK_TIMEOUT', 504, 'transient');
+      return DESTINATIONS;
+    });
+    await destinationCatalogService.getDestinationCatalog('location-1', client);
+
+    fail = true;
+    now += 2 * 60 * 60 * 1000;
+    const stale = await destinationCatalogService.getDestinationCatalog('location-1', client);
+    expect(stale.status).toBe('stale');
+    expect(stale.destinations.size).toBe(2);
+  });
+
+  it('reports unavailable without throwing and waits before asking Brink again', async () => {
+    const { client, calls } = fakeClient(async () => { throw new Error('socket hang up'); });
+    const catalog = await destinationCatalogService.getDestinationCatalog('location-1', client);
+    expect(catalog.status).toBe('unavailable');
+    expect(catalog.destinations.size).toBe(0);
+
+    await destinationCatalogService.getDestinationCatalog('location-1', client);
+    expect(calls).toHaveBeenCalledTimes(1);
+
+    now += 2 * 60 * 1000;
+    await destinationCatalogService.getDestinationCatalog('location-1', client);
+    expect(calls).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,94 @@
+import { BrinkShift } from '../src/models/brink';
+import { formatHourKey } from '../src/utils/timezone';
+import { getShiftHourSegments, getShiftInterval, getShiftPaidHours } from '../src/utils/shiftHours';
+
+const DENVER = 'America/Denver';
+
+function shift(overrides: Partial<BrinkShift> = {}): BrinkShift {
+  return { id: '1', employeeId: '1', startTime: '2026-06-15T15:00:00Z', endTime: null, minutesWorked: 0, payRate: 15, breaks: [], ...overrides };
+}
+
+function totalSegmentHours(value: BrinkShift, now: Date, dayEnd?: Date): number {
+  return getShiftHourSegments(value, DENVER, now, dayEnd).reduce((sum, segment) => sum + segment.hours, 0);
+}
+
+describe('getShiftInterval', () => {
+  it('runs an open shift until now', () => {
+    const interval = getShiftInterval(shift(), new Date('2026-06-15T18:00:00Z'));
+    expect(interval?.end.toISOString()).toBe('2026-06-15T18:00:00.000Z');
+    expect(interval?.paidRatio).toBe(1);
+  });
+
+  it('stops an open shift at the end of its closed business day', () => {
+    // Business day 2026-06-15 ends at 05:00 MDT on the 16th; the employee never clocked out
+    const dayEnd = new Date('2026-06-16T11:00:00Z');
+    const now = new Date('2026-06-18T12:00:00Z');
+    expect(getShiftInterval(shift(), now, dayEnd)?.end.toISOString()).toBe(dayEnd.toISOString());
+    expect(getShiftPaidHours(shift(), now, dayEnd)).toBe(20);
+    expect(totalSegmentHours(shift(), now, dayEnd)).toBeCloseTo(20, 10);
+  });
+
+  it('keeps now for an open shift while its business day is in progress', () => {
+    const dayEnd = new Date('2026-06-16T11:00:00Z');
+    const now = new Date('2026-06-15T18:00:00Z');
+    expect(getShiftInterval(shift(), now, dayEnd)?.end.toISOString()).toBe(now.toISOString());
+  });
+
+  it('does not cut a closed shift at the end of the business day', () => {
+    const closed = shift({ startTime: '2026-06-16T05:00:00Z', endTime: '2026-06-16T13:00:00Z', minutesWorked: 480 });
+    const dayEnd = new Date('2026-06-16T11:00:00Z');
+    expect(getShiftPaidHours(closed, new Date('2026-06-18T00:00:00Z'), dayEnd)).toBe(8);
+  });
+});
+
+describe('unpaid breaks', () => {
+  const now = new Date('2026-06-15T19:00:00Z');
+  const onBreak = shift({ breaks: [{ id: '1', startTime: '2026-06-15T17:00:00Z', endTime: '2026-06-15T17:30:00Z', isPaid: false, minutes: 30 }] });
+
+  it('leaves unpaid break minutes out of an open shift', () => {
+    expect(getShiftPaidHours(onBreak, now)).toBe(3.5);
+  });
+
+  it('allocates the same paid hours to hour buckets as getShiftPaidHours', () => {
+    expect(totalSegmentHours(onBreak, now)).toBeCloseTo(getShiftPaidHours(onBreak, now), 10);
+
+    const closed = shift({ endTime: '2026-06-15T23:00:00Z', minutesWorked: 450 });
+    expect(totalSegmentHours(closed, now)).toBeCloseTo(getShiftPaidHours(closed, now), 10);
+    expect(getShiftPaidHours(closed, new Date('2026-06-16T00:00:00Z'))).toBe(7.5);
+  });
+
+  it('ignores paid breaks', () => {
+    const paidBreak = shift({ breaks: [{ id: '1', startTime: '2026-06-15T17:00:00Z', endTime: '2026-06-15T17:10:00Z', isPaid: true, minutes: 10 }] });
+    expect(getShiftPaidHours(paidBreak, now)).toBe(4);
+  });
+
+  it('takes an unpaid break out of the hour it falls in only', () => {
+    // 10:00-16:00 MDT with an unpaid lunch 12:00-12:30
+    const lunch = shift({
+      startTime: '2026-06-15T16:00:00Z',
+      endTime: '2026-06-15T22:00:00Z',
+      minutesWorked: 330,
+      breaks: [{ id: '1', startTime: '2026-06-15T18:00:00Z', endTime: '2026-06-15T18:30:00Z', isPaid: false, minutes: 30 }]
+    });
+    const buckets = getShiftHourSegments(lunch, DENVER, new Date('2026-06-16T00:00:00Z'))
+      .map(segment => [formatHourKey(segment.localHour), segment.hours]);
+    expect(buckets).toEqual([['10:00', 1], ['11:00', 1], ['12:00', 0.5], ['13:00', 1], ['14:00', 1], ['15:00', 1]]);
+  });
+
+  it('counts a break that is still open as unpaid until now', () => {
+    const lunchNow = shift({ breaks: [{ id: '1', startTime: '2026-06-15T18:30:00Z', endTime: null, isPaid: false, minutes: 0 }] });
+    expect(getShiftPaidHours(lunchNow, now)).toBe(3.5);
+    expect(getShiftHourSegments(lunchNow, DENVER, now).map(segment => segment.hours)).toEqual([1, 1, 1, 0.5]);
+  });
+
+  it('falls back to minutesWorked for a closed shift whose breaks have no times', () => {
+    const noDetail = shift({
+      endTime: '2026-06-15T23:00:00Z',
+      minutesWorked: 450,
+      breaks: [{ id: '1', startTime: '2026-06-15T17:00:00Z', endTime: null, isPaid: false, minutes: 30 }]
+    });
+    const later = new Date('2026-06-16T00:00:00Z');
+    expect(getShiftPaidHours(noDetail, later)).toBe(7.5);
+    expect(getShiftHourSegments(noDetail, DENVER, later).every(segment => segment.hours === 7.5 / 8)).toBe(true);
+  });
+});
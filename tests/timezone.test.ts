@@ -0,0 +1,118 @@
+import { BrinkShift } from '../src/models/brink';
+import { getShiftHourSegments } from '../src/utils/shiftHours';
+import { formatHourKey, getLocalDateTimeString, getLocalHour, getNextLocalHourStart, getUtcOffsetMinutes, resolveTimezone } from '../src/utils/timezone';
+
+// 2026 US DST changes: clocks spring forward at 02:00 on 2026-03-08 and fall back at 02:00 on 2026-11-01
+// Arizona (America/Phoenix) stays on MST all year
+const DENVER = 'America/Denver';
+const PHOENIX = 'America/Phoenix';
+const LOS_ANGELES = 'America/Los_Angeles';
+const NOW = new Date('2027-01-01T00:00:00Z');
+
+function shift(startTime: string, endTime: string): BrinkShift {
+  const minutes = (new Date(endTime).getTime() - new Date(startTime).getTime()) / 60000;
+  return { id: '1', employeeId: '1', startTime, endTime, minutesWorked: minutes, payRate: 15, breaks: [] };
+}
+
+/** Paid hours per store-local hour bucket, the way the dashboard and reports bucket a shift */
+function bucketShift(startTime: string, endTime: string, timezone: string): Record<string, number> {
+  const buckets: Record<string, number> = {};
+  getShiftHourSegments(shift(startTime, endTime), timezone, NOW).forEach(segment => {
+    const key = formatHourKey(segment.localHour);
+    buckets[key] = (buckets[key] || 0) + segment.hours;
+  });
+  return buckets;
+}
+
+function localHours(instants: string[], timezone: string): number[] {
+  return instants.map(instant => getLocalHour(instant, timezone));
+}
+
+describe('spring forward (2026-03-08)', () => {
+  const instants = ['2026-03-08T07:30:00Z', '2026-03-08T08:30:00Z', '2026-03-08T09:30:00Z', '2026-03-08T10:30:00Z', '2026-03-08T11:30:00Z'];
+
+  it('getLocalHour skips 02:00 in Denver and Los Angeles but not Phoenix', () => {
+    expect(localHours(instants, DENVER)).toEqual([0, 1, 3, 4, 5]);
+    expect(localHours(instants, LOS_ANGELES)).toEqual([23, 0, 1, 3, 4]);
+    expect(localHours(instants, PHOENIX)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('changes the UTC offset only where DST applies', () => {
+    expect(getUtcOffsetMinutes('2026-03-08T08:59:59Z', DENVER)).toBe(-420);
+    expect(getUtcOffsetMinutes('2026-03-08T09:00:00Z', DENVER)).toBe(-360);
+    expect(getUtcOffsetMinutes('2026-03-08T09:59:59Z', LOS_ANGELES)).toBe(-480);
+    expect(getUtcOffsetMinutes('2026-03-08T10:00:00Z', LOS_ANGELES)).toBe(-420);
+    expect(getUtcOffsetMinutes('2026-03-08T09:00:00Z', PHOENIX)).toBe(-420);
+  });
+
+  it('getNextLocalHourStart steps from 01:xx straight to 03:00', () => {
+    const next = getNextLocalHourStart('2026-03-08T08:30:00Z', DENVER);
+    expect(next.toISOString()).toBe('2026-03-08T09:00:00.000Z');
+    expect(getLocalDateTimeString(next, DENVER)).toBe('2026-03-08T03:00:00');
+
+    expect(getNextLocalHourStart('2026-03-08T09:45:00Z', LOS_ANGELES).toISOString()).toBe('2026-03-08T10:00:00.000Z');
+    expect(getLocalDateTimeString('2026-03-08T10:00:00Z', LOS_ANGELES)).toBe('2026-03-08T03:00:00');
+    expect(getLocalDateTimeString(getNextLocalHourStart('2026-03-08T09:30:00Z', PHOENIX), PHOENIX)).toBe('2026-03-08T03:00:00');
+  });
+
+  it('buckets a shift over the gap into real hours only', () => {
+    // 00:00-04:00 on the Denver wall clock is three hours of work
+    expect(bucketShift('2026-03-08T07:00:00Z', '2026-03-08T10:00:00Z', DENVER)).toEqual({ '00:00': 1, '01:00': 1, '03:00': 1 });
+    expect(bucketShift('2026-03-08T08:00:00Z', '2026-03-08T11:00:00Z', LOS_ANGELES)).toEqual({ '00:00': 1, '01:00': 1, '03:00': 1 });
+    expect(bucketShift('2026-03-08T07:00:00Z', '2026-03-08T10:00:00Z', PHOENIX)).toEqual({ '00:00': 1, '01:00': 1, '02:00': 1 });
+  });
+
+  it('splits a shift at the transition on the local hour boundary', () => {
+    // 01:30 MST - 03:30 MDT: half an hour before the jump, an hour after it
+    expect(bucketShift('2026-03-08T08:30:00Z', '2026-03-08T10:00:00Z', DENVER)).toEqual({ '01:00': 0.5, '03:00': 1 });
+  });
+});
+
+describe('fall back (2026-11-01)', () => {
+  const instants = ['2026-11-01T06:30:00Z', '2026-11-01T07:30:00Z', '2026-11-01T08:30:00Z', '2026-11-01T09:30:00Z', '2026-11-01T10:30:00Z'];
+
+  it('getLocalHour repeats 01:00 in Denver and Los Angeles but not Phoenix', () => {
+    expect(localHours(instants, DENVER)).toEqual([0, 1, 1, 2, 3]);
+    expect(localHours(instants, LOS_ANGELES)).toEqual([23, 0, 1, 1, 2]);
+    expect(localHours(instants, PHOENIX)).toEqual([23, 0, 1, 2, 3]);
+  });
+
+  it('changes the UTC offset only where DST applies', () => {
+    expect(getUtcOffsetMinutes('2026-11-01T07:59:59Z', DENVER)).toBe(-360);
+    expect(getUtcOffsetMinutes('2026-11-01T08:00:00Z', DENVER)).toBe(-420);
+    expect(getUtcOffsetMinutes('2026-11-01T08:59:59Z', LOS_ANGELES)).toBe(-420);
+    expect(getUtcOffsetMinutes('2026-11-01T09:00:00Z', LOS_ANGELES)).toBe(-480);
+    expect(getUtcOffsetMinutes('2026-11-01T08:00:00Z', PHOENIX)).toBe(-420);
+  });
+
+  it('getNextLocalHourStart visits the repeated 01:00 hour twice', () => {
+    const first = getNextLocalHourStart('2026-11-01T06:30:00Z', DENVER);
+    const second = getNextLocalHourStart(first, DENVER);
+    const third = getNextLocalHourStart(second, DENVER);
+    expect([first, second, third].map(date => date.toISOString())).toEqual([
+      '2026-11-01T07:00:00.000Z',
+      '2026-11-01T08:00:00.000Z',
+      '2026-11-01T09:00:00.000Z'
+    ]);
+    expect([first, second, third].map(date => getLocalHour(date, DENVER))).toEqual([1, 1, 2]);
+
+    expect(getNextLocalHourStart('2026-11-01T08:30:00Z', LOS_ANGELES).toISOString()).toBe('2026-11-01T09:00:00.000Z');
+    expect(getLocalHour('2026-11-01T09:00:00Z', LOS_ANGELES)).toBe(1);
+    expect(getNextLocalHourStart('2026-11-01T08:30:00Z', PHOENIX).toISOString()).toBe('2026-11-01T09:00:00.000Z');
+  });
+
+  it('buckets both 01:00 hours into the same local hour', () => {
+    // 00:00 MDT - 03:00 MST on the Denver wall clock is four hours of work
+    expect(bucketShift('2026-11-01T06:00:00Z', '2026-11-01T10:00:00Z', DENVER)).toEqual({ '00:00': 1, '01:00': 2, '02:00': 1 });
+    expect(bucketShift('2026-11-01T07:00:00Z', '2026-11-01T11:00:00Z', LOS_ANGELES)).toEqual({ '00:00': 1, '01:00': 2, '02:00': 1 });
+    expect(bucketShift('2026-11-01T07:00:00Z', '2026-11-01T11:00:00Z', PHOENIX)).toEqual({ '00:00': 1, '01:00': 1, '02:00': 1, '03:00': 1 });
+  });
+});
+
+describe('resolveTimezone', () => {
+  it('keeps valid zones and falls back to Denver otherwise', () => {
+    expect(resolveTimezone(PHOENIX)).toBe(PHOENIX);
+    expect(resolveTimezone('Mars/Olympus_Mons')).toBe(DENVER);
+    expect(resolveTimezone(undefined)).toBe(DENVER);
+  });
+});